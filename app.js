@@ -5,123 +5,372 @@
  * Production-ready vanilla JavaScript implementation
  */
 
-// --- TYPE DEFINITIONS (JSDoc) ---
+import {
+  DEFAULT_INPUTS,
+  BUILT_IN_PROFILES,
+  CUSTOM_PROFILE_NAME,
+  INPUT_CONSTRAINTS,
+  BAND_THRESHOLDS,
+  clamp,
+  bandForScore,
+  validateInput,
+  validateCustomFactor,
+  validateCustomFactors,
+  customFactorKey,
+  customFactorDefault,
+  allInputLabels,
+  allFactorLabels,
+  calculateReadiness,
+  serializeOutput,
+  weightsToPercents,
+  percentsToWeights,
+  rebalanceWeights,
+  isValidWeights,
+  parseWeights,
+  formatWeights,
+} from './scoring.js';
+import { parseImportTable, buildResultsCsv } from './csv.js';
+import { buildImprovementPlan } from './planner.js';
+import { FINANCIAL_CONSTRAINTS, NPV_YEARS, validateFinancials, calculateRoi } from './roi.js';
+import { createSnapshot, appendSnapshot, buildChangeLog } from './history.js';
+import { compareScenarios, decodeScenarios } from './compare.js';
+import { SHARE_PARAM, encodeShareState, decodeShareState } from './share.js';
+import { parseAssessment, compareOutputs, compareSettings } from './assessment.js';
+import {
+  JUSTIFIED_INPUTS,
+  unjustifiedInputs,
+  parseEvidence,
+  cleanJustifications,
+  validateJustifications,
+  validateAssessor,
+} from './evidence.js';
+import {
+  DEFAULT_THRESHOLD,
+  scoreConsensus,
+  describeDisagreement,
+  validateConsensus,
+} from './consensus.js';
+import {
+  processFromRecord,
+  toRecord,
+  openStore,
+  readStore,
+  saveAssessments,
+  saveSetting,
+  writeStore,
+  buildBackup,
+  parseBackup,
+  mergeContents,
+} from './store.js';
+import { toMarkdown, toHtml, buildReport } from './exporters.js';
+import {
+  OPERATORS,
+  DEFAULT_RULES,
+  validateRule,
+  validateRules,
+  describeRule,
+  ruleReason,
+  applyRules,
+} from './rules.js';
+import {
+  validateAnswers,
+  explainDerivation,
+  deriveInputs,
+  findOverrides,
+  localizeQuestions,
+} from './questionnaire.js';
+import { validateRanges, simulateReadiness, describeSimulation } from './uncertainty.js';
+import { LABEL_DISTANCE, radarGeometry, radarPoint, labelAlign, targetSubscores } from './radar.js';
+import {
+  defaultProfile,
+  createProcess,
+  uniqueProcessName,
+  scorePortfolio,
+  sortPortfolioRows,
+} from './portfolio.js';
+import {
+  DEFAULT_LOCALE,
+  LOCALES,
+  resolveLocale,
+  translate,
+  formatNumber as formatLocaleNumber,
+  formatList,
+} from './i18n.js';
 
-/**
- * @typedef {Object} Inputs
- * @property {number} processVolume
- * @property {number} variance
- * @property {number} exceptionRate
- * @property {number} dataQuality
- * @property {number} systemAccess
- * @property {number} complianceSensitivity
- */
+// --- TYPE DEFINITIONS (JSDoc) ---
 
-/**
- * @typedef {Object} Blocker
- * @property {string} factor
- * @property {string} reason
- * @property {string} hint
- * @property {number} gap
- * @property {number} subscore
- */
+/** @typedef {import('./scoring.js').Inputs} Inputs */
+/** @typedef {import('./scoring.js').Output} Output */
+/** @typedef {import('./scoring.js').Blocker} Blocker */
+/** @typedef {import('./scoring.js').CustomFactor} CustomFactor */
+/** @typedef {import('./rules.js').KnockOutRule} KnockOutRule */
+/** @typedef {import('./uncertainty.js').Ranges} Ranges */
+/** @typedef {import('./uncertainty.js').Simulation} Simulation */
+/** @typedef {import('./questionnaire.js').Answers} Answers */
+/** @typedef {import('./evidence.js').Justifications} Justifications */
+/** @typedef {import('./evidence.js').Assessor} Assessor */
+/** @typedef {import('./consensus.js').Consensus} Consensus */
+/** @typedef {import('./consensus.js').ConsensusResult} ConsensusResult */
+/** @typedef {import('./scoring.js').Weights} Weights */
+/** @typedef {import('./scoring.js').WeightsProfile} WeightsProfile */
+/** @typedef {import('./portfolio.js').Process} Process */
+/** @typedef {import('./planner.js').ImprovementPlan} ImprovementPlan */
+/** @typedef {import('./roi.js').Financials} Financials */
+/** @typedef {import('./roi.js').RoiResult} RoiResult */
+/** @typedef {import('./history.js').Snapshot} Snapshot */
+/** @typedef {import('./compare.js').Scenario} Scenario */
+/** @typedef {import('./exporters.js').ExportData} ExportData */
+/** @typedef {import('./share.js').ShareState} ShareState */
+/** @typedef {import('./share.js').SharedProcess} SharedProcess */
+/** @typedef {import('./store.js').StoreContents} StoreContents */
 
 /**
- * @typedef {Object} Output
- * @property {number} readinessScore
- * @property {"Red" | "Yellow" | "Green"} band
- * @property {Blocker[]} topBlockers
- * @property {string} narrative
+ * @typedef {Object} Portfolio
+ * @property {string} activeId
+ * @property {Process[]} processes
  */
 
 // --- CONSTANTS ---
 
 const STORAGE_KEY = 'automationReadinessInputs';
+const PORTFOLIO_STORAGE_KEY = 'automationReadinessPortfolio';
+const PROFILES_STORAGE_KEY = 'automationReadinessProfiles';
+const ASSESSOR_STORAGE_KEY = 'automationReadinessAssessor';
+const FACTORS_STORAGE_KEY = 'automationReadinessFactors';
+const RULES_STORAGE_KEY = 'automationReadinessRules';
+const LOCALE_STORAGE_KEY = 'automationReadinessLocale';
 
-const DEFAULT_INPUTS = {
-  processVolume: 1000,
-  variance: 20,
-  exceptionRate: 10,
-  dataQuality: 70,
-  systemAccess: 60,
-  complianceSensitivity: 30,
-};
-
-const WEIGHTS = {
-  stableProcess: 0.2,
-  lowExceptions: 0.2,
-  dataQuality: 0.2,
-  systemAccess: 0.15,
-  lowComplianceRisk: 0.15,
-  volumePotential: 0.1,
+/** Colors for the subscores in the trend and breakdown charts */
+const FACTOR_COLORS = {
+  stableProcess: '#6f42c1',
+  lowExceptions: '#fd7e14',
+  dataQuality: '#20c997',
+  systemAccess: '#17a2b8',
+  lowComplianceRisk: '#e83e8c',
+  volumePotential: '#adb5bd',
 };
 
-const BLOCKER_HINTS = {
-  stableProcess: {
-    reason: 'High Process Variance',
-    hint: 'Standardize steps, document SOPs, and reduce branching or edge cases.',
-  },
-  lowExceptions: {
-    reason: 'High Exception Rate',
-    hint: 'Perform root-cause analysis on exceptions, add decision tables, or redesign inputs.',
-  },
-  dataQuality: {
-    reason: 'Low Data Quality',
-    hint: 'Add validation, enrichment layers, define golden records, or implement MDM.',
-  },
-  systemAccess: {
-    reason: 'Low System Access',
-    hint: 'Expose APIs, create service accounts, remove MFA for service principals, or use RPA as a last resort.',
-  },
-  lowComplianceRisk: {
-    reason: 'High Compliance Sensitivity',
-    hint: 'Minimize data usage, pseudonymize PII, add Human-in-the-Loop (HITL) checks, and enhance audit logging.',
-  },
-  volumePotential: {
-    reason: 'Low Volume / Payoff',
-    hint: 'A pilot is still possible. Consider combining adjacent processes to reach scale.',
-  },
+/**
+ * Attributes translated from message keys: `data-i18n-<name>="key"` sets the attribute.
+ * `data-i18n="key"` sets the text content.
+ */
+const TRANSLATED_ATTRIBUTES = {
+  title: 'title',
+  'aria-label': 'aria-label',
+  placeholder: 'placeholder',
+  tooltip: 'data-tooltip',
+  content: 'content',
 };
 
-const INPUT_CONSTRAINTS = {
-  processVolume: { min: 0, max: Infinity },
-  variance: { min: 0, max: 100 },
-  exceptionRate: { min: 0, max: 100 },
-  dataQuality: { min: 0, max: 100 },
-  systemAccess: { min: 0, max: 100 },
-  complianceSensitivity: { min: 0, max: 100 },
-};
+/** Colors for custom factors, in the order they were added */
+const CUSTOM_FACTOR_COLORS = ['#795548', '#6610f2', '#28a745', '#dc3545', '#ffc107', '#343a40'];
 
 // --- STATE ---
 
+/** Interface language, see i18n.js */
+let locale = DEFAULT_LOCALE;
+
 let lastInputs = {};
 let lastOutput = {};
 
+/** @type {Simulation | null} */
+let lastSimulation = null;
+
+/** @type {ConsensusResult | null} */
+let lastConsensus = null;
+
+/** @type {Portfolio} */
+let portfolio = { activeId: '', processes: [] };
+let portfolioSort = { key: 'score', direction: 'desc' };
+let lastImportCsv = '';
+
+/** Counts URL updates, so a slow encoding can't overwrite the URL of a newer state */
+let urlUpdates = 0;
+
+/**
+ * Compare mode: a baseline process and the processes compared with it,
+ * or scenarios from a shared compare link (`shared`) that aren't in the portfolio
+ * @type {{open: boolean, baselineId: string, ids: string[], shared: Scenario[] | null}}
+ */
+let compare = { open: false, baselineId: '', ids: [], shared: null };
+
+/** @type {WeightsProfile[]} */
+let customProfiles = [];
+
+/** @type {CustomFactor[]} */
+let customFactors = [];
+
+/** @type {KnockOutRule[]} */
+let knockOutRules = DEFAULT_RULES;
+
+/** Outline drawn over the radar chart: '' for none, 'green' for the Green target, or a process id */
+let radarOverlay = '';
+
+/**
+ * A new version's service worker, installed and waiting to take over
+ * @type {ServiceWorker | null}
+ */
+let waitingWorker = null;
+
+/**
+ * The assessment store; null until it is open, and for good when IndexedDB is unavailable or
+ * another tab has closed the store, in which case the state is kept in localStorage
+ * @type {IDBDatabase | null}
+ */
+let store = null;
+
 // --- DOM REFERENCES ---
 
 const form = document.getElementById('readiness-form');
 const outputValue = document.getElementById('score-value');
 const outputBand = document.getElementById('score-band');
 const outputNarrative = document.getElementById('score-narrative');
+const outputKnockOuts = document.getElementById('score-knockouts');
 const outputBlockers = document.getElementById('blockers-list');
+const planSteps = document.getElementById('plan-steps');
+const planImpacts = document.getElementById('plan-impacts');
 const scoreGauge = document.getElementById('score-gauge');
+const trendChart = document.getElementById('trend-chart');
+const trendLegend = document.getElementById('trend-legend');
+const radarChart = document.getElementById('radar-chart');
+const radarOverlaySelect = document.getElementById('radar-overlay');
+const radarLegend = document.getElementById('radar-legend');
+const breakdownChart = document.getElementById('breakdown-chart');
+const breakdownBody = document.getElementById('breakdown-body');
+const uncertaintySection = document.getElementById('uncertainty-section');
+const uncertaintySummary = document.getElementById('uncertainty-summary');
+const uncertaintyChart = document.getElementById('uncertainty-chart');
+const historyLog = document.getElementById('history-log');
+const btnSaveSnapshot = document.getElementById('btn-save-snapshot');
+const btnClearHistory = document.getElementById('btn-clear-history');
 const btnCopy = document.getElementById('btn-copy');
+const btnMarkdown = document.getElementById('btn-markdown');
+const btnHtml = document.getElementById('btn-html');
 const btnCsv = document.getElementById('btn-csv');
 const btnShare = document.getElementById('btn-share');
 const btnReset = document.getElementById('btn-reset');
+const btnAddProcess = document.getElementById('btn-add-process');
+const btnDuplicateProcess = document.getElementById('btn-duplicate-process');
+const btnRenameProcess = document.getElementById('btn-rename-process');
+const btnDeleteProcess = document.getElementById('btn-delete-process');
+const btnImport = document.getElementById('btn-import');
+const importDialog = document.getElementById('import-dialog');
+const importFile = document.getElementById('import-file');
+const importText = document.getElementById('import-text');
+const importErrors = document.getElementById('import-errors');
+const importSummary = document.getElementById('import-summary');
+const btnImportRun = document.getElementById('btn-import-run');
+const btnImportDownload = document.getElementById('btn-import-download');
+const btnImportJson = document.getElementById('btn-import-json');
+const jsonImportDialog = document.getElementById('json-import-dialog');
+const jsonImportFile = document.getElementById('json-import-file');
+const jsonImportText = document.getElementById('json-import-text');
+const jsonImportSummary = document.getElementById('json-import-summary');
+const jsonImportErrors = document.getElementById('json-import-errors');
+const jsonImportDifferences = document.getElementById('json-import-differences');
+const btnJsonImportRun = document.getElementById('btn-json-import-run');
+const btnBackup = document.getElementById('btn-backup');
+const backupDialog = document.getElementById('backup-dialog');
+const btnBackupDownload = document.getElementById('btn-backup-download');
+const backupFile = document.getElementById('backup-file');
+const backupSummary = document.getElementById('backup-summary');
+const backupErrors = document.getElementById('backup-errors');
+const btnBackupMerge = document.getElementById('btn-backup-merge');
+const btnBackupReplace = document.getElementById('btn-backup-replace');
+const processNotes = document.getElementById('process-notes');
+const portfolioTable = document.getElementById('portfolio-table');
+const btnCompare = document.getElementById('btn-compare');
+const compareSection = document.getElementById('compare-section');
+const btnCompareLink = document.getElementById('btn-compare-link');
+const btnCompareAdd = document.getElementById('btn-compare-add');
+const btnCompareClose = document.getElementById('btn-compare-close');
+const comparePicker = document.getElementById('compare-picker');
+const compareBaseline = document.getElementById('compare-baseline');
+const compareOptions = document.getElementById('compare-options');
+const compareSharedNote = document.getElementById('compare-shared-note');
+const compareHead = document.getElementById('compare-head');
+const compareBody = document.getElementById('compare-body');
+const portfolioBody = document.getElementById('portfolio-body');
+const activeProcessName = document.getElementById('active-process-name');
+const profileSelect = document.getElementById('profile-select');
+const weightsFields = document.getElementById('weights-fields');
+const weightsTotal = document.getElementById('weights-total');
+const btnSaveProfile = document.getElementById('btn-save-profile');
+const btnDeleteProfile = document.getElementById('btn-delete-profile');
+const questionnaireFields = document.getElementById('questionnaire-fields');
+const questionnaireStatus = document.getElementById('questionnaire-status');
+const btnApplyAnswers = document.getElementById('btn-apply-answers');
+const btnClearAnswers = document.getElementById('btn-clear-answers');
+const customFactorInputs = document.getElementById('custom-factor-inputs');
+const factorsList = document.getElementById('factors-list');
+const factorFields = document.getElementById('factor-fields');
+const factorsStatus = document.getElementById('factors-status');
+const btnAddFactor = document.getElementById('btn-add-factor');
+const rulesList = document.getElementById('rules-list');
+const ruleFields = document.getElementById('rule-fields');
+const rulesStatus = document.getElementById('rules-status');
+const btnAddRule = document.getElementById('btn-add-rule');
+const btnResetRules = document.getElementById('btn-reset-rules');
+const rangesFields = document.getElementById('ranges-fields');
+const rangesStatus = document.getElementById('ranges-status');
+const btnClearRanges = document.getElementById('btn-clear-ranges');
+const evidenceEditor = document.getElementById('evidence-editor');
+const evidenceFields = document.getElementById('evidence-fields');
+const evidenceStatus = document.getElementById('evidence-status');
+const assessorName = document.getElementById('assessor-name');
+const assessorDate = document.getElementById('assessor-date');
+const consensusMethod = document.getElementById('consensus-method');
+const consensusThreshold = document.getElementById('consensus-threshold');
+const ratingsList = document.getElementById('ratings-list');
+const btnAddRating = document.getElementById('btn-add-rating');
+const consensusSection = document.getElementById('consensus-section');
+const consensusSummary = document.getElementById('consensus-summary');
+const consensusBody = document.getElementById('consensus-body');
+const consensusDisagreements = document.getElementById('consensus-disagreements');
+const financialsFields = document.getElementById('financials-fields');
+const financialsStatus = document.getElementById('financials-status');
+const btnClearFinancials = document.getElementById('btn-clear-financials');
+const roiSection = document.getElementById('roi-section');
+const roiRecommendation = document.getElementById('roi-recommendation');
+const roiMetrics = document.getElementById('roi-metrics');
+const btnReport = document.getElementById('btn-report');
 const toast = document.getElementById('toast');
 const tooltip = document.getElementById('tooltip');
+const languageSelect = document.getElementById('language-select');
+const processVolumeFormatted = document.getElementById('pv-formatted');
+const updateBanner = document.getElementById('update-banner');
+const btnUpdateReload = document.getElementById('btn-update-reload');
+const btnUpdateDismiss = document.getElementById('btn-update-dismiss');
 
 // --- UTILITY FUNCTIONS ---
 
 /**
- * Clamps a number between min and max
- * @param {number} value
- * @param {number} min
- * @param {number} max
- * @returns {number}
+ * Translates a message key into the selected language
+ * @param {string} key
+ * @param {Object<string, string | number>} [params]
+ * @returns {string}
+ */
+const t = (key, params) => translate(locale, key, params);
+
+/**
+ * Display name of a band; the band itself stays "Red", "Yellow" or "Green" in state and exports
+ * @param {string} band
+ * @returns {string}
+ */
+const bandName = (band) => translate(locale, `band.${band}`, {}, band);
+
+/**
+ * Today's date, ISO formatted (YYYY-MM-DD)
+ * @returns {string}
+ */
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Display name of a weights profile; saved profiles keep the name they were given
+ * @param {string} name
+ * @returns {string}
  */
-const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const profileName = (name) => translate(locale, `profile.${name}`, {}, name);
 
 /**
  * Shows a toast notification
@@ -136,6 +385,26 @@ const showToast = (message, duration = 2000) => {
   }, duration);
 };
 
+/**
+ * Triggers a browser download for generated content
+ * @param {string} content
+ * @param {string} filename
+ * @param {string} type
+ */
+const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
 /**
  * Debounce function to limit execution rate
  * @param {Function} func
@@ -154,40 +423,50 @@ const debounce = (func, wait) => {
   };
 };
 
-// --- VALIDATION ---
-
 /**
- * Validates a single input field
- * @param {string} name
+ * Formats a number for display with the selected language's thousands separators
  * @param {number} value
- * @returns {{valid: boolean, message: string}}
+ * @returns {string}
  */
-function validateInput(name, value) {
-  const constraints = INPUT_CONSTRAINTS[name];
-  if (!constraints) {
-    return { valid: true, message: '' };
-  }
+const formatNumber = (value) => formatLocaleNumber(value, locale, { maximumFractionDigits: 1 });
 
-  if (Number.isNaN(value)) {
-    return { valid: false, message: 'Please enter a valid number' };
-  }
+/**
+ * Formats the score points a blocker costs, e.g. "−7.5 pts"
+ * @param {Blocker} blocker
+ * @returns {string}
+ */
+const formatImpact = (blocker) =>
+  t('blocker.impact', {
+    points: formatLocaleNumber(blocker.impact, locale, {
+      minimumFractionDigits: 1,
+      maximumFractionDigits: 1,
+    }),
+  });
 
-  if (value < constraints.min) {
-    return {
-      valid: false,
-      message: `Value must be at least ${constraints.min}`,
-    };
-  }
+/**
+ * Labels of the subscores, custom factors included
+ * @returns {Object<string, string>}
+ */
+const factorLabels = () => allFactorLabels(customFactors, locale);
 
-  if (value > constraints.max) {
-    return {
-      valid: false,
-      message: `Value must be at most ${constraints.max}`,
-    };
-  }
+/**
+ * Labels of the inputs, custom factors included
+ * @returns {Object<string, string>}
+ */
+const inputLabels = () => allInputLabels(customFactors, locale);
 
-  return { valid: true, message: '' };
-}
+/**
+ * Chart color of a subscore
+ * @param {string} factor
+ * @returns {string}
+ */
+const factorColor = (factor) =>
+  FACTOR_COLORS[factor] ||
+  CUSTOM_FACTOR_COLORS[
+    customFactors.findIndex((f) => f.key === factor) % CUSTOM_FACTOR_COLORS.length
+  ];
+
+// --- VALIDATION ---
 
 /**
  * Updates the UI to show validation errors
@@ -211,168 +490,6 @@ function showValidationError(fieldName, message) {
   }
 }
 
-// --- CORE CALCULATION LOGIC ---
-
-/**
- * Calculates volume subscore using log scale
- * @param {number} processVolume
- * @returns {number}
- */
-function volumeSubscore(processVolume) {
-  if (processVolume <= 0) return 0;
-  const v = Math.log10(processVolume + 1);
-  const scaled = v * 31.5;
-  return clamp(scaled, 0, 95);
-}
-
-/**
- * Calculates the readiness score and identifies blockers
- * @param {Inputs} inputs
- * @returns {Output}
- */
-function calculateReadiness(inputs) {
-  // Calculate subscores (higher is better)
-  const subscores = {
-    stableProcess: 100 - inputs.variance,
-    lowExceptions: 100 - inputs.exceptionRate,
-    dataQuality: inputs.dataQuality,
-    systemAccess: inputs.systemAccess,
-    lowComplianceRisk: 100 - inputs.complianceSensitivity,
-    volumePotential: volumeSubscore(inputs.processVolume),
-  };
-
-  // Calculate weighted final score
-  const score =
-    subscores.stableProcess * WEIGHTS.stableProcess +
-    subscores.lowExceptions * WEIGHTS.lowExceptions +
-    subscores.dataQuality * WEIGHTS.dataQuality +
-    subscores.systemAccess * WEIGHTS.systemAccess +
-    subscores.lowComplianceRisk * WEIGHTS.lowComplianceRisk +
-    subscores.volumePotential * WEIGHTS.volumePotential;
-
-  const readinessScore = Math.round(score);
-
-  // Determine band
-  let band = 'Red';
-  let narrative =
-    'This process has significant blockers. Focus on fundamentals before automating.';
-
-  if (readinessScore >= 75) {
-    band = 'Green';
-    narrative =
-      'This process is a strong candidate for automation. Proceed with detailed analysis.';
-  } else if (readinessScore >= 50) {
-    band = 'Yellow';
-    narrative =
-      'This process shows potential but has clear blockers. Address top issues to improve readiness.';
-  }
-
-  // Identify top blockers
-  const MIN_GAP_THRESHOLD = 15;
-  const allBlockers = Object.entries(subscores).map(([key, subscore]) => {
-    const maxScore = key === 'volumePotential' ? 95 : 100;
-    const gap = maxScore - subscore;
-    return {
-      factor: key,
-      reason: BLOCKER_HINTS[key].reason,
-      hint: BLOCKER_HINTS[key].hint,
-      gap,
-      subscore,
-    };
-  });
-
-  const topBlockers = allBlockers
-    .filter((b) => b.gap > MIN_GAP_THRESHOLD)
-    .sort((a, b) => b.gap - a.gap)
-    .slice(0, 4);
-
-  return { readinessScore, band, topBlockers, narrative };
-}
-
-// --- UI RENDERING ---
-
-/**
- * Draws a gauge visualization on canvas
- * @param {number} score
- * @param {string} band
- */
-function drawGauge(score, band) {
-  const ctx = scoreGauge.getContext('2d');
-  const width = scoreGauge.width;
-  const height = scoreGauge.height;
-  const centerX = width / 2;
-  const centerY = height - 10;
-  const radius = height - 20;
-
-  // Clear canvas
-  ctx.clearRect(0, 0, width, height);
-
-  // Draw background arc
-  ctx.beginPath();
-  ctx.arc(centerX, centerY, radius, Math.PI, 2 * Math.PI);
-  ctx.lineWidth = 20;
-  ctx.strokeStyle = '#e0e0e0';
-  ctx.stroke();
-
-  // Draw colored arc based on score
-  const angle = Math.PI + (score / 100) * Math.PI;
-  ctx.beginPath();
-  ctx.arc(centerX, centerY, radius, Math.PI, angle);
-  ctx.lineWidth = 20;
-
-  // Set color based on band
-  if (band === 'Green') {
-    ctx.strokeStyle = getComputedStyle(document.documentElement)
-      .getPropertyValue('--color-green')
-      .trim();
-  } else if (band === 'Yellow') {
-    ctx.strokeStyle = getComputedStyle(document.documentElement)
-      .getPropertyValue('--color-yellow')
-      .trim();
-  } else {
-    ctx.strokeStyle = getComputedStyle(document.documentElement)
-      .getPropertyValue('--color-red')
-      .trim();
-  }
-
-  ctx.lineCap = 'round';
-  ctx.stroke();
-}
-
-/**
- * Updates the output UI with calculation results
- * @param {Output} output
- */
-function updateUI(output) {
-  // Update score
-  outputValue.textContent = output.readinessScore;
-
-  // Update band
-  outputBand.textContent = output.band;
-  outputBand.className = `band-${output.band.toLowerCase()}`;
-
-  // Update narrative
-  outputNarrative.textContent = output.narrative;
-
-  // Draw gauge
-  drawGauge(output.readinessScore, output.band);
-
-  // Update blockers
-  outputBlockers.innerHTML = '';
-  if (output.topBlockers.length === 0) {
-    const li = document.createElement('li');
-    li.innerHTML =
-      '<strong>No significant blockers found!</strong><span>This process appears to be highly ready for automation.</span>';
-    outputBlockers.appendChild(li);
-  } else {
-    output.topBlockers.forEach((blocker) => {
-      const li = document.createElement('li');
-      li.innerHTML = `<strong>${blocker.reason}</strong><span>${blocker.hint}</span>`;
-      outputBlockers.appendChild(li);
-    });
-  }
-}
-
 // --- STATE MANAGEMENT ---
 
 /**
@@ -396,7 +513,7 @@ function getInputsFromForm() {
     inputs[key] = Math.round(clampedValue);
 
     // Validate
-    const validation = validateInput(key, inputs[key]);
+    const validation = validateInput(key, inputs[key], INPUT_CONSTRAINTS, locale);
     if (!validation.valid) {
       hasErrors = true;
       showValidationError(key, validation.message);
@@ -405,6 +522,13 @@ function getInputsFromForm() {
     }
   });
 
+  customFactors.forEach((factor) => {
+    const value = parseFloat(data.get(factor.key));
+    inputs[factor.key] = Number.isNaN(value)
+      ? customFactorDefault(factor)
+      : clamp(value, factor.min, factor.max);
+  });
+
   return inputs;
 }
 
@@ -418,10 +542,166 @@ function setInputsToForm(inputs) {
       form.elements[key].value = value;
     }
   });
+  customFactors.forEach((factor) => {
+    if (inputs[factor.key] === undefined) {
+      form.elements[factor.key].value = customFactorDefault(factor);
+    }
+  });
+}
+
+/**
+ * Reads the business case fields.
+ * All fields empty means no business case; a partly filled or invalid case returns errors.
+ * @returns {{financials: Financials | null, errors: string[]}}
+ */
+function getFinancialsFromForm() {
+  const raw = {};
+  Object.keys(FINANCIAL_CONSTRAINTS).forEach((key) => {
+    const input = financialsFields.querySelector(`[data-financial="${key}"]`);
+    raw[key] = input.value.trim() === '' ? null : Number(input.value);
+  });
+
+  if (Object.values(raw).every((value) => value === null)) {
+    return { financials: null, errors: [] };
+  }
+  const errors = validateFinancials(raw, locale);
+  return { financials: errors.length > 0 ? null : raw, errors };
+}
+
+/**
+ * Sets the business case fields
+ * @param {Financials | null} financials
+ */
+function setFinancialsToForm(financials) {
+  Object.keys(FINANCIAL_CONSTRAINTS).forEach((key) => {
+    const input = financialsFields.querySelector(`[data-financial="${key}"]`);
+    input.value = financials ? financials[key] : '';
+  });
+  financialsStatus.textContent = '';
+}
+
+/**
+ * Reads the uncertainty ranges. Inputs with both fields empty have no range.
+ * @param {Inputs} inputs - the most likely values, which each range must include
+ * @returns {{ranges: Ranges | null, errors: string[]}}
+ */
+function getRangesFromForm(inputs) {
+  const labels = inputLabels();
+  const ranges = {};
+  const errors = [];
+  Object.keys(labels).forEach((key) => {
+    const [low, high] = ['low', 'high'].map((end) =>
+      rangesFields.querySelector(`[data-range-${end}="${key}"]`).value.trim()
+    );
+    if (low === '' && high === '') return;
+    if (low === '' || high === '') {
+      errors.push(t('ranges.fillBoth', { label: labels[key] }));
+      return;
+    }
+    ranges[key] = { low: Number(low), high: Number(high) };
+  });
+
+  errors.push(
+    ...validateRanges(ranges, inputs, customFactors, locale).map((message) =>
+      message.replace(/^(\w+):/, (match, key) => `${labels[key]}:`)
+    )
+  );
+  if (errors.length > 0) return { ranges: null, errors };
+  return { ranges: Object.keys(ranges).length > 0 ? ranges : null, errors };
+}
+
+/**
+ * Sets the uncertainty range fields
+ * @param {Ranges | null} ranges
+ */
+function setRangesToForm(ranges) {
+  Object.keys(allInputLabels(customFactors)).forEach((key) => {
+    const range = ranges && ranges[key];
+    rangesFields.querySelector(`[data-range-low="${key}"]`).value = range ? range.low : '';
+    rangesFields.querySelector(`[data-range-high="${key}"]`).value = range ? range.high : '';
+  });
+  rangesStatus.textContent = '';
+}
+
+/**
+ * Reads the justification notes and evidence
+ * @returns {Justifications | null} null when none is filled in
+ */
+function getJustificationsFromForm() {
+  return cleanJustifications(
+    Object.fromEntries(
+      JUSTIFIED_INPUTS.map((key) => [
+        key,
+        {
+          note: evidenceFields.querySelector(`[data-justification-note="${key}"]`).value,
+          evidence: parseEvidence(
+            evidenceFields.querySelector(`[data-justification-evidence="${key}"]`).value
+          ),
+        },
+      ])
+    )
+  );
+}
+
+/**
+ * Sets the justification fields and the assessor
+ * @param {Justifications | null} justifications
+ * @param {Assessor | null} assessor
+ */
+function setJustificationsToForm(justifications, assessor) {
+  JUSTIFIED_INPUTS.forEach((key) => {
+    const justification = justifications && justifications[key];
+    evidenceFields.querySelector(`[data-justification-note="${key}"]`).value = justification
+      ? justification.note
+      : '';
+    evidenceFields.querySelector(`[data-justification-evidence="${key}"]`).value = justification
+      ? justification.evidence.join('\n')
+      : '';
+  });
+  assessorName.value = assessor ? assessor.name : '';
+  assessorDate.value = assessor ? assessor.date : '';
+}
+
+/**
+ * Sets the consensus method and disagreement threshold, or their defaults
+ * @param {Consensus | null} consensus
+ */
+function setConsensusToForm(consensus) {
+  consensusMethod.value = consensus ? consensus.method : 'median';
+  consensusThreshold.value = consensus ? consensus.threshold : DEFAULT_THRESHOLD;
+}
+
+/**
+ * Reads the selected questionnaire answers
+ * @returns {Answers}
+ */
+function getAnswersFromForm() {
+  return Object.fromEntries(
+    [...questionnaireFields.querySelectorAll('input[type="radio"]:checked')].map((radio) => [
+      radio.name.replace(/^q-/, ''),
+      radio.value,
+    ])
+  );
+}
+
+/**
+ * Selects the questionnaire answers, or clears them
+ * @param {Answers | null} answers
+ */
+function setAnswersToForm(answers) {
+  localizeQuestions(locale).forEach((question) => {
+    question.options.forEach((option) => {
+      const radio = questionnaireFields.querySelector(
+        `[name="q-${question.id}"][value="${option.id}"]`
+      );
+      radio.checked = Boolean(answers) && answers[question.id] === option.id;
+    });
+  });
 }
 
 /**
- * Reads state from URL query parameters
+ * Reads the inputs from the legacy URL query parameters (`pv`, `v`, `e`, `dq`, `sa`, `c` and
+ * `f.<key>` per custom factor)
  * @returns {Partial<Inputs>}
  */
 function getStateFromURL() {
@@ -446,28 +726,81 @@ function getStateFromURL() {
     }
   });
 
+  // Custom factors travel as f.<key>; values for factors not defined here are ignored
+  customFactors.forEach((factor) => {
+    const value = parseFloat(params.get(`f.${factor.key}`));
+    if (!Number.isNaN(value)) {
+      inputs[factor.key] = clamp(value, factor.min, factor.max);
+    }
+  });
+
   return inputs;
 }
 
 /**
- * Writes state to URL query parameters
- * @param {Inputs} inputs
+ * Reads the weights profile from the legacy URL query parameters
+ * (`wp` = profile name, `w` = dash-separated weight percentages)
+ * @returns {WeightsProfile | null}
+ */
+function getProfileFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has('w')) return null;
+
+  const weights = parseWeights(params.get('w'));
+  if (!weights) {
+    console.warn('Ignoring invalid weights in URL:', params.get('w'));
+    return null;
+  }
+
+  return { name: params.get('wp') || CUSTOM_PROFILE_NAME, weights };
+}
+
+/**
+ * The part of a process that a share link carries
+ * @param {Process} process
+ * @returns {SharedProcess}
+ */
+const toSharedProcess = ({ name, inputs, profile, financials, answers, ranges, notes }) => ({
+  name,
+  inputs,
+  profile: { name: profile.name, weights: profile.weights },
+  financials: financials ?? null,
+  answers: answers ?? null,
+  ranges: ranges ?? null,
+  ...(notes && { notes }),
+});
+
+/**
+ * Builds a link to this page that opens the given state
+ * @param {ShareState} state
+ * @returns {Promise<string>}
+ */
+function buildShareUrl(state) {
+  return encodeShareState(state).then((encoded) => {
+    const params = new URLSearchParams({ [SHARE_PARAM]: encoded });
+    return `${window.location.origin}${window.location.pathname}?${params.toString()}`;
+  });
+}
+
+/**
+ * Writes the process, and the scenarios of a comparison opened from a link, to the URL
+ * @param {Process} process
  */
-function setStateToURL(inputs) {
-  const params = new URLSearchParams();
-  params.set('pv', inputs.processVolume);
-  params.set('v', inputs.variance);
-  params.set('e', inputs.exceptionRate);
-  params.set('dq', inputs.dataQuality);
-  params.set('sa', inputs.systemAccess);
-  params.set('c', inputs.complianceSensitivity);
+function setStateToURL(process) {
+  urlUpdates += 1;
+  const update = urlUpdates;
+  const state = { process: toSharedProcess(process) };
+  if (compare.open && compare.shared) state.compare = compare.shared;
 
-  const newURL = `${window.location.pathname}?${params.toString()}`;
-  window.history.replaceState(null, '', newURL);
+  buildShareUrl(state)
+    .then((url) => {
+      if (update === urlUpdates) window.history.replaceState(null, '', url);
+    })
+    .catch((err) => console.warn('Could not write the state to the URL', err));
 }
 
 /**
- * Reads state from localStorage
+ * Reads the legacy single-process state from localStorage
  * @returns {Partial<Inputs> | null}
  */
 function getStateFromLocalStorage() {
@@ -481,155 +814,2980 @@ function getStateFromLocalStorage() {
 }
 
 /**
- * Writes state to localStorage
- * @param {Inputs} inputs
+ * Fills in the parts of saved processes that are missing or no longer valid
+ * @param {any} parsed - a saved portfolio
+ * @returns {Portfolio | null} null when there is no process to restore
+ */
+function normalizePortfolio(parsed) {
+  if (!parsed || !Array.isArray(parsed.processes) || parsed.processes.length === 0) return null;
+
+  return {
+    activeId: parsed.activeId,
+    processes: parsed.processes.map((p) => ({
+      ...p,
+      inputs: { ...DEFAULT_INPUTS, ...p.inputs },
+      profile: p.profile && isValidWeights(p.profile.weights) ? p.profile : defaultProfile(),
+      financials:
+        p.financials && validateFinancials(p.financials).length === 0 ? p.financials : null,
+      history: Array.isArray(p.history) ? p.history : [],
+      answers: p.answers && validateAnswers(p.answers).length === 0 ? p.answers : null,
+      ranges:
+        p.ranges &&
+        validateRanges(p.ranges, { ...DEFAULT_INPUTS, ...p.inputs }, customFactors).length === 0
+          ? p.ranges
+          : null,
+      notes: typeof p.notes === 'string' ? p.notes : '',
+      justifications:
+        p.justifications && validateJustifications(p.justifications).length === 0
+          ? p.justifications
+          : null,
+      assessor: p.assessor && validateAssessor(p.assessor).length === 0 ? p.assessor : null,
+      consensus:
+        p.consensus && validateConsensus(p.consensus, customFactors).length === 0
+          ? p.consensus
+          : null,
+    })),
+  };
+}
+
+/**
+ * A portfolio holding one process: the legacy single-process state, or the defaults
+ * @returns {Portfolio}
+ */
+function createLegacyPortfolio() {
+  const legacy = createProcess(t('portfolio.newProcess', { number: 1 }), {
+    ...DEFAULT_INPUTS,
+    ...(getStateFromLocalStorage() || {}),
+  });
+  return { activeId: legacy.id, processes: [legacy] };
+}
+
+/**
+ * Reads the portfolio from localStorage, migrating the legacy single-process state
+ * @returns {Portfolio}
  */
-function setStateToLocalStorage(inputs) {
+function getPortfolioFromLocalStorage() {
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(inputs));
+    const saved = localStorage.getItem(PORTFOLIO_STORAGE_KEY);
+    const portfolioState = normalizePortfolio(saved ? JSON.parse(saved) : null);
+    if (portfolioState) return portfolioState;
   } catch (e) {
-    console.warn('Could not save to localStorage', e);
+    console.warn('Could not parse localStorage portfolio', e);
   }
+  return createLegacyPortfolio();
+}
+
+/**
+ * The portfolio and settings as store contents, each process with its current output
+ * @returns {StoreContents}
+ */
+function getContentsFromMemory() {
+  return {
+    activeId: portfolio.activeId,
+    assessments: scorePortfolio(portfolio.processes, customFactors, knockOutRules, locale).map(
+      ({ process, output }) => toRecord(process, output)
+    ),
+    settings: { profiles: customProfiles, factors: customFactors, rules: knockOutRules },
+  };
+}
+
+/**
+ * Reports a failed write to the assessment store
+ * @param {Error} err
+ */
+const warnStoreFailure = (err) => console.warn('Could not save to the assessment store', err);
+
+/**
+ * Saves the portfolio to the assessment store, or to localStorage without one
+ * @param {Portfolio} state
+ */
+function savePortfolio(state) {
+  if (store) {
+    saveAssessments(store, getContentsFromMemory().assessments, state.activeId).catch(
+      warnStoreFailure
+    );
+    return;
+  }
+  try {
+    localStorage.setItem(PORTFOLIO_STORAGE_KEY, JSON.stringify(state));
+  } catch (e) {
+    console.warn('Could not save to localStorage', e);
+  }
+}
+
+/**
+ * Reads saved custom profiles from localStorage
+ * @returns {WeightsProfile[]}
+ */
+function getProfilesFromLocalStorage() {
+  try {
+    const saved = localStorage.getItem(PROFILES_STORAGE_KEY);
+    const parsed = saved ? JSON.parse(saved) : [];
+    return Array.isArray(parsed) ? parsed.filter((p) => p.name && isValidWeights(p.weights)) : [];
+  } catch (e) {
+    console.warn('Could not parse saved profiles', e);
+    return [];
+  }
+}
+
+/**
+ * Saves custom profiles to the assessment store, or to localStorage without one
+ * @param {WeightsProfile[]} profiles
+ */
+function saveProfiles(profiles) {
+  if (store) {
+    saveSetting(store, 'profiles', profiles).catch(warnStoreFailure);
+    return;
+  }
+  try {
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+  } catch (e) {
+    console.warn('Could not save profiles to localStorage', e);
+  }
+}
+
+/**
+ * Reads the custom factor definitions from localStorage
+ * @returns {CustomFactor[]}
+ */
+function getFactorsFromLocalStorage() {
+  try {
+    const saved = localStorage.getItem(FACTORS_STORAGE_KEY);
+    const parsed = saved ? JSON.parse(saved) : [];
+    if (validateCustomFactors(parsed).length === 0) return parsed;
+    console.warn('Ignoring invalid custom factors', validateCustomFactors(parsed));
+  } catch (e) {
+    console.warn('Could not parse custom factors', e);
+  }
+  return [];
+}
+
+/**
+ * Saves the custom factor definitions to the assessment store, or to localStorage without one
+ * @param {CustomFactor[]} factors
+ */
+function saveFactors(factors) {
+  if (store) {
+    saveSetting(store, 'factors', factors).catch(warnStoreFailure);
+    return;
+  }
+  try {
+    localStorage.setItem(FACTORS_STORAGE_KEY, JSON.stringify(factors));
+  } catch (e) {
+    console.warn('Could not save custom factors to localStorage', e);
+  }
+}
+
+/**
+ * Reads the knock-out rules from localStorage, falling back to the default rules
+ * @returns {KnockOutRule[]}
+ */
+function getRulesFromLocalStorage() {
+  try {
+    const saved = localStorage.getItem(RULES_STORAGE_KEY);
+    if (!saved) return DEFAULT_RULES;
+    const parsed = JSON.parse(saved);
+    if (validateRules(parsed, customFactors).length === 0) return parsed;
+    console.warn('Ignoring invalid knock-out rules', validateRules(parsed, customFactors));
+  } catch (e) {
+    console.warn('Could not parse knock-out rules', e);
+  }
+  return DEFAULT_RULES;
+}
+
+/**
+ * Saves the knock-out rules to the assessment store, or to localStorage without one
+ * @param {KnockOutRule[]} rules
+ */
+function saveRules(rules) {
+  if (store) {
+    saveSetting(store, 'rules', rules).catch(warnStoreFailure);
+    return;
+  }
+  try {
+    localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(rules));
+  } catch (e) {
+    console.warn('Could not save knock-out rules to localStorage', e);
+  }
+}
+
+/**
+ * Reads the interface language from localStorage, falling back to the browser's languages
+ * @returns {string}
+ */
+function getLocaleFromLocalStorage() {
+  try {
+    const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (saved in LOCALES) return saved;
+  } catch (e) {
+    console.warn('Could not read the language', e);
+  }
+  return resolveLocale(navigator.languages || navigator.language);
+}
+
+/**
+ * Writes the interface language to localStorage
+ * @param {string} value
+ */
+function setLocaleToLocalStorage(value) {
+  try {
+    localStorage.setItem(LOCALE_STORAGE_KEY, value);
+  } catch (e) {
+    console.warn('Could not save the language to localStorage', e);
+  }
+}
+
+/**
+ * Takes over the contents of the store or of a backup, dropping what is no longer valid
+ * @param {StoreContents} contents
+ */
+function applyContents({ activeId, assessments, settings }) {
+  customProfiles = settings.profiles.filter((p) => p.name && isValidWeights(p.weights));
+  customFactors = validateCustomFactors(settings.factors).length === 0 ? settings.factors : [];
+  knockOutRules =
+    validateRules(settings.rules, customFactors).length === 0 ? settings.rules : DEFAULT_RULES;
+  portfolio =
+    normalizePortfolio({ activeId, processes: assessments.map(processFromRecord) }) ||
+    createLegacyPortfolio();
+}
+
+/**
+ * Removes the localStorage data of earlier releases once the store holds it. The language and
+ * the last assessor stay in localStorage: they belong to the browser, not to the assessments.
+ */
+function removeLegacyStorage() {
+  try {
+    [
+      STORAGE_KEY,
+      PORTFOLIO_STORAGE_KEY,
+      PROFILES_STORAGE_KEY,
+      FACTORS_STORAGE_KEY,
+      RULES_STORAGE_KEY,
+    ].forEach((key) => localStorage.removeItem(key));
+  } catch (e) {
+    console.warn('Could not clear localStorage', e);
+  }
+}
+
+/**
+ * Opens the assessment store and loads its contents. The first time, the store takes over the
+ * state already read from localStorage. Without IndexedDB, or when it fails to open, the state
+ * stays in localStorage; the same goes once another tab has closed the store.
+ * @returns {Promise<void>}
+ */
+function openAssessmentStore() {
+  if (!window.indexedDB) return Promise.resolve();
+
+  return openStore(window.indexedDB, getContentsFromMemory, {
+    onBlocked: () => showToast(t('toast.storeBlocked'), 8000),
+    onClose: () => {
+      store = null;
+      showToast(t('toast.storeClosed'), 8000);
+    },
+  })
+    .then(({ db, migrated }) => {
+      store = db;
+      if (migrated) removeLegacyStorage();
+      return migrated ? null : readStore(db).then(applyContents);
+    })
+    .catch((err) => {
+      store = null;
+      console.warn('Could not open the assessment store; saving to localStorage instead', err);
+    });
+}
+
+/**
+ * Reads the whole store, or the state kept in memory without one
+ * @returns {Promise<StoreContents>}
+ */
+const readContents = () => (store ? readStore(store) : Promise.resolve(getContentsFromMemory()));
+
+// --- PORTFOLIO ---
+
+/**
+ * Returns the process currently loaded in the form
+ * @returns {Process}
+ */
+function getActiveProcess() {
+  return portfolio.processes.find((p) => p.id === portfolio.activeId) || portfolio.processes[0];
+}
+
+/**
+ * Returns the scenarios being compared, baseline first
+ * @returns {Scenario[]}
+ */
+function getCompareScenarios() {
+  if (compare.shared) return compare.shared;
+
+  return [compare.baselineId, ...compare.ids]
+    .map((id) => portfolio.processes.find((p) => p.id === id))
+    .filter(Boolean)
+    .map(({ name, inputs, profile }) => ({ name, inputs, profile }));
+}
+
+// --- SCORING PROFILES ---
+
+/**
+ * Returns built-in and saved custom profiles
+ * @returns {WeightsProfile[]}
+ */
+function getProfiles() {
+  return [...BUILT_IN_PROFILES, ...customProfiles];
+}
+
+/**
+ * Finds a saved profile with exactly these weights
+ * @param {Weights} weights
+ * @returns {WeightsProfile | undefined}
+ */
+function findProfileByWeights(weights) {
+  const target = JSON.stringify(weightsToPercents(weights));
+  return getProfiles().find((p) => JSON.stringify(weightsToPercents(p.weights)) === target);
+}
+
+// --- UI RENDERING ---
+
+/**
+ * Draws a gauge visualization on canvas
+ * @param {number} score
+ * @param {string} band
+ * @param {HTMLCanvasElement} [canvas] - defaults to the results gauge
+ */
+function drawGauge(score, band, canvas = scoreGauge) {
+  const ctx = canvas.getContext('2d');
+  const width = canvas.width;
+  const height = canvas.height;
+  const centerX = width / 2;
+  const centerY = height - 10;
+  const radius = height - 20;
+
+  // Clear canvas
+  ctx.clearRect(0, 0, width, height);
+
+  // Draw background arc
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, radius, Math.PI, 2 * Math.PI);
+  ctx.lineWidth = 20;
+  ctx.strokeStyle = '#e0e0e0';
+  ctx.stroke();
+
+  // Draw colored arc based on score
+  const angle = Math.PI + (score / 100) * Math.PI;
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, radius, Math.PI, angle);
+  ctx.lineWidth = 20;
+
+  // Set color based on band
+  if (band === 'Green') {
+    ctx.strokeStyle = getComputedStyle(document.documentElement)
+      .getPropertyValue('--color-green')
+      .trim();
+  } else if (band === 'Yellow') {
+    ctx.strokeStyle = getComputedStyle(document.documentElement)
+      .getPropertyValue('--color-yellow')
+      .trim();
+  } else {
+    ctx.strokeStyle = getComputedStyle(document.documentElement)
+      .getPropertyValue('--color-red')
+      .trim();
+  }
+
+  ctx.lineCap = 'round';
+  ctx.stroke();
+}
+
+/**
+ * Draws the trend of the readiness score (thick line) and subscores (thin lines) across saved
+ * snapshots, ending with the current, unsaved assessment when it differs from the latest one
+ * @param {Snapshot[]} history - oldest first
+ * @param {Snapshot} current
+ */
+function drawTrend(history, current) {
+  const ctx = trendChart.getContext('2d');
+  const { width, height } = trendChart;
+  const left = 28;
+  const top = 8;
+  const plotWidth = width - left - 8;
+  const plotHeight = height - top - 22;
+  const style = getComputedStyle(document.documentElement);
+
+  const { history: points, added } = appendSnapshot(history, current);
+  const x = (i) =>
+    left + (points.length > 1 ? (i / (points.length - 1)) * plotWidth : plotWidth / 2);
+  const y = (value) => top + plotHeight * (1 - value / 100);
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = '10px sans-serif';
+  ctx.fillStyle = '#666';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+
+  // Axis labels and band thresholds
+  [0, BAND_THRESHOLDS.Yellow, BAND_THRESHOLDS.Green, 100].forEach((value) => {
+    ctx.fillText(String(value), left - 6, y(value));
+  });
+  Object.entries(BAND_THRESHOLDS).forEach(([band, value]) => {
+    ctx.beginPath();
+    ctx.setLineDash([4, 4]);
+    ctx.moveTo(left, y(value));
+    ctx.lineTo(left + plotWidth, y(value));
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = style.getPropertyValue(`--color-${band.toLowerCase()}`).trim();
+    ctx.stroke();
+  });
+  ctx.setLineDash([]);
+
+  const drawLine = (valueOf, color, lineWidth) => {
+    ctx.beginPath();
+    points.forEach((point, i) => {
+      if (i === 0) ctx.moveTo(x(i), y(valueOf(point)));
+      else ctx.lineTo(x(i), y(valueOf(point)));
+    });
+    ctx.lineWidth = lineWidth;
+    ctx.strokeStyle = color;
+    ctx.stroke();
+  };
+
+  Object.entries(FACTOR_COLORS).forEach(([factor, color]) => {
+    drawLine((point) => point.subscores[factor], color, 1);
+  });
+  drawLine((point) => point.readinessScore, style.getPropertyValue('--color-primary').trim(), 3);
+
+  points.forEach((point, i) => {
+    ctx.beginPath();
+    ctx.arc(x(i), y(point.readinessScore), 4, 0, 2 * Math.PI);
+    ctx.fillStyle = style.getPropertyValue(`--color-${point.band.toLowerCase()}`).trim();
+    ctx.fill();
+  });
+
+  // Dates of the first and last points
+  ctx.fillStyle = '#666';
+  ctx.textBaseline = 'bottom';
+  const label = (i) =>
+    added && i === points.length - 1
+      ? t('results.now')
+      : new Date(points[i].timestamp).toLocaleDateString(locale);
+  ctx.textAlign = points.length > 1 ? 'left' : 'center';
+  ctx.fillText(label(0), x(0), height);
+  if (points.length > 1) {
+    ctx.textAlign = 'right';
+    ctx.fillText(label(points.length - 1), x(points.length - 1), height);
+  }
+}
+
+/**
+ * Draws the six subscores on a radar chart, with an optional dashed outline to compare against
+ * @param {Output} output
+ * @param {{subscores: Weights, color: string} | null} overlay
+ */
+function drawRadar(output, overlay) {
+  const ctx = radarChart.getContext('2d');
+  const { width, height } = radarChart;
+  const geometry = radarGeometry(width, height);
+  const labels = factorLabels();
+  const factors = Object.keys(labels);
+  const style = getComputedStyle(document.documentElement);
+  const point = (i, value) => radarPoint(geometry, i, factors.length, value);
+  const tracePolygon = (valueOf) => {
+    ctx.beginPath();
+    factors.forEach((factor, i) => {
+      const [px, py] = point(i, valueOf(factor));
+      if (i === 0) ctx.moveTo(px, py);
+      else ctx.lineTo(px, py);
+    });
+    ctx.closePath();
+  };
+
+  ctx.clearRect(0, 0, width, height);
+
+  // Grid: rings every 25 points and one spoke per factor
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = '#e0e0e0';
+  [25, 50, 75, 100].forEach((value) => {
+    tracePolygon(() => value);
+    ctx.stroke();
+  });
+  factors.forEach((factor, i) => {
+    const [px, py] = point(i, 100);
+    ctx.beginPath();
+    ctx.moveTo(geometry.centerX, geometry.centerY);
+    ctx.lineTo(px, py);
+    ctx.stroke();
+  });
+
+  // Factor labels outside the outer ring
+  ctx.font = '10px sans-serif';
+  ctx.fillStyle = '#666';
+  ctx.textBaseline = 'middle';
+  factors.forEach((factor, i) => {
+    const [px, py] = point(i, LABEL_DISTANCE);
+    ctx.textAlign = labelAlign(i, factors.length);
+    ctx.fillText(labels[factor], px, py);
+  });
+
+  // Current subscores, filled in the band color
+  const bandColor = style.getPropertyValue(`--color-${output.band.toLowerCase()}`).trim();
+  tracePolygon((factor) => output.subscores[factor]);
+  ctx.globalAlpha = 0.25;
+  ctx.fillStyle = bandColor;
+  ctx.fill();
+  ctx.globalAlpha = 1;
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = bandColor;
+  ctx.stroke();
+
+  if (overlay) {
+    tracePolygon((factor) => overlay.subscores[factor]);
+    ctx.setLineDash([4, 4]);
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = overlay.color;
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+}
+
+/**
+ * Renders the radar chart, the overlay picker (Green target or another process) and the legend
+ * @param {Output} output
+ */
+function renderRadar(output) {
+  const others = portfolio.processes.filter((p) => p.id !== getActiveProcess().id);
+  if (radarOverlay !== 'green' && !others.some((p) => p.id === radarOverlay)) {
+    radarOverlay = '';
+  }
+
+  const option = (value, label) => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = label;
+    return opt;
+  };
+  radarOverlaySelect.replaceChildren(
+    option('', t('radar.noOverlay')),
+    option('green', t('radar.greenTargetOption', { score: BAND_THRESHOLDS.Green })),
+    ...others.map((p) => option(p.id, p.name))
+  );
+  radarOverlaySelect.value = radarOverlay;
+
+  const style = getComputedStyle(document.documentElement);
+  const bandColor = (band) => style.getPropertyValue(`--color-${band.toLowerCase()}`).trim();
+  let overlay = null;
+  if (radarOverlay === 'green') {
+    overlay = {
+      name: t('radar.greenTarget'),
+      subscores: targetSubscores(Object.keys(factorLabels())),
+      color: bandColor('Green'),
+    };
+  } else if (radarOverlay !== '') {
+    const process = others.find((p) => p.id === radarOverlay);
+    // Scored like the portfolio table, so a knocked-out process shows in the band it is capped to
+    const other = applyRules(
+      calculateReadiness(process.inputs, process.profile.weights, customFactors, locale),
+      process.inputs,
+      knockOutRules,
+      customFactors,
+      locale
+    );
+    overlay = {
+      name: `${process.name} (${other.readinessScore})`,
+      subscores: other.subscores,
+      color: bandColor(other.band),
+    };
+  }
+
+  drawRadar(output, overlay);
+  radarChart.setAttribute(
+    'aria-label',
+    t('radar.description', {
+      values: Object.entries(output.subscores)
+        .map(([factor, value]) => `${factorLabels()[factor]} ${Math.round(value)}`)
+        .join(', '),
+    })
+  );
+
+  const legend = [
+    [`${getActiveProcess().name} (${output.readinessScore})`, bandColor(output.band)],
+  ];
+  if (overlay) legend.push([overlay.name, overlay.color]);
+  radarLegend.replaceChildren(
+    ...legend.map(([label, color], i) => {
+      const li = document.createElement('li');
+      li.textContent = label;
+      li.style.setProperty('--swatch', color);
+      li.classList.toggle('dashed', i > 0);
+      return li;
+    })
+  );
+}
+
+/**
+ * Draws the score as a waterfall: one bar per factor adding its contribution (subscore × weight)
+ * to the running total, with the points it could still add in grey, then the final score
+ * @param {Output} output
+ */
+function drawBreakdown(output) {
+  const labels = factorLabels();
+  const factors = Object.keys(labels);
+  // One row per factor plus the score, so custom factors make the chart taller
+  breakdownChart.height = 20 + (factors.length + 1) * 21.5;
+
+  const ctx = breakdownChart.getContext('2d');
+  const { width, height } = breakdownChart;
+  const left = 118;
+  const right = 36;
+  const top = 4;
+  const plotWidth = width - left - right;
+  const rowHeight = (height - top - 16) / (factors.length + 1);
+  const barHeight = rowHeight - 6;
+  const style = getComputedStyle(document.documentElement);
+  const x = (points) => left + (points / 100) * plotWidth;
+  const y = (row) => top + row * rowHeight + 3;
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = '11px sans-serif';
+  ctx.textBaseline = 'middle';
+
+  const drawRow = (row, label, from, points, color, value) => {
+    ctx.fillStyle = color;
+    ctx.fillRect(x(from), y(row), x(points) - left, barHeight);
+    ctx.fillStyle = '#333';
+    ctx.textAlign = 'right';
+    ctx.fillText(label, left - 6, y(row) + barHeight / 2);
+    ctx.textAlign = 'left';
+    ctx.fillText(value, width - right + 4, y(row) + barHeight / 2);
+  };
+
+  let total = 0;
+  factors.forEach((factor, row) => {
+    const contribution = output.contributions[factor];
+    const maxContribution = (factor === 'volumePotential' ? 95 : 100) * output.weights[factor];
+    ctx.fillStyle = '#e9ecef';
+    ctx.fillRect(x(total), y(row), x(maxContribution) - left, barHeight);
+    drawRow(
+      row,
+      labels[factor],
+      total,
+      contribution,
+      factorColor(factor),
+      `+${contribution.toFixed(1)}`
+    );
+    total += contribution;
+  });
+  drawRow(
+    factors.length,
+    t('results.readinessScore'),
+    0,
+    total,
+    style.getPropertyValue(`--color-${output.band.toLowerCase()}`).trim(),
+    String(output.readinessScore)
+  );
+
+  // Band thresholds and axis labels
+  const bottom = y(factors.length) + barHeight;
+  Object.entries(BAND_THRESHOLDS).forEach(([band, value]) => {
+    ctx.beginPath();
+    ctx.setLineDash([4, 4]);
+    ctx.moveTo(x(value), top);
+    ctx.lineTo(x(value), bottom);
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = style.getPropertyValue(`--color-${band.toLowerCase()}`).trim();
+    ctx.stroke();
+  });
+  ctx.setLineDash([]);
+  ctx.font = '10px sans-serif';
+  ctx.fillStyle = '#666';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'bottom';
+  [0, BAND_THRESHOLDS.Yellow, BAND_THRESHOLDS.Green, 100].forEach((value) => {
+    ctx.fillText(String(value), x(value), height);
+  });
+}
+
+/**
+ * Renders the score breakdown chart and the table with each factor's subscore, weight and
+ * contribution
+ * @param {Output} output
+ */
+function renderBreakdown(output) {
+  drawBreakdown(output);
+  breakdownChart.setAttribute(
+    'aria-label',
+    t('breakdown.description', {
+      parts: Object.entries(output.contributions)
+        .map(([factor, points]) =>
+          t('breakdown.part', { factor: factorLabels()[factor], points: formatNumber(points) })
+        )
+        .join(', '),
+      score: output.readinessScore,
+    })
+  );
+
+  const labels = factorLabels();
+  breakdownBody.replaceChildren(
+    ...Object.keys(labels).map((factor) => {
+      const tr = document.createElement('tr');
+      const th = document.createElement('th');
+      th.scope = 'row';
+      th.textContent = labels[factor];
+      th.style.setProperty('--swatch', factorColor(factor));
+      const cells = [
+        formatNumber(output.subscores[factor]),
+        `${formatNumber(output.weights[factor] * 100)}%`,
+        formatLocaleNumber(output.contributions[factor], locale, {
+          minimumFractionDigits: 1,
+          maximumFractionDigits: 1,
+        }),
+      ].map((text) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        return td;
+      });
+      tr.append(th, ...cells);
+      return tr;
+    })
+  );
+}
+
+/**
+ * Draws the distribution of the simulated scores: one bar per score in its band color,
+ * the confidence interval shaded and the band thresholds dashed
+ * @param {Simulation} simulation
+ */
+function drawUncertainty(simulation) {
+  const ctx = uncertaintyChart.getContext('2d');
+  const { width, height } = uncertaintyChart;
+  const left = 8;
+  const right = 8;
+  const top = 4;
+  const bottom = height - 14;
+  const plotWidth = width - left - right;
+  const style = getComputedStyle(document.documentElement);
+  const x = (score) => left + (score / 101) * plotWidth;
+  const maxCount = Math.max(...simulation.distribution);
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = '#e9ecef';
+  ctx.fillRect(
+    x(simulation.interval.low),
+    top,
+    x(simulation.interval.high + 1) - x(simulation.interval.low),
+    bottom - top
+  );
+
+  simulation.distribution.forEach((count, score) => {
+    if (count === 0) return;
+    const barHeight = (count / maxCount) * (bottom - top);
+    ctx.fillStyle = style.getPropertyValue(`--color-${bandForScore(score).toLowerCase()}`).trim();
+    ctx.fillRect(x(score), bottom - barHeight, plotWidth / 101, barHeight);
+  });
+
+  Object.entries(BAND_THRESHOLDS).forEach(([band, value]) => {
+    ctx.beginPath();
+    ctx.setLineDash([4, 4]);
+    ctx.moveTo(x(value), top);
+    ctx.lineTo(x(value), bottom);
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = style.getPropertyValue(`--color-${band.toLowerCase()}`).trim();
+    ctx.stroke();
+  });
+  ctx.setLineDash([]);
+  ctx.font = '10px sans-serif';
+  ctx.fillStyle = '#666';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'bottom';
+  [0, BAND_THRESHOLDS.Yellow, BAND_THRESHOLDS.Green, 100].forEach((value) => {
+    ctx.fillText(String(value), x(value), height);
+  });
+}
+
+/**
+ * Renders the confidence summary and distribution, or hides them without uncertainty ranges
+ * @param {Simulation | null} simulation
+ */
+function renderUncertainty(simulation) {
+  uncertaintySection.hidden = simulation === null;
+  if (simulation === null) return;
+
+  const description = describeSimulation(simulation, locale);
+  uncertaintySummary.textContent = t('confidence.summary', {
+    description,
+    median: simulation.median,
+    draws: formatNumber(simulation.draws),
+  });
+  drawUncertainty(simulation);
+  uncertaintyChart.setAttribute(
+    'aria-label',
+    t('confidence.chartDescription', { draws: formatNumber(simulation.draws), description })
+  );
+}
+
+/**
+ * Creates a band pill, as in the portfolio table
+ * @param {string} band
+ * @returns {HTMLSpanElement}
+ */
+function createBandPill(band) {
+  const pill = document.createElement('span');
+  pill.className = `band-pill band-${band.toLowerCase()}`;
+  pill.textContent = bandName(band);
+  return pill;
+}
+
+/**
+ * Renders the assessors' ratings in the consensus editor, and the consensus next to each
+ * assessor's own result, or hides the result without ratings
+ * @param {ConsensusResult | null} consensus
+ */
+function renderConsensus(consensus) {
+  const assessors = consensus ? consensus.assessors : [];
+  ratingsList.replaceChildren(
+    ...assessors.map(({ name, output }, index) => {
+      const li = document.createElement('li');
+      const text = document.createElement('span');
+      text.append(`${name}: ${output.readinessScore} `, createBandPill(output.band));
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.dataset.removeRating = index;
+      remove.textContent = t('common.remove');
+      remove.setAttribute('aria-label', t('consensus.removeLabel', { name }));
+      li.append(text, remove);
+      return li;
+    })
+  );
+
+  consensusSection.hidden = consensus === null;
+  if (consensus === null) return;
+
+  consensusSummary.textContent = t(`consensus.result.${consensus.method}`, {
+    count: consensus.assessors.length,
+    score: consensus.output.readinessScore,
+    band: bandName(consensus.output.band),
+  });
+
+  const row = (name, output) => {
+    const tr = document.createElement('tr');
+    const th = document.createElement('th');
+    th.scope = 'row';
+    th.textContent = name;
+    const score = document.createElement('td');
+    score.textContent = output.readinessScore;
+    const band = document.createElement('td');
+    band.append(createBandPill(output.band));
+    tr.append(th, score, band);
+    return tr;
+  };
+  const total = row(t('consensus.consensus'), consensus.output);
+  total.className = 'consensus-total';
+  consensusBody.replaceChildren(
+    ...consensus.assessors.map(({ name, output }) => row(name, output)),
+    total
+  );
+
+  if (consensus.disagreements.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'consensus-agreed';
+    li.textContent = t('consensus.agreed', { threshold: consensus.threshold });
+    consensusDisagreements.replaceChildren(li);
+    return;
+  }
+  consensusDisagreements.replaceChildren(
+    ...consensus.disagreements.map((disagreement) => {
+      const li = document.createElement('li');
+      li.textContent = describeDisagreement(disagreement, customFactors, locale);
+      return li;
+    })
+  );
+}
+
+/**
+ * Builds a low and a high field per input, built-in and custom, and fills them from the active
+ * process
+ */
+function renderRangeFields() {
+  rangesFields.replaceChildren(
+    ...Object.entries(inputLabels()).map(([key, text]) => {
+      const label = document.createElement('div');
+      label.className = 'weight-field range-field';
+      const span = document.createElement('span');
+      span.textContent = text;
+      const inputs = ['low', 'high'].map((end) => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = 'any';
+        input.placeholder = t(`ranges.${end}`);
+        input.dataset[end === 'low' ? 'rangeLow' : 'rangeHigh'] = key;
+        input.setAttribute('aria-label', t(`ranges.${end}Label`, { label: text }));
+        return input;
+      });
+      label.append(span, inputs[0], '–', inputs[1]);
+      return label;
+    })
+  );
+  setRangesToForm(getActiveProcess().ranges);
+}
+
+/**
+ * Builds a note and an evidence field per built-in input, and fills them from the active process
+ */
+function renderEvidenceFields() {
+  const labels = inputLabels();
+  evidenceFields.replaceChildren(
+    ...JUSTIFIED_INPUTS.map((key) => {
+      const field = document.createElement('div');
+      field.className = 'evidence-field';
+      field.dataset.justification = key;
+      const span = document.createElement('span');
+      span.textContent = labels[key];
+      const note = document.createElement('textarea');
+      note.rows = 2;
+      note.dataset.justificationNote = key;
+      note.placeholder = t('evidence.notePlaceholder');
+      note.setAttribute('aria-label', t('evidence.noteLabel', { label: labels[key] }));
+      const evidence = document.createElement('textarea');
+      evidence.rows = 2;
+      evidence.dataset.justificationEvidence = key;
+      evidence.placeholder = t('evidence.evidencePlaceholder');
+      evidence.setAttribute('aria-label', t('evidence.evidenceLabel', { label: labels[key] }));
+      field.append(span, note, evidence);
+      return field;
+    })
+  );
+  const { justifications, assessor } = getActiveProcess();
+  setJustificationsToForm(justifications, assessor);
+}
+
+/**
+ * Flags the inputs of the active process that have no justification: a marker next to the
+ * form label and on the evidence field, and a count in the editor
+ */
+function renderJustificationMarkers() {
+  const missing = unjustifiedInputs(getActiveProcess().justifications);
+  JUSTIFIED_INPUTS.forEach((key) => {
+    const unjustified = missing.includes(key);
+    const label = form
+      .querySelector(`[name="${key}"]`)
+      .closest('.form-group')
+      .querySelector('label');
+    let marker = label.querySelector('.unjustified-marker');
+    if (!marker) {
+      marker = document.createElement('span');
+      marker.className = 'unjustified-marker';
+      marker.textContent = '⚠';
+      label.append(marker);
+    }
+    marker.hidden = !unjustified;
+    marker.title = t('evidence.missing');
+    marker.setAttribute('aria-label', t('evidence.missing'));
+    // The fields are built once the store is open; the form can be recalculated before that
+    evidenceFields
+      .querySelector(`[data-justification="${key}"]`)
+      ?.classList.toggle('is-unjustified', unjustified);
+  });
+  evidenceStatus.textContent =
+    missing.length > 0
+      ? t('evidence.status', { count: missing.length, total: JUSTIFIED_INPUTS.length })
+      : t('evidence.complete');
+  evidenceEditor.classList.toggle('has-unjustified', missing.length > 0);
+}
+
+/**
+ * Translates the static page text into the selected language, and the weight fields, whose
+ * labels come from the factor labels
+ */
+function applyTranslations() {
+  document.documentElement.lang = locale;
+  document.querySelectorAll('[data-i18n]').forEach((element) => {
+    element.replaceChildren(t(element.dataset.i18n));
+  });
+  Object.entries(TRANSLATED_ATTRIBUTES).forEach(([name, attribute]) => {
+    document.querySelectorAll(`[data-i18n-${name}]`).forEach((element) => {
+      element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${name}`)));
+    });
+  });
+
+  const labels = factorLabels();
+  weightsFields.querySelectorAll('[data-weight]').forEach((input) => {
+    const label = labels[input.dataset.weight];
+    input.previousElementSibling.replaceChildren(label);
+    input.setAttribute('aria-label', t('weights.weightLabel', { factor: label }));
+  });
+}
+
+/**
+ * Renders a form field per custom factor and the list of defined factors
+ */
+function renderCustomFactors() {
+  customFactorInputs.replaceChildren(
+    ...customFactors.map((factor) => {
+      const errorId = `error-${factor.key.replace(/([A-Z])/g, '-$1').toLowerCase()}`;
+      const group = document.createElement('div');
+      group.className = 'form-group';
+      const label = document.createElement('label');
+      label.htmlFor = `factor-${factor.key}`;
+      label.textContent = factor.label;
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.id = `factor-${factor.key}`;
+      input.name = factor.key;
+      input.min = factor.min;
+      input.max = factor.max;
+      input.step = 'any';
+      input.required = true;
+      input.setAttribute('aria-describedby', `help-factor-${factor.key} ${errorId}`);
+      const help = document.createElement('small');
+      help.id = `help-factor-${factor.key}`;
+      help.textContent = t(
+        factor.direction === 'higher' ? 'factors.helpHigher' : 'factors.helpLower',
+        {
+          min: formatNumber(factor.min),
+          max: formatNumber(factor.max),
+        }
+      );
+      const error = document.createElement('small');
+      error.id = errorId;
+      error.className = 'error-message';
+      error.setAttribute('role', 'alert');
+      group.append(label, input, help, error);
+      return group;
+    })
+  );
+
+  factorsList.replaceChildren(
+    ...customFactors.map((factor) => {
+      const li = document.createElement('li');
+      const text = document.createElement('span');
+      text.textContent = t(
+        factor.direction === 'higher' ? 'factors.itemHigher' : 'factors.itemLower',
+        {
+          label: factor.label,
+          min: formatNumber(factor.min),
+          max: formatNumber(factor.max),
+          weight: factor.weight,
+        }
+      );
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.dataset.removeFactor = factor.key;
+      remove.textContent = t('common.remove');
+      remove.setAttribute('aria-label', t('factors.removeLabel', { label: factor.label }));
+      li.append(text, remove);
+      return li;
+    })
+  );
+
+  renderRangeFields();
+}
+
+/**
+ * Renders the list of knock-out rules, and the inputs a new rule can test
+ */
+function renderRules() {
+  rulesList.replaceChildren(
+    ...knockOutRules.map((rule) => {
+      const li = document.createElement('li');
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = rule.enabled;
+      checkbox.dataset.toggleRule = rule.id;
+      const text = document.createElement('span');
+      const strong = document.createElement('strong');
+      strong.textContent = describeRule(rule, customFactors, locale);
+      const reason = document.createElement('small');
+      reason.textContent = ruleReason(rule, locale);
+      text.append(strong, reason);
+      label.append(checkbox, text);
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.dataset.removeRule = rule.id;
+      remove.textContent = t('common.remove');
+      remove.setAttribute(
+        'aria-label',
+        t('rules.removeLabel', { rule: describeRule(rule, customFactors, locale) })
+      );
+      li.append(label, remove);
+      return li;
+    })
+  );
+
+  const inputSelect = ruleFields.querySelector('[data-rule-field="input"]');
+  const selected = inputSelect.value;
+  inputSelect.replaceChildren(
+    ...Object.entries(inputLabels()).map(([key, label]) => new Option(label, key))
+  );
+  if (selected in inputLabels()) inputSelect.value = selected;
+
+  const operatorSelect = ruleFields.querySelector('[data-rule-field="operator"]');
+  if (operatorSelect.options.length === 0) {
+    operatorSelect.append(...OPERATORS.map((operator) => new Option(operator, operator)));
+  }
+}
+
+/**
+ * Builds a list item per knock-out rule that lowered the score, with the reason
+ * @param {Output} output
+ * @returns {HTMLLIElement[]}
+ */
+function createKnockOutItems(output) {
+  return (output.knockOuts ?? []).map((knockOut) => {
+    const li = document.createElement('li');
+    const rule = document.createElement('strong');
+    rule.textContent = t('rules.knockOut', { rule: knockOut.rule });
+    const reason = document.createElement('span');
+    reason.textContent = t('rules.weightedScore', {
+      reason: knockOut.reason,
+      score: output.weightedScore,
+    });
+    li.append(rule, reason);
+    return li;
+  });
+}
+
+/**
+ * Builds the questionnaire: one group of radio buttons per rubric question
+ */
+function renderQuestionnaire() {
+  questionnaireFields.replaceChildren(
+    ...localizeQuestions(locale).map((question) => {
+      const fieldset = document.createElement('fieldset');
+      fieldset.className = 'question';
+      const legend = document.createElement('legend');
+      legend.textContent = question.text;
+      fieldset.appendChild(legend);
+      question.options.forEach((option) => {
+        const label = document.createElement('label');
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = `q-${question.id}`;
+        radio.value = option.id;
+        label.append(radio, ` ${option.label}`);
+        fieldset.appendChild(label);
+      });
+      return fieldset;
+    })
+  );
+}
+
+/**
+ * Shows how the saved answers derived the inputs, and which derived inputs were changed by hand
+ * @param {Inputs} inputs
+ */
+function renderQuestionnaireStatus(inputs) {
+  const { answers } = getActiveProcess();
+  questionnaireStatus.innerHTML = '';
+  if (!answers) return;
+
+  const overrides = findOverrides(answers, inputs);
+  const list = document.createElement('ul');
+  explainDerivation(answers, locale).forEach((derivation) => {
+    const li = document.createElement('li');
+    const strong = document.createElement('strong');
+    strong.textContent = `${derivation.label} ${derivation.value}`;
+    const sources = derivation.answers.map((a) =>
+      t('questionnaire.answer', { answer: a.answer, value: a.value })
+    );
+    li.append(strong, t('questionnaire.from', { answers: formatList(sources, locale) }));
+    if (overrides.includes(derivation.input)) {
+      li.classList.add('overridden');
+      li.append(t('questionnaire.changedByHand', { value: inputs[derivation.input] }));
+    }
+    list.appendChild(li);
+  });
+  questionnaireStatus.append(t('questionnaire.derived'), list);
+}
+
+/**
+ * Updates the output UI with calculation results
+ * @param {Output} output
+ */
+function updateUI(output) {
+  // Update score
+  outputValue.textContent = output.readinessScore;
+
+  // Update band
+  outputBand.textContent = bandName(output.band);
+  outputBand.className = `band-${output.band.toLowerCase()}`;
+
+  // Update narrative
+  outputNarrative.textContent = output.narrative;
+  outputKnockOuts.replaceChildren(...createKnockOutItems(output));
+  outputKnockOuts.hidden = outputKnockOuts.children.length === 0;
+
+  // Draw gauge
+  drawGauge(output.readinessScore, output.band);
+  renderRadar(output);
+  renderBreakdown(output);
+
+  // Update blockers
+  outputBlockers.innerHTML = '';
+  if (output.topBlockers.length === 0) {
+    const li = document.createElement('li');
+    li.innerHTML = `<strong>${t('blockers.none')}</strong><span>${t('blockers.noneDetail')}</span>`;
+    outputBlockers.appendChild(li);
+  } else {
+    output.topBlockers.forEach((blocker) => {
+      const li = document.createElement('li');
+      li.innerHTML = `<strong>${blocker.reason} <small class="blocker-impact">${formatImpact(blocker)}</small></strong><span>${blocker.hint}</span>`;
+      outputBlockers.appendChild(li);
+    });
+  }
+}
+
+/**
+ * Renders the business case metrics and recommendation, or hides them without a business case
+ * @param {RoiResult | null} roi
+ */
+function renderRoi(roi) {
+  roiSection.hidden = roi === null;
+  if (roi === null) return;
+
+  roiRecommendation.className = `roi-recommendation recommend-${roi.recommendation.toLowerCase()}`;
+  roiRecommendation.innerHTML = '';
+  const strong = document.createElement('strong');
+  strong.textContent = t(`recommendation.${roi.recommendation}`);
+  roiRecommendation.append(strong, roi.rationale);
+
+  const metrics = [
+    [t('roi.hoursSaved'), formatNumber(roi.annualHoursSaved)],
+    [t('roi.savings'), formatNumber(roi.annualSavings)],
+    [t('roi.net'), formatNumber(roi.netAnnualSavings)],
+    [
+      t('roi.payback'),
+      roi.paybackMonths === null
+        ? t('roi.never')
+        : t('roi.months', { months: formatNumber(roi.paybackMonths) }),
+    ],
+    [t('roi.npv', { years: NPV_YEARS }), formatNumber(roi.npv)],
+  ];
+  roiMetrics.innerHTML = '';
+  metrics.forEach(([label, value]) => {
+    const div = document.createElement('div');
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = value;
+    div.append(dt, dd);
+    roiMetrics.appendChild(div);
+  });
+}
+
+/**
+ * Renders the "Path to Green" plan: input targets per band, then factor impacts
+ * @param {ImprovementPlan} plan
+ */
+function renderPlan(plan) {
+  planSteps.innerHTML = '';
+  if (plan.steps.length === 0) {
+    const li = document.createElement('li');
+    li.textContent = t('plan.alreadyGreen');
+    planSteps.appendChild(li);
+  }
+  plan.steps.forEach((step) => {
+    const li = document.createElement('li');
+    const heading = document.createElement('strong');
+    heading.textContent = t('plan.toReach', { band: bandName(step.band), target: step.target });
+    li.appendChild(heading);
+
+    if (!step.reachable) {
+      const span = document.createElement('span');
+      span.textContent = step.blockedBy
+        ? t('plan.blocked', { rule: step.blockedBy })
+        : t('plan.unreachable');
+      li.appendChild(span);
+    } else {
+      const changes = document.createElement('ul');
+      step.changes.forEach((change) => {
+        const item = document.createElement('li');
+        const values = {
+          label: change.label,
+          from: formatNumber(change.from),
+          to: formatNumber(change.to),
+        };
+        item.textContent = change.rule
+          ? t('plan.clearsRule', values)
+          : t('plan.change', { ...values, gain: formatNumber(change.scoreGain) });
+        changes.appendChild(item);
+      });
+      li.appendChild(changes);
+      const span = document.createElement('span');
+      span.textContent = t('plan.projected', { score: step.projectedScore });
+      li.appendChild(span);
+    }
+    planSteps.appendChild(li);
+  });
+
+  planImpacts.innerHTML = '';
+  const maxImpact = Math.max(...plan.impacts.map((i) => i.impactPer10), 1);
+  plan.impacts.forEach((impact) => {
+    const li = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = inputLabels()[impact.input];
+    const bar = document.createElement('span');
+    bar.className = 'impact-bar';
+    bar.style.width = `${(impact.impactPer10 / maxImpact) * 100}%`;
+    const value = document.createElement('span');
+    value.className = 'impact-value';
+    value.textContent =
+      impact.headroom > 0 ? `+${formatNumber(impact.impactPer10)}` : t('plan.maxed');
+    li.append(label, bar, value);
+    planImpacts.appendChild(li);
+  });
+}
+
+/**
+ * Renders the trend legend and the change log of the active process
+ * @param {Snapshot} current - the current, unsaved assessment
+ */
+function renderHistory(current) {
+  const { history } = getActiveProcess();
+  drawTrend(history, current);
+
+  if (trendLegend.children.length === 0) {
+    const style = getComputedStyle(document.documentElement);
+    const entries = [
+      [t('results.readinessScore'), style.getPropertyValue('--color-primary').trim()],
+      ...Object.entries(FACTOR_COLORS).map(([factor, color]) => [factorLabels()[factor], color]),
+    ];
+    entries.forEach(([text, color]) => {
+      const li = document.createElement('li');
+      li.textContent = text;
+      li.style.setProperty('--swatch', color);
+      trendLegend.appendChild(li);
+    });
+  }
+
+  historyLog.innerHTML = '';
+  btnClearHistory.disabled = history.length === 0;
+  if (history.length === 0) {
+    const li = document.createElement('li');
+    li.textContent = t('history.empty');
+    historyLog.appendChild(li);
+    return;
+  }
+
+  buildChangeLog(history, customFactors, locale).forEach(
+    ({ timestamp, previous, snapshot, changes, weightsChanged }) => {
+      const li = document.createElement('li');
+      const time = document.createElement('time');
+      time.dateTime = timestamp;
+      time.textContent = new Date(timestamp).toLocaleString(locale);
+      const summary = document.createElement('strong');
+      const scoreText = (s) =>
+        t('history.score', { score: s.readinessScore, band: bandName(s.band) });
+      summary.textContent = previous
+        ? t('history.scoreChange', { from: scoreText(previous), to: scoreText(snapshot) })
+        : t('history.baseline', { score: scoreText(snapshot) });
+      li.append(time, summary);
+      if (previous && previous.band !== snapshot.band) {
+        li.classList.add('band-change');
+      }
+
+      const notes = changes.map((c) =>
+        t('history.change', { label: c.label, from: c.from, to: c.to })
+      );
+      if (weightsChanged) {
+        notes.push(t('history.weightsChanged', { profile: profileName(snapshot.profile.name) }));
+      }
+      if (previous && notes.length === 0) {
+        notes.push(t('history.noChanges'));
+      }
+      if (notes.length > 0) {
+        const list = document.createElement('ul');
+        notes.forEach((note) => {
+          const item = document.createElement('li');
+          item.textContent = note;
+          list.appendChild(item);
+        });
+        li.appendChild(list);
+      }
+      historyLog.appendChild(li);
+    }
+  );
+}
+
+/**
+ * Fills in the printable report for the active process.
+ * The date is ISO formatted and the gauge is redrawn at a fixed size, so the page
+ * looks the same whatever the browser locale or window size.
+ */
+function renderReport() {
+  const { name, profile, justifications, assessor } = getActiveProcess();
+  const report = buildReport({
+    process: name,
+    inputs: lastInputs,
+    profile,
+    output: lastOutput,
+    factors: customFactors,
+    simulation: lastSimulation,
+    justifications,
+    assessor,
+    locale,
+  });
+  const field = (id) => document.getElementById(id);
+
+  field('report-process').textContent = report.process;
+  field('report-date').textContent = today();
+  field('report-assessor').textContent = report.assessor;
+  field('report-assessed-on').textContent = report.assessedOn;
+  field('report-profile').textContent = report.profile;
+
+  const gauge = document.createElement('canvas');
+  gauge.width = 200;
+  gauge.height = 100;
+  drawGauge(lastOutput.readinessScore, lastOutput.band, gauge);
+  field('report-gauge').src = gauge.toDataURL('image/png');
+  field('report-gauge').alt = t('report.gaugeAlt', { score: report.score });
+  field('report-score-value').textContent = report.score;
+  field('report-band').textContent = report.band;
+  field('report-band').className = `band-pill band-${lastOutput.band.toLowerCase()}`;
+  field('report-narrative').textContent = report.narrative;
+  field('report-knockouts').replaceChildren(...createKnockOutItems(lastOutput));
+  field('report-knockouts').hidden = field('report-knockouts').children.length === 0;
+  field('report-confidence').hidden = report.confidence === '';
+  field('report-confidence').textContent = report.confidence
+    ? t('confidence.line', { description: report.confidence })
+    : '';
+
+  const fillTable = (tbody, rows) => {
+    tbody.replaceChildren(
+      ...rows.map(([label, value]) => {
+        const tr = document.createElement('tr');
+        const th = document.createElement('th');
+        th.scope = 'row';
+        th.textContent = label;
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.append(th, td);
+        return tr;
+      })
+    );
+  };
+  fillTable(field('report-inputs'), report.inputs);
+  fillTable(field('report-weights'), report.weights);
+
+  const blockers = field('report-blockers');
+  blockers.innerHTML = '';
+  if (report.blockers.length === 0) {
+    const li = document.createElement('li');
+    li.textContent = t('report.noBlockers');
+    blockers.appendChild(li);
+  }
+  report.blockers.forEach((blocker) => {
+    const li = document.createElement('li');
+    const reason = document.createElement('strong');
+    reason.textContent = `${blocker.reason} (${blocker.impact})`;
+    const hint = document.createElement('span');
+    hint.textContent = blocker.hint;
+    li.append(reason, hint);
+    blockers.appendChild(li);
+  });
+
+  field('report-justifications').replaceChildren(
+    ...report.justifications.map((justification) => {
+      const li = document.createElement('li');
+      const label = document.createElement('strong');
+      label.textContent = justification.label;
+      const note = document.createElement('span');
+      if (justification.missing) {
+        note.className = 'unjustified';
+        note.textContent = `⚠ ${t('evidence.missing')}`;
+      } else {
+        note.textContent = justification.note;
+      }
+      li.append(label, note);
+      if (justification.evidence.length > 0) {
+        const evidence = document.createElement('small');
+        evidence.textContent = t('report.evidence', {
+          evidence: justification.evidence.join('; '),
+        });
+        li.append(evidence);
+      }
+      return li;
+    })
+  );
+
+  field('report-link').textContent = window.location.href;
+}
+
+/**
+ * Renders the portfolio table
+ */
+function renderPortfolio() {
+  const rows = sortPortfolioRows(
+    scorePortfolio(portfolio.processes, customFactors, knockOutRules, locale),
+    portfolioSort.key,
+    portfolioSort.direction
+  );
+
+  portfolioBody.innerHTML = '';
+  rows.forEach(({ process, output }) => {
+    const tr = document.createElement('tr');
+    if (process.id === portfolio.activeId) {
+      tr.classList.add('is-active');
+    }
+
+    const nameCell = document.createElement('td');
+    const selectButton = document.createElement('button');
+    selectButton.type = 'button';
+    selectButton.className = 'process-select';
+    selectButton.dataset.id = process.id;
+    selectButton.textContent = process.name;
+    nameCell.appendChild(selectButton);
+
+    const scoreCell = document.createElement('td');
+    scoreCell.textContent = output.readinessScore;
+
+    const bandCell = document.createElement('td');
+    const bandPill = document.createElement('span');
+    bandPill.className = `band-pill band-${output.band.toLowerCase()}`;
+    bandPill.textContent = bandName(output.band);
+    bandCell.appendChild(bandPill);
+
+    const blockerCell = document.createElement('td');
+    blockerCell.textContent = output.topBlockers.length > 0 ? output.topBlockers[0].reason : '—';
+
+    tr.append(nameCell, scoreCell, bandCell, blockerCell);
+    portfolioBody.appendChild(tr);
+  });
+
+  const ariaSort = portfolioSort.direction === 'asc' ? 'ascending' : 'descending';
+  portfolioTable.querySelectorAll('th[data-sort]').forEach((th) => {
+    th.setAttribute('aria-sort', th.dataset.sort === portfolioSort.key ? ariaSort : 'none');
+  });
+
+  activeProcessName.textContent = getActiveProcess().name;
+  btnDeleteProcess.disabled = portfolio.processes.length <= 1;
+}
+
+/**
+ * Formats a difference from the baseline as a small colored label
+ * @param {number} delta
+ * @returns {HTMLSpanElement}
+ */
+function createDelta(delta) {
+  const span = document.createElement('span');
+  span.className = 'delta';
+  if (delta > 0) span.classList.add('delta-up');
+  if (delta < 0) span.classList.add('delta-down');
+  span.textContent =
+    delta === 0 ? '±0' : `${delta > 0 ? '+' : '−'}${formatNumber(Math.abs(delta))}`;
+  return span;
+}
+
+/**
+ * Renders the compare section: the scenario picker and the side-by-side table
+ */
+function renderCompare() {
+  compareSection.hidden = !compare.open;
+  if (!compare.open) return;
+
+  const isShared = compare.shared !== null;
+  comparePicker.hidden = isShared;
+  compareSharedNote.hidden = !isShared;
+  btnCompareAdd.hidden = !isShared;
+
+  if (!isShared) {
+    compareBaseline.innerHTML = '';
+    compareOptions.innerHTML = '';
+    portfolio.processes.forEach((process) => {
+      const option = document.createElement('option');
+      option.value = process.id;
+      option.textContent = process.name;
+      compareBaseline.appendChild(option);
+
+      if (process.id === compare.baselineId) return;
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = process.id;
+      checkbox.checked = compare.ids.includes(process.id);
+      label.append(checkbox, ` ${process.name}`);
+      compareOptions.appendChild(label);
+    });
+    compareBaseline.value = compare.baselineId;
+  }
+
+  const results = compareScenarios(getCompareScenarios(), customFactors, knockOutRules, locale);
+
+  compareHead.innerHTML = '';
+  const headRow = document.createElement('tr');
+  const corner = document.createElement('th');
+  corner.scope = 'col';
+  corner.textContent = t('compare.factor');
+  headRow.appendChild(corner);
+  results.forEach(({ scenario }, i) => {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.textContent = i === 0 ? t('compare.baselineName', { name: scenario.name }) : scenario.name;
+    headRow.appendChild(th);
+  });
+  compareHead.appendChild(headRow);
+
+  compareBody.innerHTML = '';
+  // renderCell returns the cell's content (nodes or text) for one scenario
+  const addRow = (label, renderCell) => {
+    const tr = document.createElement('tr');
+    const th = document.createElement('th');
+    th.scope = 'row';
+    th.textContent = label;
+    tr.appendChild(th);
+    results.forEach((result, i) => {
+      const td = document.createElement('td');
+      td.append(...renderCell(result, i));
+      tr.appendChild(td);
+    });
+    compareBody.appendChild(tr);
+  };
+
+  addRow(t('compare.readinessScore'), ({ output, scoreDelta }, i) =>
+    i > 0
+      ? [String(output.readinessScore), createDelta(scoreDelta)]
+      : [String(output.readinessScore)]
+  );
+  addRow(t('compare.band'), ({ output }) => {
+    const pill = document.createElement('span');
+    pill.className = `band-pill band-${output.band.toLowerCase()}`;
+    pill.textContent = bandName(output.band);
+    return [pill];
+  });
+  Object.entries(factorLabels()).forEach(([factor, label]) => {
+    addRow(label, ({ output, subscoreDeltas }, i) => {
+      const value = formatNumber(output.subscores[factor]);
+      return i > 0 ? [value, createDelta(subscoreDeltas[factor])] : [value];
+    });
+  });
+  addRow(t('compare.topBlockers'), ({ output, blockerChanges }, i) => {
+    const items =
+      i === 0
+        ? output.topBlockers.map((b) => ({ reason: b.reason, status: 'unchanged' }))
+        : blockerChanges;
+    if (items.length === 0) return ['—'];
+
+    const list = document.createElement('ul');
+    items.forEach((change) => {
+      const li = document.createElement('li');
+      li.className = `blocker-${change.status}`;
+      li.textContent = change.reason;
+      const labels = {
+        appeared: t('compare.appeared'),
+        resolved: t('compare.resolved'),
+        moved: `#${change.fromRank} → #${change.toRank}`,
+      };
+      if (labels[change.status]) {
+        const status = document.createElement('span');
+        status.className = 'blocker-status';
+        status.textContent = labels[change.status];
+        li.appendChild(status);
+      }
+      list.appendChild(li);
+    });
+    return [list];
+  });
+}
+
+/**
+ * Renders the profile selector and weight fields for the active process
+ */
+function renderWeightsEditor() {
+  const { profile } = getActiveProcess();
+  const saved = getProfiles().find((p) => p.name === profile.name);
+  const isCustom = !saved || findProfileByWeights(profile.weights) !== saved;
+
+  profileSelect.innerHTML = '';
+  getProfiles().forEach((p) => {
+    const option = document.createElement('option');
+    option.value = p.name;
+    option.textContent = profileName(p.name);
+    profileSelect.appendChild(option);
+  });
+  if (isCustom) {
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = t('weights.unsaved', { name: profileName(CUSTOM_PROFILE_NAME) });
+    profileSelect.appendChild(option);
+  }
+  profileSelect.value = isCustom ? '' : profile.name;
+
+  const percents = weightsToPercents(profile.weights);
+  Object.entries(percents).forEach(([key, percent]) => {
+    const input = weightsFields.querySelector(`[data-weight="${key}"]`);
+    if (input && document.activeElement !== input) {
+      input.value = percent;
+    }
+  });
+
+  weightsTotal.textContent = `${Object.values(percents).reduce((sum, p) => sum + p, 0)}%`;
+  btnDeleteProfile.disabled = isCustom || BUILT_IN_PROFILES.some((p) => p.name === profile.name);
+}
+
+// --- MAIN CALCULATION RUNNER ---
+
+/**
+ * Simulates a process's score under its uncertainty ranges
+ * @param {Process} process
+ * @returns {Simulation | null} null without ranges, or when they no longer fit the inputs
+ */
+function simulateProcess(process) {
+  const { inputs, profile, ranges } = process;
+  if (!ranges || validateRanges(ranges, inputs, customFactors).length > 0) return null;
+  return simulateReadiness(inputs, ranges, {
+    weights: profile.weights,
+    factors: customFactors,
+    rules: knockOutRules,
+  });
+}
+
+/**
+ * Scores the assessors' ratings of a process and their consensus, with the process's weights
+ * @param {Process} process
+ * @returns {ConsensusResult | null} null without ratings, or when they no longer fit the custom
+ *   factors
+ */
+function scoreProcessConsensus(process) {
+  const { profile, consensus } = process;
+  if (!consensus || validateConsensus(consensus, customFactors).length > 0) return null;
+  return scoreConsensus(
+    consensus,
+    { weights: profile.weights, factors: customFactors, rules: knockOutRules },
+    locale
+  );
 }
 
-// --- MAIN CALCULATION RUNNER ---
-
 /**
  * Main calculation function
  */
-function runCalculation() {
-  const inputs = getInputsFromForm();
-  const output = calculateReadiness(inputs);
+function runCalculation() {
+  const inputs = getInputsFromForm();
+  const { profile, financials } = getActiveProcess();
+  const output = applyRules(
+    calculateReadiness(inputs, profile.weights, customFactors, locale),
+    inputs,
+    knockOutRules,
+    customFactors,
+    locale
+  );
+  const roi = financials ? calculateRoi(inputs, financials, output.band, locale) : null;
+  const simulation = simulateProcess({ ...getActiveProcess(), inputs });
+  const consensus = scoreProcessConsensus(getActiveProcess());
+
+  // Update global state
+  lastInputs = inputs;
+  lastOutput = output;
+  lastSimulation = simulation;
+  lastConsensus = consensus;
+
+  // Update UI
+  processVolumeFormatted.textContent = t('field.processVolume.formatted', {
+    value: formatNumber(inputs.processVolume),
+  });
+  updateUI(output);
+  renderUncertainty(simulation);
+  renderConsensus(consensus);
+  // A saved range stops counting once the input moves outside it; say why
+  rangesStatus.textContent = getRangesFromForm(inputs).errors.join('. ');
+  renderRoi(roi);
+  renderPlan(buildImprovementPlan(inputs, profile.weights, customFactors, knockOutRules, locale));
+  renderHistory(createSnapshot(inputs, output, profile));
+  renderQuestionnaireStatus(inputs);
+  renderJustificationMarkers();
+
+  // Persist state
+  getActiveProcess().inputs = inputs;
+  savePortfolio(portfolio);
+  setStateToURL(getActiveProcess());
+
+  renderPortfolio();
+  renderWeightsEditor();
+  renderCompare();
+
+  // Ensure form values are clamped
+  setInputsToForm(inputs);
+}
+
+// Debounced version for input events
+const debouncedCalculation = debounce(runCalculation, 300);
+
+/**
+ * Loads a process into the form and recalculates
+ * @param {string} id
+ */
+function selectProcess(id) {
+  portfolio.activeId = id;
+  setInputsToForm(getActiveProcess().inputs);
+  setFinancialsToForm(getActiveProcess().financials);
+  setAnswersToForm(getActiveProcess().answers);
+  setRangesToForm(getActiveProcess().ranges);
+  setJustificationsToForm(getActiveProcess().justifications, getActiveProcess().assessor);
+  setConsensusToForm(getActiveProcess().consensus);
+  processNotes.value = getActiveProcess().notes;
+  runCalculation();
+}
+
+// --- EXPORTS ---
+
+/**
+ * A consensus result for the JSON export: outputs serialized, assessors reduced to their score
+ * and band
+ * @param {ConsensusResult | null} consensus
+ * @returns {Object | null}
+ */
+const serializeConsensus = (consensus) =>
+  consensus && {
+    method: consensus.method,
+    threshold: consensus.threshold,
+    inputs: consensus.inputs,
+    output: serializeOutput(consensus.output),
+    assessors: consensus.assessors.map(({ name, output }) => ({
+      name,
+      readinessScore: output.readinessScore,
+      band: output.band,
+    })),
+    disagreements: consensus.disagreements,
+  };
+
+/**
+ * Assembles the export of the active process and the whole portfolio.
+ * Copy JSON writes it as-is; the Markdown and HTML exports render it.
+ * @returns {ExportData}
+ */
+function buildExportData() {
+  const {
+    name,
+    profile,
+    financials,
+    answers,
+    ranges,
+    notes,
+    history,
+    justifications,
+    assessor,
+    consensus,
+  } = getActiveProcess();
+  return {
+    process: name,
+    inputs: lastInputs,
+    profile,
+    output: serializeOutput(lastOutput),
+    plan: buildImprovementPlan(lastInputs, profile.weights, customFactors, knockOutRules, locale),
+    financials,
+    roi: financials ? calculateRoi(lastInputs, financials, lastOutput.band, locale) : null,
+    answers,
+    ranges,
+    simulation: lastSimulation,
+    notes,
+    history,
+    justifications,
+    assessor,
+    unjustifiedInputs: unjustifiedInputs(justifications),
+    consensus,
+    consensusResult: serializeConsensus(lastConsensus),
+    factors: customFactors,
+    rules: knockOutRules,
+    locale,
+    portfolio: scorePortfolio(portfolio.processes, customFactors, knockOutRules, locale).map(
+      ({ process, output, roi }) => ({
+        name: process.name,
+        inputs: process.inputs,
+        profile: process.profile,
+        output: serializeOutput(output),
+        plan: buildImprovementPlan(
+          process.inputs,
+          process.profile.weights,
+          customFactors,
+          knockOutRules,
+          locale
+        ),
+        financials: process.financials,
+        roi,
+        answers: process.answers,
+        ranges: process.ranges,
+        simulation: simulateProcess(process),
+        history: process.history,
+        justifications: process.justifications,
+        assessor: process.assessor,
+        unjustifiedInputs: unjustifiedInputs(process.justifications),
+        consensus: process.consensus,
+        consensusResult: serializeConsensus(scoreProcessConsensus(process)),
+      })
+    ),
+  };
+}
+
+// --- EVENT HANDLERS ---
+
+/**
+ * Handles copy JSON button
+ */
+function handleCopyJson() {
+  navigator.clipboard
+    .writeText(JSON.stringify(buildExportData(), null, 2))
+    .then(() => showToast(t('toast.copiedJson')))
+    .catch((err) => {
+      console.error('Failed to copy JSON:', err);
+      showToast(t('toast.copyFailed'));
+    });
+}
+
+/**
+ * Handles copy Markdown button
+ */
+function handleCopyMarkdown() {
+  navigator.clipboard
+    .writeText(toMarkdown(buildExportData(), window.location.href))
+    .then(() => showToast(t('toast.copiedMarkdown')))
+    .catch((err) => {
+      console.error('Failed to copy Markdown:', err);
+      showToast(t('toast.copyFailed'));
+    });
+}
+
+/**
+ * Handles download HTML button
+ */
+function handleDownloadHtml() {
+  const data = buildExportData();
+  const slug = data.process.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '') || 'process';
+  downloadFile(
+    toHtml(data, window.location.href),
+    `automation-readiness-${slug.toLowerCase()}.html`,
+    'text/html;charset=utf-8;'
+  );
+
+  showToast(t('toast.htmlDownloaded'));
+}
+
+/**
+ * Handles download CSV button
+ */
+function handleDownloadCsv() {
+  const csvContent = buildResultsCsv(
+    scorePortfolio(portfolio.processes, customFactors, knockOutRules, locale),
+    customFactors,
+    knockOutRules,
+    locale
+  );
+  downloadFile(csvContent, 'automation-readiness-score.csv', 'text/csv;charset=utf-8;');
+
+  showToast(t('toast.csvDownloaded'));
+}
+
+/**
+ * Handles import CSV button
+ */
+function handleOpenImport() {
+  importErrors.innerHTML = '';
+  importSummary.textContent = '';
+  btnImportDownload.disabled = true;
+  importDialog.showModal();
+}
+
+/**
+ * Reads the selected CSV file into the import text area
+ */
+function handleImportFile() {
+  const file = importFile.files[0];
+  if (!file) return;
+
+  file
+    .text()
+    .then((text) => {
+      importText.value = text;
+    })
+    .catch((err) => {
+      console.error('Failed to read CSV file:', err);
+      showToast(t('toast.readFailed'));
+    });
+}
+
+/**
+ * Scores the pasted/uploaded table and adds valid rows to the portfolio
+ */
+function handleRunImport() {
+  const { records, errors } = parseImportTable(importText.value, customFactors, locale);
+
+  importErrors.innerHTML = '';
+  errors.forEach((error) => {
+    const li = document.createElement('li');
+    li.textContent =
+      error.line > 0
+        ? t('import.line', { line: error.line, message: error.message })
+        : error.message;
+    importErrors.appendChild(li);
+  });
+
+  if (records.length === 0) {
+    importSummary.textContent = t('import.none');
+    btnImportDownload.disabled = true;
+    return;
+  }
+
+  const imported = records.map((record) => {
+    const process = createProcess(
+      uniqueProcessName(portfolio.processes, record.name),
+      record.inputs,
+      { profile: getActiveProcess().profile, financials: record.financials }
+    );
+    portfolio.processes.push(process);
+    return process;
+  });
+
+  lastImportCsv = buildResultsCsv(
+    scorePortfolio(imported, customFactors, knockOutRules, locale),
+    customFactors,
+    knockOutRules,
+    locale
+  );
+  btnImportDownload.disabled = false;
+  importSummary.textContent =
+    errors.length > 0
+      ? t('import.summaryWithErrors', { count: records.length, skipped: errors.length })
+      : t('import.summary', { count: records.length });
+
+  selectProcess(imported[0].id);
+  showToast(t('toast.imported', { count: records.length }));
+}
+
+/**
+ * Downloads the scored results of the last import
+ */
+function handleDownloadImportResults() {
+  if (!lastImportCsv) return;
+  downloadFile(lastImportCsv, 'automation-readiness-import-results.csv', 'text/csv;charset=utf-8;');
+  showToast(t('toast.resultsDownloaded'));
+}
+
+/**
+ * Handles import JSON button
+ */
+function handleOpenJsonImport() {
+  jsonImportErrors.innerHTML = '';
+  jsonImportDifferences.innerHTML = '';
+  jsonImportSummary.textContent = '';
+  jsonImportDialog.showModal();
+}
+
+/**
+ * Reads a JSON file into the JSON import text area
+ * @param {File} file
+ */
+function readJsonImportFile(file) {
+  file
+    .text()
+    .then((text) => {
+      jsonImportText.value = text;
+    })
+    .catch((err) => {
+      console.error('Failed to read JSON file:', err);
+      showToast(t('toast.readFailed'));
+    });
+}
+
+/**
+ * Reads the selected JSON file into the JSON import text area
+ */
+function handleJsonImportFile() {
+  const file = jsonImportFile.files[0];
+  if (file) readJsonImportFile(file);
+}
+
+/**
+ * Marks the JSON import text area as a drop target while something is dragged over it
+ * @param {DragEvent} event
+ */
+function handleJsonImportDragOver(event) {
+  event.preventDefault();
+  jsonImportText.classList.add('drop-target');
+}
+
+/**
+ * Removes the drop target mark from the JSON import text area
+ */
+function handleJsonImportDragLeave() {
+  jsonImportText.classList.remove('drop-target');
+}
+
+/**
+ * Reads a file dropped onto the JSON import text area; dropped text is inserted as usual
+ * @param {DragEvent} event
+ */
+function handleJsonImportDrop(event) {
+  jsonImportText.classList.remove('drop-target');
+  const file = event.dataTransfer.files[0];
+  if (!file) return;
+  event.preventDefault();
+  readJsonImportFile(file);
+}
+
+/**
+ * Describes a result that differs between an export and today's scoring,
+ * e.g. "Band: Green in the export, Yellow now"
+ * @param {import('./assessment.js').OutputDifference} difference
+ * @returns {string}
+ */
+function describeOutputDifference({ field, stored, recomputed }) {
+  const labels = {
+    schemaVersion: t('jsonImport.schemaVersion'),
+    readinessScore: t('portfolio.score'),
+    band: t('portfolio.band'),
+  };
+  const factor = field.replace(/^subscores\./, '');
+  const format = (value) => {
+    if (value === null) return '–';
+    return field === 'band' ? bandName(value) : formatNumber(value);
+  };
+  return t('jsonImport.difference', {
+    field: labels[field] ?? factorLabels()[factor] ?? factor,
+    stored: format(stored),
+    recomputed: format(recomputed),
+  });
+}
+
+/**
+ * Adds the pasted/dropped Copy JSON export to the portfolio, scores it again and lists the
+ * results that changed since the export
+ */
+function handleRunJsonImport() {
+  const { assessment, errors, unknownFactors } = parseAssessment(
+    jsonImportText.value,
+    customFactors,
+    locale
+  );
+  const fillList = (list, messages) =>
+    list.replaceChildren(
+      ...messages.map((message) => {
+        const li = document.createElement('li');
+        li.textContent = message;
+        return li;
+      })
+    );
+
+  if (!assessment) {
+    fillList(jsonImportErrors, errors);
+    fillList(jsonImportDifferences, []);
+    jsonImportSummary.textContent = t('jsonImport.none');
+    return;
+  }
+
+  const { name, inputs, ...options } = assessment.process;
+  const process = createProcess(uniqueProcessName(portfolio.processes, name), inputs, options);
+  portfolio.processes.push(process);
+  selectProcess(process.id);
+
+  const differences = compareOutputs(assessment.output, lastOutput);
+  const settings = compareSettings(assessment, customFactors, knockOutRules);
+  fillList(
+    jsonImportErrors,
+    unknownFactors.length > 0
+      ? [t('toast.unknownFactors', { keys: unknownFactors.join(', ') })]
+      : []
+  );
+  fillList(jsonImportDifferences, [
+    ...settings.map((setting) => t(`jsonImport.settingChanged.${setting}`)),
+    ...differences.map(describeOutputDifference),
+  ]);
+  let verdict = 'jsonImport.matches';
+  if (differences.length > 0) {
+    verdict = settings.length > 0 ? 'jsonImport.differsSettings' : 'jsonImport.differs';
+  }
+  jsonImportSummary.textContent = [
+    t('jsonImport.restored', { name: process.name }),
+    t(verdict),
+  ].join(' ');
+  showToast(
+    t(differences.length > 0 ? 'toast.jsonImportedChanged' : 'toast.jsonImported', {
+      name: process.name,
+    })
+  );
+}
+
+/**
+ * Handles backup button
+ */
+function handleOpenBackup() {
+  backupFile.value = '';
+  backupErrors.replaceChildren();
+  backupSummary.textContent = '';
+  backupDialog.showModal();
+}
+
+/**
+ * Handles download backup button: writes every process and setting to one JSON file
+ */
+function handleDownloadBackup() {
+  readContents()
+    .then((contents) => {
+      const backup = buildBackup(contents);
+      downloadFile(
+        JSON.stringify(backup, null, 2),
+        `automation-readiness-backup-${backup.exportedAt.slice(0, 10)}.json`,
+        'application/json'
+      );
+      showToast(t('toast.backupDownloaded', { count: backup.assessments.length }));
+    })
+    .catch((err) => {
+      console.error('Failed to build the backup:', err);
+      showToast(t('toast.backupFailed'));
+    });
+}
+
+/**
+ * Restores the chosen backup file. Merging adds the processes that are new and takes the newer
+ * version of the others; replacing swaps everything in this browser for the backup.
+ * @param {'merge' | 'replace'} mode
+ */
+function restoreBackup(mode) {
+  const file = backupFile.files[0];
+  if (!file) {
+    backupSummary.textContent = t('backup.noFile');
+    return;
+  }
+
+  file
+    .text()
+    .then((text) => {
+      const { backup, errors } = parseBackup(text, locale);
+      backupErrors.replaceChildren(
+        ...errors.map((message) => {
+          const li = document.createElement('li');
+          li.textContent = message;
+          return li;
+        })
+      );
+      if (!backup) {
+        backupSummary.textContent = t('backup.rejected');
+        return null;
+      }
+      const confirmation = t('backup.confirmReplace', {
+        count: portfolio.processes.length,
+        restored: backup.assessments.length,
+      });
+      if (mode === 'replace' && !window.confirm(confirmation)) return null;
+
+      return readContents().then((current) => {
+        const {
+          contents,
+          added,
+          updated,
+          skippedFactors = [],
+          skippedRules = [],
+        } = mode === 'merge'
+          ? mergeContents(current, backup)
+          : { contents: backup, added: backup.assessments.length, updated: 0 };
+        return (store ? writeStore(store, contents) : Promise.resolve()).then(() => {
+          applyContents(contents);
+          if (!store) {
+            saveProfiles(customProfiles);
+            saveFactors(customFactors);
+            saveRules(knockOutRules);
+          }
+          renderCustomFactors();
+          renderRules();
+          renderQuestionnaire();
+          selectProcess(getActiveProcess().id);
+
+          const summary =
+            mode === 'merge'
+              ? t('backup.merged', { added, updated })
+              : t('backup.replaced', { count: added });
+          backupSummary.textContent = [
+            summary,
+            ...(skippedFactors.length > 0
+              ? [t('backup.skippedFactors', { keys: skippedFactors.join(', ') })]
+              : []),
+            ...(skippedRules.length > 0
+              ? [t('backup.skippedRules', { ids: skippedRules.join(', ') })]
+              : []),
+          ].join(' ');
+          showToast(summary);
+        });
+      });
+    })
+    .catch((err) => {
+      console.error('Failed to restore the backup:', err);
+      showToast(t('toast.backupFailed'));
+    });
+}
+
+/**
+ * Saves the portfolio a moment after the last change to the notes
+ */
+const debouncedSave = debounce(() => savePortfolio(portfolio), 300);
+
+/**
+ * Handles typing in the notes of the selected process
+ */
+function handleNotesInput() {
+  getActiveProcess().notes = processNotes.value;
+  debouncedSave();
+}
+
+/**
+ * Handles typing in the justification fields: saves the notes, evidence and assessor of the
+ * active process. Naming an assessor dates the assessment today unless a date is set.
+ */
+function handleEvidenceInput() {
+  const process = getActiveProcess();
+  const name = assessorName.value.trim();
+  if (name && !assessorDate.value) assessorDate.value = today();
+  process.justifications = getJustificationsFromForm();
+  process.assessor = name && assessorDate.value ? { name, date: assessorDate.value } : null;
+  renderJustificationMarkers();
+  debouncedSave();
+}
+
+/**
+ * Reads the disagreement threshold
+ * @returns {number | null} null when it isn't a number from 0 to 100
+ */
+function getThresholdFromForm() {
+  const threshold = Number(consensusThreshold.value);
+  return consensusThreshold.value.trim() !== '' && threshold >= 0 && threshold <= 100
+    ? threshold
+    : null;
+}
+
+/**
+ * Handles add assessor button: asks for a name and records the form inputs as that assessor's
+ * rating of the active process
+ */
+function handleAddRating() {
+  const process = getActiveProcess();
+  const ratings = process.consensus ? process.consensus.ratings : [];
+  const name = window.prompt(
+    t('consensus.promptName'),
+    t('consensus.assessorNumber', { number: ratings.length + 1 })
+  );
+  if (name === null || !name.trim()) return;
+
+  process.consensus = {
+    method: consensusMethod.value,
+    threshold: getThresholdFromForm() ?? DEFAULT_THRESHOLD,
+    ratings: [...ratings, { name: name.trim(), inputs: getInputsFromForm() }],
+  };
+  runCalculation();
+  showToast(t('toast.ratingAdded', { name: name.trim() }));
+}
+
+/**
+ * Handles the remove buttons in the list of ratings
+ * @param {MouseEvent} e
+ */
+function handleRatingsListClick(e) {
+  const button = e.target.closest('[data-remove-rating]');
+  if (!button) return;
+
+  const process = getActiveProcess();
+  const rating = process.consensus.ratings[Number(button.dataset.removeRating)];
+  if (!window.confirm(t('consensus.confirmRemove', { name: rating.name }))) return;
+
+  const ratings = process.consensus.ratings.filter((r) => r !== rating);
+  process.consensus = ratings.length > 0 ? { ...process.consensus, ratings } : null;
+  runCalculation();
+}
+
+/**
+ * Handles changes to the consensus method and threshold
+ */
+function handleConsensusSettingsChange() {
+  const process = getActiveProcess();
+  const threshold = getThresholdFromForm();
+  if (!process.consensus || threshold === null) return;
+
+  process.consensus = { ...process.consensus, method: consensusMethod.value, threshold };
+  runCalculation();
+}
+
+/**
+ * Handles generate report button: asks for the assessor unless the process names one, then
+ * prints the one-page report. The name given is recorded on the process, dated today.
+ */
+function handleGenerateReport() {
+  const process = getActiveProcess();
+  if (!process.assessor) {
+    let lastAssessor = '';
+    try {
+      lastAssessor = localStorage.getItem(ASSESSOR_STORAGE_KEY) || '';
+    } catch (e) {
+      console.warn('Could not read the last assessor', e);
+    }
+
+    const assessor = window.prompt(t('report.promptAssessor'), lastAssessor);
+    if (assessor === null) return;
+
+    try {
+      localStorage.setItem(ASSESSOR_STORAGE_KEY, assessor.trim());
+    } catch (e) {
+      console.warn('Could not save the assessor', e);
+    }
+    if (assessor.trim()) {
+      process.assessor = { name: assessor.trim(), date: today() };
+      setJustificationsToForm(process.justifications, process.assessor);
+      savePortfolio(portfolio);
+    }
+  }
+  renderReport();
+
+  document.body.classList.add('printing-report');
+  window.print();
+}
+
+/**
+ * Handles share link button
+ */
+function handleShareLink() {
+  const state = { process: toSharedProcess(getActiveProcess()) };
+  if (compare.open) state.compare = getCompareScenarios();
+
+  buildShareUrl(state)
+    .then((url) => navigator.clipboard.writeText(url))
+    .then(() => showToast(t('toast.linkCopied')))
+    .catch((err) => {
+      console.error('Failed to copy link:', err);
+      showToast(t('toast.linkCopyFailed'));
+    });
+}
+
+/**
+ * Handles reset button
+ */
+function handleReset(e) {
+  e.preventDefault();
+
+  // Clear legacy storage
+  localStorage.removeItem(STORAGE_KEY);
+
+  // Reset URL
+  window.history.replaceState(null, '', window.location.pathname);
+
+  // Reset form to defaults (active process only)
+  setInputsToForm(DEFAULT_INPUTS);
+
+  // Recalculate
+  runCalculation();
+
+  showToast(t('toast.reset'));
+}
+
+/**
+ * Handles add process button
+ */
+function handleAddProcess() {
+  const process = createProcess(
+    uniqueProcessName(
+      portfolio.processes,
+      t('portfolio.newProcess', { number: portfolio.processes.length + 1 })
+    ),
+    DEFAULT_INPUTS
+  );
+  portfolio.processes.push(process);
+  selectProcess(process.id);
+  showToast(t('toast.added', { name: process.name }));
+}
+
+/**
+ * Handles duplicate process button
+ */
+function handleDuplicateProcess() {
+  const source = getActiveProcess();
+  const process = createProcess(
+    uniqueProcessName(portfolio.processes, t('portfolio.copyOf', { name: source.name })),
+    source.inputs,
+    source
+  );
+  portfolio.processes.push(process);
+  selectProcess(process.id);
+  showToast(t('toast.duplicated', { name: source.name }));
+}
+
+/**
+ * Handles rename process button
+ */
+function handleRenameProcess() {
+  const process = getActiveProcess();
+  const name = window.prompt(t('portfolio.promptName'), process.name);
+  if (name === null || !name.trim()) return;
+
+  process.name = name.trim();
+  savePortfolio(portfolio);
+  renderPortfolio();
+  showToast(t('toast.renamed'));
+}
+
+/**
+ * Handles delete process button
+ */
+function handleDeleteProcess() {
+  if (portfolio.processes.length <= 1) return;
+
+  const process = getActiveProcess();
+  if (!window.confirm(t('portfolio.confirmDelete', { name: process.name }))) return;
+
+  portfolio.processes = portfolio.processes.filter((p) => p.id !== process.id);
+  selectProcess(portfolio.processes[0].id);
+  showToast(t('toast.deleted', { name: process.name }));
+}
+
+/**
+ * Handles clicks inside the portfolio table (row selection and sorting)
+ * @param {MouseEvent} e
+ */
+function handlePortfolioClick(e) {
+  const selectButton = e.target.closest('.process-select');
+  if (selectButton) {
+    selectProcess(selectButton.dataset.id);
+    return;
+  }
 
-  // Update global state
-  lastInputs = inputs;
-  lastOutput = output;
+  const sortHeader = e.target.closest('th[data-sort]');
+  if (sortHeader) {
+    const { sort } = sortHeader.dataset;
+    if (portfolioSort.key === sort) {
+      portfolioSort.direction = portfolioSort.direction === 'asc' ? 'desc' : 'asc';
+    } else {
+      portfolioSort = { key: sort, direction: sort === 'name' ? 'asc' : 'desc' };
+    }
+    renderPortfolio();
+  }
+}
 
-  // Update UI
-  updateUI(output);
+/**
+ * Handles choosing a saved profile
+ */
+function handleProfileChange() {
+  const profile = getProfiles().find((p) => p.name === profileSelect.value);
+  if (!profile) return;
 
-  // Persist state
-  setStateToLocalStorage(inputs);
-  setStateToURL(inputs);
+  getActiveProcess().profile = { name: profile.name, weights: { ...profile.weights } };
+  runCalculation();
+}
 
-  // Ensure form values are clamped
+/**
+ * Handles editing a single weight, keeping the total at 100%
+ * @param {Event} e
+ */
+function handleWeightChange(e) {
+  const key = e.target.dataset.weight;
+  if (!key) return;
+
+  const process = getActiveProcess();
+  const percents = rebalanceWeights(
+    weightsToPercents(process.profile.weights),
+    key,
+    parseInt(e.target.value, 10)
+  );
+  const weights = percentsToWeights(percents);
+  const match = findProfileByWeights(weights);
+
+  process.profile = { name: match ? match.name : CUSTOM_PROFILE_NAME, weights };
+  runCalculation();
+}
+
+/**
+ * Handles saving the current weights as a named profile
+ */
+function handleSaveProfile() {
+  const process = getActiveProcess();
+  const input = window.prompt(t('weights.promptName'), '');
+  if (input === null || !input.trim()) return;
+
+  const name = input.trim();
+  if (BUILT_IN_PROFILES.some((p) => p.name === name) || name === CUSTOM_PROFILE_NAME) {
+    showToast(t('toast.reservedProfile', { name }));
+    return;
+  }
+
+  const profile = { name, weights: { ...process.profile.weights } };
+  customProfiles = [...customProfiles.filter((p) => p.name !== name), profile];
+  saveProfiles(customProfiles);
+
+  process.profile = { ...profile, weights: { ...profile.weights } };
+  runCalculation();
+  showToast(t('toast.profileSaved', { name }));
+}
+
+/**
+ * Handles deleting the selected custom profile
+ */
+function handleDeleteProfile() {
+  const process = getActiveProcess();
+  const { name } = process.profile;
+  if (!customProfiles.some((p) => p.name === name)) return;
+  if (!window.confirm(t('weights.confirmDelete', { name }))) return;
+
+  customProfiles = customProfiles.filter((p) => p.name !== name);
+  saveProfiles(customProfiles);
+
+  // Processes keep their weights; they just no longer reference a saved profile
+  portfolio.processes = portfolio.processes.map((p) =>
+    p.profile.name === name ? { ...p, profile: { ...p.profile, name: CUSTOM_PROFILE_NAME } } : p
+  );
+  runCalculation();
+  showToast(t('toast.profileDeleted', { name }));
+}
+
+/**
+ * Handles business case field changes: stores a complete case, or reports what's missing
+ */
+function handleFinancialsChange() {
+  const { financials, errors } = getFinancialsFromForm();
+  financialsStatus.textContent = errors.join('. ');
+  if (errors.length > 0) return;
+
+  getActiveProcess().financials = financials;
+  runCalculation();
+}
+
+/**
+ * Handles changes to the uncertainty ranges: saves them when valid
+ */
+function handleRangesChange() {
+  const { ranges, errors } = getRangesFromForm(getInputsFromForm());
+  rangesStatus.textContent = errors.join('. ');
+  if (errors.length > 0) return;
+
+  getActiveProcess().ranges = ranges;
+  runCalculation();
+}
+
+/**
+ * Handles clear ranges button
+ */
+function handleClearRanges() {
+  setRangesToForm(null);
+  getActiveProcess().ranges = null;
+  runCalculation();
+}
+
+/**
+ * Handles clear business case button
+ */
+function handleClearFinancials() {
+  setFinancialsToForm(null);
+  getActiveProcess().financials = null;
+  runCalculation();
+}
+
+/**
+ * Handles add factor button: validates the definition and adds a field for it to the form
+ */
+function handleAddFactor() {
+  const field = (name) => factorFields.querySelector(`[data-factor-field="${name}"]`);
+  const number = (name) => (field(name).value.trim() === '' ? NaN : Number(field(name).value));
+  const label = field('label').value.trim();
+  const factor = {
+    key: customFactorKey(label, customFactors),
+    label,
+    min: number('min'),
+    max: number('max'),
+    direction: field('direction').value,
+    weight: number('weight'),
+    reason: field('reason').value.trim(),
+    hint: field('hint').value.trim(),
+  };
+
+  const errors = validateCustomFactor(factor, customFactors, locale);
+  if (errors.length > 0) {
+    factorsStatus.textContent = errors.join('; ');
+    return;
+  }
+
+  customFactors = [...customFactors, factor];
+  saveFactors(customFactors);
+  ['label', 'min', 'max', 'weight', 'reason', 'hint'].forEach((name) => {
+    field(name).value = '';
+  });
+  factorsStatus.textContent = '';
+
+  const inputs = getInputsFromForm();
+  renderCustomFactors();
   setInputsToForm(inputs);
+  runCalculation();
+  showToast(t('toast.added', { name: factor.label }));
 }
 
-// Debounced version for input events
-const debouncedCalculation = debounce(runCalculation, 300);
+/**
+ * Handles remove buttons in the custom factors list
+ * @param {MouseEvent} e
+ */
+function handleFactorsListClick(e) {
+  const button = e.target.closest('[data-remove-factor]');
+  if (!button) return;
 
-// --- EVENT HANDLERS ---
+  const factor = customFactors.find((f) => f.key === button.dataset.removeFactor);
+  if (!window.confirm(t('factors.confirmRemove', { label: factor.label }))) return;
+
+  customFactors = customFactors.filter((f) => f !== factor);
+  saveFactors(customFactors);
+  if (knockOutRules.some((rule) => rule.when.some((c) => c.input === factor.key))) {
+    knockOutRules = knockOutRules.filter((rule) => !rule.when.some((c) => c.input === factor.key));
+    saveRules(knockOutRules);
+  }
+  const without = (values) =>
+    Object.fromEntries(Object.entries(values).filter(([key]) => key !== factor.key));
+  portfolio.processes = portfolio.processes.map((process) => ({
+    ...process,
+    inputs: without(process.inputs),
+    ranges:
+      process.ranges && Object.keys(without(process.ranges)).length > 0
+        ? without(process.ranges)
+        : null,
+  }));
+
+  const inputs = getInputsFromForm();
+  delete inputs[factor.key];
+  renderCustomFactors();
+  renderRules();
+  setInputsToForm(inputs);
+  runCalculation();
+  showToast(t('toast.removed', { name: factor.label }));
+}
 
 /**
- * Handles copy JSON button
+ * Handles add rule button: validates the rule and adds it to the list
  */
-function handleCopyJson() {
-  const dataToCopy = {
-    inputs: lastInputs,
-    output: {
-      readinessScore: lastOutput.readinessScore,
-      band: lastOutput.band,
-      narrative: lastOutput.narrative,
-      topBlockers: lastOutput.topBlockers.map((b) => ({
-        reason: b.reason,
-        hint: b.hint,
-        gap: b.gap,
-      })),
-    },
+function handleAddRule() {
+  const field = (name) => ruleFields.querySelector(`[data-rule-field="${name}"]`);
+  const number = (name) => (field(name).value.trim() === '' ? NaN : Number(field(name).value));
+  const effect = field('effect').value;
+  const rule = {
+    id: `r-${Date.now().toString(36)}`,
+    when: [
+      { input: field('input').value, operator: field('operator').value, value: number('value') },
+    ],
+    ...(effect === 'cap' ? { cap: number('cap') } : { band: effect }),
+    reason: field('reason').value.trim(),
+    enabled: true,
   };
 
-  navigator.clipboard
-    .writeText(JSON.stringify(dataToCopy, null, 2))
-    .then(() => showToast('✓ Copied JSON to clipboard!'))
-    .catch((err) => {
-      console.error('Failed to copy JSON:', err);
-      showToast('✗ Failed to copy');
-    });
+  const errors = validateRule(rule, customFactors, knockOutRules, locale);
+  if (errors.length > 0) {
+    rulesStatus.textContent = errors.join('; ');
+    return;
+  }
+
+  knockOutRules = [...knockOutRules, rule];
+  saveRules(knockOutRules);
+  ['value', 'cap', 'reason'].forEach((name) => {
+    field(name).value = '';
+  });
+  rulesStatus.textContent = '';
+
+  renderRules();
+  runCalculation();
+  showToast(t('toast.added', { name: describeRule(rule, customFactors, locale) }));
 }
 
 /**
- * Handles download CSV button
+ * Handles the enable checkboxes in the rules list
+ * @param {Event} e
  */
-function handleDownloadCsv() {
-  const headers = [
-    'processVolume',
-    'variance',
-    'exceptionRate',
-    'dataQuality',
-    'systemAccess',
-    'complianceSensitivity',
-    'readinessScore',
-    'band',
-    'topBlockers',
-  ];
+function handleRulesListChange(e) {
+  const { toggleRule } = e.target.dataset;
+  if (!toggleRule) return;
 
-  const blockersText = lastOutput.topBlockers
-    .map((b) => `${b.reason}: ${b.hint}`)
-    .join('; ');
-
-  const row = [
-    lastInputs.processVolume,
-    lastInputs.variance,
-    lastInputs.exceptionRate,
-    lastInputs.dataQuality,
-    lastInputs.systemAccess,
-    lastInputs.complianceSensitivity,
-    lastOutput.readinessScore,
-    lastOutput.band,
-    `"${blockersText}"`,
-  ];
+  knockOutRules = knockOutRules.map((rule) =>
+    rule.id === toggleRule ? { ...rule, enabled: e.target.checked } : rule
+  );
+  saveRules(knockOutRules);
+  runCalculation();
+}
 
-  const csvContent = [headers.join(','), row.join(',')].join('\n');
+/**
+ * Handles remove buttons in the rules list
+ * @param {MouseEvent} e
+ */
+function handleRulesListClick(e) {
+  const button = e.target.closest('[data-remove-rule]');
+  if (!button) return;
 
-  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-  const link = document.createElement('a');
-  const url = URL.createObjectURL(blob);
+  const rule = knockOutRules.find((r) => r.id === button.dataset.removeRule);
+  if (
+    !window.confirm(t('rules.confirmRemove', { rule: describeRule(rule, customFactors, locale) }))
+  ) {
+    return;
+  }
 
-  link.setAttribute('href', url);
-  link.setAttribute('download', 'automation-readiness-score.csv');
-  link.style.visibility = 'hidden';
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-  URL.revokeObjectURL(url);
+  knockOutRules = knockOutRules.filter((r) => r !== rule);
+  saveRules(knockOutRules);
+  renderRules();
+  runCalculation();
+}
+
+/**
+ * Handles restore defaults button: replaces the rules with the default rules
+ */
+function handleResetRules() {
+  if (!window.confirm(t('rules.confirmReset'))) return;
 
-  showToast('✓ CSV downloaded!');
+  knockOutRules = DEFAULT_RULES;
+  saveRules(knockOutRules);
+  rulesStatus.textContent = '';
+  renderRules();
+  runCalculation();
+  showToast(t('toast.rulesRestored'));
 }
 
 /**
- * Handles share link button
+ * Handles save snapshot button
  */
-function handleShareLink() {
-  const url = window.location.href;
-  navigator.clipboard
-    .writeText(url)
-    .then(() => showToast('✓ Link copied to clipboard!'))
+function handleSaveSnapshot() {
+  const process = getActiveProcess();
+  const { history, added } = appendSnapshot(
+    process.history,
+    createSnapshot(lastInputs, lastOutput, process.profile, new Date(), process.answers)
+  );
+  if (!added) {
+    showToast(t('toast.snapshotUnchanged'));
+    return;
+  }
+
+  process.history = history;
+  runCalculation();
+  showToast(t('toast.snapshotSaved'));
+}
+
+/**
+ * Handles clear history button
+ */
+function handleClearHistory() {
+  const process = getActiveProcess();
+  if (
+    !window.confirm(
+      t('history.confirmClear', { count: process.history.length, name: process.name })
+    )
+  ) {
+    return;
+  }
+
+  process.history = [];
+  runCalculation();
+  showToast(t('toast.historyCleared'));
+}
+
+/**
+ * Handles compare button: compares the selected process with the next one in the portfolio
+ */
+function handleOpenCompare() {
+  const others = portfolio.processes.filter((p) => p.id !== portfolio.activeId);
+  compare = {
+    open: true,
+    baselineId: portfolio.activeId,
+    ids: others.length > 0 ? [others[0].id] : [],
+    shared: null,
+  };
+  renderCompare();
+  compareSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Handles changes to the compare baseline or the compared processes
+ */
+function handleComparePickerChange() {
+  compare.baselineId = compareBaseline.value;
+  compare.ids = [...compareOptions.querySelectorAll('input:checked')]
+    .map((checkbox) => checkbox.value)
+    .filter((id) => id !== compare.baselineId);
+  renderCompare();
+}
+
+/**
+ * Handles copy compare link button
+ */
+function handleCopyCompareLink() {
+  buildShareUrl({ compare: getCompareScenarios() })
+    .then((url) => navigator.clipboard.writeText(url))
+    .then(() => showToast(t('toast.compareLinkCopied')))
     .catch((err) => {
       console.error('Failed to copy link:', err);
-      showToast('✗ Failed to copy link');
+      showToast(t('toast.linkCopyFailed'));
     });
 }
 
 /**
- * Handles reset button
+ * Handles add to portfolio button: turns shared scenarios into processes
  */
-function handleReset(e) {
-  e.preventDefault();
+function handleAddCompareScenarios() {
+  const added = compare.shared.map((scenario) => {
+    const process = createProcess(
+      uniqueProcessName(portfolio.processes, scenario.name),
+      scenario.inputs,
+      { profile: scenario.profile }
+    );
+    portfolio.processes.push(process);
+    return process;
+  });
 
-  // Clear storage
-  localStorage.removeItem(STORAGE_KEY);
+  compare = {
+    open: true,
+    baselineId: added[0].id,
+    ids: added.slice(1).map((p) => p.id),
+    shared: null,
+  };
+  selectProcess(added[0].id);
+  showToast(t('toast.scenariosAdded', { count: added.length }));
+}
 
-  // Reset URL
-  window.history.replaceState(null, '', window.location.pathname);
+/**
+ * Handles close compare button
+ */
+function handleCloseCompare() {
+  compare.open = false;
+  renderCompare();
+}
 
-  // Reset form to defaults
-  setInputsToForm(DEFAULT_INPUTS);
+/**
+ * Handles apply answers button: derives the inputs from the questionnaire and keeps the answers
+ * with the process
+ */
+function handleApplyAnswers() {
+  const answers = getAnswersFromForm();
+  if (Object.keys(answers).length === 0) {
+    showToast(t('toast.answerFirst'));
+    return;
+  }
 
-  // Recalculate
+  getActiveProcess().answers = answers;
+  setInputsToForm({ ...getInputsFromForm(), ...deriveInputs(answers) });
+  runCalculation();
+  showToast(t('toast.answersApplied'));
+}
+
+/**
+ * Handles clear answers button
+ */
+function handleClearAnswers() {
+  getActiveProcess().answers = null;
+  setAnswersToForm(null);
+  runCalculation();
+}
+
+/**
+ * Handles the language switcher: translates the page and re-renders everything built from
+ * translated text, keeping the unsaved form values
+ */
+function handleLanguageChange() {
+  const inputs = getInputsFromForm();
+  const answers = getAnswersFromForm();
+  locale = languageSelect.value;
+  setLocaleToLocalStorage(locale);
+
+  applyTranslations();
+  renderCustomFactors();
+  renderRules();
+  renderQuestionnaire();
+  renderEvidenceFields();
+  setInputsToForm(inputs);
+  setAnswersToForm(answers);
+  trendLegend.replaceChildren();
   runCalculation();
+}
 
-  showToast('✓ Reset to defaults');
+/**
+ * Handles picking the radar chart overlay
+ */
+function handleRadarOverlayChange() {
+  radarOverlay = radarOverlaySelect.value;
+  renderRadar(lastOutput);
 }
 
 // --- TOOLTIP HANDLING ---
@@ -676,37 +3834,276 @@ function hideTooltip() {
   }, 100);
 }
 
+// --- OFFLINE SUPPORT ---
+
+/**
+ * Offers to reload once a new version has been downloaded next to the running one
+ * @param {ServiceWorker} worker
+ */
+function showUpdateBanner(worker) {
+  waitingWorker = worker;
+  updateBanner.hidden = false;
+}
+
+/**
+ * Handles the update banner's reload button: the new service worker takes over, then the page
+ * reloads (see registerServiceWorker)
+ */
+function handleUpdateReload() {
+  updateBanner.hidden = true;
+  if (waitingWorker) waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+/**
+ * Handles the update banner's dismiss button; the new version is used from the next visit
+ */
+function handleUpdateDismiss() {
+  updateBanner.hidden = true;
+}
+
+/**
+ * Registers the service worker for offline support and watches for new versions
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+
+  // The first install takes control without a reload; after that only "Reload" changes workers
+  const hadController = Boolean(navigator.serviceWorker.controller);
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!hadController || reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+
+  navigator.serviceWorker
+    .register('/sw.js')
+    .then((registration) => {
+      console.log('Service Worker registered');
+      if (registration.waiting && hadController) showUpdateBanner(registration.waiting);
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            showUpdateBanner(worker);
+          }
+        });
+      });
+      // The page may stay open for a whole site visit: check for a new version when it's shown again
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState !== 'visible') return;
+        registration.update().catch((err) => console.warn('Service Worker update failed:', err));
+      });
+    })
+    .catch((err) => console.warn('Service Worker registration failed:', err));
+}
+
 // --- INITIALIZATION ---
 
 /**
- * Initializes the application
+ * Opens the state of a legacy link: one `s` parameter per compare scenario, or the inputs
+ * (`pv`, `v`, …, `f.<key>`) and weights (`wp`, `w`) of one process
  */
-function init() {
-  // Layer state: Defaults < LocalStorage < URL
+function openLegacySharedState() {
+  // A compare link opens the comparison without touching the portfolio
+  const { scenarios, invalid } = decodeScenarios(window.location.search);
+  if (scenarios.length > 0) {
+    compare = { open: true, baselineId: '', ids: [], shared: scenarios };
+  }
+  if (invalid > 0) {
+    showToast(t('toast.invalidScenarios', { count: invalid }), 4000);
+  }
+
+  // A shared link that doesn't match the active process opens as a new process
   const urlState = getStateFromURL();
-  const localState = getStateFromLocalStorage();
+  const urlProfile = getProfileFromURL();
+  const active = getActiveProcess();
+  const isNewState =
+    Object.entries(urlState).some(([key, value]) => active.inputs[key] !== value) ||
+    (urlProfile !== null &&
+      formatWeights(urlProfile.weights) !== formatWeights(active.profile.weights));
+  if (isNewState) {
+    const shared = createProcess(
+      uniqueProcessName(portfolio.processes, t('portfolio.sharedProcess')),
+      { ...DEFAULT_INPUTS, ...urlState },
+      { profile: urlProfile || defaultProfile() }
+    );
+    portfolio.processes.push(shared);
+    portfolio.activeId = shared.id;
+  }
 
-  const initialInputs = {
-    ...DEFAULT_INPUTS,
-    ...(localState || {}),
-    ...(urlState || {}),
-  };
+  // Custom factor values in a link only count when the factor is defined here
+  const unknownFactors = [...new URLSearchParams(window.location.search).keys()]
+    .filter((param) => param.startsWith('f.'))
+    .map((param) => param.slice(2))
+    .filter((key) => !customFactors.some((f) => f.key === key));
+  if (unknownFactors.length > 0) {
+    showToast(t('toast.unknownFactors', { keys: unknownFactors.join(', ') }), 4000);
+  }
+}
+
+/**
+ * Opens the state of a shared link. A process that isn't in the portfolio yet is added to it
+ * and selected; compare scenarios open the comparison without touching the portfolio.
+ * A damaged or edited link is rejected with a message and changes nothing.
+ * @returns {Promise<void>}
+ */
+function openSharedState() {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has(SHARE_PARAM)) {
+    openLegacySharedState();
+    return Promise.resolve();
+  }
 
-  // Set form values
-  setInputsToForm(initialInputs);
+  return decodeShareState(params.get(SHARE_PARAM), customFactors, locale).then(
+    ({ state, error, unknownFactors }) => {
+      if (error) {
+        console.warn('Ignoring shared link:', error);
+        showToast(t('toast.invalidShareLink', { reason: error }), 8000);
+        return;
+      }
+      if (unknownFactors.length > 0) {
+        showToast(t('toast.unknownFactors', { keys: unknownFactors.join(', ') }), 4000);
+      }
+      if (state.compare) {
+        compare = { open: true, baselineId: '', ids: [], shared: state.compare };
+      }
+      if (!state.process) return;
 
-  // Run initial calculation
-  runCalculation();
+      const sharedJson = JSON.stringify(toSharedProcess(state.process));
+      const existing = portfolio.processes.find(
+        (p) => JSON.stringify(toSharedProcess(p)) === sharedJson
+      );
+      if (existing) {
+        portfolio.activeId = existing.id;
+        return;
+      }
+      const { name, inputs, ...options } = state.process;
+      const shared = createProcess(
+        uniqueProcessName(portfolio.processes, name),
+        { ...DEFAULT_INPUTS, ...inputs },
+        options
+      );
+      portfolio.processes.push(shared);
+      portfolio.activeId = shared.id;
+    }
+  );
+}
+
+/**
+ * Initializes the application
+ */
+function init() {
+  // The language comes first: default process names are translated
+  locale = getLocaleFromLocalStorage();
+  languageSelect.replaceChildren(
+    ...Object.entries(LOCALES).map(([code, name]) => new Option(name, code))
+  );
+  languageSelect.value = locale;
+  applyTranslations();
+
+  // Layer state: Defaults < LocalStorage < URL
+  customProfiles = getProfilesFromLocalStorage();
+  customFactors = getFactorsFromLocalStorage();
+  knockOutRules = getRulesFromLocalStorage();
+  portfolio = getPortfolioFromLocalStorage();
+
+  // Set form values once the store and the state of a shared link are in, then run the
+  // initial calculation
+  openAssessmentStore()
+    .then(() => {
+      portfolio.activeId = getActiveProcess().id;
+      return openSharedState();
+    })
+    .then(() => {
+      renderCustomFactors();
+      renderRules();
+      renderQuestionnaire();
+      renderEvidenceFields();
+      setInputsToForm(getActiveProcess().inputs);
+      setFinancialsToForm(getActiveProcess().financials);
+      setAnswersToForm(getActiveProcess().answers);
+      setConsensusToForm(getActiveProcess().consensus);
+      processNotes.value = getActiveProcess().notes;
+      runCalculation();
+    });
 
   // Add event listeners
   form.addEventListener('input', debouncedCalculation);
   form.addEventListener('change', runCalculation); // Immediate on blur/change
 
+  languageSelect.addEventListener('change', handleLanguageChange);
+
   btnCopy.addEventListener('click', handleCopyJson);
+  btnMarkdown.addEventListener('click', handleCopyMarkdown);
+  btnHtml.addEventListener('click', handleDownloadHtml);
   btnCsv.addEventListener('click', handleDownloadCsv);
   btnShare.addEventListener('click', handleShareLink);
+  btnReport.addEventListener('click', handleGenerateReport);
+  window.addEventListener('afterprint', () => document.body.classList.remove('printing-report'));
   btnReset.addEventListener('click', handleReset);
 
+  btnAddProcess.addEventListener('click', handleAddProcess);
+  btnDuplicateProcess.addEventListener('click', handleDuplicateProcess);
+  btnRenameProcess.addEventListener('click', handleRenameProcess);
+  btnDeleteProcess.addEventListener('click', handleDeleteProcess);
+  portfolioTable.addEventListener('click', handlePortfolioClick);
+
+  profileSelect.addEventListener('change', handleProfileChange);
+  weightsFields.addEventListener('change', handleWeightChange);
+  btnSaveProfile.addEventListener('click', handleSaveProfile);
+  btnDeleteProfile.addEventListener('click', handleDeleteProfile);
+
+  btnAddFactor.addEventListener('click', handleAddFactor);
+  factorsList.addEventListener('click', handleFactorsListClick);
+
+  btnAddRule.addEventListener('click', handleAddRule);
+  btnResetRules.addEventListener('click', handleResetRules);
+  rulesList.addEventListener('change', handleRulesListChange);
+  rulesList.addEventListener('click', handleRulesListClick);
+
+  btnApplyAnswers.addEventListener('click', handleApplyAnswers);
+  btnClearAnswers.addEventListener('click', handleClearAnswers);
+
+  rangesFields.addEventListener('change', handleRangesChange);
+  btnClearRanges.addEventListener('click', handleClearRanges);
+
+  financialsFields.addEventListener('change', handleFinancialsChange);
+  btnClearFinancials.addEventListener('click', handleClearFinancials);
+
+  btnSaveSnapshot.addEventListener('click', handleSaveSnapshot);
+  btnClearHistory.addEventListener('click', handleClearHistory);
+
+  btnImport.addEventListener('click', handleOpenImport);
+  importFile.addEventListener('change', handleImportFile);
+  btnImportRun.addEventListener('click', handleRunImport);
+  btnImportDownload.addEventListener('click', handleDownloadImportResults);
+
+  btnImportJson.addEventListener('click', handleOpenJsonImport);
+  jsonImportFile.addEventListener('change', handleJsonImportFile);
+  jsonImportText.addEventListener('dragover', handleJsonImportDragOver);
+  jsonImportText.addEventListener('dragleave', handleJsonImportDragLeave);
+  jsonImportText.addEventListener('drop', handleJsonImportDrop);
+  btnJsonImportRun.addEventListener('click', handleRunJsonImport);
+
+  btnBackup.addEventListener('click', handleOpenBackup);
+  btnBackupDownload.addEventListener('click', handleDownloadBackup);
+  btnBackupMerge.addEventListener('click', () => restoreBackup('merge'));
+  btnBackupReplace.addEventListener('click', () => restoreBackup('replace'));
+  processNotes.addEventListener('input', handleNotesInput);
+  evidenceEditor.addEventListener('input', handleEvidenceInput);
+  btnAddRating.addEventListener('click', handleAddRating);
+  ratingsList.addEventListener('click', handleRatingsListClick);
+  consensusMethod.addEventListener('change', handleConsensusSettingsChange);
+  consensusThreshold.addEventListener('change', handleConsensusSettingsChange);
+
+  btnCompare.addEventListener('click', handleOpenCompare);
+  radarOverlaySelect.addEventListener('change', handleRadarOverlayChange);
+  comparePicker.addEventListener('change', handleComparePickerChange);
+  btnCompareLink.addEventListener('click', handleCopyCompareLink);
+  btnCompareAdd.addEventListener('click', handleAddCompareScenarios);
+  btnCompareClose.addEventListener('click', handleCloseCompare);
+
   // Tooltip listeners
   document.querySelectorAll('.help-icon').forEach((icon) => {
     icon.addEventListener('mouseenter', showTooltip);
@@ -717,20 +4114,12 @@ function init() {
 
   // Handle browser back/forward
   window.addEventListener('popstate', () => {
-    const urlInputs = getStateFromURL();
-    if (Object.keys(urlInputs).length > 0) {
-      setInputsToForm({ ...DEFAULT_INPUTS, ...urlInputs });
-      runCalculation();
-    }
+    openSharedState().then(() => selectProcess(getActiveProcess().id));
   });
 
-  // Register service worker for offline support
-  if ('serviceWorker' in navigator) {
-    navigator.serviceWorker
-      .register('/sw.js')
-      .then(() => console.log('Service Worker registered'))
-      .catch((err) => console.warn('Service Worker registration failed:', err));
-  }
+  btnUpdateReload.addEventListener('click', handleUpdateReload);
+  btnUpdateDismiss.addEventListener('click', handleUpdateDismiss);
+  registerServiceWorker();
 }
 
 // Start the app when DOM is ready
@@ -738,14 +4127,4 @@ if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', init);
 } else {
   init();
-}
-
-// Export for testing
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    calculateReadiness,
-    volumeSubscore,
-    clamp,
-    validateInput,
-  };
 }
\ No newline at end of file
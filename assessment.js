@@ -0,0 +1,338 @@
+// assessment.js
+
+/**
+ * Importing an assessment exported with Copy JSON: checks the document against the export
+ * schema, turns it back into a process and compares the output stored in the document, and the
+ * custom factors and knock-out rules it was scored with, with today's scoring.
+ */
+
+import { SCHEMA_VERSION, BAND_ORDER, serializeOutput } from './scoring.js';
+import { validateSharedProcess, dropUnknownFactors } from './share.js';
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+
+// --- TYPE DEFINITIONS (JSDoc) ---
+
+/** @typedef {import('./scoring.js').Output} Output */
+/** @typedef {import('./scoring.js').CustomFactor} CustomFactor */
+/** @typedef {import('./rules.js').KnockOutRule} KnockOutRule */
+/** @typedef {import('./share.js').SharedProcess} SharedProcess */
+
+/**
+ * Expected type of a document field; nested objects list their own fields
+ * @typedef {Object} FieldSchema
+ * @property {'string' | 'number' | 'object' | 'array'} type
+ * @property {boolean} [required]
+ * @property {boolean} [nullable] - null is accepted as well
+ * @property {any[]} [oneOf] - the allowed values
+ * @property {Object<string, FieldSchema>} [fields]
+ */
+
+/**
+ * An imported assessment
+ * @typedef {Object} ImportedAssessment
+ * @property {SharedProcess} process - name, inputs, profile, business case, answers, ranges,
+ *   notes, justifications, assessor and consensus
+ * @property {Object} output - the output stored in the document (see serializeOutput)
+ * @property {CustomFactor[] | null} factors - the custom factors the export was scored with;
+ *   null for documents that don't say
+ * @property {KnockOutRule[] | null} rules - the knock-out rules the export was scored with;
+ *   null for documents that don't say
+ * @property {string | null} locale - language of the export
+ */
+
+/**
+ * @typedef {Object} ParsedAssessment
+ * @property {ImportedAssessment | null} assessment - null when the document is rejected
+ * @property {string[]} errors - why the document was rejected
+ * @property {string[]} unknownFactors - custom factor keys in the document that aren't defined
+ *   here; their values were dropped
+ */
+
+/**
+ * A result that differs between the stored and the recomputed output
+ * @typedef {Object} OutputDifference
+ * @property {string} field - "schemaVersion", "readinessScore", "band" or "subscores.<factor>"
+ * @property {number | string | null} stored - null when the stored output lacks the field
+ * @property {number | string | null} recomputed - null when today's output lacks the field
+ */
+
+// --- SCHEMA ---
+
+/**
+ * Fields of a Copy JSON document that are read back. The other fields (plan, roi, simulation,
+ * unjustifiedInputs, consensusResult, history, portfolio) are derived or kept per browser and
+ * are ignored.
+ * @type {Object<string, FieldSchema>}
+ */
+const ASSESSMENT_SCHEMA = {
+  process: { type: 'string', required: true },
+  inputs: { type: 'object', required: true },
+  profile: {
+    type: 'object',
+    required: true,
+    fields: {
+      name: { type: 'string', required: true },
+      weights: { type: 'object', required: true },
+    },
+  },
+  output: {
+    type: 'object',
+    required: true,
+    fields: {
+      schemaVersion: { type: 'number', required: true },
+      readinessScore: { type: 'number', required: true },
+      band: { type: 'string', required: true, oneOf: Object.keys(BAND_ORDER) },
+      subscores: { type: 'object', required: true },
+    },
+  },
+  financials: { type: 'object', nullable: true },
+  answers: { type: 'object', nullable: true },
+  ranges: { type: 'object', nullable: true },
+  notes: { type: 'string' },
+  justifications: { type: 'object', nullable: true },
+  assessor: {
+    type: 'object',
+    nullable: true,
+    fields: {
+      name: { type: 'string', required: true },
+      date: { type: 'string', required: true },
+    },
+  },
+  consensus: {
+    type: 'object',
+    nullable: true,
+    fields: {
+      method: { type: 'string', required: true },
+      threshold: { type: 'number', required: true },
+      ratings: { type: 'array', required: true },
+    },
+  },
+  factors: { type: 'array' },
+  rules: { type: 'array' },
+  locale: { type: 'string' },
+};
+
+/**
+ * Type of a JSON value, telling arrays and null apart from objects
+ * @param {any} value
+ * @returns {string}
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+};
+
+/**
+ * Checks a value against a schema
+ * @param {Object} value
+ * @param {Object<string, FieldSchema>} schema
+ * @param {string} [path] - path of the value, for the messages
+ * @param {string} [locale] - language of the messages
+ * @returns {string[]} e.g. "output.band: Must be one of Red, Yellow, Green"
+ */
+function checkSchema(value, schema, path = '', locale = DEFAULT_LOCALE) {
+  return Object.entries(schema).flatMap(([key, field]) => {
+    const name = `${path}${key}`;
+    const type = typeOf(value[key]);
+    const fail = (messageKey, fallback, params = {}) => [
+      `${name}: ${translate(locale, messageKey, params, fallback)}`,
+    ];
+    if (type === 'undefined') {
+      return field.required ? fail('validation.missing', 'Missing value') : [];
+    }
+    if (type === 'null' && field.nullable) return [];
+    if (type !== field.type) {
+      const article = field.type === 'object' || field.type === 'array' ? 'an' : 'a';
+      return fail(`validation.type.${field.type}`, `Must be ${article} ${field.type}`);
+    }
+    if (field.oneOf && !field.oneOf.includes(value[key])) {
+      return fail('validation.oneOf', 'Must be one of {values}', {
+        values: field.oneOf.join(', '),
+      });
+    }
+    return field.fields ? checkSchema(value[key], field.fields, `${name}.`, locale) : [];
+  });
+}
+
+// --- IMPORT ---
+
+/**
+ * Checks the shape of a Copy JSON document against ASSESSMENT_SCHEMA and its schema version
+ * @param {any} document
+ * @param {string} locale
+ * @returns {string[]}
+ */
+function checkDocument(document, locale) {
+  if (typeOf(document) !== 'object') {
+    const message = 'The document must be a JSON object';
+    return [translate(locale, 'validation.assessment.object', {}, message)];
+  }
+
+  const errors = checkSchema(document, ASSESSMENT_SCHEMA, '', locale);
+  if (errors.length === 0 && document.output.schemaVersion > SCHEMA_VERSION) {
+    const message = translate(
+      locale,
+      'validation.newerVersion',
+      { version: document.output.schemaVersion },
+      'Version {version} was written by a newer version of the calculator'
+    );
+    errors.push(`output.schemaVersion: ${message}`);
+  }
+  return errors;
+}
+
+/**
+ * Takes the process out of a Copy JSON document
+ * @param {Object} document
+ * @returns {SharedProcess}
+ */
+const toSharedProcess = (document) => ({
+  name: document.process,
+  inputs: document.inputs,
+  profile: { name: document.profile.name, weights: document.profile.weights },
+  financials: document.financials ?? null,
+  answers: document.answers ?? null,
+  ranges: document.ranges ?? null,
+  // Older exports have none of these fields
+  ...(document.notes != null && { notes: document.notes }),
+  ...(document.justifications != null && { justifications: document.justifications }),
+  ...(document.assessor != null && { assessor: document.assessor }),
+  ...(document.consensus != null && { consensus: document.consensus }),
+});
+
+/**
+ * Validates the process of a document, naming the fields the way the document does
+ * @param {SharedProcess} process
+ * @param {CustomFactor[]} factors
+ * @param {string} locale
+ * @returns {string[]}
+ */
+const validateProcess = (process, factors, locale) =>
+  validateSharedProcess(process, factors, locale).map((message) =>
+    message.replace(/^name:/, 'process:')
+  );
+
+/**
+ * Validates a Copy JSON document: its shape against ASSESSMENT_SCHEMA, then the inputs, weights,
+ * business case, answers and ranges against the custom factors defined here
+ * @param {any} document
+ * @param {CustomFactor[]} [factors]
+ * @param {string} [locale] - language of the messages
+ * @returns {string[]} error messages, e.g. "inputs: dataQuality: Value must be at most 100"
+ */
+function validateAssessment(document, factors = [], locale = DEFAULT_LOCALE) {
+  const errors = checkDocument(document, locale);
+  return errors.length > 0 ? errors : validateProcess(toSharedProcess(document), factors, locale);
+}
+
+/**
+ * Reads a Copy JSON document back into a process. Values of custom factors that aren't defined
+ * here are dropped, like in share links.
+ * @param {string} text - the JSON, pasted or read from a file
+ * @param {CustomFactor[]} [factors]
+ * @param {string} [locale] - language of the errors
+ * @returns {ParsedAssessment}
+ */
+function parseAssessment(text, factors = [], locale = DEFAULT_LOCALE) {
+  const reject = (errors) => ({ assessment: null, errors, unknownFactors: [] });
+
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (err) {
+    return reject([
+      translate(
+        locale,
+        'validation.json',
+        { error: err.message },
+        'The text is not valid JSON: {error}'
+      ),
+    ]);
+  }
+
+  const shapeErrors = checkDocument(document, locale);
+  if (shapeErrors.length > 0) return reject(shapeErrors);
+
+  const { state, unknownFactors } = dropUnknownFactors(
+    { process: toSharedProcess(document) },
+    factors
+  );
+  const errors = validateProcess(state.process, factors, locale);
+  if (errors.length > 0) return reject(errors);
+
+  return {
+    assessment: {
+      process: state.process,
+      output: document.output,
+      factors: document.factors ?? null,
+      rules: document.rules ?? null,
+      locale: document.locale ?? null,
+    },
+    errors: [],
+    unknownFactors,
+  };
+}
+
+/**
+ * Lists the results that differ between a stored output and today's output for the same
+ * inputs: the schema version, the score, the band and the subscores. Texts such as the
+ * narrative are left out, as they depend on the language.
+ * @param {Object} stored - the output of an export (see serializeOutput)
+ * @param {Output} output - the recomputed output
+ * @returns {OutputDifference[]}
+ */
+function compareOutputs(stored, output) {
+  const recomputed = serializeOutput(output);
+  const value = (v) => (v === undefined ? null : v);
+  const differences = ['schemaVersion', 'readinessScore', 'band']
+    .filter((field) => stored[field] !== recomputed[field])
+    .map((field) => ({
+      field,
+      stored: value(stored[field]),
+      recomputed: value(recomputed[field]),
+    }));
+
+  const factors = [
+    ...new Set([...Object.keys(stored.subscores || {}), ...Object.keys(recomputed.subscores)]),
+  ];
+  factors.forEach((factor) => {
+    const before = value((stored.subscores || {})[factor]);
+    const after = value(recomputed.subscores[factor]);
+    if (before !== after) {
+      differences.push({ field: `subscores.${factor}`, stored: before, recomputed: after });
+    }
+  });
+  return differences;
+}
+
+/**
+ * JSON of a value with the keys of every object sorted, so equal settings compare equal
+ * whatever order their fields were written in
+ * @param {any} value
+ * @returns {string}
+ */
+const canonicalJson = (value) =>
+  JSON.stringify(value, (_key, v) =>
+    typeOf(v) === 'object'
+      ? Object.fromEntries(Object.entries(v).sort(([a], [b]) => a.localeCompare(b)))
+      : v
+  );
+
+/**
+ * Lists the settings an imported assessment was scored with that differ from the ones defined
+ * here. Different settings explain a different result even when the scoring logic is unchanged.
+ * @param {ImportedAssessment} assessment
+ * @param {CustomFactor[]} [factors]
+ * @param {KnockOutRule[]} [rules]
+ * @returns {('factors' | 'rules')[]} empty when they match or the document doesn't say
+ */
+function compareSettings(assessment, factors = [], rules = []) {
+  const local = { factors, rules };
+  return ['factors', 'rules'].filter(
+    (setting) =>
+      assessment[setting] !== null &&
+      canonicalJson(assessment[setting]) !== canonicalJson(local[setting])
+  );
+}
+
+export { ASSESSMENT_SCHEMA, validateAssessment, parseAssessment, compareOutputs, compareSettings };
@@ -0,0 +1,227 @@
+// tests/assessment.spec.js
+import { describe, it, expect } from 'vitest';
+import {
+  validateAssessment,
+  parseAssessment,
+  compareOutputs,
+  compareSettings,
+} from '../assessment.js';
+import {
+  SCHEMA_VERSION,
+  DEFAULT_INPUTS,
+  WEIGHTS,
+  calculateReadiness,
+  serializeOutput,
+} from '../scoring.js';
+import { DEFAULT_RULES } from '../rules.js';
+
+const FACTOR = {
+  key: 'stakeholderSponsorship',
+  label: 'Stakeholder Sponsorship',
+  min: 1,
+  max: 5,
+  direction: 'higher',
+  weight: 10,
+};
+
+const INPUTS = { ...DEFAULT_INPUTS, dataQuality: 85 };
+const OUTPUT = calculateReadiness(INPUTS);
+
+/** A document as written by Copy JSON, trimmed to the fields that are read back */
+const DOCUMENT = {
+  process: 'Invoice matching',
+  inputs: INPUTS,
+  profile: { name: 'Default', weights: WEIGHTS },
+  output: serializeOutput(OUTPUT),
+  financials: null,
+  answers: null,
+  ranges: { dataQuality: { low: 70, high: 90 } },
+  notes: 'Scanned invoices only',
+  factors: [],
+  rules: [],
+  locale: 'en',
+};
+
+describe('Assessment Import', () => {
+  describe('parseAssessment', () => {
+    it('should restore the process of a Copy JSON document', () => {
+      const { assessment, errors, unknownFactors } = parseAssessment(JSON.stringify(DOCUMENT));
+      expect(errors).toEqual([]);
+      expect(unknownFactors).toEqual([]);
+      expect(assessment.process).toEqual({
+        name: 'Invoice matching',
+        inputs: INPUTS,
+        profile: { name: 'Default', weights: WEIGHTS },
+        financials: null,
+        answers: null,
+        ranges: { dataQuality: { low: 70, high: 90 } },
+        notes: 'Scanned invoices only',
+      });
+      expect(assessment.output).toEqual(DOCUMENT.output);
+      expect(assessment.factors).toEqual([]);
+      expect(assessment.rules).toEqual([]);
+      expect(assessment.locale).toBe('en');
+    });
+
+    it('should ignore the derived fields and accept documents without the optional ones', () => {
+      const { process, inputs, profile, output } = DOCUMENT;
+      const { assessment } = parseAssessment(
+        JSON.stringify({ process, inputs, profile, output, plan: [], roi: null, portfolio: [] })
+      );
+      expect(assessment.process.ranges).toBeNull();
+      expect(assessment.process).not.toHaveProperty('notes');
+      expect(assessment.factors).toBeNull();
+      expect(assessment.locale).toBeNull();
+    });
+
+    it('should reject text that is not JSON', () => {
+      const { assessment, errors } = parseAssessment('{"process": ');
+      expect(assessment).toBeNull();
+      expect(errors[0]).toMatch(/^The text is not valid JSON/);
+    });
+
+    it('should reject documents that do not match the schema', () => {
+      const { assessment, errors } = parseAssessment(
+        JSON.stringify({
+          ...DOCUMENT,
+          profile: 'Default',
+          output: { ...DOCUMENT.output, band: 'Blue' },
+        })
+      );
+      expect(assessment).toBeNull();
+      expect(errors).toEqual([
+        'profile: Must be an object',
+        'output.band: Must be one of Red, Yellow, Green',
+      ]);
+    });
+
+    it('should reject invalid inputs', () => {
+      const { errors } = parseAssessment(
+        JSON.stringify({ ...DOCUMENT, inputs: { ...INPUTS, variance: 300 } })
+      );
+      expect(errors).toEqual(['inputs: variance: Value must be at most 100']);
+    });
+
+    it('should reject notes that are not text', () => {
+      const { errors } = parseAssessment(JSON.stringify({ ...DOCUMENT, notes: 42 }));
+      expect(errors).toEqual(['notes: Must be a string']);
+    });
+
+    it('should report errors in the given language', () => {
+      expect(parseAssessment('{"process": ', [], 'fr').errors[0]).toMatch(
+        /^Le texte n'est pas du JSON valide/
+      );
+      const parse = (document) => parseAssessment(JSON.stringify(document), [], 'de').errors;
+      expect(parse({ ...DOCUMENT, profile: 'Default' })).toEqual(['profile: Muss ein Objekt sein']);
+      expect(parse({ ...DOCUMENT, inputs: { ...INPUTS, variance: 300 } })).toEqual([
+        'inputs: variance: Der Wert darf höchstens 100 sein',
+      ]);
+    });
+
+    it('should restore justifications and the assessor, and check them', () => {
+      const justifications = { dataQuality: { note: 'Sampled 200 invoices', evidence: ['a.pdf'] } };
+      const assessor = { name: 'Dana Smith', date: '2026-03-14' };
+      const { assessment } = parseAssessment(
+        JSON.stringify({ ...DOCUMENT, justifications, assessor, unjustifiedInputs: [] })
+      );
+      expect(assessment.process.justifications).toEqual(justifications);
+      expect(assessment.process.assessor).toEqual(assessor);
+
+      const { errors } = parseAssessment(
+        JSON.stringify({ ...DOCUMENT, assessor: { ...assessor, date: '14/03/2026' } })
+      );
+      expect(errors).toEqual(['assessor: date: Must be a date (YYYY-MM-DD)']);
+    });
+
+    it('should drop the values of custom factors that are not defined here', () => {
+      const text = JSON.stringify({ ...DOCUMENT, inputs: { ...INPUTS, [FACTOR.key]: 4 } });
+      expect(parseAssessment(text, [FACTOR]).assessment.process.inputs[FACTOR.key]).toBe(4);
+
+      const { assessment, unknownFactors } = parseAssessment(text);
+      expect(unknownFactors).toEqual([FACTOR.key]);
+      expect(assessment.process.inputs).toEqual(INPUTS);
+    });
+  });
+
+  describe('validateAssessment', () => {
+    it('should accept a Copy JSON document', () => {
+      expect(validateAssessment(DOCUMENT)).toEqual([]);
+    });
+
+    it('should name missing fields', () => {
+      const { process, profile } = DOCUMENT;
+      expect(validateAssessment({ process, profile })).toEqual([
+        'inputs: Missing value',
+        'output: Missing value',
+      ]);
+      expect(validateAssessment([])).toEqual(['The document must be a JSON object']);
+    });
+
+    it('should report an empty process name under its document field', () => {
+      expect(validateAssessment({ ...DOCUMENT, process: ' ' })).toEqual(['process: Missing value']);
+    });
+
+    it('should reject results written by a newer schema version', () => {
+      const output = { ...DOCUMENT.output, schemaVersion: SCHEMA_VERSION + 1 };
+      expect(validateAssessment({ ...DOCUMENT, output })[0]).toContain('newer version');
+    });
+  });
+
+  describe('compareOutputs', () => {
+    it('should find no differences when the scoring is unchanged', () => {
+      expect(compareOutputs(DOCUMENT.output, calculateReadiness(INPUTS))).toEqual([]);
+    });
+
+    it('should list the score, band and subscores that changed', () => {
+      const stored = {
+        ...DOCUMENT.output,
+        readinessScore: 20,
+        band: 'Red',
+        subscores: { ...DOCUMENT.output.subscores, dataQuality: 60 },
+      };
+      expect(compareOutputs(stored, OUTPUT)).toEqual([
+        { field: 'readinessScore', stored: 20, recomputed: OUTPUT.readinessScore },
+        { field: 'band', stored: 'Red', recomputed: OUTPUT.band },
+        { field: 'subscores.dataQuality', stored: 60, recomputed: 85 },
+      ]);
+    });
+
+    it('should report subscores that only one of the outputs has', () => {
+      const stored = {
+        ...DOCUMENT.output,
+        subscores: { ...DOCUMENT.output.subscores, [FACTOR.key]: 75 },
+      };
+      expect(compareOutputs(stored, OUTPUT)).toEqual([
+        { field: `subscores.${FACTOR.key}`, stored: 75, recomputed: null },
+      ]);
+    });
+  });
+
+  describe('compareSettings', () => {
+    const { assessment } = parseAssessment(
+      JSON.stringify({ ...DOCUMENT, factors: [FACTOR], rules: DEFAULT_RULES })
+    );
+
+    it('should find no differences when the export used the same settings', () => {
+      expect(compareSettings(assessment, [FACTOR], DEFAULT_RULES)).toEqual([]);
+      const reordered = DEFAULT_RULES.map((rule) =>
+        Object.fromEntries(Object.entries(rule).reverse())
+      );
+      expect(compareSettings(assessment, [FACTOR], reordered)).toEqual([]);
+    });
+
+    it('should name the custom factors and knock-out rules that differ', () => {
+      expect(compareSettings(assessment, [], DEFAULT_RULES)).toEqual(['factors']);
+      expect(compareSettings(assessment, [{ ...FACTOR, weight: 20 }], [])).toEqual([
+        'factors',
+        'rules',
+      ]);
+    });
+
+    it('should not compare settings that older exports lack', () => {
+      const { process, inputs, profile, output } = DOCUMENT;
+      const older = parseAssessment(JSON.stringify({ process, inputs, profile, output }));
+      expect(compareSettings(older.assessment, [FACTOR], DEFAULT_RULES)).toEqual([]);
+    });
+  });
+});
@@ -1,6 +1,21 @@
 // tests/calculator.spec.js
 import { describe, it, expect } from 'vitest';
-import { calculateReadiness, volumeSubscore, clamp, validateInput } from '../app.js';
+import {
+  SCHEMA_VERSION,
+  DEFAULT_INPUTS,
+  WEIGHTS,
+  calculateReadiness,
+  volumeSubscore,
+  clamp,
+  validateInput,
+  rebalanceWeights,
+  isValidWeights,
+  validateCustomFactor,
+  validateCustomFactors,
+  customFactorKey,
+} from '../scoring.js';
+import { parseCsv, parseImportTable } from '../csv.js';
+import { createProcess, sortPortfolioRows } from '../portfolio.js';
 
 describe('Automation Readiness Calculator', () => {
   describe('clamp', () => {
@@ -111,6 +126,31 @@ describe('Automation Readiness Calculator', () => {
       expect(result.topBlockers[0].reason).toBe('High Process Variance');
     });
 
+    it('should rank blockers by weighted impact rather than raw gap', () => {
+      const inputs = {
+        processVolume: 55, // volume gap ~40 at 10% weight
+        variance: 10,
+        exceptionRate: 10,
+        dataQuality: 65, // gap 35 at 20% weight
+        systemAccess: 90,
+        complianceSensitivity: 10,
+      };
+
+      const result = calculateReadiness(inputs);
+      expect(result.topBlockers.map((b) => b.factor)).toEqual(['dataQuality', 'volumePotential']);
+      expect(result.topBlockers[0].impact).toBeCloseTo(7);
+      expect(result.topBlockers[1].gap).toBeGreaterThan(result.topBlockers[0].gap);
+      expect(result.topBlockers[1].impact).toBeCloseTo(result.topBlockers[1].gap * 0.1);
+    });
+
+    it('should follow custom weights when ranking blockers', () => {
+      const inputs = { ...DEFAULT_INPUTS, dataQuality: 60, systemAccess: 60 };
+      const weights = { ...WEIGHTS, dataQuality: 0.1, systemAccess: 0.25 };
+
+      expect(calculateReadiness(inputs).topBlockers[0].factor).toBe('dataQuality');
+      expect(calculateReadiness(inputs, weights).topBlockers[0].factor).toBe('systemAccess');
+    });
+
     it('should filter out small gaps from blockers', () => {
       const inputs = {
         processVolume: 5000,
@@ -142,5 +182,365 @@ describe('Automation Readiness Calculator', () => {
       expect(['Red', 'Yellow', 'Green']).toContain(result.band);
       expect(result.narrative).toBeTruthy();
     });
+
+    it('should return a versioned result with subscores and contributions', () => {
+      const inputs = {
+        processVolume: 1000,
+        variance: 20,
+        exceptionRate: 10,
+        dataQuality: 70,
+        systemAccess: 60,
+        complianceSensitivity: 30,
+      };
+
+      const result = calculateReadiness(inputs);
+      expect(result.schemaVersion).toBe(SCHEMA_VERSION);
+      expect(result.subscores).toEqual({
+        stableProcess: 80,
+        lowExceptions: 90,
+        dataQuality: 70,
+        systemAccess: 60,
+        lowComplianceRisk: 70,
+        volumePotential: volumeSubscore(1000),
+      });
+      expect(result.contributions.stableProcess).toBeCloseTo(16);
+
+      const total = Object.values(result.contributions).reduce((sum, c) => sum + c, 0);
+      expect(Math.round(total)).toBe(result.readinessScore);
+    });
+
+    it('should apply custom weights', () => {
+      const inputs = {
+        processVolume: 1000,
+        variance: 20,
+        exceptionRate: 10,
+        dataQuality: 70,
+        systemAccess: 60,
+        complianceSensitivity: 90,
+      };
+      const complianceHeavy = {
+        stableProcess: 0.1,
+        lowExceptions: 0.1,
+        dataQuality: 0.1,
+        systemAccess: 0.1,
+        lowComplianceRisk: 0.5,
+        volumePotential: 0.1,
+      };
+
+      expect(calculateReadiness(inputs, complianceHeavy).readinessScore).toBeLessThan(
+        calculateReadiness(inputs).readinessScore
+      );
+    });
+  });
+
+  describe('createProcess', () => {
+    it('should default everything but the name and inputs', () => {
+      const process = createProcess('Invoices', DEFAULT_INPUTS);
+      expect(process).toMatchObject({
+        name: 'Invoices',
+        inputs: DEFAULT_INPUTS,
+        profile: { name: 'Default', weights: WEIGHTS },
+        financials: null,
+        notes: '',
+        consensus: null,
+        history: [],
+      });
+      expect(process.id).toMatch(/^p-/);
+    });
+
+    it('should copy the options and take them from another process', () => {
+      const source = createProcess('Invoices', DEFAULT_INPUTS, {
+        ranges: { dataQuality: { low: 40, high: 60 } },
+        notes: 'Checked with the AP team',
+      });
+      source.history.push({ savedAt: '2026-03-14' });
+      const copy = createProcess('Copy of Invoices', source.inputs, source);
+      expect(copy.ranges).toEqual(source.ranges);
+      expect(copy.ranges).not.toBe(source.ranges);
+      expect(copy.notes).toBe('Checked with the AP team');
+      expect(copy.id).not.toBe(source.id);
+      expect(copy.history).toEqual([]);
+    });
+  });
+
+  describe('sortPortfolioRows', () => {
+    const makeRow = (name, inputs) => ({
+      process: { id: name, name, inputs },
+      output: calculateReadiness(inputs),
+    });
+
+    const rows = [
+      makeRow('Invoice matching', {
+        processVolume: 5000,
+        variance: 10,
+        exceptionRate: 5,
+        dataQuality: 95,
+        systemAccess: 90,
+        complianceSensitivity: 10,
+      }),
+      makeRow('Claims triage', {
+        processVolume: 50,
+        variance: 80,
+        exceptionRate: 70,
+        dataQuality: 30,
+        systemAccess: 20,
+        complianceSensitivity: 90,
+      }),
+      makeRow('Vendor onboarding', {
+        processVolume: 1000,
+        variance: 40,
+        exceptionRate: 30,
+        dataQuality: 60,
+        systemAccess: 50,
+        complianceSensitivity: 40,
+      }),
+    ];
+
+    it('should sort by score descending', () => {
+      const sorted = sortPortfolioRows(rows, 'score', 'desc');
+      expect(sorted.map((r) => r.process.name)).toEqual([
+        'Invoice matching',
+        'Vendor onboarding',
+        'Claims triage',
+      ]);
+    });
+
+    it('should sort bands by severity rather than alphabetically', () => {
+      const sorted = sortPortfolioRows(rows, 'band', 'asc');
+      expect(sorted.map((r) => r.output.band)).toEqual(['Red', 'Yellow', 'Green']);
+    });
+
+    it('should sort by name and not mutate the input', () => {
+      const sorted = sortPortfolioRows(rows, 'name', 'asc');
+      expect(sorted[0].process.name).toBe('Claims triage');
+      expect(rows[0].process.name).toBe('Invoice matching');
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('should handle quoted fields with delimiters, quotes and newlines', () => {
+      const records = parseCsv('name,note\n"A, B","say ""hi""\nthere"\nC,D');
+      expect(records).toEqual([
+        { line: 1, cells: ['name', 'note'] },
+        { line: 2, cells: ['A, B', 'say "hi"\nthere'] },
+        { line: 4, cells: ['C', 'D'] },
+      ]);
+    });
+
+    it('should detect tab-separated tables pasted from a spreadsheet', () => {
+      const records = parseCsv('a\tb\n1\t2');
+      expect(records[1].cells).toEqual(['1', '2']);
+    });
+  });
+
+  describe('parseImportTable', () => {
+    const header =
+      'name,processVolume,variance,exceptionRate,dataQuality,systemAccess,complianceSensitivity';
+
+    it('should parse valid rows into inputs', () => {
+      const { records, errors } = parseImportTable(`${header}\nInvoices,5000,10,5,95,90,10`);
+      expect(errors).toEqual([]);
+      expect(records).toEqual([
+        {
+          line: 2,
+          name: 'Invoices',
+          inputs: {
+            processVolume: 5000,
+            variance: 10,
+            exceptionRate: 5,
+            dataQuality: 95,
+            systemAccess: 90,
+            complianceSensitivity: 10,
+          },
+          financials: null,
+        },
+      ]);
+    });
+
+    it('should read optional business case columns', () => {
+      const businessHeader = `${header},handleTimeMinutes,hourlyCost,automationRate,buildCost,runCost`;
+      const { records, errors } = parseImportTable(
+        `${businessHeader}\nA,100,10,5,95,90,10,12.5,40,80,20000,5000\nB,100,10,5,95,90,10,,,,,\nC,100,10,5,95,90,10,12,40,180,,`
+      );
+      expect(records.map((r) => r.financials)).toEqual([
+        {
+          handleTimeMinutes: 12.5,
+          hourlyCost: 40,
+          automationRate: 80,
+          buildCost: 20000,
+          runCost: 5000,
+        },
+        null,
+      ]);
+      expect(errors[0].line).toBe(4);
+      expect(errors[0].message).toContain('automationRate: Value must be at most 100');
+      expect(errors[0].message).toContain('buildCost: Missing value');
+    });
+
+    it('should report row-level errors with line numbers', () => {
+      const { records, errors } = parseImportTable(
+        `${header}\nGood,100,10,5,95,90,10\n\nBad,100,150,5,,90,10`
+      );
+      expect(records.length).toBe(1);
+      expect(errors.length).toBe(1);
+      expect(errors[0].line).toBe(4);
+      expect(errors[0].message).toContain('variance');
+      expect(errors[0].message).toContain('dataQuality: Missing value');
+    });
+
+    it('should report missing columns', () => {
+      const { records, errors } = parseImportTable('processVolume,variance\n100,10');
+      expect(records).toEqual([]);
+      expect(errors[0].message).toContain('exceptionRate');
+    });
+
+    it('should make the name column optional', () => {
+      const { records } = parseImportTable(`${header.replace('name,', '')}\n100,10,5,95,90,10`);
+      expect(records[0].name).toBe('Imported row 2');
+    });
+
+    it('should report errors in the given language', () => {
+      expect(parseImportTable('', [], 'fr').errors[0].message).toBe('Le tableau est vide');
+      expect(parseImportTable('processVolume,variance\n100,10', [], 'de').errors[0].message).toBe(
+        'Fehlende Spalte(n): exceptionRate, dataQuality, systemAccess, complianceSensitivity'
+      );
+      const { errors } = parseImportTable(`${header}\nBad,100,150,5,,90,10`, [], 'fr');
+      expect(errors[0].message).toBe(
+        'variance: La valeur doit être au plus 100; dataQuality: Valeur manquante'
+      );
+    });
+  });
+
+  describe('rebalanceWeights', () => {
+    const defaults = {
+      stableProcess: 20,
+      lowExceptions: 20,
+      dataQuality: 20,
+      systemAccess: 15,
+      lowComplianceRisk: 15,
+      volumePotential: 10,
+    };
+    const total = (percents) => Object.values(percents).reduce((sum, p) => sum + p, 0);
+
+    it('should keep the total at 100% when one weight changes', () => {
+      const result = rebalanceWeights(defaults, 'lowComplianceRisk', 50);
+      expect(result.lowComplianceRisk).toBe(50);
+      expect(total(result)).toBe(100);
+    });
+
+    it('should rescale the other weights proportionally', () => {
+      const result = rebalanceWeights(defaults, 'volumePotential', 55);
+      expect(result.stableProcess).toBe(result.lowExceptions);
+      expect(result.stableProcess).toBeGreaterThan(result.systemAccess);
+    });
+
+    it('should clamp out-of-range values', () => {
+      const result = rebalanceWeights(defaults, 'dataQuality', 150);
+      expect(result.dataQuality).toBe(100);
+      expect(total(result)).toBe(100);
+    });
+  });
+
+  describe('isValidWeights', () => {
+    it('should require weights that sum to 1', () => {
+      expect(
+        isValidWeights({
+          stableProcess: 0.2,
+          lowExceptions: 0.2,
+          dataQuality: 0.2,
+          systemAccess: 0.15,
+          lowComplianceRisk: 0.15,
+          volumePotential: 0.1,
+        })
+      ).toBe(true);
+      expect(
+        isValidWeights({
+          stableProcess: 0.5,
+          lowExceptions: 0.5,
+          dataQuality: 0.5,
+          systemAccess: 0,
+          lowComplianceRisk: 0,
+          volumePotential: 0,
+        })
+      ).toBe(false);
+      expect(isValidWeights({ stableProcess: 1 })).toBe(false);
+    });
+  });
+
+  describe('custom factors', () => {
+    const sponsorship = {
+      key: 'sponsorship',
+      label: 'Stakeholder sponsorship',
+      min: 1,
+      max: 5,
+      direction: 'higher',
+      weight: 10,
+      reason: 'Weak Sponsorship',
+      hint: 'Find an executive sponsor.',
+    };
+
+    it('should score a custom factor and make room for its weight', () => {
+      const result = calculateReadiness({ ...DEFAULT_INPUTS, sponsorship: 1 }, WEIGHTS, [
+        sponsorship,
+      ]);
+      expect(result.subscores.sponsorship).toBe(0);
+      expect(result.weights.sponsorship).toBe(0.1);
+      expect(result.weights.dataQuality).toBe(0.18);
+      expect(Object.values(result.weights).reduce((sum, w) => sum + w, 0)).toBeCloseTo(1);
+      expect(result.readinessScore).toBe(69);
+      expect(result.topBlockers[0]).toMatchObject({
+        factor: 'sponsorship',
+        reason: 'Weak Sponsorship',
+        hint: 'Find an executive sponsor.',
+        impact: 10,
+      });
+    });
+
+    it('should follow the direction and default to the middle of the range', () => {
+      const churn = { ...sponsorship, key: 'upstreamChange', direction: 'lower' };
+      expect(
+        calculateReadiness({ ...DEFAULT_INPUTS, upstreamChange: 1 }, WEIGHTS, [churn]).subscores
+          .upstreamChange
+      ).toBe(100);
+      expect(calculateReadiness(DEFAULT_INPUTS, WEIGHTS, [churn]).subscores.upstreamChange).toBe(
+        50
+      );
+    });
+
+    it('should validate definitions', () => {
+      expect(validateCustomFactor(sponsorship)).toEqual([]);
+      expect(
+        validateCustomFactor({ ...sponsorship, key: 'variance', min: 5, max: 1, hint: ' ' })
+      ).toEqual([
+        'key: "variance" is already used',
+        'hint: Missing value',
+        'range: Minimum must be below maximum',
+      ]);
+      expect(
+        validateCustomFactors([
+          { ...sponsorship, weight: 30 },
+          { ...sponsorship, key: 'other', weight: 30 },
+        ])
+      ).toEqual(['#2 weight: Custom factors may weigh at most 50% together']);
+      expect(validateCustomFactor({ ...sponsorship, direction: 'up' }, [], 'de')).toEqual([
+        'direction: Muss „higher“ oder „lower“ sein',
+      ]);
+    });
+
+    it('should derive unused keys from labels', () => {
+      expect(customFactorKey('Rate of upstream change')).toBe('rateOfUpstreamChange');
+      expect(customFactorKey('Data quality!')).toBe('dataQuality2');
+      expect(customFactorKey('Sponsorship', [sponsorship])).toBe('sponsorship2');
+      expect(customFactorKey('2nd line support')).toBe('factor2ndLineSupport');
+    });
+
+    it('should import custom factor columns, which may be blank', () => {
+      const { records, errors } = parseImportTable(
+        'processVolume,variance,exceptionRate,dataQuality,systemAccess,complianceSensitivity,sponsorship\n100,10,5,95,90,10,4.5\n100,10,5,95,90,10,\n100,10,5,95,90,10,9',
+        [sponsorship]
+      );
+      expect(records.map((r) => r.inputs.sponsorship)).toEqual([4.5, undefined]);
+      expect(errors).toEqual([{ line: 4, message: 'sponsorship: Value must be at most 5' }]);
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,431 @@
+#!/usr/bin/env node
+// cli.js
+
+/**
+ * Command-line scorer for scripts and pipelines
+ *
+ *   arc score --volume 1000 --variance 20 --exceptions 10 --data-quality 70 \
+ *             --system-access 60 --compliance 30 [business case] [options]
+ *   arc batch processes.csv [options]     (CSV, JSON, or "-" for stdin)
+ *
+ * Exit codes: 0 = OK, 1 = a --fail-below / --require-band gate failed, 2 = invalid usage or input
+ */
+
+import { readFileSync, realpathSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import {
+  DEFAULT_INPUTS,
+  BUILT_IN_PROFILES,
+  CUSTOM_PROFILE_NAME,
+  BAND_ORDER,
+  validateInput,
+  serializeOutput,
+  parseWeights,
+} from './scoring.js';
+import { parseImportTable, buildResultsCsv } from './csv.js';
+import { defaultProfile, scorePortfolio } from './portfolio.js';
+import { buildImprovementPlan, formatPlanStep } from './planner.js';
+import { FINANCIAL_CONSTRAINTS, validateFinancials } from './roi.js';
+import { DEFAULT_RULES } from './rules.js';
+
+/** @typedef {import('./scoring.js').Inputs} Inputs */
+/** @typedef {import('./scoring.js').WeightsProfile} WeightsProfile */
+/** @typedef {import('./roi.js').Financials} Financials */
+/** @typedef {import('./csv.js').ScoredRow} ScoredRow */
+/** @typedef {import('./rules.js').KnockOutRule} KnockOutRule */
+
+// --- CONSTANTS ---
+
+const USAGE = `Usage:
+  arc score --volume <n> --variance <0-100> --exceptions <0-100> --data-quality <0-100>
+            --system-access <0-100> --compliance <0-100> [--name <name>] [options]
+            [--handle-time <min> --hourly-cost <n> --automation-rate <0-100>
+             --build-cost <n> --run-cost <n>]
+  arc batch <file.csv|file.json|-> [options]
+
+Options:
+  --format text|json|csv    Output format (default: text)
+  --profile <name>          Weights profile: ${BUILT_IN_PROFILES.map((p) => p.name).join(', ')}
+  --weights <a-b-c-d-e-f>   Custom weight percentages summing to 100, e.g. 20-20-20-15-15-10
+  --fail-below <score>      Exit with code 1 if any score is below <score>
+  --require-band <band>     Exit with code 1 if any band is worse than Red, Yellow or Green
+  --no-rules                Report the weighted score without the default knock-out rules
+  --help                    Show this message`;
+
+/** Command-line flags for each input; the first one is the name used in messages */
+const INPUT_FLAGS = {
+  processVolume: ['volume', 'process-volume'],
+  variance: ['variance'],
+  exceptionRate: ['exceptions', 'exception-rate'],
+  dataQuality: ['data-quality'],
+  systemAccess: ['system-access'],
+  complianceSensitivity: ['compliance', 'compliance-sensitivity'],
+};
+
+/** Command-line flags for the optional business case */
+const FINANCIAL_FLAGS = {
+  handleTimeMinutes: 'handle-time',
+  hourlyCost: 'hourly-cost',
+  automationRate: 'automation-rate',
+  buildCost: 'build-cost',
+  runCost: 'run-cost',
+};
+
+const FORMATS = ['text', 'json', 'csv'];
+
+const OPTIONS = {
+  ...Object.fromEntries(
+    Object.values(INPUT_FLAGS)
+      .flat()
+      .concat(Object.values(FINANCIAL_FLAGS))
+      .map((flag) => [flag, { type: 'string' }])
+  ),
+  name: { type: 'string' },
+  format: { type: 'string', default: 'text' },
+  profile: { type: 'string' },
+  weights: { type: 'string' },
+  'fail-below': { type: 'string' },
+  'require-band': { type: 'string' },
+  'no-rules': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+// --- INPUT ---
+
+/**
+ * Parses a number in the same way as the form: rounded, NaN when missing or not numeric
+ * @param {string | number | undefined} raw
+ * @returns {number}
+ */
+function parseNumber(raw) {
+  if (raw === undefined || raw === null || String(raw).trim() === '') return NaN;
+  return Math.round(Number(raw));
+}
+
+/**
+ * Validates raw values for the six inputs
+ * @param {Object<string, string | number | undefined>} raw
+ * @returns {{inputs: Inputs, errors: string[]}}
+ */
+function readInputs(raw) {
+  const inputs = {};
+  const errors = [];
+
+  Object.keys(DEFAULT_INPUTS).forEach((key) => {
+    const value = parseNumber(raw[key]);
+    const validation = validateInput(key, value);
+    if (validation.valid) {
+      inputs[key] = value;
+    } else {
+      errors.push(`${key}: ${raw[key] === undefined ? 'Missing value' : validation.message}`);
+    }
+  });
+
+  return { inputs, errors };
+}
+
+/**
+ * Validates an optional business case: all five values, or none of them
+ * @param {Object<string, string | number | undefined>} raw
+ * @returns {{financials: Financials | null, errors: string[]}}
+ */
+function readFinancials(raw) {
+  const keys = Object.keys(FINANCIAL_CONSTRAINTS);
+  if (keys.every((key) => raw[key] === undefined || raw[key] === null)) {
+    return { financials: null, errors: [] };
+  }
+
+  const financials = Object.fromEntries(
+    keys.map((key) => [key, raw[key] === undefined || raw[key] === null ? null : Number(raw[key])])
+  );
+  const errors = validateFinancials(financials);
+  return { financials: errors.length > 0 ? null : financials, errors };
+}
+
+/**
+ * Resolves --profile / --weights into a weights profile
+ * @param {{profile?: string, weights?: string}} values
+ * @returns {WeightsProfile}
+ */
+function resolveProfile(values) {
+  if (values.weights !== undefined) {
+    const weights = parseWeights(values.weights);
+    if (!weights) {
+      throw new Error(`--weights must be six percentages summing to 100, got "${values.weights}"`);
+    }
+    return { name: values.profile || CUSTOM_PROFILE_NAME, weights };
+  }
+
+  if (values.profile !== undefined) {
+    const profile = BUILT_IN_PROFILES.find(
+      (p) => p.name.toLowerCase() === values.profile.toLowerCase()
+    );
+    if (!profile) {
+      throw new Error(`Unknown profile "${values.profile}"`);
+    }
+    return { name: profile.name, weights: { ...profile.weights } };
+  }
+
+  return defaultProfile();
+}
+
+/**
+ * Reads batch records from a JSON document: an array of inputs or {name, inputs, financials}
+ * objects, or a JSON export from the web app (its `portfolio` array)
+ * @param {string} text
+ * @returns {{records: {name: string, inputs: Inputs, financials: Financials | null}[], errors: string[]}}
+ */
+function parseBatchJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid JSON: ${e.message}`);
+  }
+
+  // null, numbers and strings are valid JSON too
+  const isExport = data !== null && typeof data === 'object' && !Array.isArray(data);
+  const items = isExport ? data.portfolio : data;
+  if (!Array.isArray(items)) {
+    throw new Error('JSON input must be an array of processes or an export with a "portfolio"');
+  }
+
+  const records = [];
+  const errors = [];
+  items.forEach((item, i) => {
+    const raw = item && item.inputs ? item.inputs : item || {};
+    const { inputs, errors: inputErrors } = readInputs(raw);
+    const { financials, errors: financialErrors } = readFinancials((item && item.financials) || {});
+    const itemErrors = [...inputErrors, ...financialErrors];
+    if (itemErrors.length > 0) {
+      errors.push(`Record ${i + 1}: ${itemErrors.join('; ')}`);
+      return;
+    }
+    records.push({ name: (item && item.name) || `Record ${i + 1}`, inputs, financials });
+  });
+
+  return { records, errors };
+}
+
+// --- OUTPUT ---
+
+/**
+ * Formats scored rows as human-readable text
+ * @param {ScoredRow[]} rows
+ * @param {KnockOutRule[]} rules
+ * @returns {string}
+ */
+function formatText(rows, rules) {
+  return rows
+    .map(({ process, output, roi }) => {
+      const lines = [
+        process.name,
+        `  Score:     ${output.readinessScore} (${output.band})`,
+        `  Profile:   ${process.profile.name}`,
+        `  ${output.narrative}`,
+      ];
+      (output.knockOuts ?? []).forEach((k) => {
+        lines.push(`  Knock-out: ${k.rule} (weighted score ${output.weightedScore}). ${k.reason}`);
+      });
+      if (output.topBlockers.length === 0) {
+        lines.push('  Blockers:  none');
+      } else {
+        lines.push('  Blockers:');
+        output.topBlockers.forEach((b) => {
+          lines.push(`    - ${b.reason}: ${b.hint}`);
+        });
+      }
+      buildImprovementPlan(process.inputs, process.profile.weights, [], rules).steps.forEach(
+        (step) => {
+          lines.push(`  Path:      ${formatPlanStep(step)}`);
+        }
+      );
+      if (roi) {
+        const payback = roi.paybackMonths === null ? 'never' : `${roi.paybackMonths} months`;
+        lines.push(
+          `  ROI:       ${roi.annualHoursSaved} h/year saved, ${roi.annualSavings}/year, payback ${payback}, NPV ${roi.npv}`,
+          `  Decision:  ${roi.recommendation}. ${roi.rationale}`
+        );
+      }
+      return lines.join('\n');
+    })
+    .join('\n\n');
+}
+
+/**
+ * Formats scored rows in the requested format
+ * @param {ScoredRow[]} rows
+ * @param {'text' | 'json' | 'csv'} format
+ * @param {boolean} single - print a single object instead of an array (JSON only)
+ * @param {KnockOutRule[]} [rules] - the rules the rows were scored with
+ * @returns {string}
+ */
+function formatRows(rows, format, single, rules = []) {
+  if (format === 'csv') return buildResultsCsv(rows, [], rules);
+  if (format === 'json') {
+    const docs = rows.map(({ process, output, roi }) => ({
+      name: process.name,
+      inputs: process.inputs,
+      profile: process.profile,
+      output: serializeOutput(output),
+      plan: buildImprovementPlan(process.inputs, process.profile.weights, [], rules),
+      financials: process.financials,
+      roi,
+    }));
+    return JSON.stringify(single ? docs[0] : docs, null, 2);
+  }
+  return formatText(rows, rules);
+}
+
+// --- GATES ---
+
+/**
+ * Checks scored rows against the --fail-below and --require-band gates
+ * @param {ScoredRow[]} rows
+ * @param {{failBelow?: number, requireBand?: string}} gates
+ * @returns {string[]} one message per failing process
+ */
+function evaluateGates(rows, { failBelow, requireBand }) {
+  const failures = [];
+  rows.forEach(({ process, output }) => {
+    if (failBelow !== undefined && output.readinessScore < failBelow) {
+      failures.push(`${process.name}: score ${output.readinessScore} is below ${failBelow}`);
+    }
+    if (requireBand !== undefined && BAND_ORDER[output.band] < BAND_ORDER[requireBand]) {
+      failures.push(`${process.name}: band ${output.band} does not meet ${requireBand}`);
+    }
+  });
+  return failures;
+}
+
+/**
+ * Parses the gate options
+ * @param {Object<string, string>} values
+ * @returns {{failBelow?: number, requireBand?: string}}
+ */
+function readGates(values) {
+  const gates = {};
+
+  if (values['fail-below'] !== undefined) {
+    gates.failBelow = Number(values['fail-below']);
+    if (Number.isNaN(gates.failBelow)) {
+      throw new Error(`--fail-below must be a number, got "${values['fail-below']}"`);
+    }
+  }
+
+  if (values['require-band'] !== undefined) {
+    const band = Object.keys(BAND_ORDER).find(
+      (b) => b.toLowerCase() === values['require-band'].toLowerCase()
+    );
+    if (!band) {
+      throw new Error(
+        `--require-band must be Red, Yellow or Green, got "${values['require-band']}"`
+      );
+    }
+    gates.requireBand = band;
+  }
+
+  return gates;
+}
+
+// --- MAIN ---
+
+/**
+ * Runs the CLI
+ * @param {string[]} argv - arguments after the executable, e.g. ['score', '--volume', '1000']
+ * @param {{stdout: {write: Function}, stderr: {write: Function}, readFile: (path: string) => string}} [io]
+ * @returns {number} exit code
+ */
+function run(argv, io = {}) {
+  const {
+    stdout = process.stdout,
+    stderr = process.stderr,
+    readFile = (path) => readFileSync(path === '-' ? 0 : path, 'utf8'),
+  } = io;
+
+  try {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+    });
+    const [command, file] = positionals;
+
+    if (values.help || !command) {
+      stdout.write(`${USAGE}\n`);
+      return values.help ? 0 : 2;
+    }
+    if (!FORMATS.includes(values.format)) {
+      throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+    }
+
+    const profile = resolveProfile(values);
+    const gates = readGates(values);
+    let records;
+    let errors;
+
+    if (command === 'score') {
+      const raw = Object.fromEntries(
+        Object.entries(INPUT_FLAGS).map(([key, flags]) => [
+          key,
+          flags.map((flag) => values[flag]).find((v) => v !== undefined),
+        ])
+      );
+      const parsed = readInputs(raw);
+      const business = readFinancials(
+        Object.fromEntries(
+          Object.entries(FINANCIAL_FLAGS).map(([key, flag]) => [key, values[flag]])
+        )
+      );
+      if (parsed.errors.length > 0 || business.errors.length > 0) {
+        throw new Error([...parsed.errors, ...business.errors].join('\n'));
+      }
+      records = [
+        { name: values.name || 'Process', inputs: parsed.inputs, financials: business.financials },
+      ];
+      errors = [];
+    } else if (command === 'batch') {
+      if (!file) {
+        throw new Error('batch needs a CSV or JSON file (or "-" for stdin)');
+      }
+      const text = readFile(file);
+      if (/\.json$/i.test(file) || /^\s*[[{]/.test(text)) {
+        ({ records, errors } = parseBatchJson(text));
+      } else {
+        const table = parseImportTable(text);
+        records = table.records;
+        errors = table.errors.map((e) => (e.line > 0 ? `Line ${e.line}: ${e.message}` : e.message));
+      }
+    } else {
+      throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+    }
+
+    const rules = values['no-rules'] ? [] : DEFAULT_RULES;
+    const rows = scorePortfolio(
+      records.map((r) => ({ ...r, profile })),
+      [],
+      rules
+    );
+    if (rows.length > 0) {
+      stdout.write(`${formatRows(rows, values.format, command === 'score', rules)}\n`);
+    }
+    errors.forEach((message) => stderr.write(`${message}\n`));
+
+    const failures = evaluateGates(rows, gates);
+    failures.forEach((message) => stderr.write(`✗ ${message}\n`));
+
+    if (errors.length > 0 || rows.length === 0) return 2;
+    return failures.length > 0 ? 1 : 0;
+  } catch (err) {
+    stderr.write(`${err.message}\n`);
+    return 2;
+  }
+}
+
+// Run when executed directly (including through the `arc` bin link)
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  process.exitCode = run(process.argv.slice(2));
+}
+
+export { run, readInputs, readFinancials, parseBatchJson, evaluateGates, formatRows };
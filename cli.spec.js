@@ -0,0 +1,198 @@
+// tests/cli.spec.js
+import { describe, it, expect } from 'vitest';
+import { run, parseBatchJson } from '../cli.js';
+
+const runCli = (argv, files = {}) => {
+  let stdout = '';
+  let stderr = '';
+  const code = run(argv, {
+    stdout: {
+      write: (text) => {
+        stdout += text;
+      },
+    },
+    stderr: {
+      write: (text) => {
+        stderr += text;
+      },
+    },
+    readFile: (path) => files[path],
+  });
+  return { code, stdout, stderr };
+};
+
+const GOOD_ARGS = [
+  '--volume',
+  '5000',
+  '--variance',
+  '10',
+  '--exceptions',
+  '5',
+  '--data-quality',
+  '95',
+  '--system-access',
+  '90',
+  '--compliance',
+  '10',
+];
+
+const CSV = [
+  'name,processVolume,variance,exceptionRate,dataQuality,systemAccess,complianceSensitivity',
+  'Invoices,5000,10,5,95,90,10',
+  'Claims,50,80,70,30,20,90',
+].join('\n');
+
+describe('arc CLI', () => {
+  describe('score', () => {
+    it('should print the score, band and narrative as text', () => {
+      const { code, stdout } = runCli(['score', ...GOOD_ARGS, '--name', 'Invoices']);
+      expect(code).toBe(0);
+      expect(stdout).toContain('Invoices');
+      expect(stdout).toMatch(/Score:\s+\d+ \(Green\)/);
+      expect(stdout).toContain('strong candidate');
+    });
+
+    it('should print a single JSON document', () => {
+      const { code, stdout } = runCli(['score', ...GOOD_ARGS, '--format', 'json']);
+      const doc = JSON.parse(stdout);
+      expect(code).toBe(0);
+      expect(doc.output.band).toBe('Green');
+      expect(doc.inputs.processVolume).toBe(5000);
+      expect(doc.profile.name).toBe('Default');
+    });
+
+    it('should reject missing and out-of-range inputs with exit code 2', () => {
+      const { code, stderr } = runCli(['score', '--volume', '100', '--variance', '150']);
+      expect(code).toBe(2);
+      expect(stderr).toContain('variance: Value must be at most 100');
+      expect(stderr).toContain('dataQuality: Missing value');
+    });
+
+    it('should add the business case when all five values are given', () => {
+      const args = [
+        ...GOOD_ARGS,
+        '--handle-time',
+        '10',
+        '--hourly-cost',
+        '50',
+        '--automation-rate',
+        '80',
+        '--build-cost',
+        '40000',
+        '--run-cost',
+        '10000',
+      ];
+      const { code, stdout } = runCli(['score', ...args, '--format', 'json']);
+      expect(code).toBe(0);
+      expect(JSON.parse(stdout).roi.recommendation).toBe('Go');
+
+      const partial = runCli(['score', ...GOOD_ARGS, '--handle-time', '10']);
+      expect(partial.code).toBe(2);
+      expect(partial.stderr).toContain('hourlyCost: Missing value');
+    });
+
+    it('should apply a built-in profile or custom weights', () => {
+      const regulated = runCli([
+        'score',
+        ...GOOD_ARGS,
+        '--profile',
+        'regulated',
+        '--format',
+        'json',
+      ]);
+      expect(JSON.parse(regulated.stdout).profile.name).toBe('Regulated');
+
+      const invalid = runCli(['score', ...GOOD_ARGS, '--weights', '50-50-50-0-0-0']);
+      expect(invalid.code).toBe(2);
+    });
+  });
+
+  describe('batch', () => {
+    it('should score every CSV row and write CSV results', () => {
+      const { code, stdout } = runCli(['batch', 'p.csv', '--format', 'csv'], { 'p.csv': CSV });
+      const lines = stdout.trim().split('\n');
+      expect(code).toBe(0);
+      expect(lines.length).toBe(3);
+      expect(lines[1]).toMatch(/^Invoices,.*,Green,/);
+      expect(lines[2]).toMatch(/^Claims,.*,Red,/);
+    });
+
+    it('should report row errors with line numbers and exit with code 2', () => {
+      const { code, stderr } = runCli(['batch', 'p.csv'], {
+        'p.csv': `${CSV}\nBroken,abc,10,5,95,90,10`,
+      });
+      expect(code).toBe(2);
+      expect(stderr).toContain('Line 4: processVolume');
+    });
+
+    it('should accept JSON exported from the web app', () => {
+      const exported = JSON.stringify({
+        portfolio: [
+          {
+            name: 'Invoices',
+            inputs: {
+              processVolume: 5000,
+              variance: 10,
+              exceptionRate: 5,
+              dataQuality: 95,
+              systemAccess: 90,
+              complianceSensitivity: 10,
+            },
+          },
+        ],
+      });
+      const { records, errors } = parseBatchJson(exported);
+      expect(errors).toEqual([]);
+      expect(records[0].name).toBe('Invoices');
+    });
+
+    it('should reject JSON that is neither a list nor an export', () => {
+      ['null', '42', '"Invoices"', '{}'].forEach((json) => {
+        const { code, stderr } = runCli(['batch', 'p.json'], { 'p.json': json });
+        expect(code).toBe(2);
+        expect(stderr).toContain('JSON input must be an array of processes or an export');
+      });
+    });
+  });
+
+  describe('gates', () => {
+    it('should exit with code 1 when a score is below --fail-below', () => {
+      const { code, stderr } = runCli(['batch', 'p.csv', '--fail-below', '60'], { 'p.csv': CSV });
+      expect(code).toBe(1);
+      expect(stderr).toContain('Claims: score');
+      expect(stderr).not.toContain('Invoices');
+    });
+
+    it('should exit with code 1 when a band is worse than --require-band', () => {
+      expect(runCli(['batch', 'p.csv', '--require-band', 'Green'], { 'p.csv': CSV }).code).toBe(1);
+      expect(runCli(['score', ...GOOD_ARGS, '--require-band', 'green']).code).toBe(0);
+    });
+
+    it('should reject an unknown band', () => {
+      expect(runCli(['score', ...GOOD_ARGS, '--require-band', 'Blue']).code).toBe(2);
+    });
+  });
+
+  describe('knock-out rules', () => {
+    const NO_ACCESS_ARGS = GOOD_ARGS.map((arg, i) =>
+      GOOD_ARGS[i - 1] === '--system-access' ? '5' : arg
+    );
+
+    it('should apply the default rules and explain them', () => {
+      const { code, stdout } = runCli(['score', ...NO_ACCESS_ARGS, '--require-band', 'Yellow']);
+      expect(code).toBe(1);
+      expect(stdout).toMatch(/Score:\s+49 \(Red\)/);
+      expect(stdout).toContain('Knock-out: System Access < 15 → Red');
+
+      const json = JSON.parse(runCli(['score', ...NO_ACCESS_ARGS, '--format', 'json']).stdout);
+      expect(json.output.knockOuts[0].id).toBe('no-system-access');
+      expect(json.plan.steps[0].changes[0].rule).toBe('no-system-access');
+    });
+
+    it('should report the weighted score with --no-rules', () => {
+      const { code, stdout } = runCli(['score', ...NO_ACCESS_ARGS, '--no-rules']);
+      expect(code).toBe(0);
+      expect(stdout).not.toContain('Knock-out');
+    });
+  });
+});
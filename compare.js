@@ -0,0 +1,208 @@
+// compare.js
+
+/**
+ * Scenario comparison: scores several input sets side by side against the first one (the baseline),
+ * and encodes them in a single URL
+ */
+
+import {
+  DEFAULT_INPUTS,
+  BUILT_IN_PROFILES,
+  CUSTOM_PROFILE_NAME,
+  calculateReadiness,
+  validateInput,
+  weightsToPercents,
+  parseWeights,
+  formatWeights,
+} from './scoring.js';
+import { applyRules } from './rules.js';
+import { DEFAULT_LOCALE } from './i18n.js';
+
+// --- TYPE DEFINITIONS (JSDoc) ---
+
+/** @typedef {import('./scoring.js').Inputs} Inputs */
+/** @typedef {import('./scoring.js').Output} Output */
+/** @typedef {import('./scoring.js').Weights} Weights */
+/** @typedef {import('./scoring.js').WeightsProfile} WeightsProfile */
+/** @typedef {import('./scoring.js').CustomFactor} CustomFactor */
+/** @typedef {import('./rules.js').KnockOutRule} KnockOutRule */
+
+/**
+ * @typedef {Object} Scenario
+ * @property {string} name
+ * @property {Inputs} inputs
+ * @property {WeightsProfile} profile
+ */
+
+/**
+ * @typedef {Object} BlockerChange
+ * @property {keyof Weights} factor
+ * @property {string} reason
+ * @property {"appeared" | "resolved" | "moved" | "unchanged"} status
+ * @property {number | null} fromRank - 1-based rank in the baseline, null if it appeared
+ * @property {number | null} toRank - 1-based rank in this scenario, null if it was resolved
+ */
+
+/**
+ * @typedef {Object} ScenarioResult
+ * @property {Scenario} scenario
+ * @property {Output} output
+ * @property {number} scoreDelta - against the baseline (0 for the baseline itself)
+ * @property {Weights} subscoreDeltas - against the baseline, rounded to one decimal
+ * @property {BlockerChange[]} blockerChanges - empty for the baseline
+ */
+
+// --- CONSTANTS ---
+
+/** Query parameter holding one scenario; repeated once per scenario */
+const SCENARIO_PARAM = 's';
+
+/** Separates the name, inputs and weights inside a scenario parameter */
+const FIELD_SEPARATOR = '~';
+
+// --- COMPARISON ---
+
+/**
+ * Compares the blockers of a scenario with those of the baseline
+ * @param {Output} baseline
+ * @param {Output} output
+ * @returns {BlockerChange[]} this scenario's blockers in rank order, then resolved ones
+ */
+function diffBlockers(baseline, output) {
+  const baseRanks = new Map(baseline.topBlockers.map((b, i) => [b.factor, i + 1]));
+  const ranks = new Map(output.topBlockers.map((b, i) => [b.factor, i + 1]));
+
+  const current = output.topBlockers.map((blocker, i) => {
+    const fromRank = baseRanks.get(blocker.factor) ?? null;
+    let status = 'unchanged';
+    if (fromRank === null) status = 'appeared';
+    else if (fromRank !== i + 1) status = 'moved';
+    return { factor: blocker.factor, reason: blocker.reason, status, fromRank, toRank: i + 1 };
+  });
+
+  const resolved = baseline.topBlockers
+    .filter((blocker) => !ranks.has(blocker.factor))
+    .map((blocker) => ({
+      factor: blocker.factor,
+      reason: blocker.reason,
+      status: 'resolved',
+      fromRank: baseRanks.get(blocker.factor),
+      toRank: null,
+    }));
+
+  return [...current, ...resolved];
+}
+
+/**
+ * Scores scenarios side by side; the first one is the baseline for deltas and blocker changes
+ * @param {Scenario[]} scenarios
+ * @param {CustomFactor[]} [factors]
+ * @param {KnockOutRule[]} [rules]
+ * @param {string} [locale] - language of the narratives and blocker reasons
+ * @returns {ScenarioResult[]}
+ */
+function compareScenarios(scenarios, factors = [], rules = [], locale = DEFAULT_LOCALE) {
+  const outputs = scenarios.map((s) =>
+    applyRules(
+      calculateReadiness(s.inputs, s.profile.weights, factors, locale),
+      s.inputs,
+      rules,
+      factors,
+      locale
+    )
+  );
+  const [baseline] = outputs;
+
+  return scenarios.map((scenario, i) => {
+    const output = outputs[i];
+    return {
+      scenario,
+      output,
+      scoreDelta: output.readinessScore - baseline.readinessScore,
+      subscoreDeltas: Object.fromEntries(
+        Object.keys(output.subscores).map((factor) => [
+          factor,
+          Math.round((output.subscores[factor] - baseline.subscores[factor]) * 10) / 10,
+        ])
+      ),
+      blockerChanges: i === 0 ? [] : diffBlockers(baseline, output),
+    };
+  });
+}
+
+// --- URL ENCODING ---
+
+/**
+ * Encodes a scenario as "name~pv-v-e-dq-sa-c~weight percentages"
+ * @param {Scenario} scenario
+ * @returns {string}
+ */
+function formatScenarioParam(scenario) {
+  const inputs = Object.keys(DEFAULT_INPUTS).map((key) => scenario.inputs[key]);
+  const weights = Object.values(weightsToPercents(scenario.profile.weights));
+  return [scenario.name, inputs.join('-'), weights.join('-')].join(FIELD_SEPARATOR);
+}
+
+/**
+ * Decodes a scenario parameter; the name may itself contain the separator
+ * @param {string} value
+ * @returns {Scenario | null} null when the inputs or weights are invalid
+ */
+function parseScenarioParam(value) {
+  const fields = value.split(FIELD_SEPARATOR);
+  if (fields.length < 3) return null;
+
+  const weightsText = fields.pop();
+  const values = fields.pop().split('-').map(Number);
+  const keys = Object.keys(DEFAULT_INPUTS);
+  if (values.length !== keys.length) return null;
+
+  const inputs = Object.fromEntries(keys.map((key, i) => [key, values[i]]));
+  const valid = keys.every(
+    (key) => Number.isInteger(inputs[key]) && validateInput(key, inputs[key]).valid
+  );
+  const weights = parseWeights(weightsText);
+  if (!valid || !weights) return null;
+
+  // Weights that match a built-in profile keep its name
+  const builtIn = BUILT_IN_PROFILES.find(
+    (p) => formatWeights(p.weights) === formatWeights(weights)
+  );
+  return {
+    name: fields.join(FIELD_SEPARATOR).trim() || 'Scenario',
+    inputs,
+    profile: { name: builtIn ? builtIn.name : CUSTOM_PROFILE_NAME, weights },
+  };
+}
+
+/**
+ * Builds the query string for a comparison
+ * @param {Scenario[]} scenarios
+ * @returns {string} e.g. "s=As-is~1000-20-10-70-60-30~20-20-20-15-15-10&s=..."
+ */
+function encodeScenarios(scenarios) {
+  const params = new URLSearchParams();
+  scenarios.forEach((scenario) => params.append(SCENARIO_PARAM, formatScenarioParam(scenario)));
+  return params.toString();
+}
+
+/**
+ * Reads the scenarios of a comparison from a query string
+ * @param {string} search - e.g. window.location.search
+ * @returns {{scenarios: Scenario[], invalid: number}} invalid = number of parameters skipped
+ */
+function decodeScenarios(search) {
+  const values = new URLSearchParams(search).getAll(SCENARIO_PARAM);
+  const scenarios = values.map(parseScenarioParam).filter(Boolean);
+  return { scenarios, invalid: values.length - scenarios.length };
+}
+
+export {
+  SCENARIO_PARAM,
+  diffBlockers,
+  compareScenarios,
+  formatScenarioParam,
+  parseScenarioParam,
+  encodeScenarios,
+  decodeScenarios,
+};
@@ -0,0 +1,91 @@
+// tests/compare.spec.js
+import { describe, it, expect } from 'vitest';
+import { WEIGHTS, BUILT_IN_PROFILES } from '../scoring.js';
+import {
+  compareScenarios,
+  formatScenarioParam,
+  parseScenarioParam,
+  encodeScenarios,
+  decodeScenarios,
+} from '../compare.js';
+
+const AS_IS = {
+  name: 'As-is',
+  inputs: {
+    processVolume: 1000,
+    variance: 60,
+    exceptionRate: 40,
+    dataQuality: 40,
+    systemAccess: 70,
+    complianceSensitivity: 30,
+  },
+  profile: { name: 'Default', weights: WEIGHTS },
+};
+
+const REMEDIATED = {
+  ...AS_IS,
+  name: 'After MDM',
+  inputs: { ...AS_IS.inputs, dataQuality: 90, systemAccess: 40 },
+};
+
+describe('Scenario comparison', () => {
+  describe('compareScenarios', () => {
+    it('should report score and subscore deltas against the baseline', () => {
+      const [baseline, after] = compareScenarios([AS_IS, REMEDIATED]);
+      expect(baseline.scoreDelta).toBe(0);
+      expect(after.scoreDelta).toBe(after.output.readinessScore - baseline.output.readinessScore);
+      expect(after.subscoreDeltas.dataQuality).toBe(50);
+      expect(after.subscoreDeltas.systemAccess).toBe(-30);
+      expect(after.subscoreDeltas.stableProcess).toBe(0);
+    });
+
+    it('should report blockers that appear, disappear or change rank', () => {
+      const [baseline, after] = compareScenarios([AS_IS, REMEDIATED]);
+      expect(baseline.output.topBlockers.map((b) => b.factor)).toEqual([
+        'stableProcess',
+        'dataQuality',
+        'lowExceptions',
+        'systemAccess',
+      ]);
+
+      expect(after.blockerChanges.map((c) => [c.factor, c.status, c.fromRank, c.toRank])).toEqual([
+        ['stableProcess', 'unchanged', 1, 1],
+        ['systemAccess', 'moved', 4, 2],
+        ['lowExceptions', 'unchanged', 3, 3],
+        ['lowComplianceRisk', 'appeared', null, 4],
+        ['dataQuality', 'resolved', 2, null],
+      ]);
+    });
+
+    it('should compare more than two scenarios against the first one', () => {
+      const results = compareScenarios([AS_IS, REMEDIATED, { ...AS_IS, name: 'Copy' }]);
+      expect(results.length).toBe(3);
+      expect(results[2].scoreDelta).toBe(0);
+      expect(results[2].blockerChanges.every((c) => c.status === 'unchanged')).toBe(true);
+    });
+  });
+
+  describe('URL encoding', () => {
+    it('should round-trip scenarios through one query string', () => {
+      const regulated = BUILT_IN_PROFILES.find((p) => p.name === 'Regulated');
+      const scenarios = [AS_IS, { ...REMEDIATED, name: 'B~2', profile: regulated }];
+      const { scenarios: decoded, invalid } = decodeScenarios(`?${encodeScenarios(scenarios)}`);
+
+      expect(invalid).toBe(0);
+      expect(decoded.map((s) => s.name)).toEqual(['As-is', 'B~2']);
+      expect(decoded[1].inputs).toEqual(REMEDIATED.inputs);
+      expect(decoded[1].profile.name).toBe('Regulated');
+    });
+
+    it('should format a scenario as name, inputs and weights', () => {
+      expect(formatScenarioParam(AS_IS)).toBe('As-is~1000-60-40-40-70-30~20-20-20-15-15-10');
+    });
+
+    it('should reject invalid scenarios', () => {
+      expect(parseScenarioParam('A~1000-60-40-40-70~20-20-20-15-15-10')).toBeNull();
+      expect(parseScenarioParam('A~1000-60-140-40-70-30~20-20-20-15-15-10')).toBeNull();
+      expect(parseScenarioParam('A~1000-60-40-40-70-30~50-50-50-0-0-0')).toBeNull();
+      expect(decodeScenarios('?s=broken&s=A~1-2-3-4-5-6~20-20-20-15-15-10').invalid).toBe(1);
+    });
+  });
+});
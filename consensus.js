@@ -0,0 +1,265 @@
+// consensus.js
+
+/**
+ * Multi-assessor consensus scoring.
+ * The process owner, the IT architect and compliance often see a process very differently.
+ * Each of them rates the inputs independently; the consensus takes the median or mean of every
+ * input and scores it like any other set of inputs. Factors whose subscores lie further apart
+ * than a threshold are flagged, so a workshop knows what to discuss.
+ */
+
+import {
+  WEIGHTS,
+  validateInput,
+  customFactorDefault,
+  allInputLabels,
+  allFactorLabels,
+  allInputConstraints,
+  calculateReadiness,
+} from './scoring.js';
+import { applyRules } from './rules.js';
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+
+// --- TYPE DEFINITIONS (JSDoc) ---
+
+/** @typedef {import('./scoring.js').Inputs} Inputs */
+/** @typedef {import('./scoring.js').Output} Output */
+/** @typedef {import('./scoring.js').Weights} Weights */
+/** @typedef {import('./scoring.js').CustomFactor} CustomFactor */
+/** @typedef {import('./rules.js').KnockOutRule} KnockOutRule */
+
+/**
+ * One assessor's independent view of a process
+ * @typedef {Object} Rating
+ * @property {string} name - the assessor, e.g. "Process owner"
+ * @property {Inputs} inputs
+ */
+
+/**
+ * The ratings collected for a process, and how to combine them
+ * @typedef {Object} Consensus
+ * @property {'median' | 'mean'} method
+ * @property {number} threshold - subscore points apart beyond which a factor is disputed
+ * @property {Rating[]} ratings
+ */
+
+/**
+ * A factor the assessors disagree on
+ * @typedef {Object} Disagreement
+ * @property {string} factor - factor key, e.g. "dataQuality"
+ * @property {number} low - lowest subscore among the assessors
+ * @property {number} high - highest subscore among the assessors
+ * @property {number} spread - high − low
+ */
+
+/**
+ * @typedef {Object} ConsensusOptions
+ * @property {Weights} [weights]
+ * @property {CustomFactor[]} [factors]
+ * @property {KnockOutRule[]} [rules] - applied to the consensus and to every assessor
+ */
+
+/**
+ * @typedef {Object} ConsensusResult
+ * @property {'median' | 'mean'} method
+ * @property {number} threshold
+ * @property {Inputs} inputs - the combined inputs
+ * @property {Output} output - the combined inputs, scored
+ * @property {{name: string, output: Output}[]} assessors - each assessor's own result
+ * @property {Disagreement[]} disagreements - widest spread first
+ */
+
+// --- CONSTANTS ---
+
+const CONSENSUS_METHODS = ['median', 'mean'];
+
+/** Assessors whose subscores for a factor lie more than 30 points apart disagree on it */
+const DEFAULT_THRESHOLD = 30;
+
+// --- AGGREGATION ---
+
+/**
+ * Median of numbers; the mean of the middle two for an even count
+ * @param {number[]} values
+ * @returns {number}
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Arithmetic mean of numbers
+ * @param {number[]} values
+ * @returns {number}
+ */
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Combines several sets of inputs into one, input by input. Custom factors an assessor didn't
+ * rate count with their default (the middle of the range). Values are rounded to one decimal.
+ * @param {Inputs[]} inputSets - at least one
+ * @param {'median' | 'mean'} [method]
+ * @param {CustomFactor[]} [factors]
+ * @returns {Inputs}
+ */
+function aggregateInputs(inputSets, method = 'median', factors = []) {
+  const combine = method === 'mean' ? mean : median;
+  return Object.fromEntries(
+    Object.keys(allInputLabels(factors)).map((key) => {
+      const custom = factors.find((f) => f.key === key);
+      const values = inputSets.map(
+        (inputs) => inputs[key] ?? (custom ? customFactorDefault(custom) : 0)
+      );
+      return [key, Math.round(combine(values) * 10) / 10];
+    })
+  );
+}
+
+/**
+ * Factors whose subscores lie more than the threshold apart across the assessors' results
+ * @param {Output[]} outputs
+ * @param {number} [threshold]
+ * @returns {Disagreement[]} widest spread first
+ */
+function findDisagreements(outputs, threshold = DEFAULT_THRESHOLD) {
+  if (outputs.length < 2) return [];
+  return Object.keys(outputs[0].subscores)
+    .map((factor) => {
+      const subscores = outputs.map((output) => output.subscores[factor] ?? 0);
+      const low = Math.round(Math.min(...subscores));
+      const high = Math.round(Math.max(...subscores));
+      return { factor, low, high, spread: high - low };
+    })
+    .filter((d) => d.spread > threshold)
+    .sort((a, b) => b.spread - a.spread);
+}
+
+/**
+ * Scores every assessor's inputs and their consensus with the same weights, factors and rules
+ * @param {Consensus} consensus - valid (see validateConsensus)
+ * @param {ConsensusOptions} [options]
+ * @param {string} [locale] - language of the narratives and blockers
+ * @returns {ConsensusResult | null} null without ratings
+ */
+function scoreConsensus(consensus, options = {}, locale = DEFAULT_LOCALE) {
+  const { weights = WEIGHTS, factors = [], rules = [] } = options;
+  if (!consensus || consensus.ratings.length === 0) return null;
+
+  const score = (inputs) =>
+    applyRules(
+      calculateReadiness(inputs, weights, factors, locale),
+      inputs,
+      rules,
+      factors,
+      locale
+    );
+  const assessors = consensus.ratings.map(({ name, inputs }) => ({ name, output: score(inputs) }));
+  const inputs = aggregateInputs(
+    consensus.ratings.map((rating) => rating.inputs),
+    consensus.method,
+    factors
+  );
+
+  return {
+    method: consensus.method,
+    threshold: consensus.threshold,
+    inputs,
+    output: score(inputs),
+    assessors,
+    disagreements: findDisagreements(
+      assessors.map((a) => a.output),
+      consensus.threshold
+    ),
+  };
+}
+
+/**
+ * Describes a disagreement in one line, e.g. "Data Quality: subscores from 35 to 90 (55 points apart)"
+ * @param {Disagreement} disagreement
+ * @param {CustomFactor[]} [factors]
+ * @param {string} [locale]
+ * @returns {string}
+ */
+function describeDisagreement(disagreement, factors = [], locale = DEFAULT_LOCALE) {
+  const { factor, low, high, spread } = disagreement;
+  return translate(
+    locale,
+    'consensus.disagreement',
+    { factor: allFactorLabels(factors, locale)[factor] ?? factor, low, high, spread },
+    '{factor}: subscores from {low} to {high} ({spread} points apart)'
+  );
+}
+
+// --- VALIDATION ---
+
+/**
+ * Validates a consensus: the method, the threshold and every rating's name and inputs
+ * @param {Consensus} consensus
+ * @param {CustomFactor[]} [factors]
+ * @param {string} [locale] - language of the messages
+ * @returns {string[]} error messages, e.g. "ratings[1]: inputs: dataQuality: Value must be at most 100"
+ */
+function validateConsensus(consensus, factors = [], locale = DEFAULT_LOCALE) {
+  if (consensus === null || typeof consensus !== 'object' || Array.isArray(consensus)) {
+    return [translate(locale, 'validation.consensus.object', {}, 'Consensus must be an object')];
+  }
+
+  const errors = [];
+  const fail = (field, key, fallback, params = {}) =>
+    errors.push(`${field}: ${translate(locale, key, params, fallback)}`);
+  if (!CONSENSUS_METHODS.includes(consensus.method)) {
+    const params = { values: CONSENSUS_METHODS.join(', ') };
+    fail('method', 'validation.oneOf', 'Must be one of {values}', params);
+  }
+  const { threshold } = consensus;
+  if (typeof threshold !== 'number' || !(threshold >= 0 && threshold <= 100)) {
+    fail('threshold', 'validation.consensus.threshold', 'Must be a number from 0 to 100');
+  }
+  if (!Array.isArray(consensus.ratings)) {
+    fail('ratings', 'validation.type.array', 'Must be an array');
+    return errors;
+  }
+
+  const constraints = allInputConstraints(factors);
+  const builtIn = Object.keys(allInputLabels());
+  consensus.ratings.forEach((rating, i) => {
+    const prefix = `ratings[${i}]`;
+    if (rating === null || typeof rating !== 'object') {
+      fail(prefix, 'validation.type.object', 'Must be an object');
+      return;
+    }
+    if (typeof rating.name !== 'string' || rating.name.trim() === '') {
+      fail(`${prefix}: name`, 'validation.missing', 'Missing value');
+    }
+    if (rating.inputs === null || typeof rating.inputs !== 'object') {
+      fail(`${prefix}: inputs`, 'validation.type.object', 'Must be an object');
+      return;
+    }
+    Object.keys(constraints).forEach((key) => {
+      const value = rating.inputs[key];
+      // Custom factors defined after the rating was taken count with their default
+      if (value === undefined && !builtIn.includes(key)) return;
+      if (typeof value !== 'number') {
+        fail(`${prefix}: inputs: ${key}`, 'validation.missing', 'Missing value');
+        return;
+      }
+      const validation = validateInput(key, value, constraints, locale);
+      if (!validation.valid) errors.push(`${prefix}: inputs: ${key}: ${validation.message}`);
+    });
+  });
+  return errors;
+}
+
+export {
+  CONSENSUS_METHODS,
+  DEFAULT_THRESHOLD,
+  median,
+  mean,
+  aggregateInputs,
+  findDisagreements,
+  scoreConsensus,
+  describeDisagreement,
+  validateConsensus,
+};
@@ -0,0 +1,137 @@
+// tests/consensus.spec.js
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_THRESHOLD,
+  median,
+  mean,
+  aggregateInputs,
+  findDisagreements,
+  scoreConsensus,
+  describeDisagreement,
+  validateConsensus,
+} from '../consensus.js';
+import { DEFAULT_INPUTS, calculateReadiness } from '../scoring.js';
+import { DEFAULT_RULES } from '../rules.js';
+
+const FACTOR = {
+  key: 'stakeholderSponsorship',
+  label: 'Stakeholder Sponsorship',
+  min: 1,
+  max: 5,
+  direction: 'higher',
+  weight: 10,
+};
+
+/** The process owner is optimistic about the data, the architect about nothing */
+const CONSENSUS = {
+  method: 'median',
+  threshold: DEFAULT_THRESHOLD,
+  ratings: [
+    { name: 'Process owner', inputs: { ...DEFAULT_INPUTS, dataQuality: 90 } },
+    { name: 'IT architect', inputs: { ...DEFAULT_INPUTS, dataQuality: 30, systemAccess: 40 } },
+    { name: 'Compliance', inputs: { ...DEFAULT_INPUTS, dataQuality: 70 } },
+  ],
+};
+
+describe('Consensus', () => {
+  describe('aggregation', () => {
+    it('should take the median or the mean', () => {
+      expect(median([30, 90, 70])).toBe(70);
+      expect(median([30, 90, 70, 40])).toBe(55);
+      expect(mean([30, 90, 70])).toBeCloseTo(63.33);
+    });
+
+    it('should combine the inputs one by one, to one decimal', () => {
+      const inputSets = CONSENSUS.ratings.map((r) => r.inputs);
+      expect(aggregateInputs(inputSets)).toEqual({ ...DEFAULT_INPUTS, dataQuality: 70 });
+      expect(aggregateInputs(inputSets, 'mean')).toEqual({
+        ...DEFAULT_INPUTS,
+        dataQuality: 63.3,
+        systemAccess: 53.3,
+      });
+    });
+
+    it('should count custom factors an assessor did not rate with their default', () => {
+      const inputs = aggregateInputs(
+        [{ ...DEFAULT_INPUTS, stakeholderSponsorship: 5 }, DEFAULT_INPUTS],
+        'mean',
+        [FACTOR]
+      );
+      expect(inputs.stakeholderSponsorship).toBe(4);
+    });
+  });
+
+  describe('findDisagreements', () => {
+    it('should flag factors whose subscores lie further apart than the threshold', () => {
+      const outputs = CONSENSUS.ratings.map((r) => calculateReadiness(r.inputs));
+      expect(findDisagreements(outputs)).toEqual([
+        { factor: 'dataQuality', low: 30, high: 90, spread: 60 },
+      ]);
+      expect(findDisagreements(outputs, 10).map((d) => d.factor)).toEqual([
+        'dataQuality',
+        'systemAccess',
+      ]);
+      expect(findDisagreements(outputs.slice(0, 1))).toEqual([]);
+    });
+  });
+
+  describe('scoreConsensus', () => {
+    it('should score the combined inputs next to every assessor', () => {
+      const result = scoreConsensus(CONSENSUS);
+      expect(result.inputs.dataQuality).toBe(70);
+      expect(result.output).toMatchObject(calculateReadiness(result.inputs));
+      expect(result.assessors.map((a) => [a.name, a.output.band])).toEqual([
+        ['Process owner', 'Green'],
+        ['IT architect', 'Yellow'],
+        ['Compliance', 'Green'],
+      ]);
+      expect(result.disagreements.map((d) => d.factor)).toEqual(['dataQuality']);
+      expect(scoreConsensus({ ...CONSENSUS, ratings: [] })).toBeNull();
+    });
+
+    it('should apply the knock-out rules to the consensus and to each assessor', () => {
+      const blocked = { ...DEFAULT_INPUTS, systemAccess: 10 };
+      const result = scoreConsensus(
+        { ...CONSENSUS, ratings: [{ name: 'Architect', inputs: blocked }] },
+        { rules: DEFAULT_RULES }
+      );
+      expect(result.output.band).toBe('Red');
+      expect(result.assessors[0].output.knockOuts).toHaveLength(1);
+    });
+
+    it('should describe a disagreement in the given language', () => {
+      const disagreement = { factor: 'dataQuality', low: 30, high: 90, spread: 60 };
+      expect(describeDisagreement(disagreement)).toBe(
+        'Data Quality: subscores from 30 to 90 (60 points apart)'
+      );
+      expect(describeDisagreement(disagreement, [], 'de')).toMatch(/^Datenqualität: Teilscores/);
+    });
+  });
+
+  describe('validateConsensus', () => {
+    it('should accept a valid consensus', () => {
+      expect(validateConsensus(CONSENSUS)).toEqual([]);
+    });
+
+    it('should name the invalid fields and ratings', () => {
+      expect(
+        validateConsensus({
+          method: 'mode',
+          threshold: 150,
+          ratings: [
+            { name: '', inputs: DEFAULT_INPUTS },
+            { name: 'Architect', inputs: { ...DEFAULT_INPUTS, dataQuality: 150 } },
+          ],
+        })
+      ).toEqual([
+        'method: Must be one of median, mean',
+        'threshold: Must be a number from 0 to 100',
+        'ratings[0]: name: Missing value',
+        'ratings[1]: inputs: dataQuality: Value must be at most 100',
+      ]);
+      expect(validateConsensus({ ...CONSENSUS, ratings: null })).toEqual([
+        'ratings: Must be an array',
+      ]);
+    });
+  });
+});
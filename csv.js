@@ -0,0 +1,344 @@
+// csv.js
+
+/**
+ * CSV reading and writing for bulk import and results export
+ */
+
+import {
+  DEFAULT_INPUTS,
+  INPUT_CONSTRAINTS,
+  validateInput,
+  formatWeights,
+  allInputConstraints,
+} from './scoring.js';
+import { buildImprovementPlan, formatPlanStep } from './planner.js';
+import { FINANCIAL_CONSTRAINTS } from './roi.js';
+import { JUSTIFIED_INPUTS, unjustifiedInputs } from './evidence.js';
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+
+// --- TYPE DEFINITIONS (JSDoc) ---
+
+/** @typedef {import('./scoring.js').Inputs} Inputs */
+/** @typedef {import('./scoring.js').Output} Output */
+/** @typedef {import('./scoring.js').WeightsProfile} WeightsProfile */
+/** @typedef {import('./scoring.js').CustomFactor} CustomFactor */
+/** @typedef {import('./rules.js').KnockOutRule} KnockOutRule */
+/** @typedef {import('./roi.js').Financials} Financials */
+/** @typedef {import('./roi.js').RoiResult} RoiResult */
+/** @typedef {import('./evidence.js').Justifications} Justifications */
+/** @typedef {import('./evidence.js').Assessor} Assessor */
+
+/**
+ * @typedef {Object} ImportRecord
+ * @property {number} line
+ * @property {string} name
+ * @property {Inputs} inputs
+ * @property {Financials | null} financials - null unless the row has business case columns
+ */
+
+/**
+ * @typedef {Object} ImportError
+ * @property {number} line
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} ScoredRow
+ * @property {{name: string, inputs: Inputs, profile: WeightsProfile, justifications?: Justifications | null, assessor?: Assessor | null}} process
+ * @property {Output} output
+ * @property {RoiResult | null} [roi]
+ */
+
+// --- CSV ---
+
+/**
+ * Escapes a value for use as a CSV field
+ * @param {string | number} value
+ * @returns {string}
+ */
+const csvEscape = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Splits CSV text into records, honouring quoted fields.
+ * The delimiter (comma, semicolon or tab) is detected from the first line.
+ * @param {string} text
+ * @returns {{line: number, cells: string[]}[]}
+ */
+function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const delimiter = ['\t', ';', ','].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  );
+
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const pushRecord = () => {
+    cells.push(cell);
+    if (cells.some((c) => c.trim() !== '')) {
+      records.push({ line: recordLine, cells });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line += 1;
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      pushRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  pushRecord();
+
+  return records;
+}
+
+/**
+ * Reads and validates numeric cells
+ * @param {string[]} cells
+ * @param {string[]} keys
+ * @param {Object<string, number>} columnIndex
+ * @param {Object<string, {min: number, max: number}>} constraints
+ * @param {(raw: string) => number} parse
+ * @param {string} locale
+ * @returns {{values: Object<string, number>, errors: string[]}}
+ */
+function readCells(cells, keys, columnIndex, constraints, parse, locale) {
+  const values = {};
+  const errors = [];
+
+  keys.forEach((key) => {
+    const raw = (cells[columnIndex[key]] ?? '').trim();
+    const value = raw === '' ? NaN : parse(raw);
+    const validation = validateInput(key, value, constraints, locale);
+    if (validation.valid) {
+      values[key] = value;
+    } else {
+      const message =
+        raw === ''
+          ? translate(locale, 'validation.missing', {}, 'Missing value')
+          : validation.message;
+      errors.push(`${key}: ${message}`);
+    }
+  });
+
+  return { values, errors };
+}
+
+/**
+ * Parses an imported table into validated inputs.
+ * Requires a header row naming the six input columns; a `name` column is optional, and so are
+ * the five business case columns (all or none of them) and a column per custom factor, named
+ * by its key.
+ * @param {string} text
+ * @param {CustomFactor[]} [factors]
+ * @param {string} [locale] - language of the error messages
+ * @returns {{records: ImportRecord[], errors: ImportError[]}}
+ */
+function parseImportTable(text, factors = [], locale = DEFAULT_LOCALE) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    const message = translate(locale, 'table.empty', {}, 'The table is empty');
+    return { records: [], errors: [{ line: 0, message }] };
+  }
+
+  const inputKeys = Object.keys(DEFAULT_INPUTS);
+  const financialKeys = Object.keys(FINANCIAL_CONSTRAINTS);
+  const columns = header.cells.map((c) => c.trim().toLowerCase());
+  const columnIndex = {};
+  [...inputKeys, ...financialKeys, ...factors.map((f) => f.key), 'name'].forEach((key) => {
+    columnIndex[key] = columns.indexOf(key.toLowerCase());
+  });
+  const customKeys = factors.map((f) => f.key).filter((key) => columnIndex[key] !== -1);
+
+  const missing = inputKeys.filter((key) => columnIndex[key] === -1);
+  const hasFinancials = financialKeys.some((key) => columnIndex[key] !== -1);
+  if (hasFinancials) {
+    missing.push(...financialKeys.filter((key) => columnIndex[key] === -1));
+  }
+  if (missing.length > 0) {
+    return {
+      records: [],
+      errors: [
+        {
+          line: header.line,
+          message: translate(
+            locale,
+            'table.missingColumns',
+            { columns: missing.join(', ') },
+            'Missing column(s): {columns}'
+          ),
+        },
+      ],
+    };
+  }
+
+  const records = [];
+  const errors = [];
+
+  rows.forEach(({ line, cells }) => {
+    const { values: inputs, errors: rowErrors } = readCells(
+      cells,
+      inputKeys,
+      columnIndex,
+      INPUT_CONSTRAINTS,
+      (raw) => Math.round(Number(raw)),
+      locale
+    );
+
+    // Custom factor cells may be blank; the factor then scores the middle of its range
+    const filledCustomKeys = customKeys.filter((key) => (cells[columnIndex[key]] ?? '').trim());
+    const custom = readCells(
+      cells,
+      filledCustomKeys,
+      columnIndex,
+      allInputConstraints(factors),
+      Number,
+      locale
+    );
+    Object.assign(inputs, custom.values);
+    rowErrors.push(...custom.errors);
+
+    // A row may leave its business case blank
+    let financials = null;
+    if (hasFinancials && financialKeys.some((key) => (cells[columnIndex[key]] ?? '').trim())) {
+      const parsed = readCells(
+        cells,
+        financialKeys,
+        columnIndex,
+        FINANCIAL_CONSTRAINTS,
+        Number,
+        locale
+      );
+      financials = parsed.values;
+      rowErrors.push(...parsed.errors);
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push({ line, message: rowErrors.join('; ') });
+      return;
+    }
+
+    const name = columnIndex.name === -1 ? '' : (cells[columnIndex.name] ?? '').trim();
+    records.push({ line, name: name || `Imported row ${line}`, inputs, financials });
+  });
+
+  return { records, errors };
+}
+
+/**
+ * Builds the results CSV (inputs, score, band, blockers, the path to the next band and the
+ * business case) for scored processes. Business case columns are blank for processes without one.
+ * Each custom factor adds a column after the six inputs. The last columns hold the assessor, the
+ * inputs without a justification and each input's justification note and evidence.
+ * @param {ScoredRow[]} rows
+ * @param {CustomFactor[]} [factors]
+ * @param {KnockOutRule[]} [rules] - the rules the rows were scored with, for the path to the next band
+ * @param {string} [locale] - language of the path to the next band
+ * @returns {string}
+ */
+function buildResultsCsv(rows, factors = [], rules = [], locale = DEFAULT_LOCALE) {
+  const headers = [
+    'name',
+    'processVolume',
+    'variance',
+    'exceptionRate',
+    'dataQuality',
+    'systemAccess',
+    'complianceSensitivity',
+    ...factors.map((f) => f.key),
+    'readinessScore',
+    'band',
+    'knockOuts',
+    'topBlockers',
+    'pathToNextBand',
+    'profile',
+    'weights',
+    ...Object.keys(FINANCIAL_CONSTRAINTS),
+    'annualHoursSaved',
+    'annualSavings',
+    'paybackMonths',
+    'npv',
+    'recommendation',
+    'assessor',
+    'assessedOn',
+    'unjustifiedInputs',
+    ...JUSTIFIED_INPUTS.flatMap((key) => [`${key}Note`, `${key}Evidence`]),
+  ];
+
+  const lines = rows.map(({ process, output, roi }) => {
+    const blockersText = output.topBlockers.map((b) => `${b.reason}: ${b.hint}`).join('; ');
+    const [nextStep] = buildImprovementPlan(
+      process.inputs,
+      process.profile.weights,
+      factors,
+      rules,
+      locale
+    ).steps;
+
+    return [
+      process.name,
+      process.inputs.processVolume,
+      process.inputs.variance,
+      process.inputs.exceptionRate,
+      process.inputs.dataQuality,
+      process.inputs.systemAccess,
+      process.inputs.complianceSensitivity,
+      ...factors.map((f) => process.inputs[f.key]),
+      output.readinessScore,
+      output.band,
+      (output.knockOuts ?? []).map((k) => `${k.rule}: ${k.reason}`).join('; '),
+      blockersText,
+      nextStep ? formatPlanStep(nextStep, locale) : '',
+      process.profile.name,
+      formatWeights(process.profile.weights),
+      ...Object.keys(FINANCIAL_CONSTRAINTS).map((key) => process.financials?.[key]),
+      roi?.annualHoursSaved,
+      roi?.annualSavings,
+      roi?.paybackMonths,
+      roi?.npv,
+      roi?.recommendation,
+      process.assessor?.name,
+      process.assessor?.date,
+      unjustifiedInputs(process.justifications).join('; '),
+      ...JUSTIFIED_INPUTS.flatMap((key) => {
+        const justification = process.justifications?.[key];
+        return [justification?.note, justification?.evidence.join('; ')];
+      }),
+    ]
+      .map(csvEscape)
+      .join(',');
+  });
+
+  return [headers.join(','), ...lines].join('\n');
+}
+
+export { csvEscape, parseCsv, parseImportTable, buildResultsCsv };
@@ -1,4 +1,4 @@
-// .eslintrc.js
+// .eslintrc.cjs
 module.exports = {
   env: {
     browser: true,
@@ -15,6 +15,8 @@ module.exports = {
     'no-unused-vars': ['error', { argsIgnorePattern: '^_' }],
     'prefer-const': 'error',
     'no-var': 'error',
+    // Native ES modules need explicit extensions in relative imports
+    'import/extensions': ['error', 'always', { ignorePackages: true }],
   },
   ignorePatterns: ['dist/', 'node_modules/', 'sw.js'],
 };
\ No newline at end of file
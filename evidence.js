@@ -0,0 +1,162 @@
+// evidence.js
+
+/**
+ * Justifications: why each of the six inputs has its value, with references to the evidence
+ * behind it (a document name, link text, a sample size), and who assessed the process when.
+ * An input without a justification note is flagged, so an auditor can tell a measured value
+ * from a guess.
+ */
+
+import { DEFAULT_INPUTS } from './scoring.js';
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+
+// --- TYPE DEFINITIONS (JSDoc) ---
+
+/**
+ * Why an input has its value
+ * @typedef {Object} Justification
+ * @property {string} note - the reasoning, e.g. "Sampled 200 invoices from March"
+ * @property {string[]} evidence - references, e.g. "Ops review Q1.pdf", "n=200 sample"
+ */
+
+/**
+ * Justifications per input key; inputs without one are unjustified
+ * @typedef {Object<string, Justification>} Justifications
+ */
+
+/**
+ * Who assessed a process, and when
+ * @typedef {Object} Assessor
+ * @property {string} name
+ * @property {string} date - YYYY-MM-DD
+ */
+
+// --- CONSTANTS ---
+
+/** The inputs that take a justification: the six built-in ones */
+const JUSTIFIED_INPUTS = Object.keys(DEFAULT_INPUTS);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// --- JUSTIFICATIONS ---
+
+/**
+ * Whether an input is justified: it has a note. Evidence alone doesn't explain the value.
+ * @param {Justification | undefined} justification
+ * @returns {boolean}
+ */
+const isJustified = (justification) => Boolean(justification && justification.note.trim());
+
+/**
+ * The inputs without a justification, in form order
+ * @param {Justifications | null} justifications
+ * @returns {string[]} input keys
+ */
+const unjustifiedInputs = (justifications) =>
+  JUSTIFIED_INPUTS.filter((key) => !isJustified(justifications?.[key]));
+
+/**
+ * Splits evidence text into references, one per line
+ * @param {string} text
+ * @returns {string[]}
+ */
+const parseEvidence = (text) =>
+  text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+/**
+ * Trims justifications and drops the empty ones
+ * @param {Justifications} justifications
+ * @returns {Justifications | null} null when no input has a note or evidence
+ */
+function cleanJustifications(justifications) {
+  const entries = Object.entries(justifications)
+    .map(([key, { note, evidence }]) => [
+      key,
+      { note: note.trim(), evidence: evidence.map((item) => item.trim()).filter(Boolean) },
+    ])
+    .filter(([, { note, evidence }]) => note !== '' || evidence.length > 0);
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+}
+
+/**
+ * Validates justifications
+ * @param {Justifications} justifications
+ * @param {string} [locale] - language of the messages
+ * @returns {string[]} error messages, e.g. "dataQuality: evidence: Must be a list of text"
+ */
+function validateJustifications(justifications, locale = DEFAULT_LOCALE) {
+  if (
+    justifications === null ||
+    typeof justifications !== 'object' ||
+    Array.isArray(justifications)
+  ) {
+    return [
+      translate(locale, 'validation.justifications.object', {}, 'Justifications must be an object'),
+    ];
+  }
+
+  const errors = [];
+  const fail = (field, key, fallback) =>
+    errors.push(`${field}: ${translate(locale, key, {}, fallback)}`);
+  Object.entries(justifications).forEach(([key, justification]) => {
+    if (!JUSTIFIED_INPUTS.includes(key)) {
+      fail(key, 'validation.unknownInput', 'Unknown input');
+      return;
+    }
+    if (justification === null || typeof justification !== 'object') {
+      fail(key, 'validation.type.object', 'Must be an object');
+      return;
+    }
+    if (typeof justification.note !== 'string') {
+      fail(`${key}: note`, 'validation.justifications.note', 'Must be text');
+    }
+    if (
+      !Array.isArray(justification.evidence) ||
+      !justification.evidence.every((item) => typeof item === 'string')
+    ) {
+      fail(`${key}: evidence`, 'validation.justifications.evidence', 'Must be a list of text');
+    }
+  });
+  return errors;
+}
+
+// --- ASSESSOR ---
+
+/**
+ * Validates an assessor
+ * @param {Assessor} assessor
+ * @param {string} [locale] - language of the messages
+ * @returns {string[]} error messages, e.g. "date: Must be a date (YYYY-MM-DD)"
+ */
+function validateAssessor(assessor, locale = DEFAULT_LOCALE) {
+  if (assessor === null || typeof assessor !== 'object' || Array.isArray(assessor)) {
+    return [translate(locale, 'validation.assessor.object', {}, 'Assessor must be an object')];
+  }
+
+  const errors = [];
+  if (typeof assessor.name !== 'string' || assessor.name.trim() === '') {
+    errors.push(`name: ${translate(locale, 'validation.missing', {}, 'Missing value')}`);
+  }
+  if (
+    typeof assessor.date !== 'string' ||
+    !DATE_PATTERN.test(assessor.date) ||
+    Number.isNaN(Date.parse(assessor.date))
+  ) {
+    const message = 'Must be a date (YYYY-MM-DD)';
+    errors.push(`date: ${translate(locale, 'validation.assessor.date', {}, message)}`);
+  }
+  return errors;
+}
+
+export {
+  JUSTIFIED_INPUTS,
+  isJustified,
+  unjustifiedInputs,
+  parseEvidence,
+  cleanJustifications,
+  validateJustifications,
+  validateAssessor,
+};
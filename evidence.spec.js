@@ -0,0 +1,115 @@
+// tests/evidence.spec.js
+import { describe, it, expect } from 'vitest';
+import {
+  JUSTIFIED_INPUTS,
+  isJustified,
+  unjustifiedInputs,
+  parseEvidence,
+  cleanJustifications,
+  validateJustifications,
+  validateAssessor,
+} from '../evidence.js';
+import { DEFAULT_INPUTS, calculateReadiness, serializeOutput } from '../scoring.js';
+import { toMarkdown, toHtml } from '../exporters.js';
+import { parseCsv, buildResultsCsv } from '../csv.js';
+import { createProcess, scorePortfolio } from '../portfolio.js';
+
+const JUSTIFICATIONS = {
+  dataQuality: {
+    note: 'Sampled 200 invoices from March',
+    evidence: ['Ops review Q1.pdf', 'n=200'],
+  },
+  variance: { note: '', evidence: ['Process map v2'] },
+};
+
+describe('Justifications', () => {
+  describe('unjustifiedInputs', () => {
+    it('should list the inputs without a note, in form order', () => {
+      expect(isJustified(JUSTIFICATIONS.dataQuality)).toBe(true);
+      // Evidence alone doesn't explain the value
+      expect(isJustified(JUSTIFICATIONS.variance)).toBe(false);
+      expect(unjustifiedInputs(JUSTIFICATIONS)).toEqual(
+        JUSTIFIED_INPUTS.filter((key) => key !== 'dataQuality')
+      );
+      expect(unjustifiedInputs(null)).toEqual(JUSTIFIED_INPUTS);
+    });
+  });
+
+  describe('cleanJustifications', () => {
+    it('should trim the fields and drop empty justifications', () => {
+      expect(parseEvidence(' a.pdf \r\n\n b.xlsx ')).toEqual(['a.pdf', 'b.xlsx']);
+      expect(
+        cleanJustifications({
+          dataQuality: { note: ' Sampled ', evidence: [' a.pdf ', ''] },
+          variance: { note: '  ', evidence: [] },
+        })
+      ).toEqual({ dataQuality: { note: 'Sampled', evidence: ['a.pdf'] } });
+      expect(cleanJustifications({ variance: { note: '', evidence: [] } })).toBeNull();
+    });
+  });
+
+  describe('validation', () => {
+    it('should accept valid justifications and assessors', () => {
+      expect(validateJustifications(JUSTIFICATIONS)).toEqual([]);
+      expect(validateAssessor({ name: 'Dana Smith', date: '2026-03-14' })).toEqual([]);
+    });
+
+    it('should name the invalid fields', () => {
+      expect(
+        validateJustifications({
+          sponsorship: { note: '', evidence: [] },
+          dataQuality: { note: 5, evidence: 'a.pdf' },
+        })
+      ).toEqual([
+        'sponsorship: Unknown input',
+        'dataQuality: note: Must be text',
+        'dataQuality: evidence: Must be a list of text',
+      ]);
+      expect(validateJustifications([])).toEqual(['Justifications must be an object']);
+      expect(validateAssessor({ name: ' ', date: '14/03/2026' })).toEqual([
+        'name: Missing value',
+        'date: Must be a date (YYYY-MM-DD)',
+      ]);
+    });
+  });
+
+  describe('exports', () => {
+    const data = {
+      process: 'Invoice matching',
+      inputs: DEFAULT_INPUTS,
+      profile: { name: 'Default' },
+      output: serializeOutput(calculateReadiness(DEFAULT_INPUTS)),
+      justifications: JUSTIFICATIONS,
+      assessor: { name: 'Dana Smith', date: '2026-03-14' },
+    };
+
+    it('should add a justification column and the assessor to Markdown and HTML', () => {
+      const markdown = toMarkdown(data, '');
+      expect(markdown).toContain('**Assessor:** Dana Smith on 2026-03-14');
+      expect(markdown).toContain(
+        '| Data Quality | 70 | Sampled 200 invoices from March (evidence: Ops review Q1.pdf; n=200) |'
+      );
+      expect(markdown).toContain(
+        '| Process Variance | 20 | ⚠ No justification (evidence: Process map v2) |'
+      );
+
+      const html = toHtml({ ...data, locale: 'de' }, '');
+      expect(html).toContain('Dana Smith am 2026-03-14');
+      expect(html).toContain('<td class="note unjustified">⚠ Keine Begründung</td>');
+    });
+
+    it('should add the assessor, the unjustified inputs and a note and evidence column per input to the CSV', () => {
+      const process = createProcess('Invoice matching', DEFAULT_INPUTS, {
+        justifications: JUSTIFICATIONS,
+        assessor: data.assessor,
+      });
+      const [header, row] = parseCsv(buildResultsCsv(scorePortfolio([process])));
+      const cells = Object.fromEntries(header.cells.map((column, i) => [column, row.cells[i]]));
+      expect(cells.assessor).toBe('Dana Smith');
+      expect(cells.assessedOn).toBe('2026-03-14');
+      expect(cells.dataQualityNote).toBe('Sampled 200 invoices from March');
+      expect(cells.dataQualityEvidence).toBe('Ops review Q1.pdf; n=200');
+      expect(cells.unjustifiedInputs).toContain('variance');
+    });
+  });
+});
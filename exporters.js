@@ -0,0 +1,355 @@
+// exporters.js
+
+/**
+ * Markdown and standalone HTML exports for wikis, tickets and pull requests, and the content of
+ * the printable report. All render the same data as the JSON export; every user-provided string
+ * is escaped. Headings and labels are in the export's locale.
+ */
+
+import { allInputLabels, allFactorLabels } from './scoring.js';
+import { describeSimulation } from './uncertainty.js';
+import { DEFAULT_LOCALE, translate, formatNumber } from './i18n.js';
+import { JUSTIFIED_INPUTS, isJustified } from './evidence.js';
+
+// --- TYPE DEFINITIONS (JSDoc) ---
+
+/** @typedef {import('./scoring.js').Inputs} Inputs */
+/** @typedef {import('./scoring.js').WeightsProfile} WeightsProfile */
+/** @typedef {import('./scoring.js').CustomFactor} CustomFactor */
+
+/**
+ * The JSON export of the active process (the fields used here; see app.js buildExportData)
+ * @typedef {Object} ExportData
+ * @property {string} process - process name
+ * @property {Inputs} inputs
+ * @property {WeightsProfile} profile
+ * @property {ReturnType<import('./scoring.js').serializeOutput>} output
+ * @property {CustomFactor[]} [factors] - custom factors, whose values are part of the inputs
+ * @property {import('./rules.js').KnockOutRule[]} [rules] - knock-out rules; `output.knockOuts` lists the ones that fired
+ * @property {import('./uncertainty.js').Simulation | null} [simulation] - present when the inputs have uncertainty ranges
+ * @property {import('./evidence.js').Justifications | null} [justifications] - when present, the inputs table gets a justification column
+ * @property {import('./evidence.js').Assessor | null} [assessor]
+ * @property {string} [locale] - language of the export, English by default
+ */
+
+/**
+ * The content of the printable report, formatted for display; the page lays it out
+ * @typedef {Object} Report
+ * @property {string} process - process name
+ * @property {string} assessor - "—" when nobody has assessed the process yet
+ * @property {string} assessedOn - likewise
+ * @property {string} profile - scoring profile name
+ * @property {number} score
+ * @property {string} band - band name
+ * @property {string} narrative
+ * @property {string} confidence - the confidence interval and band chances; '' without ranges
+ * @property {[string, string][]} inputs - label and value of each input
+ * @property {[string, string][]} weights - label and percentage of each factor
+ * @property {{reason: string, impact: string, hint: string}[]} blockers
+ * @property {{label: string, note: string, missing: boolean, evidence: string[]}[]} justifications -
+ *   one per built-in input; note is '' when missing
+ */
+
+// --- CONSTANTS ---
+
+const BAND_EMOJI = { Green: '🟢', Yellow: '🟡', Red: '🔴' };
+
+/**
+ * Formats the score points a blocker costs, e.g. "−7.5 pts"
+ * @param {{ impact: number }} blocker
+ * @param {string} locale
+ * @returns {string}
+ */
+const formatImpact = (blocker, locale) =>
+  translate(locale, 'blocker.impact', {
+    points: formatNumber(blocker.impact, locale, {
+      minimumFractionDigits: 1,
+      maximumFractionDigits: 1,
+    }),
+  });
+
+/**
+ * Input rows of an export: localized label, formatted value and key per input
+ * @param {ExportData} data
+ * @param {string} locale
+ * @returns {[string, string, string][]}
+ */
+const inputRows = (data, locale) =>
+  Object.entries(allInputLabels(data.factors, locale)).map(([key, label]) => [
+    label,
+    typeof data.inputs[key] === 'number' ? formatNumber(data.inputs[key], locale) : '',
+    key,
+  ]);
+
+/**
+ * Justification of an input as one line of text: the note and the evidence, with a warning
+ * first when there is no note. Custom factors take no justification.
+ * @param {ExportData} data
+ * @param {string} key - input key
+ * @param {string} locale
+ * @returns {{ text: string, missing: boolean }}
+ */
+function describeJustification(data, key, locale) {
+  if (!JUSTIFIED_INPUTS.includes(key)) return { text: '', missing: false };
+  const justification = data.justifications?.[key];
+  const missing = !isJustified(justification);
+  const parts = [missing ? `⚠ ${translate(locale, 'export.unjustified')}` : justification.note];
+  if (justification?.evidence.length > 0) {
+    parts.push(
+      `(${translate(locale, 'export.evidence', { evidence: justification.evidence.join('; ') })})`
+    );
+  }
+  return { text: parts.join(' '), missing };
+}
+
+// --- ESCAPING ---
+
+/**
+ * Escapes text for HTML element content and attribute values
+ * @param {string | number} value
+ * @returns {string}
+ */
+const escapeHtml = (value) =>
+  String(value ?? '').replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+  );
+
+/**
+ * Escapes text for inline Markdown, including table cells: Markdown syntax characters are
+ * backslash-escaped, HTML is neutralised and line breaks become spaces
+ * @param {string | number} value
+ * @returns {string}
+ */
+const escapeMarkdown = (value) =>
+  String(value ?? '')
+    .replace(/\r?\n/g, ' ')
+    .replace(/[\\`*_{}[\]<>#|~]/g, '\\$&');
+
+/**
+ * Makes a URL safe to use as a Markdown link target or an HTML href.
+ * Only http(s) URLs are linked.
+ * @param {string} url
+ * @returns {string} empty when the URL can't be linked
+ */
+function safeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return '';
+    return parsed.href.replace(/[()<> ]/g, (char) => `%${char.charCodeAt(0).toString(16)}`);
+  } catch (e) {
+    return '';
+  }
+}
+
+// --- EXPORTS ---
+
+/**
+ * Renders the assessment as Markdown
+ * @param {ExportData} data
+ * @param {string} url - link back to the exact scenario
+ * @returns {string}
+ */
+function toMarkdown(data, url) {
+  const { output } = data;
+  const locale = data.locale ?? DEFAULT_LOCALE;
+  const t = (key, params) => translate(locale, key, params);
+  const lines = [
+    `# ${t('export.title', { process: escapeMarkdown(data.process) })}`,
+    '',
+    `**${t('export.score')}:** ${output.readinessScore} / 100 · **${t('export.band')}:** ${BAND_EMOJI[output.band]} ${t(`band.${output.band}`)} · **${t('export.profile')}:** ${escapeMarkdown(translate(locale, `profile.${data.profile.name}`, {}, data.profile.name))}`,
+    '',
+    escapeMarkdown(output.narrative),
+    '',
+  ];
+
+  if (data.assessor) {
+    lines.push(
+      `**${t('export.assessor')}:** ${escapeMarkdown(t('export.assessedBy', data.assessor))}`,
+      ''
+    );
+  }
+
+  if (output.knockOuts?.length > 0) {
+    lines.push(
+      `**${t('export.overridden')}** (${t('export.weightedScore', { score: output.weightedScore })}):`,
+      ''
+    );
+    output.knockOuts.forEach((k) => {
+      lines.push(`- **${escapeMarkdown(k.rule)}**: ${escapeMarkdown(k.reason)}`);
+    });
+    lines.push('');
+  }
+
+  if (data.simulation) {
+    lines.push(`**${t('export.confidence')}:** ${describeSimulation(data.simulation, locale)}`, '');
+  }
+
+  const justified = 'justifications' in data;
+  lines.push(
+    `## ${t('export.inputs')}`,
+    '',
+    justified
+      ? `| ${t('export.input')} | ${t('export.value')} | ${t('export.justification')} |`
+      : `| ${t('export.input')} | ${t('export.value')} |`,
+    justified ? '|-------|------:|---------------|' : '|-------|------:|',
+    ...inputRows(data, locale).map(([label, value, key]) =>
+      justified
+        ? `| ${escapeMarkdown(label)} | ${escapeMarkdown(value)} | ${escapeMarkdown(describeJustification(data, key, locale).text)} |`
+        : `| ${escapeMarkdown(label)} | ${escapeMarkdown(value)} |`
+    ),
+    '',
+    `## ${t('export.blockers')}`,
+    ''
+  );
+
+  if (output.topBlockers.length === 0) {
+    lines.push(t('export.noBlockers'));
+  } else {
+    output.topBlockers.forEach((blocker, i) => {
+      lines.push(
+        `${i + 1}. **${escapeMarkdown(blocker.reason)}** (${formatImpact(blocker, locale)}): ${escapeMarkdown(blocker.hint)}`
+      );
+    });
+  }
+
+  const link = safeUrl(url);
+  if (link) {
+    lines.push('', `[${t('export.link')}](${link})`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Renders the assessment as a standalone HTML document with inline styles
+ * @param {ExportData} data
+ * @param {string} url - link back to the exact scenario
+ * @returns {string}
+ */
+function toHtml(data, url) {
+  const { output } = data;
+  const locale = data.locale ?? DEFAULT_LOCALE;
+  const t = (key, params) => translate(locale, key, params);
+  const title = t('export.title', { process: escapeHtml(data.process) });
+  const rows = inputRows(data, locale)
+    .map(([label, value, key]) => {
+      if (!('justifications' in data)) {
+        return `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`;
+      }
+      const { text, missing } = describeJustification(data, key, locale);
+      return `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td><td class="${missing ? 'note unjustified' : 'note'}">${escapeHtml(text)}</td></tr>`;
+    })
+    .join('\n      ');
+  const blockers =
+    output.topBlockers.length === 0
+      ? `<p>${escapeHtml(t('export.noBlockers'))}</p>`
+      : `<ol>\n${output.topBlockers
+          .map(
+            (b) =>
+              `    <li><strong>${escapeHtml(b.reason)}</strong> (${formatImpact(b, locale)})<br>${escapeHtml(b.hint)}</li>`
+          )
+          .join('\n')}\n  </ol>`;
+  const knockOuts =
+    output.knockOuts?.length > 0
+      ? `  <p><strong>${escapeHtml(t('export.overridden'))}</strong> (${escapeHtml(t('export.weightedScore', { score: output.weightedScore }))}):</p>\n  <ul>\n${output.knockOuts
+          .map(
+            (k) => `    <li><strong>${escapeHtml(k.rule)}</strong>: ${escapeHtml(k.reason)}</li>`
+          )
+          .join('\n')}\n  </ul>\n`
+      : '';
+  const confidence = data.simulation
+    ? `  <p><strong>${escapeHtml(t('export.confidence'))}:</strong> ${escapeHtml(describeSimulation(data.simulation, locale))}</p>\n`
+    : '';
+  const assessor = data.assessor
+    ? `  <p><strong>${escapeHtml(t('export.assessor'))}:</strong> ${escapeHtml(t('export.assessedBy', data.assessor))}</p>\n`
+    : '';
+  const link = safeUrl(url);
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+  <meta charset="UTF-8">
+  <title>${title}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 720px; margin: 2rem auto; padding: 0 1rem; color: #333; }
+    table { border-collapse: collapse; }
+    th, td { text-align: left; padding: 0.25rem 1rem 0.25rem 0; border-bottom: 1px solid #ddd; }
+    td { text-align: right; }
+    td.note { text-align: left; }
+    .unjustified { color: #D32F2F; }
+    li { margin-bottom: 0.5rem; }
+    .band { display: inline-block; padding: 0.1rem 0.6rem; border-radius: 100px; color: #fff; font-weight: 600; }
+    .band-green { background-color: #388E3C; }
+    .band-yellow { background-color: #FBC02D; color: #333; }
+    .band-red { background-color: #D32F2F; }
+  </style>
+</head>
+<body>
+  <h1>${title}</h1>
+  <p>
+    <strong>${escapeHtml(t('export.score'))}:</strong> ${output.readinessScore} / 100
+    <span class="band band-${output.band.toLowerCase()}">${escapeHtml(t(`band.${output.band}`))}</span>
+    <strong>${escapeHtml(t('export.profile'))}:</strong> ${escapeHtml(translate(locale, `profile.${data.profile.name}`, {}, data.profile.name))}
+  </p>
+  <p>${escapeHtml(output.narrative)}</p>
+${assessor}${knockOuts}${confidence}  <h2>${escapeHtml(t('export.inputs'))}</h2>
+  <table>
+    <tbody>
+      ${rows}
+    </tbody>
+  </table>
+  <h2>${escapeHtml(t('export.blockers'))}</h2>
+  ${blockers}
+${link ? `  <p><a href="${escapeHtml(link)}">${escapeHtml(t('export.link'))}</a></p>\n` : ''}</body>
+</html>
+`;
+}
+
+// --- REPORT ---
+
+/**
+ * Assembles the content of the printable report
+ * @param {ExportData} data
+ * @returns {Report}
+ */
+function buildReport(data) {
+  const { output, assessor } = data;
+  const locale = data.locale ?? DEFAULT_LOCALE;
+  const number = (value) => formatNumber(value, locale, { maximumFractionDigits: 1 });
+  const factorLabels = allFactorLabels(data.factors, locale);
+  const inputLabels = allInputLabels(data.factors, locale);
+
+  return {
+    process: data.process,
+    assessor: assessor ? assessor.name : '—',
+    assessedOn: assessor ? assessor.date : '—',
+    profile: translate(locale, `profile.${data.profile.name}`, {}, data.profile.name),
+    score: output.readinessScore,
+    band: translate(locale, `band.${output.band}`, {}, output.band),
+    narrative: output.narrative,
+    confidence: data.simulation ? describeSimulation(data.simulation, locale) : '',
+    inputs: Object.entries(inputLabels).map(([key, label]) => [label, number(data.inputs[key])]),
+    weights: Object.entries(output.weights).map(([key, weight]) => [
+      factorLabels[key],
+      `${number(weight * 100)}%`,
+    ]),
+    blockers: output.topBlockers.map((b) => ({
+      reason: b.reason,
+      impact: formatImpact(b, locale),
+      hint: b.hint,
+    })),
+    justifications: JUSTIFIED_INPUTS.map((key) => {
+      const justification = data.justifications?.[key];
+      const missing = !isJustified(justification);
+      return {
+        label: inputLabels[key],
+        note: missing ? '' : justification.note,
+        missing,
+        evidence: justification?.evidence ?? [],
+      };
+    }),
+  };
+}
+
+export { escapeHtml, escapeMarkdown, safeUrl, toMarkdown, toHtml, buildReport };
@@ -0,0 +1,133 @@
+// tests/exporters.spec.js
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_INPUTS, calculateReadiness, serializeOutput } from '../scoring.js';
+import {
+  escapeHtml,
+  escapeMarkdown,
+  safeUrl,
+  toMarkdown,
+  toHtml,
+  buildReport,
+} from '../exporters.js';
+import { DEFAULT_RULES, applyRules } from '../rules.js';
+
+const SHARE_URL = 'https://example.com/?pv=1000&v=20&e=10&dq=70&sa=60&c=30&wp=Default';
+
+const dataFor = (process) => ({
+  process,
+  inputs: DEFAULT_INPUTS,
+  profile: { name: 'Default' },
+  output: serializeOutput(calculateReadiness(DEFAULT_INPUTS)),
+});
+
+describe('Markdown and HTML exports', () => {
+  describe('toMarkdown', () => {
+    it('should render the score, inputs table, blockers and scenario link', () => {
+      const markdown = toMarkdown(dataFor('Invoice matching'), SHARE_URL);
+      expect(markdown).toContain('# Automation Readiness: Invoice matching');
+      expect(markdown).toContain('**Score:** 77 / 100');
+      expect(markdown).toContain('| Data Quality | 70 |');
+      expect(markdown).toMatch(/^1\. \*\*Low System Access\*\* \(−6\.0 pts\): Expose APIs/m);
+      expect(markdown).toContain(`(${SHARE_URL})`);
+    });
+
+    it('should explain knock-out rules that overrode the score', () => {
+      const inputs = { ...DEFAULT_INPUTS, systemAccess: 10 };
+      const data = {
+        ...dataFor('Invoice matching'),
+        inputs,
+        output: serializeOutput(applyRules(calculateReadiness(inputs), inputs, DEFAULT_RULES)),
+      };
+      const markdown = toMarkdown(data, SHARE_URL);
+      expect(markdown).toContain('**Overridden by knock-out rules** (weighted score 69):');
+      expect(markdown).toContain('- **System Access \\< 15 → Red**: The target systems');
+      expect(toHtml(data, SHARE_URL)).toContain(
+        '<li><strong>System Access &lt; 15 → Red</strong>:'
+      );
+      expect(toMarkdown(dataFor('A'), SHARE_URL)).not.toContain('knock-out');
+    });
+
+    it('should escape Markdown and HTML in user text', () => {
+      const markdown = toMarkdown(dataFor('A | *B* <img src=x onerror=alert(1)>'), SHARE_URL);
+      expect(markdown).toContain('A \\| \\*B\\* \\<img src=x onerror=alert(1)\\>');
+    });
+  });
+
+  describe('toHtml', () => {
+    it('should render a standalone document', () => {
+      const html = toHtml(dataFor('Invoice matching'), SHARE_URL);
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).toContain('<tr><th>Data Quality</th><td>70</td></tr>');
+      expect(html).toContain(`<a href="${SHARE_URL.replace(/&/g, '&amp;')}">`);
+    });
+
+    it('should escape user text', () => {
+      const html = toHtml(dataFor('<script>alert("x")</script>'), SHARE_URL);
+      expect(html).not.toContain('<script>');
+      expect(html).toContain('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;');
+    });
+
+    it('should leave out links that are not http(s)', () => {
+      expect(toHtml(dataFor('A'), 'data:text/html,hi')).not.toContain('<a ');
+    });
+  });
+
+  describe('buildReport', () => {
+    it('should assemble the report in the given language', () => {
+      const data = {
+        ...dataFor('Invoice matching'),
+        assessor: { name: 'Dana', date: '2024-03-01' },
+        locale: 'de',
+      };
+      const report = buildReport(data);
+      expect(report).toMatchObject({
+        process: 'Invoice matching',
+        assessor: 'Dana',
+        assessedOn: '2024-03-01',
+        score: data.output.readinessScore,
+        confidence: '',
+      });
+      expect(report.band).not.toBe(data.output.band);
+      expect(report.inputs[0]).toEqual(['Prozessvolumen', '1.000']);
+      expect(report.weights).toContainEqual(['Volumenpotenzial', '10%']);
+      expect(buildReport({ ...data, locale: 'en' }).inputs[0]).toEqual(['Process Volume', '1,000']);
+    });
+
+    it('should mark missing justifications and fill in dashes without an assessor', () => {
+      const report = buildReport({
+        ...dataFor('A'),
+        justifications: { dataQuality: { note: 'Checked 200 records', evidence: ['audit.xlsx'] } },
+      });
+      expect(report.assessor).toBe('—');
+      expect(report.assessedOn).toBe('—');
+      expect(report.justifications.find((j) => j.label === 'Data Quality')).toEqual({
+        label: 'Data Quality',
+        note: 'Checked 200 records',
+        missing: false,
+        evidence: ['audit.xlsx'],
+      });
+      expect(report.justifications.filter((j) => j.missing)).toHaveLength(
+        report.justifications.length - 1
+      );
+    });
+
+    it('should list the blockers with their impact', () => {
+      const inputs = { ...DEFAULT_INPUTS, systemAccess: 10 };
+      const output = serializeOutput(applyRules(calculateReadiness(inputs), inputs, DEFAULT_RULES));
+      const report = buildReport({ ...dataFor('A'), inputs, output });
+      expect(report.blockers).toHaveLength(output.topBlockers.length);
+      expect(report.blockers[0].reason).toBe(output.topBlockers[0].reason);
+      expect(report.blockers[0].impact).not.toBe('');
+    });
+  });
+
+  describe('escaping helpers', () => {
+    it('should escape the characters that matter', () => {
+      expect(escapeHtml(`<a href="x">'&'</a>`)).toBe(
+        '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;'
+      );
+      expect(escapeMarkdown('line 1\n[link](x) `code`')).toBe('line 1 \\[link\\](x) \\`code\\`');
+      expect(safeUrl('https://example.com/a (b)')).toBe('https://example.com/a%20%28b%29');
+    });
+  });
+});
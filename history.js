@@ -0,0 +1,151 @@
+// history.js
+
+/**
+ * Assessment history: timestamped snapshots of a process and the changes between them
+ */
+
+import { INPUT_LABELS, allInputLabels } from './scoring.js';
+import { DEFAULT_LOCALE } from './i18n.js';
+
+// --- TYPE DEFINITIONS (JSDoc) ---
+
+/** @typedef {import('./scoring.js').Inputs} Inputs */
+/** @typedef {import('./scoring.js').Output} Output */
+/** @typedef {import('./scoring.js').Weights} Weights */
+/** @typedef {import('./scoring.js').WeightsProfile} WeightsProfile */
+/** @typedef {import('./scoring.js').CustomFactor} CustomFactor */
+/** @typedef {import('./questionnaire.js').Answers} Answers */
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {string} timestamp - ISO 8601
+ * @property {Inputs} inputs
+ * @property {WeightsProfile} profile
+ * @property {number} readinessScore
+ * @property {"Red" | "Yellow" | "Green"} band
+ * @property {Weights} subscores - rounded to one decimal
+ * @property {Answers} [answers] - questionnaire answers, when the inputs were derived from them
+ */
+
+/**
+ * @typedef {Object} InputChange
+ * @property {keyof Inputs} input
+ * @property {string} label
+ * @property {number} from
+ * @property {number} to
+ */
+
+/**
+ * @typedef {Object} ChangeLogEntry
+ * @property {string} timestamp - when the later snapshot was taken
+ * @property {Snapshot | null} previous - null for the first snapshot (the baseline)
+ * @property {Snapshot} snapshot
+ * @property {InputChange[]} changes
+ * @property {boolean} weightsChanged
+ */
+
+// --- CONSTANTS ---
+
+/** Oldest snapshots are dropped beyond this many per process */
+const MAX_SNAPSHOTS = 100;
+
+// --- SNAPSHOTS ---
+
+/**
+ * Creates a snapshot of a process's current assessment
+ * @param {Inputs} inputs
+ * @param {Output} output
+ * @param {WeightsProfile} profile
+ * @param {Date} [now]
+ * @param {Answers | null} [answers]
+ * @returns {Snapshot}
+ */
+function createSnapshot(inputs, output, profile, now = new Date(), answers = null) {
+  return {
+    timestamp: now.toISOString(),
+    inputs: { ...inputs },
+    profile: { name: profile.name, weights: { ...profile.weights } },
+    readinessScore: output.readinessScore,
+    band: output.band,
+    subscores: Object.fromEntries(
+      Object.entries(output.subscores).map(([key, value]) => [key, Math.round(value * 10) / 10])
+    ),
+    ...(answers ? { answers: { ...answers } } : {}),
+  };
+}
+
+/**
+ * Lists the inputs that moved between two snapshots, custom factor values included
+ * @param {Snapshot} previous
+ * @param {Snapshot} next
+ * @param {CustomFactor[]} [factors] - for the labels of custom factors
+ * @param {string} [locale] - language of the labels
+ * @returns {InputChange[]}
+ */
+function diffSnapshots(previous, next, factors = [], locale = DEFAULT_LOCALE) {
+  const labels = allInputLabels(factors, locale);
+  const inputs = new Set([
+    ...Object.keys(INPUT_LABELS),
+    ...Object.keys(previous.inputs),
+    ...Object.keys(next.inputs),
+  ]);
+  return [...inputs]
+    .filter((input) => previous.inputs[input] !== next.inputs[input])
+    .map((input) => ({
+      input,
+      label: labels[input] || input,
+      from: previous.inputs[input],
+      to: next.inputs[input],
+    }));
+}
+
+/**
+ * Whether two snapshots were scored with different weights
+ * @param {Snapshot} previous
+ * @param {Snapshot} next
+ * @returns {boolean}
+ */
+const weightsDiffer = (previous, next) =>
+  Object.keys(next.profile.weights).some(
+    (key) => previous.profile.weights[key] !== next.profile.weights[key]
+  );
+
+/**
+ * Adds a snapshot to a history, unless it repeats the latest one.
+ * Keeps at most MAX_SNAPSHOTS, dropping the oldest.
+ * @param {Snapshot[]} history - oldest first
+ * @param {Snapshot} snapshot
+ * @returns {{history: Snapshot[], added: boolean}}
+ */
+function appendSnapshot(history, snapshot) {
+  const latest = history[history.length - 1];
+  if (latest && diffSnapshots(latest, snapshot).length === 0 && !weightsDiffer(latest, snapshot)) {
+    return { history, added: false };
+  }
+  return { history: [...history, snapshot].slice(-MAX_SNAPSHOTS), added: true };
+}
+
+/**
+ * Builds the change log: one entry per snapshot, newest first, with the inputs that moved
+ * since the snapshot before it
+ * @param {Snapshot[]} history - oldest first
+ * @param {CustomFactor[]} [factors] - for the labels of custom factors
+ * @param {string} [locale] - language of the labels
+ * @returns {ChangeLogEntry[]}
+ */
+function buildChangeLog(history, factors = [], locale = DEFAULT_LOCALE) {
+  return history
+    .map((snapshot, i) => {
+      const previous = i > 0 ? history[i - 1] : null;
+      return {
+        timestamp: snapshot.timestamp,
+        previous,
+        snapshot,
+        changes: previous ? diffSnapshots(previous, snapshot, factors, locale) : [],
+        weightsChanged: previous ? weightsDiffer(previous, snapshot) : false,
+      };
+    })
+    .reverse();
+}
+
+export { MAX_SNAPSHOTS, createSnapshot, diffSnapshots, appendSnapshot, buildChangeLog };
@@ -0,0 +1,95 @@
+// tests/history.spec.js
+import { describe, it, expect } from 'vitest';
+import { calculateReadiness, WEIGHTS, BUILT_IN_PROFILES } from '../scoring.js';
+import {
+  MAX_SNAPSHOTS,
+  createSnapshot,
+  diffSnapshots,
+  appendSnapshot,
+  buildChangeLog,
+} from '../history.js';
+
+const INPUTS = {
+  processVolume: 1000,
+  variance: 40,
+  exceptionRate: 30,
+  dataQuality: 40,
+  systemAccess: 50,
+  complianceSensitivity: 40,
+};
+
+const PROFILE = { name: 'Default', weights: WEIGHTS };
+
+const snapshotOf = (inputs, date, profile = PROFILE) =>
+  createSnapshot(inputs, calculateReadiness(inputs, profile.weights), profile, new Date(date));
+
+describe('Assessment history', () => {
+  describe('createSnapshot', () => {
+    it('should record the timestamp, inputs, score, band and subscores', () => {
+      const snapshot = snapshotOf(INPUTS, '2024-01-15T10:00:00Z');
+      expect(snapshot.timestamp).toBe('2024-01-15T10:00:00.000Z');
+      expect(snapshot.inputs).toEqual(INPUTS);
+      expect(snapshot.band).toBe(calculateReadiness(INPUTS).band);
+      expect(snapshot.subscores.dataQuality).toBe(40);
+      expect(snapshot.subscores.volumePotential).toBe(94.5);
+    });
+  });
+
+  describe('diffSnapshots', () => {
+    it('should list the inputs that moved', () => {
+      const before = snapshotOf(INPUTS, '2024-01-15');
+      const after = snapshotOf({ ...INPUTS, dataQuality: 80 }, '2024-04-15');
+      expect(diffSnapshots(before, after)).toEqual([
+        { input: 'dataQuality', label: 'Data Quality', from: 40, to: 80 },
+      ]);
+    });
+  });
+
+  describe('appendSnapshot', () => {
+    it('should skip a snapshot that repeats the latest one', () => {
+      const first = appendSnapshot([], snapshotOf(INPUTS, '2024-01-15'));
+      expect(first.added).toBe(true);
+
+      const repeat = appendSnapshot(first.history, snapshotOf(INPUTS, '2024-02-15'));
+      expect(repeat.added).toBe(false);
+      expect(repeat.history.length).toBe(1);
+    });
+
+    it('should keep a snapshot when only the weights changed', () => {
+      const regulated = BUILT_IN_PROFILES.find((p) => p.name === 'Regulated');
+      const { history } = appendSnapshot([], snapshotOf(INPUTS, '2024-01-15'));
+      expect(appendSnapshot(history, snapshotOf(INPUTS, '2024-02-15', regulated)).added).toBe(true);
+    });
+
+    it('should drop the oldest snapshots beyond the limit', () => {
+      let history = [];
+      for (let i = 0; i <= MAX_SNAPSHOTS; i += 1) {
+        ({ history } = appendSnapshot(
+          history,
+          snapshotOf({ ...INPUTS, processVolume: i }, Date.UTC(2024, 0, 1 + i))
+        ));
+      }
+      expect(history.length).toBe(MAX_SNAPSHOTS);
+      expect(history[0].inputs.processVolume).toBe(1);
+    });
+  });
+
+  describe('buildChangeLog', () => {
+    it('should list snapshots newest first with the changes since the previous one', () => {
+      const history = [
+        snapshotOf(INPUTS, '2024-01-15'),
+        snapshotOf({ ...INPUTS, dataQuality: 80 }, '2024-04-15'),
+        snapshotOf({ ...INPUTS, dataQuality: 80, systemAccess: 90 }, '2024-07-15'),
+      ];
+      const log = buildChangeLog(history);
+
+      expect(log.map((entry) => entry.changes.map((c) => c.input))).toEqual([
+        ['systemAccess'],
+        ['dataQuality'],
+        [],
+      ]);
+      expect(log[2].previous).toBeNull();
+      expect(log[0].snapshot.readinessScore).toBeGreaterThan(log[1].snapshot.readinessScore);
+    });
+  });
+});
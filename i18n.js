@@ -0,0 +1,90 @@
+// i18n.js
+
+/**
+ * Localization: message catalogs, lookup with English fallback, and locale-aware formatting.
+ * Scoring modules keep their English text as constants and pass it as the fallback, so the
+ * English catalog holds the interface strings only; the other catalogs translate both.
+ */
+
+import EN from './locale-en.js';
+import FR from './locale-fr.js';
+import DE from './locale-de.js';
+
+// --- TYPE DEFINITIONS (JSDoc) ---
+
+/**
+ * @typedef {"en" | "fr" | "de"} Locale
+ */
+
+/**
+ * Message per key; `{name}` placeholders are filled in by translate
+ * @typedef {Object<string, string>} Catalog
+ */
+
+// --- CONSTANTS ---
+
+/** @type {Locale} */
+const DEFAULT_LOCALE = 'en';
+
+/** Supported locales with their names in their own language, for the language switcher */
+const LOCALES = { en: 'English', fr: 'Français', de: 'Deutsch' };
+
+/** @type {Object<Locale, Catalog>} */
+const MESSAGES = { en: EN, fr: FR, de: DE };
+
+// --- LOOKUP ---
+
+/**
+ * Picks the first supported locale from the user's preferences by language, e.g.
+ * ["de-AT", "en"] → "de"
+ * @param {string | readonly string[] | undefined} preferred - e.g. navigator.languages
+ * @returns {Locale}
+ */
+function resolveLocale(preferred) {
+  const candidates = Array.isArray(preferred) ? preferred : [preferred];
+  const match = candidates
+    .filter((tag) => typeof tag === 'string')
+    .map((tag) => tag.toLowerCase().split(/[-_]/)[0])
+    .find((language) => language in LOCALES);
+  return match ?? DEFAULT_LOCALE;
+}
+
+/**
+ * Looks up a message and fills in its placeholders. Falls back to the English catalog,
+ * then to `fallback`, then to the key itself.
+ * @param {string} locale
+ * @param {string} key - e.g. "toast.copyFailed" or "blocker.dataQuality.reason"
+ * @param {Object<string, string | number>} [params] - values for `{name}` placeholders
+ * @param {string} [fallback] - English text kept by the caller
+ * @returns {string}
+ */
+function translate(locale, key, params = {}, fallback = undefined) {
+  const message = MESSAGES[locale]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? fallback ?? key;
+  if (!message.includes('{')) return message;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in params ? String(params[name]) : placeholder
+  );
+}
+
+// --- FORMATTING ---
+
+/**
+ * Formats a number for a locale, e.g. 12500 → "12,500" (en), "12 500" (fr), "12.500" (de)
+ * @param {number} value
+ * @param {string} locale
+ * @param {Intl.NumberFormatOptions} [options]
+ * @returns {string}
+ */
+const formatNumber = (value, locale, options = {}) =>
+  new Intl.NumberFormat(locale, options).format(value);
+
+/**
+ * Joins items into a list for a locale, e.g. ["A", "B"] → "A and B" (en), "A et B" (fr)
+ * @param {string[]} items
+ * @param {string} locale
+ * @returns {string}
+ */
+const formatList = (items, locale) =>
+  new Intl.ListFormat(locale, { style: 'long', type: 'conjunction' }).format(items);
+
+export { DEFAULT_LOCALE, LOCALES, MESSAGES, resolveLocale, translate, formatNumber, formatList };
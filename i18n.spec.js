@@ -0,0 +1,146 @@
+// tests/i18n.spec.js
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_LOCALE,
+  LOCALES,
+  MESSAGES,
+  resolveLocale,
+  translate,
+  formatNumber,
+  formatList,
+} from '../i18n.js';
+import { DEFAULT_INPUTS, calculateReadiness, serializeOutput, validateInput } from '../scoring.js';
+import { DEFAULT_RULES, applyRules, describeRule } from '../rules.js';
+import { toMarkdown, toHtml } from '../exporters.js';
+
+const RED_INPUTS = {
+  ...DEFAULT_INPUTS,
+  variance: 80,
+  exceptionRate: 60,
+  dataQuality: 10,
+  systemAccess: 10,
+};
+
+/** Placeholder names of a message, sorted */
+const placeholders = (message) => [...message.matchAll(/\{(\w+)\}/g)].map((m) => m[1]).sort();
+
+describe('Localization', () => {
+  describe('resolveLocale', () => {
+    it('should pick the first supported language, ignoring the region', () => {
+      expect(resolveLocale(['de-AT', 'en-US'])).toBe('de');
+      expect(resolveLocale(['es-ES', 'fr-CA'])).toBe('fr');
+      expect(resolveLocale('fr_FR')).toBe('fr');
+    });
+
+    it('should fall back to English', () => {
+      expect(resolveLocale(['es', 'it'])).toBe(DEFAULT_LOCALE);
+      expect(resolveLocale(undefined)).toBe(DEFAULT_LOCALE);
+    });
+  });
+
+  describe('translate', () => {
+    it('should fill in placeholders', () => {
+      expect(translate('en', 'toast.imported', { count: 3 })).toBe('✓ Imported 3 rows');
+      expect(translate('de', 'band.Green')).toBe('Grün');
+    });
+
+    it('should fall back to English, then to the given text, then to the key', () => {
+      expect(translate('xx', 'band.Red')).toBe('Red');
+      expect(translate('fr', 'no.such.key', {}, 'Fallback {n}')).toBe('Fallback {n}');
+      expect(translate('fr', 'no.such.key')).toBe('no.such.key');
+    });
+  });
+
+  describe('catalogs', () => {
+    it('should translate every English message, with the same placeholders', () => {
+      Object.keys(LOCALES)
+        .filter((locale) => locale !== 'en')
+        .forEach((locale) => {
+          Object.entries(MESSAGES.en).forEach(([key, message]) => {
+            expect(MESSAGES[locale][key], `${locale}: ${key}`).toBeDefined();
+            expect(placeholders(MESSAGES[locale][key]), `${locale}: ${key}`).toEqual(
+              placeholders(message)
+            );
+          });
+        });
+    });
+
+    it('should have the same keys in French and German', () => {
+      expect(Object.keys(MESSAGES.de).sort()).toEqual(Object.keys(MESSAGES.fr).sort());
+    });
+  });
+
+  describe('formatting', () => {
+    it('should format numbers the way each language writes them', () => {
+      expect(formatNumber(12500, 'en')).toBe('12,500');
+      expect(formatNumber(12500, 'de')).toBe('12.500');
+      expect(formatNumber(7.5, 'fr', { minimumFractionDigits: 1 })).toBe('7,5');
+    });
+
+    it('should join lists with the language’s conjunction', () => {
+      expect(formatList(['A', 'B'], 'en')).toBe('A and B');
+      expect(formatList(['A', 'B'], 'fr')).toBe('A et B');
+      expect(formatList(['A', 'B'], 'de')).toBe('A und B');
+    });
+  });
+
+  describe('scoring text', () => {
+    it('should translate narratives and blockers but keep the band key', () => {
+      const result = calculateReadiness(RED_INPUTS, undefined, [], 'fr');
+      expect(result.band).toBe('Red');
+      expect(result.narrative).toBe(translate('fr', 'narrative.Red'));
+      expect(result.topBlockers.map((b) => b.reason)).toContain('Faible qualité des données');
+      expect(result.topBlockers.every((b) => b.hint !== '')).toBe(true);
+    });
+
+    it('should leave the English output unchanged by default', () => {
+      expect(calculateReadiness(RED_INPUTS)).toEqual(
+        calculateReadiness(RED_INPUTS, undefined, [], 'en')
+      );
+    });
+
+    it('should translate validation messages', () => {
+      expect(validateInput('dataQuality', 120, undefined, 'de').message).toBe(
+        'Der Wert darf höchstens 100 sein'
+      );
+      expect(validateInput('dataQuality', -1, undefined, 'fr').message).toBe(
+        'La valeur doit être au moins 0'
+      );
+    });
+
+    it('should translate the default knock-out rules and their effect', () => {
+      const rule = DEFAULT_RULES.find((r) => r.id === 'no-system-access');
+      expect(describeRule(rule, [], 'de')).toContain('Rot');
+      const inputs = { ...DEFAULT_INPUTS, systemAccess: 10 };
+      const result = applyRules(
+        calculateReadiness(inputs, undefined, [], 'de'),
+        inputs,
+        DEFAULT_RULES,
+        [],
+        'de'
+      );
+      expect(result.band).toBe('Red');
+      expect(result.knockOuts[0].reason).toBe(translate('de', 'rule.reason.no-system-access'));
+    });
+  });
+
+  describe('exports', () => {
+    const data = {
+      process: 'Rechnungsprüfung',
+      inputs: { ...DEFAULT_INPUTS, processVolume: 12500 },
+      profile: { name: 'Default' },
+      output: serializeOutput(calculateReadiness(DEFAULT_INPUTS, undefined, [], 'de')),
+      locale: 'de',
+    };
+
+    it('should write Markdown in the export’s language', () => {
+      const markdown = toMarkdown(data, 'https://example.com/');
+      expect(markdown).toContain('**Stufe:**');
+      expect(markdown).toContain('| Prozessvolumen | 12.500 |');
+    });
+
+    it('should mark the HTML page with its language', () => {
+      expect(toHtml(data, 'https://example.com/')).toContain('<html lang="de">');
+    });
+  });
+});
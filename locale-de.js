@@ -0,0 +1,701 @@
+// locale-de.js
+
+/**
+ * German messages: the interface and the scoring text
+ */
+
+const DE = {
+  // --- Identifiers ---
+  'band.Red': 'Rot',
+  'band.Yellow': 'Gelb',
+  'band.Green': 'Grün',
+  'profile.Default': 'Standard',
+  'profile.Regulated': 'Reguliert',
+  'profile.High-volume ops': 'Hochvolumen-Betrieb',
+  'profile.Custom': 'Benutzerdefiniert',
+  'recommendation.Go': 'Umsetzen',
+  'recommendation.Pilot': 'Pilotieren',
+  'recommendation.Defer': 'Zurückstellen',
+  'blocker.impact': '−{points} Pkt.',
+
+  // --- Scoring ---
+  'narrative.Red':
+    'Dieser Prozess hat erhebliche Hindernisse. Konzentrieren Sie sich vor der Automatisierung auf die Grundlagen.',
+  'narrative.Yellow':
+    'Dieser Prozess hat Potenzial, aber deutliche Hindernisse. Beheben Sie die wichtigsten Probleme, um die Reife zu verbessern.',
+  'narrative.Green':
+    'Dieser Prozess ist ein sehr guter Kandidat für die Automatisierung. Fahren Sie mit einer detaillierten Analyse fort.',
+  'input.processVolume': 'Prozessvolumen',
+  'input.variance': 'Prozessvarianz',
+  'input.exceptionRate': 'Ausnahmequote',
+  'input.dataQuality': 'Datenqualität',
+  'input.systemAccess': 'Systemzugang',
+  'input.complianceSensitivity': 'Compliance-Sensibilität',
+  'factor.stableProcess': 'Stabiler Prozess',
+  'factor.lowExceptions': 'Wenige Ausnahmen',
+  'factor.dataQuality': 'Datenqualität',
+  'factor.systemAccess': 'Systemzugang',
+  'factor.lowComplianceRisk': 'Geringes Compliance-Risiko',
+  'factor.volumePotential': 'Volumenpotenzial',
+  'blocker.stableProcess.reason': 'Hohe Prozessvarianz',
+  'blocker.stableProcess.hint':
+    'Standardisieren Sie die Schritte, dokumentieren Sie Arbeitsanweisungen und reduzieren Sie Verzweigungen und Sonderfälle.',
+  'blocker.lowExceptions.reason': 'Hohe Ausnahmequote',
+  'blocker.lowExceptions.hint':
+    'Analysieren Sie die Ursachen der Ausnahmen, ergänzen Sie Entscheidungstabellen oder gestalten Sie die Eingaben neu.',
+  'blocker.dataQuality.reason': 'Geringe Datenqualität',
+  'blocker.dataQuality.hint':
+    'Ergänzen Sie Prüfungen und eine Anreicherungsschicht, definieren Sie Golden Records oder führen Sie MDM ein.',
+  'blocker.systemAccess.reason': 'Eingeschränkter Systemzugang',
+  'blocker.systemAccess.hint':
+    'Stellen Sie APIs bereit, richten Sie Servicekonten ein, verzichten Sie auf MFA für technische Konten oder nutzen Sie RPA als letzte Möglichkeit.',
+  'blocker.lowComplianceRisk.reason': 'Hohe Compliance-Sensibilität',
+  'blocker.lowComplianceRisk.hint':
+    'Minimieren Sie die genutzten Daten, pseudonymisieren Sie personenbezogene Daten, ergänzen Sie menschliche Prüfungen (HITL) und verbessern Sie die Audit-Protokollierung.',
+  'blocker.volumePotential.reason': 'Geringes Volumen / geringer Nutzen',
+  'blocker.volumePotential.hint':
+    'Ein Pilot ist trotzdem möglich. Erwägen Sie, benachbarte Prozesse zu bündeln, um Größe zu erreichen.',
+  'validation.invalid': 'Bitte geben Sie eine gültige Zahl ein',
+  'validation.min': 'Der Wert muss mindestens {min} sein',
+  'validation.max': 'Der Wert darf höchstens {max} sein',
+  'validation.missing': 'Wert fehlt',
+
+  // --- Knock-out rules ---
+  'rule.and': ' und ',
+  'rule.cap': 'Score höchstens {cap}',
+  'rule.reason.no-system-access':
+    'Die Zielsysteme sind für eine Automatisierung praktisch unerreichbar. Nichts anderes zählt, bevor das gelöst ist.',
+  'rule.reason.maximum-compliance':
+    'Bei dieser Sensibilität braucht jeder Fall eine menschliche Prüfung. Gestalten Sie den Prüfschritt, bevor Sie den Prozess für die Automatisierung bewerten.',
+  'rule.reason.frequent-exceptions':
+    'Die meisten Fälle würden aus der Automatisierung herausfallen, die Einsparungen bleiben also gering.',
+
+  // --- Uncertainty ---
+  'simulation.summary': '{level}-%-Intervall {low}–{high}; {bands}',
+  'simulation.chance': '{percent} % Wahrscheinlichkeit {band}',
+  'simulation.share': '{percent} % {band}',
+
+  // --- Consensus ---
+  'consensus.disagreement':
+    '{factor}: Teilscores von {low} bis {high} ({spread} Punkte auseinander)',
+
+  // --- Improvement plan ---
+  'planStep.blocked':
+    '{band} ({target}): nicht erreichbar, solange die K.-o.-Regel „{rule}“ greift',
+  'planStep.unreachable':
+    '{band} ({target}): innerhalb realistischer Verbesserungen nicht erreichbar',
+  'planStep.changes': '{band} ({target}): {changes} (prognostiziert {score})',
+
+  // --- Imported tables ---
+  'table.empty': 'Die Tabelle ist leer',
+  'table.missingColumns': 'Fehlende Spalte(n): {columns}',
+
+  // --- Validation ---
+  'validation.missingName': 'Name fehlt',
+  'validation.type.string': 'Muss eine Zeichenkette sein',
+  'validation.type.number': 'Muss eine Zahl sein',
+  'validation.type.object': 'Muss ein Objekt sein',
+  'validation.type.array': 'Muss ein Array sein',
+  'validation.oneOf': 'Muss einer der Werte {values} sein',
+  'validation.unknownInput': 'Unbekannte Eingabe',
+  'validation.used': '„{value}“ wird bereits verwendet',
+  'validation.weights': 'Die Gewichtungen müssen vollständig sein und 100 % ergeben',
+  'validation.json': 'Der Text ist kein gültiges JSON: {error}',
+  'validation.newerVersion':
+    'Version {version} wurde von einer neueren Version des Rechners geschrieben',
+  'validation.factor.key': 'Verwenden Sie Buchstaben und Ziffern in camelCase, z. B. „sponsorship“',
+  'validation.factor.range': 'Minimum und Maximum müssen Zahlen sein',
+  'validation.factor.rangeOrder': 'Das Minimum muss unter dem Maximum liegen',
+  'validation.factor.direction': 'Muss „higher“ oder „lower“ sein',
+  'validation.factor.weight': 'Der Wert muss größer als 0 und höchstens {max} sein',
+  'validation.factor.totalWeight': 'Eigene Faktoren dürfen zusammen höchstens {max} % wiegen',
+  'validation.factor.list': 'Eigene Faktoren müssen eine Liste sein',
+  'validation.rule.when': 'Mindestens eine Bedingung ist erforderlich',
+  'validation.rule.input': 'Unbekannte Eingabe „{input}“',
+  'validation.rule.operator': 'Der Operator muss einer von {operators} sein',
+  'validation.rule.value': 'Der Wert muss eine Zahl sein',
+  'validation.rule.effect': 'Legen Sie entweder eine Stufe oder eine Obergrenze fest',
+  'validation.rule.band': 'Muss „Red“ oder „Yellow“ sein',
+  'validation.rule.cap': 'Der Wert muss eine ganze Zahl zwischen 0 und 100 sein',
+  'validation.rule.enabled': 'Muss true oder false sein',
+  'validation.rule.list': 'Die Regeln müssen eine Liste sein',
+  'validation.ranges.object': 'Die Bereiche müssen ein Objekt sein',
+  'validation.ranges.numbers': 'Unter- und Obergrenze müssen Zahlen sein',
+  'validation.ranges.order': 'Die Untergrenze darf nicht über der Obergrenze liegen',
+  'validation.ranges.value': 'Der Bereich {low}–{high} enthält den Wert {value} nicht',
+  'validation.answers.object': 'Die Antworten müssen ein Objekt sein',
+  'validation.answers.question': 'Unbekannte Frage',
+  'validation.answers.answer': 'Unbekannte Antwort „{answer}“',
+  'validation.justifications.object': 'Die Begründungen müssen ein Objekt sein',
+  'validation.justifications.note': 'Muss Text sein',
+  'validation.justifications.evidence': 'Muss eine Liste von Texten sein',
+  'validation.assessor.object': 'Die bewertende Person muss ein Objekt sein',
+  'validation.assessor.date': 'Muss ein Datum sein (JJJJ-MM-TT)',
+  'validation.consensus.object': 'Der Konsens muss ein Objekt sein',
+  'validation.consensus.threshold': 'Muss eine Zahl von 0 bis 100 sein',
+  'validation.share.inputs': 'Die Eingaben müssen ein Objekt sein',
+  'validation.share.process': 'Der Prozess muss ein Objekt sein',
+  'validation.share.state': 'Der Zustand muss ein Objekt sein',
+  'validation.share.empty': 'Der Zustand enthält weder einen Prozess noch Szenarien',
+  'validation.share.compare': 'Muss eine Liste von Szenarien sein',
+  'validation.share.noVersion': 'Der Freigabelink ist beschädigt: Er hat keine Formatversion',
+  'validation.share.version':
+    'Der Freigabelink verwendet Format {version}, das diese Version der App nicht lesen kann',
+  'validation.share.incomplete':
+    'Der Freigabelink ist beschädigt: Er ist unvollständig oder vertippt',
+  'validation.share.checksum':
+    'Der Freigabelink wurde nach dem Erstellen geändert: Seine Prüfsumme stimmt nicht',
+  'validation.share.invalid': 'Der Freigabelink enthält ungültige Werte: {errors}',
+  'validation.share.unreadable':
+    'Der Freigabelink ist beschädigt: Seine Daten konnten nicht gelesen werden',
+  'validation.assessment.object': 'Das Dokument muss ein JSON-Objekt sein',
+  'validation.backup.format': 'Die Datei ist keine Sicherung des Automation Readiness Calculator',
+  'validation.backup.version': 'Muss eine positive ganze Zahl sein',
+  'validation.backup.date': 'Muss ein Datum nach ISO 8601 sein',
+  'validation.backup.id': 'Doppelt verwendet',
+
+  // --- Business case ---
+  'rationale.noPayback': 'Die Automatisierung amortisiert sich nicht innerhalb von {years} Jahren.',
+  'rationale.blocked':
+    'Der Business Case ist positiv, aber die Hindernisse müssen vor der Umsetzung behoben werden.',
+  'rationale.go': 'Bereit zur Automatisierung, mit Amortisation innerhalb von {months} Monaten.',
+  'rationale.slowPayback':
+    'Bereit zur Automatisierung, aber die Amortisation dauert länger als {months} Monate. Belegen Sie die Einsparungen zuerst mit einem Pilot.',
+  'rationale.pilot':
+    'Der Business Case ist positiv. Pilotieren Sie einen engen Umfang, während die Hindernisse behoben werden.',
+
+  // --- Questionnaire rubric ---
+  'question.paths': 'Wie viele verschiedene Wege durchläuft ein Fall typischerweise?',
+  'answer.paths.one': 'Einen Standardweg',
+  'answer.paths.few': 'Einige dokumentierte Varianten',
+  'answer.paths.many': 'Viele Varianten, teils undokumentiert',
+  'answer.paths.every': 'Jeder Fall ist anders',
+  'question.sop': 'Ist der Prozess in einer aktuellen Arbeitsanweisung (SOP) dokumentiert?',
+  'answer.sop.followed': 'Ja, und sie wird befolgt',
+  'answer.sop.differs': 'Ja, aber die Praxis weicht ab',
+  'answer.sop.partial': 'Nur teilweise',
+  'answer.sop.none': 'Nein',
+  'question.exceptions': 'Wie viele Fälle brauchen manuelles Eingreifen oder Nacharbeit?',
+  'answer.exceptions.under5': 'Fast keine (unter 5 %)',
+  'answer.exceptions.under15': 'Einige (5–15 %)',
+  'answer.exceptions.under30': 'Viele (15–30 %)',
+  'answer.exceptions.under50': 'Sehr viele (30–50 %)',
+  'answer.exceptions.most': 'Die meisten (über 50 %)',
+  'question.format': 'Sind die Eingaben strukturiert, halbstrukturiert oder Freitext?',
+  'answer.format.structured': 'Strukturiert (Formulare, Datenbanken, APIs)',
+  'answer.format.semi': 'Halbstrukturiert (Dokumentvorlagen, E-Mails mit festen Feldern)',
+  'answer.format.free': 'Freitext oder gescanntes Papier',
+  'question.complete': 'Wie oft sind die Eingabedaten beim ersten Mal vollständig und korrekt?',
+  'answer.complete.always': 'Fast immer',
+  'answer.complete.usually': 'Meistens',
+  'answer.complete.often-not': 'Oft nicht',
+  'answer.complete.rarely': 'Selten',
+  'question.apis': 'Haben die Zielsysteme APIs?',
+  'answer.apis.all': 'Ja, dokumentierte APIs für jeden Schritt',
+  'answer.apis.some': 'APIs für einige Schritte',
+  'answer.apis.ui': 'Keine APIs, aber eine stabile Benutzeroberfläche',
+  'answer.apis.legacy': 'Keine APIs; nur Altsystem oder Remotedesktop',
+  'question.accounts': 'Kann eine Automatisierung ein eigenes Servicekonto bekommen?',
+  'answer.accounts.yes': 'Ja, ohne interaktive MFA',
+  'answer.accounts.mfa': 'Ja, aber MFA erfordert einen Workaround',
+  'answer.accounts.shared': 'Nur gemeinsame oder persönliche Konten',
+  'answer.accounts.no': 'Nein',
+  'question.data': 'Welche Art von Daten verarbeitet der Prozess?',
+  'answer.data.public': 'Öffentliche oder interne Daten',
+  'answer.data.confidential': 'Vertrauliche Geschäftsdaten',
+  'answer.data.personal': 'Personenbezogene Daten (DSGVO)',
+  'answer.data.special': 'Gesundheits-, Zahlungs- oder andere besondere Daten',
+  'question.audit': 'Wie streng sind die Audit-Anforderungen?',
+  'answer.audit.none': 'Keine',
+  'answer.audit.internal': 'Interne Kontrollen',
+  'answer.audit.external': 'Externe Prüfungen (z. B. SOX)',
+  'answer.audit.regulator': 'Freigabe von Änderungen durch die Aufsicht',
+
+  // --- Page ---
+  'app.title': 'Rechner für Automatisierungsreife',
+  'app.description':
+    'Berechnen Sie die Automatisierungsreife von Geschäftsprozessen anhand von Volumen, Varianz, Datenqualität und weiteren Schlüsselfaktoren.',
+  'app.heading': 'Automatisierungsreife',
+  'app.language': 'Sprache',
+  'common.close': 'Schließen',
+  'common.remove': 'Entfernen',
+
+  // --- Portfolio ---
+  'portfolio.heading': 'Portfolio',
+  'portfolio.add': 'Hinzufügen',
+  'portfolio.addTitle': 'Neuen Prozess hinzufügen',
+  'portfolio.duplicate': 'Duplizieren',
+  'portfolio.duplicateTitle': 'Ausgewählten Prozess duplizieren',
+  'portfolio.rename': 'Umbenennen',
+  'portfolio.renameTitle': 'Ausgewählten Prozess umbenennen',
+  'portfolio.delete': 'Löschen',
+  'portfolio.deleteTitle': 'Ausgewählten Prozess löschen',
+  'portfolio.import': 'CSV importieren',
+  'portfolio.importTitle':
+    'Prozesse aus einer CSV-Datei oder eingefügten Tabelle importieren und bewerten',
+  'portfolio.importJson': 'JSON importieren',
+  'portfolio.importJsonTitle': 'Eine Bewertung aus einem „JSON kopieren“-Export wiederherstellen',
+  'portfolio.backup': 'Sicherung',
+  'portfolio.backupTitle':
+    'Alle Prozesse in eine Datei sichern oder eine Sicherung wiederherstellen',
+  'portfolio.compare': 'Vergleichen',
+  'portfolio.compareTitle': 'Prozesse nebeneinander vergleichen',
+  'portfolio.process': 'Prozess',
+  'portfolio.score': 'Score',
+  'portfolio.band': 'Stufe',
+  'portfolio.topBlocker': 'Größtes Hindernis',
+  'portfolio.newProcess': 'Prozess {number}',
+  'portfolio.copyOf': '{name} (Kopie)',
+  'portfolio.sharedProcess': 'Geteilter Prozess',
+  'portfolio.promptName': 'Prozessname',
+  'portfolio.confirmDelete': '„{name}“ aus dem Portfolio löschen?',
+  'portfolio.notes': 'Notizen zum ausgewählten Prozess',
+  'portfolio.notesPlaceholder': 'Kontext, Quellen, offene Fragen…',
+
+  // --- Compare ---
+  'compare.heading': 'Szenarien vergleichen',
+  'compare.copyLink': 'Vergleichslink kopieren',
+  'compare.copyLinkTitle': 'Einen Link kopieren, der diesen Vergleich öffnet',
+  'compare.addToPortfolio': 'Zum Portfolio hinzufügen',
+  'compare.addToPortfolioTitle': 'Die geteilten Szenarien zum Portfolio hinzufügen',
+  'compare.baseline': 'Ausgangsbasis',
+  'compare.with': 'Vergleichen mit',
+  'compare.sharedNote': 'Szenarien aus einem geteilten Link.',
+  'compare.factor': 'Faktor',
+  'compare.baselineName': '{name} (Ausgangsbasis)',
+  'compare.readinessScore': 'Reife-Score',
+  'compare.band': 'Stufe',
+  'compare.topBlockers': 'Größte Hindernisse',
+  'compare.appeared': 'neu',
+  'compare.resolved': 'behoben',
+
+  // --- Inputs ---
+  'inputs.heading': 'Eingaben',
+  'field.processVolume.label': 'Prozessvolumen (monatlich)',
+  'field.processVolume.helpLabel': 'Hilfe zum Prozessvolumen',
+  'field.processVolume.tooltip':
+    'Anzahl der Fälle oder Transaktionen pro Monat. Ein höheres Volumen erhöht den Nutzen der Automatisierung.',
+  'field.processVolume.help': 'Anzahl der Fälle oder Transaktionen pro Monat.',
+  'field.processVolume.formatted': '{value} pro Monat',
+  'field.variance.label': 'Prozessvarianz (0–100)',
+  'field.variance.helpLabel': 'Hilfe zur Prozessvarianz',
+  'field.variance.tooltip':
+    'Wie uneinheitlich ist der Prozess? 0 = sehr stabil und vorhersehbar, 100 = sehr variabel mit vielen Sonderfällen.',
+  'field.variance.help':
+    'Wie uneinheitlich ist der Prozess? 0 = sehr stabil, 100 = sehr uneinheitlich.',
+  'field.exceptionRate.label': 'Ausnahmequote (0–100 %)',
+  'field.exceptionRate.helpLabel': 'Hilfe zur Ausnahmequote',
+  'field.exceptionRate.tooltip':
+    'Anteil der Vorgänge, die manuelle Bearbeitung, Nacharbeit oder Sonderbehandlung brauchen. Niedriger ist besser für die Automatisierung.',
+  'field.exceptionRate.help': 'Anteil der Vorgänge mit manueller Bearbeitung oder Nacharbeit.',
+  'field.dataQuality.label': 'Datenqualität (0–100)',
+  'field.dataQuality.helpLabel': 'Hilfe zur Datenqualität',
+  'field.dataQuality.tooltip':
+    'Sind die Eingabedaten strukturiert, sauber und vollständig? 100 = hervorragende Qualität mit einheitlichen Formaten und kaum Fehlern.',
+  'field.dataQuality.help':
+    'Sind die Eingabedaten strukturiert, sauber und vollständig? 100 = hervorragend.',
+  'field.systemAccess.label': 'Systemzugang (0–100)',
+  'field.systemAccess.helpLabel': 'Hilfe zum Systemzugang',
+  'field.systemAccess.tooltip':
+    'Wie leicht erreichen Bots/APIs die Systeme? 100 = stabile APIs mit Servicekonten, ohne MFA. 0 = abgeschottete Systeme, die aufwendige Workarounds erfordern.',
+  'field.systemAccess.help':
+    'Wie leicht erreichen Bots/APIs die Systeme? 100 = stabile APIs, ohne MFA.',
+  'field.complianceSensitivity.label': 'Compliance-Sensibilität (0–100)',
+  'field.complianceSensitivity.helpLabel': 'Hilfe zur Compliance-Sensibilität',
+  'field.complianceSensitivity.tooltip':
+    'Regulatorischer und Audit-Aufwand. 0 = keine Compliance-Anforderungen, 100 = hochsensibel (HIPAA, DSGVO, SOX) mit strengen Prüfpfaden.',
+  'field.complianceSensitivity.help':
+    'Regulatorischer und Audit-Aufwand. 0 = keiner, 100 = hochsensibel (HIPAA, DSGVO).',
+
+  // --- Questionnaire ---
+  'questionnaire.summary': 'Geführter Fragebogen (optional)',
+  'questionnaire.introBefore':
+    'Was bedeutet „Datenqualität: 70“? Beantworten Sie diese Fragen, und',
+  'questionnaire.introAfter':
+    'leitet Prozessvarianz, Ausnahmequote, Datenqualität, Systemzugang und Compliance-Sensibilität nach einem festen Schema ab. Die Antworten werden mit dem Prozess gespeichert.',
+  'questionnaire.apply': 'Antworten übernehmen',
+  'questionnaire.clear': 'Antworten löschen',
+  'questionnaire.derived': 'Abgeleitet aus den gespeicherten Antworten:',
+  'questionnaire.answer': '„{answer}“ ({value})',
+  'questionnaire.from': ' aus {answers}',
+  'questionnaire.changedByHand': '; von Hand geändert auf {value}',
+
+  // --- Form actions ---
+  'actions.copyJson': 'JSON kopieren',
+  'actions.copyJsonTitle': 'Ergebnisse als JSON kopieren',
+  'actions.copyMarkdown': 'Markdown kopieren',
+  'actions.copyMarkdownTitle': 'Ergebnisse als Markdown für Wikis und Tickets kopieren',
+  'actions.downloadHtml': 'HTML herunterladen',
+  'actions.downloadHtmlTitle': 'Ergebnisse als eigenständige HTML-Seite herunterladen',
+  'actions.downloadCsv': 'CSV herunterladen',
+  'actions.downloadCsvTitle': 'Ergebnisse als CSV herunterladen',
+  'actions.report': 'Bericht erstellen',
+  'actions.reportTitle': 'Einen einseitigen Bericht zum Drucken oder Speichern als PDF öffnen',
+  'actions.share': 'Link teilen',
+  'actions.shareTitle': 'Teilbaren Link kopieren',
+  'actions.reset': 'Zurücksetzen',
+  'actions.resetTitle': 'Auf Standardwerte zurücksetzen',
+
+  // --- Scoring profile ---
+  'weights.summary': 'Gewichtungsprofil',
+  'weights.profile': 'Profil',
+  'weights.weightLabel': 'Gewicht „{factor}“ (%)',
+  'weights.total': 'Summe:',
+  'weights.rescaleHint':
+    'Wenn Sie ein Gewicht ändern, werden die anderen so angepasst, dass die Summe 100 % bleibt.',
+  'weights.saveProfile': 'Als Profil speichern…',
+  'weights.deleteProfile': 'Profil löschen',
+  'weights.unsaved': '{name} (nicht gespeichert)',
+  'weights.promptName': 'Profilname',
+  'weights.confirmDelete': 'Profil „{name}“ löschen?',
+
+  // --- Business case ---
+  'financials.summary': 'Business Case (optional)',
+  'financials.intro':
+    'Füllen Sie alle fünf Felder aus, um Einsparungen, Amortisation und Kapitalwert zu schätzen. Lassen Sie sie leer, um den Business Case zu überspringen.',
+  'financials.handleTimeMinutes': 'Bearbeitungszeit (Min./Fall)',
+  'financials.handleTimeMinutesTitle': 'Minuten manueller Arbeit pro Fall',
+  'financials.hourlyCost': 'Stundensatz',
+  'financials.hourlyCostTitle': 'Vollkosten einer Stunde manueller Arbeit',
+  'financials.automationRate': 'Automatisierungsgrad (%)',
+  'financials.automationRateTitle': 'Anteil der Fälle, die ohne Menschen bearbeitet werden',
+  'financials.buildCost': 'Entwicklungskosten',
+  'financials.buildCostTitle': 'Einmalige Kosten für Entwicklung und Einführung',
+  'financials.runCost': 'Betriebskosten (pro Jahr)',
+  'financials.runCostTitle': 'Lizenzen, Infrastruktur und Support pro Jahr',
+  'financials.clear': 'Business Case löschen',
+
+  // --- Uncertainty ranges ---
+  'ranges.summary': 'Unsicherheitsbereiche (optional)',
+  'ranges.intro':
+    'Die meisten Eingaben sind Schätzungen. Geben Sie für unsichere Werte einen unteren und einen oberen Wert an; der Formularwert ist der wahrscheinlichste. Die Ergebnisse zeigen dann, wie belastbar der Score ist.',
+  'ranges.clear': 'Bereiche löschen',
+  'ranges.low': 'Unten',
+  'ranges.high': 'Oben',
+  'ranges.lowLabel': '{label}, unten',
+  'ranges.highLabel': '{label}, oben',
+  'ranges.fillBoth': '{label}: Bitte unteren und oberen Wert angeben',
+
+  // --- Justifications ---
+  'evidence.summary': 'Begründungen & Belege',
+  'evidence.intro':
+    'Begründen Sie den Wert jeder Eingabe und nennen Sie die Belege, einen pro Zeile. Eingaben ohne Begründung sind im Formular und in den Exporten mit ⚠ markiert.',
+  'evidence.assessor': 'Bewertet von',
+  'evidence.assessorPlaceholder': 'Wer diesen Prozess bewertet hat',
+  'evidence.date': 'Bewertet am',
+  'evidence.notePlaceholder': 'Warum dieser Wert?',
+  'evidence.evidencePlaceholder': 'Belege, einer pro Zeile',
+  'evidence.noteLabel': '{label}, Begründung',
+  'evidence.evidenceLabel': '{label}, Belege',
+  'evidence.missing': 'Keine Begründung',
+  'evidence.status': '{count} von {total} Eingaben ohne Begründung.',
+  'evidence.complete': 'Alle Eingaben sind begründet.',
+
+  // --- Consensus ---
+  'consensus.summary': 'Konsens mehrerer Bewertender (optional)',
+  'consensus.intro':
+    'Wenn mehrere Personen diesen Prozess bewerten, erfassen Sie jede Sicht getrennt: Füllen Sie das Formular so aus, wie eine Person den Prozess sieht, und fügen Sie es unter ihrem Namen hinzu. Der Konsens fasst die Bewertungen Eingabe für Eingabe zusammen und wird wie jede andere Eingabe berechnet; Faktoren, bei denen die Bewertenden auseinanderliegen, werden zur Diskussion markiert.',
+  'consensus.method': 'Zusammenfassen per',
+  'consensus.median': 'Median',
+  'consensus.mean': 'Mittelwert',
+  'consensus.threshold': 'Schwelle für Uneinigkeit (Punkte)',
+  'consensus.thresholdTitle':
+    'Einen Faktor markieren, wenn die Teilscores der Bewertenden mehr als so viele Punkte auseinanderliegen',
+  'consensus.add': 'Formular als Bewertung hinzufügen',
+  'consensus.promptName': 'Name der bewertenden Person für diese Eingaben',
+  'consensus.assessorNumber': 'Bewertung {number}',
+  'consensus.removeLabel': 'Bewertung von {name} entfernen',
+  'consensus.confirmRemove': 'Bewertung von „{name}“ entfernen?',
+  'consensus.heading': 'Konsens',
+  'consensus.result.median': 'Median aus {count} Bewertung(en): {score} / 100, {band}',
+  'consensus.result.mean': 'Mittelwert aus {count} Bewertung(en): {score} / 100, {band}',
+  'consensus.assessor': 'Bewertet von',
+  'consensus.score': 'Score',
+  'consensus.band': 'Stufe',
+  'consensus.consensus': 'Konsens',
+  'consensus.disagreements': 'Zu besprechen',
+  'consensus.agreed':
+    'Die Bewertenden liegen bei jedem Faktor höchstens {threshold} Punkte auseinander.',
+
+  // --- Custom factors ---
+  'factors.summary': 'Eigene Faktoren',
+  'factors.intro':
+    'Bewerten Sie zusätzliche Faktoren neben den sechs eingebauten, für alle Prozesse. Jeder Faktor erhält sein Gewicht vom Gesamtgewicht; die eingebauten Gewichte schrumpfen anteilig (eigene Faktoren zusammen höchstens 50 %).',
+  'factors.label': 'Bezeichnung',
+  'factors.labelAria': 'Bezeichnung des Faktors',
+  'factors.labelPlaceholder': 'z. B. Rückhalt im Management',
+  'factors.min': 'Minimum',
+  'factors.minAria': 'Minimalwert',
+  'factors.max': 'Maximum',
+  'factors.maxAria': 'Maximalwert',
+  'factors.direction': 'Besser, wenn',
+  'factors.directionAria': 'Welches Ende des Bereichs besser ist',
+  'factors.higher': 'Höher',
+  'factors.lower': 'Niedriger',
+  'factors.weight': 'Gewicht (%)',
+  'factors.reason': 'Hindernis',
+  'factors.reasonPlaceholder': 'z. B. Schwacher Rückhalt',
+  'factors.hint': 'Hinweis zum Hindernis',
+  'factors.hintPlaceholder': 'Was dagegen hilft',
+  'factors.add': 'Faktor hinzufügen',
+  'factors.helpHigher': 'Eigener Faktor. {min} bis {max}, höher ist besser.',
+  'factors.helpLower': 'Eigener Faktor. {min} bis {max}, niedriger ist besser.',
+  'factors.itemHigher': '{label}: {min}–{max}, höher ist besser, {weight} % des Scores',
+  'factors.itemLower': '{label}: {min}–{max}, niedriger ist besser, {weight} % des Scores',
+  'factors.removeLabel': '{label} entfernen',
+  'factors.confirmRemove':
+    'Den eigenen Faktor „{label}“, seine Werte in allen Prozessen und die K.-o.-Regeln, die ihn prüfen, entfernen?',
+
+  // --- Knock-out rules ---
+  'rules.summary': 'K.-o.-Regeln',
+  'rules.intro':
+    'Manche Probleme lassen sich durch gute Werte an anderer Stelle nicht ausgleichen. Trifft die Bedingung einer Regel zu, begrenzt sie den Score oder legt die Stufe fest, für alle Prozesse. Entfernen Sie das Häkchen, um eine Regel abzuschalten.',
+  'rules.when': 'Wenn',
+  'rules.whenAria': 'Eingabe, die die Regel prüft',
+  'rules.is': 'Ist',
+  'rules.isAria': 'Vergleich',
+  'rules.value': 'Wert',
+  'rules.valueAria': 'Schwellenwert',
+  'rules.then': 'Dann',
+  'rules.thenAria': 'Wirkung',
+  'rules.effectRed': 'Stufe ist Rot',
+  'rules.effectYellow': 'Stufe ist höchstens Gelb',
+  'rules.effectCap': 'Score begrenzen',
+  'rules.capAt': 'Begrenzen auf',
+  'rules.capAria': 'Höchster Score (für Score begrenzen)',
+  'rules.reason': 'Begründung',
+  'rules.reasonPlaceholder': 'Warum diese Regel den Score übersteuert',
+  'rules.add': 'Regel hinzufügen',
+  'rules.reset': 'Standardregeln wiederherstellen',
+  'rules.removeLabel': 'Regel {rule} entfernen',
+  'rules.confirmRemove': 'K.-o.-Regel „{rule}“ entfernen?',
+  'rules.confirmReset': 'Alle K.-o.-Regeln durch die Standardregeln ersetzen?',
+  'rules.knockOut': 'K.-o.-Regel: {rule}',
+  'rules.weightedScore': '{reason} Gewichteter Score ohne diese Regel: {score}.',
+
+  // --- Results ---
+  'results.heading': 'Ergebnisse',
+  'results.readinessScore': 'Reife-Score',
+  'results.trendLabel': 'Reife-Score und Teilscores über die gespeicherten Stände',
+  'results.placeholder': 'Geben Sie Werte ein, um den Reife-Score zu berechnen.',
+  'results.now': 'Jetzt',
+  'blockers.heading': 'Wichtigste Hindernisse',
+  'blockers.none': 'Keine wesentlichen Hindernisse gefunden!',
+  'blockers.noneDetail': 'Dieser Prozess scheint sehr gut für die Automatisierung geeignet.',
+
+  // --- Confidence ---
+  'confidence.heading': 'Belastbarkeit',
+  'confidence.intro':
+    'Der Score für 2.000 Zufallsziehungen der Eingaben innerhalb ihrer Unsicherheitsbereiche, wobei die wahrscheinlichsten Werte am stärksten gewichtet sind. Die schattierte Fläche enthält die mittleren 90 % der Scores.',
+  'confidence.chartLabel': 'Verteilung der simulierten Scores',
+  'confidence.summary': '{description} (Median {median}, {draws} Ziehungen)',
+  'confidence.chartDescription': 'Verteilung von {draws} simulierten Scores: {description}',
+  'confidence.line': 'Belastbarkeit: {description}',
+
+  // --- Radar chart ---
+  'radar.heading': 'Reifeprofil',
+  'radar.intro':
+    'Die sechs Teilscores nebeneinander: Ein ausgewogener Prozess und einer mit einem einzelnen schwachen Faktor können denselben Score, aber eine ganz andere Form haben.',
+  'radar.chartLabel': 'Teilscores',
+  'radar.noOverlay': 'Keine Überlagerung',
+  'radar.greenTarget': 'Ziel Grün',
+  'radar.greenTargetOption': 'Ziel Grün ({score})',
+  'radar.description': 'Teilscores: {values}',
+
+  // --- Score breakdown ---
+  'breakdown.heading': 'Aufschlüsselung des Scores',
+  'breakdown.intro':
+    'Jeder Faktor trägt Teilscore × Gewicht zum Score bei. Der graue Teil eines Balkens sind die Punkte, die der Faktor noch beitragen könnte.',
+  'breakdown.chartLabel': 'Aufschlüsselung des Scores nach Faktor',
+  'breakdown.factor': 'Faktor',
+  'breakdown.subscore': 'Teilscore',
+  'breakdown.weight': 'Gewicht',
+  'breakdown.points': 'Punkte',
+  'breakdown.description': 'Aufschlüsselung des Scores: {parts}; Reife-Score {score}',
+  'breakdown.part': '{factor} trägt {points} bei',
+
+  // --- Business case results ---
+  'roi.heading': 'Business Case',
+  'roi.hoursSaved': 'Eingesparte Stunden / Jahr',
+  'roi.savings': 'Einsparungen / Jahr',
+  'roi.net': 'Netto / Jahr (nach Betriebskosten)',
+  'roi.payback': 'Amortisation',
+  'roi.never': 'Nie',
+  'roi.months': '{months} Monate',
+  'roi.npv': 'Kapitalwert ({years} Jahre)',
+
+  // --- Path to Green ---
+  'plan.heading': 'Weg zu Grün',
+  'plan.intro':
+    'Die kleinsten Änderungen der Eingaben, die die nächste Stufe erreichen, innerhalb realistischer Grenzen je Faktor.',
+  'plan.impactsHeading': 'Score-Gewinn je 10 Punkte Verbesserung',
+  'plan.alreadyGreen': 'Bereits Grün. Halten Sie die Eingaben auf oder über dem aktuellen Niveau.',
+  'plan.toReach': 'Um {band} zu erreichen ({target}+)',
+  'plan.blocked':
+    'Nicht erreichbar, solange die K.-o.-Regel „{rule}“ greift, und sie lässt sich innerhalb realistischer Verbesserungsgrenzen nicht aufheben.',
+  'plan.unreachable':
+    'Innerhalb realistischer Verbesserungsgrenzen nicht erreichbar. Erwägen Sie zuerst, den Prozess neu zu gestalten.',
+  'plan.clearsRule': '{label}: {from} → {to} (hebt eine K.-o.-Regel auf)',
+  'plan.change': '{label}: {from} → {to} (+{gain} Pkt.)',
+  'plan.projected': 'Voraussichtlicher Score: {score}',
+  'plan.maxed': 'ausgeschöpft',
+
+  // --- History ---
+  'history.heading': 'Bewertungsverlauf',
+  'history.intro':
+    'Speichern Sie nach jeder Prüfung einen Stand, um den Score über die Zeit zu verfolgen. Das Protokoll zeigt, welche Eingaben sich zwischen den Ständen geändert haben.',
+  'history.save': 'Stand speichern',
+  'history.clear': 'Verlauf löschen',
+  'history.empty': 'Noch keine Stände gespeichert.',
+  'history.score': '{score} ({band})',
+  'history.scoreChange': 'Score {from} → {to}',
+  'history.baseline': 'Ausgangswert: {score}',
+  'history.change': '{label}: {from} → {to}',
+  'history.weightsChanged': 'Gewichtung geändert (Profil: {profile})',
+  'history.noChanges': 'Keine Eingaben geändert',
+  'history.confirmClear': 'Alle {count} Stände von „{name}“ löschen?',
+
+  // --- CSV import ---
+  'import.heading': 'Prozesse importieren',
+  'import.intro':
+    'Laden Sie eine CSV-Datei hoch oder fügen Sie eine Tabelle ein (durch Komma, Semikolon oder Tabulator getrennt), deren Kopfzeile diese Spalten benennt:',
+  'import.optional': 'Optionale Spalte:',
+  'import.file': 'CSV-Datei',
+  'import.paste': 'Oder Tabelle einfügen',
+  'import.run': 'Importieren und bewerten',
+  'import.download': 'Ergebnisse herunterladen',
+  'import.line': 'Zeile {line}: {message}',
+  'import.none': 'Keine Zeilen importiert.',
+  'import.summary': '{count} Zeile(n) importiert.',
+  'import.summaryWithErrors':
+    '{count} Zeile(n) importiert; {skipped} Zeile(n) wegen Fehlern übersprungen.',
+
+  // --- JSON import ---
+  'jsonImport.heading': 'Bewertung importieren',
+  'jsonImport.intro':
+    'Fügen Sie das JSON aus „JSON kopieren“ ein oder wählen oder ziehen Sie die Datei hierher. Der Prozess wird mit Name, Eingaben, Gewichtungen, Business Case, Fragebogenantworten und Bandbreiten zum Portfolio hinzugefügt und neu bewertet.',
+  'jsonImport.file': 'JSON-Datei',
+  'jsonImport.paste': 'Oder JSON einfügen bzw. hierher ziehen',
+  'jsonImport.run': 'Importieren und neu berechnen',
+  'jsonImport.none': 'Nichts importiert.',
+  'jsonImport.restored': '„{name}“ importiert.',
+  'jsonImport.matches': 'Das neu berechnete Ergebnis stimmt mit dem Export überein.',
+  'jsonImport.differs':
+    'Das neu berechnete Ergebnis weicht vom Export ab: Die Bewertungslogik hat sich seitdem geändert.',
+  'jsonImport.differsSettings':
+    'Das neu berechnete Ergebnis weicht vom Export ab: Es wurde mit anderen eigenen Faktoren oder K.-o.-Regeln bewertet als den hier definierten.',
+  'jsonImport.settingChanged.factors':
+    'Eigene Faktoren: Der Export wurde mit anderen eigenen Faktoren bewertet als den hier definierten',
+  'jsonImport.settingChanged.rules':
+    'K.-o.-Regeln: Der Export wurde mit anderen K.-o.-Regeln bewertet als den hier definierten',
+  'jsonImport.difference': '{field}: {stored} im Export, jetzt {recomputed}',
+  'jsonImport.schemaVersion': 'Ergebnisformat',
+
+  // --- Backup ---
+  'backup.heading': 'Sichern & Wiederherstellen',
+  'backup.intro':
+    'Bewertungen werden nur in diesem Browser gespeichert. Laden Sie eine Sicherung aller Prozesse mit Eingaben, Ergebnissen, Notizen und Verlauf sowie Ihrer gespeicherten Profile, eigenen Faktoren und K.-o.-Regeln herunter. Stellen Sie sie hier oder auf einem anderen Computer wieder her.',
+  'backup.download': 'Sicherung herunterladen',
+  'backup.file': 'Sicherungsdatei',
+  'backup.merge': 'Zusammenführen',
+  'backup.mergeTitle': 'Neue Prozesse hinzufügen und von den übrigen die neuere Fassung übernehmen',
+  'backup.replace': 'Ersetzen',
+  'backup.replaceTitle': 'Alles in diesem Browser durch die Sicherung ersetzen',
+  'backup.noFile': 'Wählen Sie zuerst eine Sicherungsdatei.',
+  'backup.rejected': 'Nichts wiederhergestellt: Die Datei ist keine gültige Sicherung.',
+  'backup.confirmReplace':
+    'Die {count} Prozess(e) in diesem Browser durch die {restored} aus der Sicherung ersetzen? Dies kann nicht rückgängig gemacht werden.',
+  'backup.merged':
+    'Sicherung zusammengeführt: {added} Prozess(e) hinzugefügt, {updated} aktualisiert.',
+  'backup.skippedFactors':
+    'Die hier definierten eigenen Faktoren bleiben erhalten; diese Faktoren der Sicherung würden mit ihnen kollidieren und wurden ausgelassen: {keys}.',
+  'backup.skippedRules':
+    'Diese K.-o.-Regeln der Sicherung passen nicht zu den eigenen Faktoren hier und wurden ausgelassen: {ids}.',
+  'backup.replaced': '{count} Prozess(e) aus der Sicherung wiederhergestellt.',
+
+  // --- Report ---
+  'report.heading': 'Bewertung der Automatisierungsreife',
+  'report.process': 'Prozess',
+  'report.date': 'Datum',
+  'report.assessor': 'Bewertet von',
+  'report.profile': 'Gewichtungsprofil',
+  'report.inputs': 'Eingaben',
+  'report.weights': 'Gewichtung',
+  'report.blockers': 'Zu behebende Hindernisse',
+  'report.gaugeAlt': 'Anzeige mit einem Score von {score}',
+  'report.noBlockers': 'Keine wesentlichen Hindernisse gefunden.',
+  'report.promptAssessor': 'Name der bewertenden Person für den Bericht',
+  'report.assessedOn': 'Bewertet am',
+  'report.justifications': 'Begründungen',
+  'report.evidence': 'Belege: {evidence}',
+
+  // --- Update banner ---
+  'update.available': 'Eine neue Version ist verfügbar.',
+  'update.reload': 'Neu laden',
+  'update.dismiss': 'Später',
+
+  // --- Toasts ---
+  'toast.copiedJson': '✓ JSON in die Zwischenablage kopiert!',
+  'toast.copiedMarkdown': '✓ Markdown in die Zwischenablage kopiert!',
+  'toast.copyFailed': '✗ Kopieren fehlgeschlagen',
+  'toast.htmlDownloaded': '✓ HTML heruntergeladen!',
+  'toast.csvDownloaded': '✓ CSV heruntergeladen!',
+  'toast.readFailed': '✗ Datei konnte nicht gelesen werden',
+  'toast.imported': '✓ {count} Zeilen importiert',
+  'toast.jsonImported': '✓ „{name}“ importiert',
+  'toast.jsonImportedChanged':
+    '✓ „{name}“ importiert; das Ergebnis hat sich seit dem Export geändert',
+  'toast.backupDownloaded': '✓ Sicherung von {count} Prozess(en) heruntergeladen!',
+  'toast.backupFailed': '✗ Sicherung fehlgeschlagen',
+  'toast.resultsDownloaded': '✓ Ergebnisse heruntergeladen!',
+  'toast.linkCopied': '✓ Link in die Zwischenablage kopiert!',
+  'toast.linkCopyFailed': '✗ Link konnte nicht kopiert werden',
+  'toast.reset': '✓ Auf Standardwerte zurückgesetzt',
+  'toast.added': '✓ „{name}“ hinzugefügt',
+  'toast.duplicated': '✓ „{name}“ dupliziert',
+  'toast.renamed': '✓ Prozess umbenannt',
+  'toast.ratingAdded': '✓ Bewertung von {name} hinzugefügt',
+  'toast.deleted': '✓ „{name}“ gelöscht',
+  'toast.reservedProfile': '✗ „{name}“ ist ein reservierter Profilname',
+  'toast.profileSaved': '✓ Profil „{name}“ gespeichert',
+  'toast.profileDeleted': '✓ Profil „{name}“ gelöscht',
+  'toast.removed': '✓ „{name}“ entfernt',
+  'toast.rulesRestored': '✓ Standard-K.-o.-Regeln wiederhergestellt',
+  'toast.snapshotUnchanged': 'Seit dem letzten Stand hat sich nichts geändert',
+  'toast.snapshotSaved': '✓ Stand gespeichert',
+  'toast.historyCleared': '✓ Verlauf gelöscht',
+  'toast.compareLinkCopied': '✓ Vergleichslink in die Zwischenablage kopiert!',
+  'toast.scenariosAdded': '✓ {count} Szenario(s) zum Portfolio hinzugefügt',
+  'toast.answerFirst': '✗ Beantworten Sie zuerst mindestens eine Frage',
+  'toast.answersApplied': '✓ Eingaben aus den Antworten abgeleitet',
+  'toast.invalidScenarios': '✗ {count} ungültige(s) Szenario(s) im Vergleichslink übersprungen',
+  'toast.unknownFactors': '✗ Hier nicht definierte eigene Faktoren ignoriert: {keys}',
+  'toast.invalidShareLink':
+    '✗ Freigabelink abgelehnt: {reason}. Stattdessen wird Ihre gespeicherte Bewertung angezeigt.',
+  'toast.storeBlocked':
+    'In einem anderen Tab ist eine ältere Version des Rechners geöffnet. Schließen Sie ihn, um Ihre gespeicherte Arbeit zu laden.',
+  'toast.storeClosed':
+    'Der Rechner wurde in einem anderen Tab aktualisiert. Laden Sie diese Seite neu, bevor Sie weitere Änderungen vornehmen.',
+
+  // --- Exports ---
+  'export.title': 'Automatisierungsreife: {process}',
+  'export.score': 'Score',
+  'export.band': 'Stufe',
+  'export.profile': 'Profil',
+  'export.overridden': 'Durch K.-o.-Regeln übersteuert',
+  'export.weightedScore': 'gewichteter Score {score}',
+  'export.confidence': 'Belastbarkeit',
+  'export.inputs': 'Eingaben',
+  'export.input': 'Eingabe',
+  'export.value': 'Wert',
+  'export.justification': 'Begründung',
+  'export.unjustified': 'Keine Begründung',
+  'export.evidence': 'Belege: {evidence}',
+  'export.assessor': 'Bewertet von',
+  'export.assessedBy': '{name} am {date}',
+  'export.blockers': 'Größte Hindernisse',
+  'export.noBlockers': 'Keine wesentlichen Hindernisse gefunden.',
+  'export.link': 'Dieses Szenario im Rechner öffnen',
+};
+
+export default DE;
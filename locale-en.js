@@ -0,0 +1,498 @@
+// locale-en.js
+
+/**
+ * English messages: the interface, plus the display names of identifiers such as bands
+ * and built-in profiles. The English scoring text lives with the scoring modules.
+ */
+
+const EN = {
+  // --- Identifiers ---
+  'band.Red': 'Red',
+  'band.Yellow': 'Yellow',
+  'band.Green': 'Green',
+  'profile.Default': 'Default',
+  'profile.Regulated': 'Regulated',
+  'profile.High-volume ops': 'High-volume ops',
+  'profile.Custom': 'Custom',
+  'recommendation.Go': 'Go',
+  'recommendation.Pilot': 'Pilot',
+  'recommendation.Defer': 'Defer',
+  'blocker.impact': '−{points} pts',
+
+  // --- Page ---
+  'app.title': 'Automation Readiness Score Calculator',
+  'app.description':
+    'Calculate automation readiness scores for business processes based on volume, variance, data quality, and other key factors.',
+  'app.heading': 'Automation Readiness Score',
+  'app.language': 'Language',
+  'common.close': 'Close',
+  'common.remove': 'Remove',
+
+  // --- Portfolio ---
+  'portfolio.heading': 'Portfolio',
+  'portfolio.add': 'Add',
+  'portfolio.addTitle': 'Add a new process',
+  'portfolio.duplicate': 'Duplicate',
+  'portfolio.duplicateTitle': 'Duplicate the selected process',
+  'portfolio.rename': 'Rename',
+  'portfolio.renameTitle': 'Rename the selected process',
+  'portfolio.delete': 'Delete',
+  'portfolio.deleteTitle': 'Delete the selected process',
+  'portfolio.import': 'Import CSV',
+  'portfolio.importTitle': 'Import and score processes from a CSV or pasted table',
+  'portfolio.importJson': 'Import JSON',
+  'portfolio.importJsonTitle': 'Restore an assessment from a Copy JSON export',
+  'portfolio.backup': 'Backup',
+  'portfolio.backupTitle': 'Back up every process to a file, or restore a backup',
+  'portfolio.compare': 'Compare',
+  'portfolio.compareTitle': 'Compare processes side by side',
+  'portfolio.process': 'Process',
+  'portfolio.score': 'Score',
+  'portfolio.band': 'Band',
+  'portfolio.topBlocker': 'Top Blocker',
+  'portfolio.newProcess': 'Process {number}',
+  'portfolio.copyOf': '{name} copy',
+  'portfolio.sharedProcess': 'Shared process',
+  'portfolio.promptName': 'Process name',
+  'portfolio.confirmDelete': 'Delete "{name}" from the portfolio?',
+  'portfolio.notes': 'Notes on the selected process',
+  'portfolio.notesPlaceholder': 'Context, sources, open questions…',
+
+  // --- Compare ---
+  'compare.heading': 'Compare Scenarios',
+  'compare.copyLink': 'Copy Compare Link',
+  'compare.copyLinkTitle': 'Copy a link that opens this comparison',
+  'compare.addToPortfolio': 'Add to Portfolio',
+  'compare.addToPortfolioTitle': 'Add the shared scenarios to the portfolio',
+  'compare.baseline': 'Baseline',
+  'compare.with': 'Compare with',
+  'compare.sharedNote': 'Showing scenarios from a shared link.',
+  'compare.factor': 'Factor',
+  'compare.baselineName': '{name} (baseline)',
+  'compare.readinessScore': 'Readiness Score',
+  'compare.band': 'Band',
+  'compare.topBlockers': 'Top Blockers',
+  'compare.appeared': 'new',
+  'compare.resolved': 'resolved',
+
+  // --- Inputs ---
+  'inputs.heading': 'Inputs',
+  'field.processVolume.label': 'Process Volume (Monthly)',
+  'field.processVolume.helpLabel': 'Help for Process Volume',
+  'field.processVolume.tooltip':
+    'Number of cases or transactions processed per month. Higher volume increases automation ROI.',
+  'field.processVolume.help': 'Number of cases or transactions per month.',
+  'field.processVolume.formatted': '{value} per month',
+  'field.variance.label': 'Process Variance (0–100)',
+  'field.variance.helpLabel': 'Help for Process Variance',
+  'field.variance.tooltip':
+    'How inconsistent is the process? 0 = very stable and predictable, 100 = highly variable with many edge cases.',
+  'field.variance.help':
+    'How inconsistent is the process? 0 = very stable, 100 = very inconsistent.',
+  'field.exceptionRate.label': 'Exception Rate (0–100%)',
+  'field.exceptionRate.helpLabel': 'Help for Exception Rate',
+  'field.exceptionRate.tooltip':
+    'Percentage of items that need manual handling, rework, or special processing. Lower is better for automation.',
+  'field.exceptionRate.help': 'Percentage of items needing manual handling or rework.',
+  'field.dataQuality.label': 'Data Quality (0–100)',
+  'field.dataQuality.helpLabel': 'Help for Data Quality',
+  'field.dataQuality.tooltip':
+    'Is input data structured, clean, and complete? 100 = excellent quality with consistent formats and minimal errors.',
+  'field.dataQuality.help': 'Is input data structured, clean, and complete? 100 = excellent.',
+  'field.systemAccess.label': 'System Access (0–100)',
+  'field.systemAccess.helpLabel': 'Help for System Access',
+  'field.systemAccess.tooltip':
+    'How easily can bots/APIs access systems? 100 = stable APIs with service accounts, no MFA. 0 = locked down systems requiring complex workarounds.',
+  'field.systemAccess.help': 'How easily can bots/APIs access systems? 100 = stable APIs, no MFA.',
+  'field.complianceSensitivity.label': 'Compliance Sensitivity (0–100)',
+  'field.complianceSensitivity.helpLabel': 'Help for Compliance Sensitivity',
+  'field.complianceSensitivity.tooltip':
+    'Regulatory/audit burden. 0 = no compliance requirements, 100 = highly sensitive (HIPAA, GDPR, SOX) with strict audit trails.',
+  'field.complianceSensitivity.help':
+    'Regulatory/audit burden. 0 = none, 100 = highly sensitive (HIPAA, GDPR).',
+
+  // --- Questionnaire ---
+  'questionnaire.summary': 'Guided Questionnaire (optional)',
+  'questionnaire.introBefore': 'Not sure what "Data Quality: 70" means? Answer these questions and',
+  'questionnaire.introAfter':
+    'derives process variance, exception rate, data quality, system access and compliance sensitivity from a fixed rubric. The answers are saved with the process.',
+  'questionnaire.apply': 'Apply Answers',
+  'questionnaire.clear': 'Clear Answers',
+  'questionnaire.derived': 'Derived from the saved answers:',
+  'questionnaire.answer': '"{answer}" ({value})',
+  'questionnaire.from': ' from {answers}',
+  'questionnaire.changedByHand': '; changed by hand to {value}',
+
+  // --- Form actions ---
+  'actions.copyJson': 'Copy JSON',
+  'actions.copyJsonTitle': 'Copy results as JSON',
+  'actions.copyMarkdown': 'Copy Markdown',
+  'actions.copyMarkdownTitle': 'Copy results as Markdown for wikis and tickets',
+  'actions.downloadHtml': 'Download HTML',
+  'actions.downloadHtmlTitle': 'Download results as a standalone HTML page',
+  'actions.downloadCsv': 'Download CSV',
+  'actions.downloadCsvTitle': 'Download results as CSV',
+  'actions.report': 'Generate Report',
+  'actions.reportTitle': 'Open a one-page report for printing or saving as PDF',
+  'actions.share': 'Share Link',
+  'actions.shareTitle': 'Copy shareable link',
+  'actions.reset': 'Reset',
+  'actions.resetTitle': 'Reset to default values',
+
+  // --- Scoring profile ---
+  'weights.summary': 'Scoring Profile',
+  'weights.profile': 'Profile',
+  'weights.weightLabel': '{factor} weight (%)',
+  'weights.total': 'Total:',
+  'weights.rescaleHint': 'Changing one weight rescales the others to keep the total at 100%.',
+  'weights.saveProfile': 'Save as Profile…',
+  'weights.deleteProfile': 'Delete Profile',
+  'weights.unsaved': '{name} (unsaved)',
+  'weights.promptName': 'Profile name',
+  'weights.confirmDelete': 'Delete profile "{name}"?',
+
+  // --- Business case ---
+  'financials.summary': 'Business Case (optional)',
+  'financials.intro':
+    'Fill in all five fields to estimate savings, payback and NPV. Leave them empty to skip.',
+  'financials.handleTimeMinutes': 'Handle time (min/case)',
+  'financials.handleTimeMinutesTitle': 'Minutes of manual work per case',
+  'financials.hourlyCost': 'Hourly cost',
+  'financials.hourlyCostTitle': 'Loaded cost of one hour of manual work',
+  'financials.automationRate': 'Automation rate (%)',
+  'financials.automationRateTitle': 'Share of cases handled without a person',
+  'financials.buildCost': 'Build cost',
+  'financials.buildCostTitle': 'One-off cost to build and deploy',
+  'financials.runCost': 'Run cost (per year)',
+  'financials.runCostTitle': 'Licences, infrastructure and support per year',
+  'financials.clear': 'Clear Business Case',
+
+  // --- Uncertainty ranges ---
+  'ranges.summary': 'Uncertainty Ranges (optional)',
+  'ranges.intro':
+    "Most inputs are estimates. Give a low and a high value for the ones you're unsure about; the form value is the most likely one. The results then show how confident the score is.",
+  'ranges.clear': 'Clear Ranges',
+  'ranges.low': 'Low',
+  'ranges.high': 'High',
+  'ranges.lowLabel': '{label}, low',
+  'ranges.highLabel': '{label}, high',
+  'ranges.fillBoth': '{label}: Fill in both low and high',
+
+  // --- Justifications ---
+  'evidence.summary': 'Justifications & Evidence',
+  'evidence.intro':
+    'Say why each input has its value and what it is based on, one evidence reference per line. Inputs without a justification are marked ⚠ in the form and in the exports.',
+  'evidence.assessor': 'Assessor',
+  'evidence.assessorPlaceholder': 'Who assessed this process',
+  'evidence.date': 'Assessed on',
+  'evidence.notePlaceholder': 'Why this value?',
+  'evidence.evidencePlaceholder': 'Evidence, one per line',
+  'evidence.noteLabel': '{label}, justification',
+  'evidence.evidenceLabel': '{label}, evidence',
+  'evidence.missing': 'No justification',
+  'evidence.status': '{count} of {total} inputs have no justification.',
+  'evidence.complete': 'Every input is justified.',
+
+  // --- Consensus ---
+  'consensus.summary': 'Multi-Assessor Consensus (optional)',
+  'consensus.intro':
+    'When several people assess this process, record each view separately: fill in the form the way one assessor sees it and add it under their name. The consensus combines the ratings input by input and is scored like any other inputs; factors the assessors disagree on are flagged for discussion.',
+  'consensus.method': 'Combine with',
+  'consensus.median': 'Median',
+  'consensus.mean': 'Mean',
+  'consensus.threshold': 'Disagreement threshold (points)',
+  'consensus.thresholdTitle':
+    "Flag a factor when the assessors' subscores lie more than this many points apart",
+  'consensus.add': 'Add Form Inputs as Assessor',
+  'consensus.promptName': 'Assessor name for these inputs',
+  'consensus.assessorNumber': 'Assessor {number}',
+  'consensus.removeLabel': 'Remove the rating by {name}',
+  'consensus.confirmRemove': 'Remove the rating by "{name}"?',
+  'consensus.heading': 'Consensus',
+  'consensus.result.median': 'Median of {count} assessor(s): {score} / 100, {band}',
+  'consensus.result.mean': 'Mean of {count} assessor(s): {score} / 100, {band}',
+  'consensus.assessor': 'Assessor',
+  'consensus.score': 'Score',
+  'consensus.band': 'Band',
+  'consensus.consensus': 'Consensus',
+  'consensus.disagreements': 'To discuss',
+  'consensus.agreed': 'The assessors agree within {threshold} points on every factor.',
+
+  // --- Custom factors ---
+  'factors.summary': 'Custom Factors',
+  'factors.intro':
+    'Score extra factors alongside the six built-in ones, for every process. Each factor takes its weight from the total; the built-in weights shrink proportionally (custom factors together at most 50%).',
+  'factors.label': 'Label',
+  'factors.labelAria': 'Factor label',
+  'factors.labelPlaceholder': 'e.g. Stakeholder sponsorship',
+  'factors.min': 'Minimum',
+  'factors.minAria': 'Minimum value',
+  'factors.max': 'Maximum',
+  'factors.maxAria': 'Maximum value',
+  'factors.direction': 'Better when',
+  'factors.directionAria': 'Which end of the range is better',
+  'factors.higher': 'Higher',
+  'factors.lower': 'Lower',
+  'factors.weight': 'Weight (%)',
+  'factors.reason': 'Blocker reason',
+  'factors.reasonPlaceholder': 'e.g. Weak Sponsorship',
+  'factors.hint': 'Blocker hint',
+  'factors.hintPlaceholder': 'What to do about it',
+  'factors.add': 'Add Factor',
+  'factors.helpHigher': 'Custom factor. {min} to {max}, higher is better.',
+  'factors.helpLower': 'Custom factor. {min} to {max}, lower is better.',
+  'factors.itemHigher': '{label}: {min}–{max}, higher is better, {weight}% of the score',
+  'factors.itemLower': '{label}: {min}–{max}, lower is better, {weight}% of the score',
+  'factors.removeLabel': 'Remove {label}',
+  'factors.confirmRemove':
+    'Remove the custom factor "{label}", its values from every process and the knock-out rules that test it?',
+
+  // --- Knock-out rules ---
+  'rules.summary': 'Knock-out Rules',
+  'rules.intro':
+    "Some problems can't be averaged out by good scores elsewhere. When a rule's condition holds, it caps the score or sets the band, for every process. Untick a rule to switch it off.",
+  'rules.when': 'When',
+  'rules.whenAria': 'Input the rule tests',
+  'rules.is': 'Is',
+  'rules.isAria': 'Comparison',
+  'rules.value': 'Value',
+  'rules.valueAria': 'Threshold',
+  'rules.then': 'Then',
+  'rules.thenAria': 'Effect',
+  'rules.effectRed': 'Band is Red',
+  'rules.effectYellow': 'Band is at most Yellow',
+  'rules.effectCap': 'Cap the score',
+  'rules.capAt': 'Cap at',
+  'rules.capAria': 'Highest score (for Cap the score)',
+  'rules.reason': 'Reason',
+  'rules.reasonPlaceholder': 'Why this overrides the score',
+  'rules.add': 'Add Rule',
+  'rules.reset': 'Restore Defaults',
+  'rules.removeLabel': 'Remove the rule {rule}',
+  'rules.confirmRemove': 'Remove the knock-out rule "{rule}"?',
+  'rules.confirmReset': 'Replace all knock-out rules with the default rules?',
+  'rules.knockOut': 'Knock-out rule: {rule}',
+  'rules.weightedScore': '{reason} Weighted score without this rule: {score}.',
+
+  // --- Results ---
+  'results.heading': 'Results',
+  'results.readinessScore': 'Readiness score',
+  'results.trendLabel': 'Readiness score and subscores over saved snapshots',
+  'results.placeholder': 'Enter values to calculate readiness score.',
+  'results.now': 'Now',
+  'blockers.heading': 'Top Blockers to Address',
+  'blockers.none': 'No significant blockers found!',
+  'blockers.noneDetail': 'This process appears to be highly ready for automation.',
+
+  // --- Confidence ---
+  'confidence.heading': 'Confidence',
+  'confidence.intro':
+    'The score for 2,000 random draws of the inputs within their uncertainty ranges, most likely values weighted highest. The shaded area holds the middle 90% of the scores.',
+  'confidence.chartLabel': 'Distribution of simulated scores',
+  'confidence.summary': '{description} (median {median}, {draws} draws)',
+  'confidence.chartDescription': 'Distribution of {draws} simulated scores: {description}',
+  'confidence.line': 'Confidence: {description}',
+
+  // --- Radar chart ---
+  'radar.heading': 'Readiness Profile',
+  'radar.intro':
+    'The six subscores side by side: a balanced process and one with a single weak factor can have the same score but a very different shape.',
+  'radar.chartLabel': 'Subscores',
+  'radar.noOverlay': 'No overlay',
+  'radar.greenTarget': 'Green target',
+  'radar.greenTargetOption': 'Green target ({score})',
+  'radar.description': 'Subscores: {values}',
+
+  // --- Score breakdown ---
+  'breakdown.heading': 'Score Breakdown',
+  'breakdown.intro':
+    'Each factor adds its subscore × weight to the score. The grey part of a bar is the points the factor could still add.',
+  'breakdown.chartLabel': 'Score breakdown by factor',
+  'breakdown.factor': 'Factor',
+  'breakdown.subscore': 'Subscore',
+  'breakdown.weight': 'Weight',
+  'breakdown.points': 'Points',
+  'breakdown.description': 'Score breakdown: {parts}; readiness score {score}',
+  'breakdown.part': '{factor} adds {points}',
+
+  // --- Business case results ---
+  'roi.heading': 'Business Case',
+  'roi.hoursSaved': 'Hours saved / year',
+  'roi.savings': 'Savings / year',
+  'roi.net': 'Net / year (after run cost)',
+  'roi.payback': 'Payback',
+  'roi.never': 'Never',
+  'roi.months': '{months} months',
+  'roi.npv': 'NPV ({years} years)',
+
+  // --- Path to Green ---
+  'plan.heading': 'Path to Green',
+  'plan.intro':
+    'Smallest input changes that reach the next band, within realistic limits per factor.',
+  'plan.impactsHeading': 'Score gain per 10-point improvement',
+  'plan.alreadyGreen': 'Already Green. Keep the inputs at or above their current levels.',
+  'plan.toReach': 'To reach {band} ({target}+)',
+  'plan.blocked':
+    'Not reachable while the knock-out rule "{rule}" applies, and it can\'t be cleared within realistic improvement limits.',
+  'plan.unreachable':
+    'Not reachable within realistic improvement limits. Consider redesigning the process first.',
+  'plan.clearsRule': '{label}: {from} → {to} (clears a knock-out rule)',
+  'plan.change': '{label}: {from} → {to} (+{gain} pts)',
+  'plan.projected': 'Projected score: {score}',
+  'plan.maxed': 'maxed',
+
+  // --- History ---
+  'history.heading': 'Assessment History',
+  'history.intro':
+    'Save a snapshot after each review to track the score over time. The log shows which inputs moved between snapshots.',
+  'history.save': 'Save Snapshot',
+  'history.clear': 'Clear History',
+  'history.empty': 'No snapshots saved yet.',
+  'history.score': '{score} ({band})',
+  'history.scoreChange': 'Score {from} → {to}',
+  'history.baseline': 'Baseline: {score}',
+  'history.change': '{label}: {from} → {to}',
+  'history.weightsChanged': 'Weights changed (profile: {profile})',
+  'history.noChanges': 'No input changes',
+  'history.confirmClear': 'Delete all {count} snapshot(s) of "{name}"?',
+
+  // --- CSV import ---
+  'import.heading': 'Import Processes',
+  'import.intro':
+    'Upload a CSV or paste a table (comma, semicolon or tab separated) with a header row naming these columns:',
+  'import.optional': 'Optional column:',
+  'import.file': 'CSV file',
+  'import.paste': 'Or paste a table',
+  'import.run': 'Import & Score',
+  'import.download': 'Download Results',
+  'import.line': 'Line {line}: {message}',
+  'import.none': 'No rows imported.',
+  'import.summary': 'Imported {count} row(s).',
+  'import.summaryWithErrors': 'Imported {count} row(s); {skipped} row(s) skipped with errors.',
+
+  // --- JSON import ---
+  'jsonImport.heading': 'Import Assessment',
+  'jsonImport.intro':
+    'Paste the JSON from Copy JSON, or choose or drop the file. The process is added to the portfolio with its name, inputs, weights, business case, questionnaire answers and ranges, and scored again.',
+  'jsonImport.file': 'JSON file',
+  'jsonImport.paste': 'Or paste or drop the JSON',
+  'jsonImport.run': 'Import & Recalculate',
+  'jsonImport.none': 'Nothing imported.',
+  'jsonImport.restored': 'Imported "{name}".',
+  'jsonImport.matches': 'The recalculated result matches the export.',
+  'jsonImport.differs':
+    'The recalculated result differs from the export: the scoring logic has changed since it was made.',
+  'jsonImport.differsSettings':
+    'The recalculated result differs from the export: it was scored with other custom factors or knock-out rules than the ones defined here.',
+  'jsonImport.settingChanged.factors':
+    'Custom factors: the export was scored with other custom factors than the ones defined here',
+  'jsonImport.settingChanged.rules':
+    'Knock-out rules: the export was scored with other knock-out rules than the ones defined here',
+  'jsonImport.difference': '{field}: {stored} in the export, {recomputed} now',
+  'jsonImport.schemaVersion': 'Result format',
+
+  // --- Backup ---
+  'backup.heading': 'Backup & Restore',
+  'backup.intro':
+    'Assessments are saved in this browser only. Download a backup of every process, with its inputs, results, notes and history, and your saved profiles, custom factors and knock-out rules. Restore it here or on another computer.',
+  'backup.download': 'Download Backup',
+  'backup.file': 'Backup file',
+  'backup.merge': 'Merge',
+  'backup.mergeTitle': 'Add new processes and take the newer version of the others',
+  'backup.replace': 'Replace',
+  'backup.replaceTitle': 'Replace everything in this browser with the backup',
+  'backup.noFile': 'Choose a backup file first.',
+  'backup.rejected': 'Nothing restored: the file is not a valid backup.',
+  'backup.confirmReplace':
+    'Replace the {count} process(es) in this browser with the {restored} in the backup? This cannot be undone.',
+  'backup.merged': 'Merged the backup: {added} process(es) added, {updated} updated.',
+  'backup.skippedFactors':
+    'Kept the custom factors defined here; these from the backup would clash with them and were left out: {keys}.',
+  'backup.skippedRules':
+    'These knock-out rules from the backup do not fit the custom factors here and were left out: {ids}.',
+  'backup.replaced': 'Restored {count} process(es) from the backup.',
+
+  // --- Report ---
+  'report.heading': 'Automation Readiness Assessment',
+  'report.process': 'Process',
+  'report.date': 'Date',
+  'report.assessor': 'Assessor',
+  'report.profile': 'Scoring profile',
+  'report.inputs': 'Inputs',
+  'report.weights': 'Weights',
+  'report.blockers': 'Blockers to Address',
+  'report.gaugeAlt': 'Gauge showing a score of {score}',
+  'report.noBlockers': 'No significant blockers found.',
+  'report.promptAssessor': 'Assessor name for the report',
+  'report.assessedOn': 'Assessed on',
+  'report.justifications': 'Justifications',
+  'report.evidence': 'Evidence: {evidence}',
+
+  // --- Update banner ---
+  'update.available': 'A new version is available.',
+  'update.reload': 'Reload',
+  'update.dismiss': 'Later',
+
+  // --- Toasts ---
+  'toast.copiedJson': '✓ Copied JSON to clipboard!',
+  'toast.copiedMarkdown': '✓ Copied Markdown to clipboard!',
+  'toast.copyFailed': '✗ Failed to copy',
+  'toast.htmlDownloaded': '✓ HTML downloaded!',
+  'toast.csvDownloaded': '✓ CSV downloaded!',
+  'toast.readFailed': '✗ Failed to read file',
+  'toast.imported': '✓ Imported {count} rows',
+  'toast.jsonImported': '✓ Imported "{name}"',
+  'toast.jsonImportedChanged': '✓ Imported "{name}"; its result has changed since the export',
+  'toast.backupDownloaded': '✓ Backup of {count} process(es) downloaded!',
+  'toast.backupFailed': '✗ Backup failed',
+  'toast.resultsDownloaded': '✓ Results downloaded!',
+  'toast.linkCopied': '✓ Link copied to clipboard!',
+  'toast.linkCopyFailed': '✗ Failed to copy link',
+  'toast.reset': '✓ Reset to defaults',
+  'toast.added': '✓ Added "{name}"',
+  'toast.duplicated': '✓ Duplicated "{name}"',
+  'toast.renamed': '✓ Process renamed',
+  'toast.ratingAdded': '✓ Added the rating by {name}',
+  'toast.deleted': '✓ Deleted "{name}"',
+  'toast.reservedProfile': '✗ "{name}" is a reserved profile name',
+  'toast.profileSaved': '✓ Saved profile "{name}"',
+  'toast.profileDeleted': '✓ Deleted profile "{name}"',
+  'toast.removed': '✓ Removed "{name}"',
+  'toast.rulesRestored': '✓ Restored the default knock-out rules',
+  'toast.snapshotUnchanged': 'Nothing changed since the last snapshot',
+  'toast.snapshotSaved': '✓ Snapshot saved',
+  'toast.historyCleared': '✓ History cleared',
+  'toast.compareLinkCopied': '✓ Compare link copied to clipboard!',
+  'toast.scenariosAdded': '✓ Added {count} scenario(s) to the portfolio',
+  'toast.answerFirst': '✗ Answer at least one question first',
+  'toast.answersApplied': '✓ Inputs derived from the answers',
+  'toast.invalidScenarios': '✗ Skipped {count} invalid scenario(s) in the compare link',
+  'toast.unknownFactors': '✗ Ignored custom factor(s) not defined here: {keys}',
+  'toast.invalidShareLink': '✗ {reason}. Your saved assessment is shown instead.',
+  'toast.storeBlocked':
+    'An older version of the calculator is open in another tab. Close it to load your saved work.',
+  'toast.storeClosed':
+    'The calculator was updated in another tab. Reload this page before making more changes.',
+
+  // --- Exports ---
+  'export.title': 'Automation Readiness: {process}',
+  'export.score': 'Score',
+  'export.band': 'Band',
+  'export.profile': 'Profile',
+  'export.overridden': 'Overridden by knock-out rules',
+  'export.weightedScore': 'weighted score {score}',
+  'export.confidence': 'Confidence',
+  'export.inputs': 'Inputs',
+  'export.input': 'Input',
+  'export.value': 'Value',
+  'export.justification': 'Justification',
+  'export.unjustified': 'No justification',
+  'export.evidence': 'evidence: {evidence}',
+  'export.assessor': 'Assessor',
+  'export.assessedBy': '{name} on {date}',
+  'export.blockers': 'Top Blockers',
+  'export.noBlockers': 'No significant blockers found.',
+  'export.link': 'Open this scenario in the calculator',
+};
+
+export default EN;
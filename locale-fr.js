@@ -0,0 +1,701 @@
+// locale-fr.js
+
+/**
+ * French messages: the interface and the scoring text
+ */
+
+const FR = {
+  // --- Identifiers ---
+  'band.Red': 'Rouge',
+  'band.Yellow': 'Jaune',
+  'band.Green': 'Vert',
+  'profile.Default': 'Par défaut',
+  'profile.Regulated': 'Réglementé',
+  'profile.High-volume ops': 'Opérations à fort volume',
+  'profile.Custom': 'Personnalisé',
+  'recommendation.Go': 'Lancer',
+  'recommendation.Pilot': 'Pilote',
+  'recommendation.Defer': 'Reporter',
+  'blocker.impact': '−{points} pts',
+
+  // --- Scoring ---
+  'narrative.Red':
+    "Ce processus présente des obstacles importants. Consolidez les fondamentaux avant d'automatiser.",
+  'narrative.Yellow':
+    'Ce processus a du potentiel mais présente des obstacles nets. Traitez les principaux problèmes pour gagner en maturité.',
+  'narrative.Green':
+    "Ce processus est un excellent candidat à l'automatisation. Passez à une analyse détaillée.",
+  'input.processVolume': 'Volume du processus',
+  'input.variance': 'Variabilité du processus',
+  'input.exceptionRate': "Taux d'exceptions",
+  'input.dataQuality': 'Qualité des données',
+  'input.systemAccess': 'Accès aux systèmes',
+  'input.complianceSensitivity': 'Sensibilité réglementaire',
+  'factor.stableProcess': 'Processus stable',
+  'factor.lowExceptions': "Peu d'exceptions",
+  'factor.dataQuality': 'Qualité des données',
+  'factor.systemAccess': 'Accès aux systèmes',
+  'factor.lowComplianceRisk': 'Faible risque réglementaire',
+  'factor.volumePotential': 'Potentiel de volume',
+  'blocker.stableProcess.reason': 'Forte variabilité du processus',
+  'blocker.stableProcess.hint':
+    'Standardisez les étapes, documentez les modes opératoires et réduisez les embranchements et les cas particuliers.',
+  'blocker.lowExceptions.reason': "Taux d'exceptions élevé",
+  'blocker.lowExceptions.hint':
+    "Analysez les causes profondes des exceptions, ajoutez des tables de décision ou revoyez les données d'entrée.",
+  'blocker.dataQuality.reason': 'Faible qualité des données',
+  'blocker.dataQuality.hint':
+    "Ajoutez des contrôles et une couche d'enrichissement, définissez des données de référence ou mettez en place un MDM.",
+  'blocker.systemAccess.reason': 'Accès limité aux systèmes',
+  'blocker.systemAccess.hint':
+    'Exposez des API, créez des comptes de service, supprimez la MFA pour les comptes techniques, ou recourez au RPA en dernier ressort.',
+  'blocker.lowComplianceRisk.reason': 'Forte sensibilité réglementaire',
+  'blocker.lowComplianceRisk.hint':
+    "Limitez les données utilisées, pseudonymisez les données personnelles, ajoutez des contrôles humains (HITL) et renforcez la journalisation d'audit.",
+  'blocker.volumePotential.reason': 'Volume / gain faible',
+  'blocker.volumePotential.hint':
+    "Un pilote reste possible. Envisagez de regrouper des processus voisins pour atteindre l'échelle.",
+  'validation.invalid': 'Veuillez saisir un nombre valide',
+  'validation.min': 'La valeur doit être au moins {min}',
+  'validation.max': 'La valeur doit être au plus {max}',
+  'validation.missing': 'Valeur manquante',
+
+  // --- Knock-out rules ---
+  'rule.and': ' et ',
+  'rule.cap': 'score au plus {cap}',
+  'rule.reason.no-system-access':
+    "Les systèmes cibles sont pratiquement inaccessibles pour une automatisation. Rien d'autre ne compte tant que ce point n'est pas résolu.",
+  'rule.reason.maximum-compliance':
+    "Chaque dossier exige une revue humaine à ce niveau de sensibilité. Concevez l'étape de revue avant d'évaluer le processus pour l'automatisation.",
+  'rule.reason.frequent-exceptions':
+    "La plupart des dossiers sortiraient de l'automatisation : les économies restent faibles.",
+
+  // --- Uncertainty ---
+  'simulation.summary': 'intervalle à {level} % : {low}–{high} ; {bands}',
+  'simulation.chance': '{percent} % de chances {band}',
+  'simulation.share': '{percent} % {band}',
+
+  // --- Consensus ---
+  'consensus.disagreement': '{factor} : sous-scores de {low} à {high} ({spread} points d’écart)',
+
+  // --- Improvement plan ---
+  'planStep.blocked':
+    '{band} ({target}) : inatteignable tant que la règle éliminatoire « {rule} » s’applique',
+  'planStep.unreachable':
+    '{band} ({target}) : inatteignable dans des limites d’amélioration réalistes',
+  'planStep.changes': '{band} ({target}) : {changes} (projeté {score})',
+
+  // --- Imported tables ---
+  'table.empty': 'Le tableau est vide',
+  'table.missingColumns': 'Colonne(s) manquante(s) : {columns}',
+
+  // --- Validation ---
+  'validation.missingName': 'Nom manquant',
+  'validation.type.string': 'Doit être une chaîne de caractères',
+  'validation.type.number': 'Doit être un nombre',
+  'validation.type.object': 'Doit être un objet',
+  'validation.type.array': 'Doit être un tableau',
+  'validation.oneOf': "Doit être l'une des valeurs {values}",
+  'validation.unknownInput': 'Donnée inconnue',
+  'validation.used': '« {value} » est déjà utilisé',
+  'validation.weights': 'Les pondérations doivent être complètes et totaliser 100 %',
+  'validation.json': "Le texte n'est pas du JSON valide : {error}",
+  'validation.newerVersion':
+    'La version {version} a été écrite par une version plus récente du calculateur',
+  'validation.factor.key':
+    'Utilisez des lettres et des chiffres en camelCase, p. ex. « sponsorship »',
+  'validation.factor.range': 'Le minimum et le maximum doivent être des nombres',
+  'validation.factor.rangeOrder': 'Le minimum doit être inférieur au maximum',
+  'validation.factor.direction': 'Doit être « higher » ou « lower »',
+  'validation.factor.weight': 'La valeur doit être supérieure à 0 et au plus {max}',
+  'validation.factor.totalWeight':
+    'Les facteurs personnalisés peuvent peser au plus {max} % ensemble',
+  'validation.factor.list': 'Les facteurs personnalisés doivent être une liste',
+  'validation.rule.when': 'Au moins une condition est requise',
+  'validation.rule.input': 'Donnée inconnue « {input} »',
+  'validation.rule.operator': "L'opérateur doit être l'un de {operators}",
+  'validation.rule.value': 'La valeur doit être un nombre',
+  'validation.rule.effect': 'Indiquez soit un niveau, soit un plafond',
+  'validation.rule.band': 'Doit être « Red » ou « Yellow »',
+  'validation.rule.cap': 'La valeur doit être un nombre entier entre 0 et 100',
+  'validation.rule.enabled': 'Doit être true ou false',
+  'validation.rule.list': 'Les règles doivent être une liste',
+  'validation.ranges.object': 'Les intervalles doivent être un objet',
+  'validation.ranges.numbers': 'Le bas et le haut doivent être des nombres',
+  'validation.ranges.order': 'Le bas ne doit pas dépasser le haut',
+  'validation.ranges.value': "L'intervalle {low}–{high} n'inclut pas la valeur {value}",
+  'validation.answers.object': 'Les réponses doivent être un objet',
+  'validation.answers.question': 'Question inconnue',
+  'validation.answers.answer': 'Réponse inconnue « {answer} »',
+  'validation.justifications.object': 'Les justifications doivent être un objet',
+  'validation.justifications.note': 'Doit être du texte',
+  'validation.justifications.evidence': 'Doit être une liste de textes',
+  'validation.assessor.object': "L'évaluateur doit être un objet",
+  'validation.assessor.date': 'Doit être une date (AAAA-MM-JJ)',
+  'validation.consensus.object': 'Le consensus doit être un objet',
+  'validation.consensus.threshold': 'Doit être un nombre de 0 à 100',
+  'validation.share.inputs': 'Les données doivent être un objet',
+  'validation.share.process': 'Le processus doit être un objet',
+  'validation.share.state': "L'état doit être un objet",
+  'validation.share.empty': "L'état ne contient ni processus ni scénarios",
+  'validation.share.compare': 'Doit être une liste de scénarios',
+  'validation.share.noVersion':
+    "Le lien de partage est endommagé : il n'a pas de version de format",
+  'validation.share.version':
+    "Le lien de partage utilise le format {version}, que cette version de l'application ne sait pas lire",
+  'validation.share.incomplete': 'Le lien de partage est endommagé : il est incomplet ou mal saisi',
+  'validation.share.checksum':
+    'Le lien de partage a été modifié après sa création : sa somme de contrôle ne correspond pas',
+  'validation.share.invalid': 'Le lien de partage contient des valeurs invalides : {errors}',
+  'validation.share.unreadable':
+    "Le lien de partage est endommagé : ses données n'ont pas pu être lues",
+  'validation.assessment.object': 'Le document doit être un objet JSON',
+  'validation.backup.format': "Le fichier n'est pas une sauvegarde du calculateur de maturité",
+  'validation.backup.version': 'Doit être un nombre entier positif',
+  'validation.backup.date': 'Doit être une date ISO 8601',
+  'validation.backup.id': 'Utilisé deux fois',
+
+  // --- Business case ---
+  'rationale.noPayback': "L'automatisation n'est pas rentabilisée en {years} ans.",
+  'rationale.blocked':
+    "L'analyse de rentabilité est positive, mais les obstacles doivent être levés avant de développer.",
+  'rationale.go': 'Prêt à automatiser, avec un retour sur investissement en {months} mois.',
+  'rationale.slowPayback':
+    "Prêt à automatiser, mais le retour sur investissement dépasse {months} mois. Prouvez d'abord les économies avec un pilote.",
+  'rationale.pilot':
+    "L'analyse de rentabilité est positive. Lancez un pilote au périmètre restreint pendant que les obstacles sont traités.",
+
+  // --- Questionnaire rubric ---
+  'question.paths': 'Combien de chemins différents un dossier suit-il en général ?',
+  'answer.paths.one': 'Un seul chemin standard',
+  'answer.paths.few': 'Quelques variantes documentées',
+  'answer.paths.many': 'De nombreuses variantes, certaines non documentées',
+  'answer.paths.every': 'Chaque dossier est différent',
+  'question.sop': 'Le processus est-il décrit dans un mode opératoire à jour ?',
+  'answer.sop.followed': 'Oui, et il est suivi',
+  'answer.sop.differs': 'Oui, mais la pratique diffère',
+  'answer.sop.partial': 'En partie seulement',
+  'answer.sop.none': 'Non',
+  'question.exceptions':
+    'Combien de dossiers nécessitent une intervention manuelle ou une reprise ?',
+  'answer.exceptions.under5': 'Presque aucun (moins de 5 %)',
+  'answer.exceptions.under15': 'Quelques-uns (5–15 %)',
+  'answer.exceptions.under30': 'Beaucoup (15–30 %)',
+  'answer.exceptions.under50': 'Énormément (30–50 %)',
+  'answer.exceptions.most': 'La plupart (plus de 50 %)',
+  'question.format':
+    'Les données en entrée sont-elles structurées, semi-structurées ou en texte libre ?',
+  'answer.format.structured': 'Structurées (formulaires, bases de données, API)',
+  'answer.format.semi': 'Semi-structurées (documents types, e-mails à champs fixes)',
+  'answer.format.free': 'Texte libre ou papier numérisé',
+  'question.complete':
+    'À quelle fréquence les données sont-elles complètes et correctes du premier coup ?',
+  'answer.complete.always': 'Presque toujours',
+  'answer.complete.usually': 'Le plus souvent',
+  'answer.complete.often-not': 'Souvent non',
+  'answer.complete.rarely': 'Rarement',
+  'question.apis': 'Les systèmes cibles disposent-ils d’API ?',
+  'answer.apis.all': 'Oui, des API documentées pour chaque étape',
+  'answer.apis.some': 'Des API pour certaines étapes',
+  'answer.apis.ui': 'Pas d’API, mais une interface utilisateur stable',
+  'answer.apis.legacy': 'Pas d’API ; système ancien ou bureau à distance uniquement',
+  'question.accounts': 'Une automatisation peut-elle obtenir son propre compte de service ?',
+  'answer.accounts.yes': 'Oui, sans MFA interactive',
+  'answer.accounts.mfa': 'Oui, mais la MFA demande un contournement',
+  'answer.accounts.shared': 'Seulement des comptes partagés ou personnels',
+  'answer.accounts.no': 'Non',
+  'question.data': 'Quel type de données le processus traite-t-il ?',
+  'answer.data.public': 'Données publiques ou internes',
+  'answer.data.confidential': 'Données confidentielles de l’entreprise',
+  'answer.data.personal': 'Données personnelles (RGPD)',
+  'answer.data.special': 'Données de santé, de paiement ou autres catégories particulières',
+  'question.audit': 'Quel est le niveau d’exigence des audits ?',
+  'answer.audit.none': 'Aucun',
+  'answer.audit.internal': 'Contrôles internes',
+  'answer.audit.external': 'Audits externes (p. ex. SOX)',
+  'answer.audit.regulator': 'Validation des changements par le régulateur',
+
+  // --- Page ---
+  'app.title': 'Calculateur de maturité pour l’automatisation',
+  'app.description':
+    'Calculez la maturité des processus métier pour l’automatisation à partir du volume, de la variabilité, de la qualité des données et d’autres facteurs clés.',
+  'app.heading': 'Maturité pour l’automatisation',
+  'app.language': 'Langue',
+  'common.close': 'Fermer',
+  'common.remove': 'Supprimer',
+
+  // --- Portfolio ---
+  'portfolio.heading': 'Portefeuille',
+  'portfolio.add': 'Ajouter',
+  'portfolio.addTitle': 'Ajouter un processus',
+  'portfolio.duplicate': 'Dupliquer',
+  'portfolio.duplicateTitle': 'Dupliquer le processus sélectionné',
+  'portfolio.rename': 'Renommer',
+  'portfolio.renameTitle': 'Renommer le processus sélectionné',
+  'portfolio.delete': 'Supprimer',
+  'portfolio.deleteTitle': 'Supprimer le processus sélectionné',
+  'portfolio.import': 'Importer un CSV',
+  'portfolio.importTitle': 'Importer et évaluer des processus depuis un CSV ou un tableau collé',
+  'portfolio.importJson': 'Importer un JSON',
+  'portfolio.importJsonTitle': 'Restaurer une évaluation depuis un export « Copier le JSON »',
+  'portfolio.backup': 'Sauvegarde',
+  'portfolio.backupTitle':
+    'Sauvegarder tous les processus dans un fichier, ou restaurer une sauvegarde',
+  'portfolio.compare': 'Comparer',
+  'portfolio.compareTitle': 'Comparer des processus côte à côte',
+  'portfolio.process': 'Processus',
+  'portfolio.score': 'Score',
+  'portfolio.band': 'Niveau',
+  'portfolio.topBlocker': 'Obstacle principal',
+  'portfolio.newProcess': 'Processus {number}',
+  'portfolio.copyOf': '{name} (copie)',
+  'portfolio.sharedProcess': 'Processus partagé',
+  'portfolio.promptName': 'Nom du processus',
+  'portfolio.confirmDelete': 'Supprimer « {name} » du portefeuille ?',
+  'portfolio.notes': 'Notes sur le processus sélectionné',
+  'portfolio.notesPlaceholder': 'Contexte, sources, questions ouvertes…',
+
+  // --- Compare ---
+  'compare.heading': 'Comparer des scénarios',
+  'compare.copyLink': 'Copier le lien de comparaison',
+  'compare.copyLinkTitle': 'Copier un lien qui ouvre cette comparaison',
+  'compare.addToPortfolio': 'Ajouter au portefeuille',
+  'compare.addToPortfolioTitle': 'Ajouter les scénarios partagés au portefeuille',
+  'compare.baseline': 'Référence',
+  'compare.with': 'Comparer avec',
+  'compare.sharedNote': 'Scénarios issus d’un lien partagé.',
+  'compare.factor': 'Facteur',
+  'compare.baselineName': '{name} (référence)',
+  'compare.readinessScore': 'Score de maturité',
+  'compare.band': 'Niveau',
+  'compare.topBlockers': 'Principaux obstacles',
+  'compare.appeared': 'nouveau',
+  'compare.resolved': 'résolu',
+
+  // --- Inputs ---
+  'inputs.heading': 'Données',
+  'field.processVolume.label': 'Volume du processus (mensuel)',
+  'field.processVolume.helpLabel': 'Aide sur le volume du processus',
+  'field.processVolume.tooltip':
+    'Nombre de dossiers ou de transactions traités par mois. Un volume élevé augmente le retour sur investissement.',
+  'field.processVolume.help': 'Nombre de dossiers ou de transactions par mois.',
+  'field.processVolume.formatted': '{value} par mois',
+  'field.variance.label': 'Variabilité du processus (0–100)',
+  'field.variance.helpLabel': 'Aide sur la variabilité du processus',
+  'field.variance.tooltip':
+    'Le processus est-il irrégulier ? 0 = très stable et prévisible, 100 = très variable avec de nombreux cas particuliers.',
+  'field.variance.help': 'Le processus est-il irrégulier ? 0 = très stable, 100 = très irrégulier.',
+  'field.exceptionRate.label': "Taux d'exceptions (0–100 %)",
+  'field.exceptionRate.helpLabel': "Aide sur le taux d'exceptions",
+  'field.exceptionRate.tooltip':
+    "Part des dossiers nécessitant un traitement manuel, une reprise ou un traitement spécial. Plus il est bas, mieux c'est pour l'automatisation.",
+  'field.exceptionRate.help': 'Part des dossiers nécessitant un traitement manuel ou une reprise.',
+  'field.dataQuality.label': 'Qualité des données (0–100)',
+  'field.dataQuality.helpLabel': 'Aide sur la qualité des données',
+  'field.dataQuality.tooltip':
+    "Les données d'entrée sont-elles structurées, propres et complètes ? 100 = excellente qualité, formats cohérents et erreurs minimes.",
+  'field.dataQuality.help':
+    "Les données d'entrée sont-elles structurées, propres et complètes ? 100 = excellentes.",
+  'field.systemAccess.label': 'Accès aux systèmes (0–100)',
+  'field.systemAccess.helpLabel': 'Aide sur l’accès aux systèmes',
+  'field.systemAccess.tooltip':
+    'Les robots ou API accèdent-ils facilement aux systèmes ? 100 = API stables avec comptes de service, sans MFA. 0 = systèmes verrouillés exigeant des contournements complexes.',
+  'field.systemAccess.help':
+    'Les robots ou API accèdent-ils facilement aux systèmes ? 100 = API stables, sans MFA.',
+  'field.complianceSensitivity.label': 'Sensibilité réglementaire (0–100)',
+  'field.complianceSensitivity.helpLabel': 'Aide sur la sensibilité réglementaire',
+  'field.complianceSensitivity.tooltip':
+    "Contraintes réglementaires et d'audit. 0 = aucune exigence, 100 = très sensible (HIPAA, RGPD, SOX) avec des pistes d'audit strictes.",
+  'field.complianceSensitivity.help':
+    "Contraintes réglementaires et d'audit. 0 = aucune, 100 = très sensible (HIPAA, RGPD).",
+
+  // --- Questionnaire ---
+  'questionnaire.summary': 'Questionnaire guidé (facultatif)',
+  'questionnaire.introBefore':
+    'Que signifie « Qualité des données : 70 » ? Répondez à ces questions :',
+  'questionnaire.introAfter':
+    "déduit la variabilité, le taux d'exceptions, la qualité des données, l'accès aux systèmes et la sensibilité réglementaire selon une grille fixe. Les réponses sont enregistrées avec le processus.",
+  'questionnaire.apply': 'Appliquer les réponses',
+  'questionnaire.clear': 'Effacer les réponses',
+  'questionnaire.derived': 'Déduit des réponses enregistrées :',
+  'questionnaire.answer': '« {answer} » ({value})',
+  'questionnaire.from': ' à partir de {answers}',
+  'questionnaire.changedByHand': ' ; modifié à la main en {value}',
+
+  // --- Form actions ---
+  'actions.copyJson': 'Copier le JSON',
+  'actions.copyJsonTitle': 'Copier les résultats au format JSON',
+  'actions.copyMarkdown': 'Copier le Markdown',
+  'actions.copyMarkdownTitle': 'Copier les résultats en Markdown pour les wikis et les tickets',
+  'actions.downloadHtml': 'Télécharger le HTML',
+  'actions.downloadHtmlTitle': 'Télécharger les résultats sous forme de page HTML autonome',
+  'actions.downloadCsv': 'Télécharger le CSV',
+  'actions.downloadCsvTitle': 'Télécharger les résultats au format CSV',
+  'actions.report': 'Générer un rapport',
+  'actions.reportTitle': 'Ouvrir un rapport d’une page à imprimer ou à enregistrer en PDF',
+  'actions.share': 'Partager le lien',
+  'actions.shareTitle': 'Copier un lien de partage',
+  'actions.reset': 'Réinitialiser',
+  'actions.resetTitle': 'Revenir aux valeurs par défaut',
+
+  // --- Scoring profile ---
+  'weights.summary': 'Profil de pondération',
+  'weights.profile': 'Profil',
+  'weights.weightLabel': 'Poids de « {factor} » (%)',
+  'weights.total': 'Total :',
+  'weights.rescaleHint': 'Modifier un poids réajuste les autres pour que le total reste à 100 %.',
+  'weights.saveProfile': 'Enregistrer comme profil…',
+  'weights.deleteProfile': 'Supprimer le profil',
+  'weights.unsaved': '{name} (non enregistré)',
+  'weights.promptName': 'Nom du profil',
+  'weights.confirmDelete': 'Supprimer le profil « {name} » ?',
+
+  // --- Business case ---
+  'financials.summary': 'Analyse de rentabilité (facultatif)',
+  'financials.intro':
+    'Renseignez les cinq champs pour estimer les économies, le délai de retour et la VAN. Laissez-les vides pour ignorer.',
+  'financials.handleTimeMinutes': 'Temps de traitement (min/dossier)',
+  'financials.handleTimeMinutesTitle': 'Minutes de travail manuel par dossier',
+  'financials.hourlyCost': 'Coût horaire',
+  'financials.hourlyCostTitle': 'Coût complet d’une heure de travail manuel',
+  'financials.automationRate': "Taux d'automatisation (%)",
+  'financials.automationRateTitle': 'Part des dossiers traités sans intervention humaine',
+  'financials.buildCost': 'Coût de réalisation',
+  'financials.buildCostTitle': 'Coût unique de développement et de déploiement',
+  'financials.runCost': "Coût d'exploitation (par an)",
+  'financials.runCostTitle': 'Licences, infrastructure et support par an',
+  'financials.clear': 'Effacer l’analyse de rentabilité',
+
+  // --- Uncertainty ranges ---
+  'ranges.summary': "Plages d'incertitude (facultatif)",
+  'ranges.intro':
+    'La plupart des données sont des estimations. Indiquez une valeur basse et une valeur haute pour celles dont vous n’êtes pas sûr ; la valeur du formulaire est la plus probable. Les résultats montrent alors le degré de confiance du score.',
+  'ranges.clear': 'Effacer les plages',
+  'ranges.low': 'Bas',
+  'ranges.high': 'Haut',
+  'ranges.lowLabel': '{label}, bas',
+  'ranges.highLabel': '{label}, haut',
+  'ranges.fillBoth': '{label} : renseignez la valeur basse et la valeur haute',
+
+  // --- Justifications ---
+  'evidence.summary': 'Justifications et preuves',
+  'evidence.intro':
+    'Indiquez pourquoi chaque donnée a sa valeur et sur quoi elle repose, une référence de preuve par ligne. Les données sans justification sont marquées ⚠ dans le formulaire et dans les exports.',
+  'evidence.assessor': 'Évaluateur',
+  'evidence.assessorPlaceholder': 'Qui a évalué ce processus',
+  'evidence.date': 'Évalué le',
+  'evidence.notePlaceholder': 'Pourquoi cette valeur ?',
+  'evidence.evidencePlaceholder': 'Preuves, une par ligne',
+  'evidence.noteLabel': '{label}, justification',
+  'evidence.evidenceLabel': '{label}, preuves',
+  'evidence.missing': 'Aucune justification',
+  'evidence.status': '{count} donnée(s) sur {total} sans justification.',
+  'evidence.complete': 'Toutes les données sont justifiées.',
+
+  // --- Consensus ---
+  'consensus.summary': 'Consensus entre évaluateurs (facultatif)',
+  'consensus.intro':
+    'Quand plusieurs personnes évaluent ce processus, enregistrez chaque avis séparément : remplissez le formulaire comme le voit un évaluateur et ajoutez-le sous son nom. Le consensus combine les avis donnée par donnée et est calculé comme n’importe quelles données ; les facteurs sur lesquels les évaluateurs divergent sont signalés pour discussion.',
+  'consensus.method': 'Combiner par',
+  'consensus.median': 'Médiane',
+  'consensus.mean': 'Moyenne',
+  'consensus.threshold': 'Seuil de désaccord (points)',
+  'consensus.thresholdTitle':
+    'Signaler un facteur quand les sous-scores des évaluateurs sont éloignés de plus de ce nombre de points',
+  'consensus.add': 'Ajouter le formulaire comme évaluateur',
+  'consensus.promptName': 'Nom de l’évaluateur pour ces données',
+  'consensus.assessorNumber': 'Évaluateur {number}',
+  'consensus.removeLabel': 'Supprimer l’avis de {name}',
+  'consensus.confirmRemove': 'Supprimer l’avis de « {name} » ?',
+  'consensus.heading': 'Consensus',
+  'consensus.result.median': 'Médiane de {count} évaluateur(s) : {score} / 100, {band}',
+  'consensus.result.mean': 'Moyenne de {count} évaluateur(s) : {score} / 100, {band}',
+  'consensus.assessor': 'Évaluateur',
+  'consensus.score': 'Score',
+  'consensus.band': 'Niveau',
+  'consensus.consensus': 'Consensus',
+  'consensus.disagreements': 'À discuter',
+  'consensus.agreed': 'Les évaluateurs sont d’accord à {threshold} points près sur chaque facteur.',
+
+  // --- Custom factors ---
+  'factors.summary': 'Facteurs personnalisés',
+  'factors.intro':
+    'Évaluez des facteurs supplémentaires en plus des six facteurs intégrés, pour tous les processus. Chaque facteur prend son poids sur le total ; les poids intégrés diminuent proportionnellement (50 % au plus pour l’ensemble des facteurs personnalisés).',
+  'factors.label': 'Libellé',
+  'factors.labelAria': 'Libellé du facteur',
+  'factors.labelPlaceholder': 'p. ex. Soutien de la direction',
+  'factors.min': 'Minimum',
+  'factors.minAria': 'Valeur minimale',
+  'factors.max': 'Maximum',
+  'factors.maxAria': 'Valeur maximale',
+  'factors.direction': 'Meilleur si',
+  'factors.directionAria': 'Quelle extrémité de la plage est la meilleure',
+  'factors.higher': 'Plus élevé',
+  'factors.lower': 'Plus bas',
+  'factors.weight': 'Poids (%)',
+  'factors.reason': "Motif de l'obstacle",
+  'factors.reasonPlaceholder': 'p. ex. Soutien insuffisant',
+  'factors.hint': "Conseil pour l'obstacle",
+  'factors.hintPlaceholder': 'Que faire',
+  'factors.add': 'Ajouter un facteur',
+  'factors.helpHigher': 'Facteur personnalisé. De {min} à {max}, plus élevé est meilleur.',
+  'factors.helpLower': 'Facteur personnalisé. De {min} à {max}, plus bas est meilleur.',
+  'factors.itemHigher': '{label} : {min}–{max}, plus élevé est meilleur, {weight} % du score',
+  'factors.itemLower': '{label} : {min}–{max}, plus bas est meilleur, {weight} % du score',
+  'factors.removeLabel': 'Supprimer {label}',
+  'factors.confirmRemove':
+    'Supprimer le facteur personnalisé « {label} », ses valeurs dans tous les processus et les règles éliminatoires qui le testent ?',
+
+  // --- Knock-out rules ---
+  'rules.summary': 'Règles éliminatoires',
+  'rules.intro':
+    'Certains problèmes ne se compensent pas par de bons scores ailleurs. Quand la condition d’une règle est remplie, elle plafonne le score ou fixe le niveau, pour tous les processus. Décochez une règle pour la désactiver.',
+  'rules.when': 'Si',
+  'rules.whenAria': 'Donnée testée par la règle',
+  'rules.is': 'Est',
+  'rules.isAria': 'Comparaison',
+  'rules.value': 'Valeur',
+  'rules.valueAria': 'Seuil',
+  'rules.then': 'Alors',
+  'rules.thenAria': 'Effet',
+  'rules.effectRed': 'Niveau Rouge',
+  'rules.effectYellow': 'Niveau Jaune au plus',
+  'rules.effectCap': 'Plafonner le score',
+  'rules.capAt': 'Plafond',
+  'rules.capAria': 'Score maximal (pour Plafonner le score)',
+  'rules.reason': 'Motif',
+  'rules.reasonPlaceholder': 'Pourquoi cette règle prime sur le score',
+  'rules.add': 'Ajouter une règle',
+  'rules.reset': 'Rétablir les règles par défaut',
+  'rules.removeLabel': 'Supprimer la règle {rule}',
+  'rules.confirmRemove': 'Supprimer la règle éliminatoire « {rule} » ?',
+  'rules.confirmReset': 'Remplacer toutes les règles éliminatoires par les règles par défaut ?',
+  'rules.knockOut': 'Règle éliminatoire : {rule}',
+  'rules.weightedScore': '{reason} Score pondéré sans cette règle : {score}.',
+
+  // --- Results ---
+  'results.heading': 'Résultats',
+  'results.readinessScore': 'Score de maturité',
+  'results.trendLabel': 'Score de maturité et sous-scores au fil des instantanés enregistrés',
+  'results.placeholder': 'Saisissez des valeurs pour calculer le score de maturité.',
+  'results.now': 'Maintenant',
+  'blockers.heading': 'Principaux obstacles à lever',
+  'blockers.none': 'Aucun obstacle important !',
+  'blockers.noneDetail': 'Ce processus semble tout à fait prêt pour l’automatisation.',
+
+  // --- Confidence ---
+  'confidence.heading': 'Confiance',
+  'confidence.intro':
+    'Le score pour 2 000 tirages aléatoires des données dans leurs plages d’incertitude, les valeurs les plus probables ayant le plus de poids. La zone ombrée contient les 90 % centraux des scores.',
+  'confidence.chartLabel': 'Distribution des scores simulés',
+  'confidence.summary': '{description} (médiane {median}, {draws} tirages)',
+  'confidence.chartDescription': 'Distribution de {draws} scores simulés : {description}',
+  'confidence.line': 'Confiance : {description}',
+
+  // --- Radar chart ---
+  'radar.heading': 'Profil de maturité',
+  'radar.intro':
+    'Les six sous-scores côte à côte : un processus équilibré et un processus avec un seul facteur faible peuvent avoir le même score mais une forme très différente.',
+  'radar.chartLabel': 'Sous-scores',
+  'radar.noOverlay': 'Aucune superposition',
+  'radar.greenTarget': 'Cible Vert',
+  'radar.greenTargetOption': 'Cible Vert ({score})',
+  'radar.description': 'Sous-scores : {values}',
+
+  // --- Score breakdown ---
+  'breakdown.heading': 'Décomposition du score',
+  'breakdown.intro':
+    'Chaque facteur ajoute son sous-score × poids au score. La partie grise d’une barre correspond aux points que le facteur pourrait encore apporter.',
+  'breakdown.chartLabel': 'Décomposition du score par facteur',
+  'breakdown.factor': 'Facteur',
+  'breakdown.subscore': 'Sous-score',
+  'breakdown.weight': 'Poids',
+  'breakdown.points': 'Points',
+  'breakdown.description': 'Décomposition du score : {parts} ; score de maturité {score}',
+  'breakdown.part': '{factor} ajoute {points}',
+
+  // --- Business case results ---
+  'roi.heading': 'Analyse de rentabilité',
+  'roi.hoursSaved': 'Heures économisées / an',
+  'roi.savings': 'Économies / an',
+  'roi.net': "Net / an (après coût d'exploitation)",
+  'roi.payback': 'Délai de retour',
+  'roi.never': 'Jamais',
+  'roi.months': '{months} mois',
+  'roi.npv': 'VAN ({years} ans)',
+
+  // --- Path to Green ---
+  'plan.heading': 'Chemin vers le Vert',
+  'plan.intro':
+    'Les plus petites modifications des données qui atteignent le niveau suivant, dans des limites réalistes par facteur.',
+  'plan.impactsHeading': 'Gain de score pour 10 points d’amélioration',
+  'plan.alreadyGreen': 'Déjà Vert. Maintenez les données à leur niveau actuel ou au-dessus.',
+  'plan.toReach': 'Pour atteindre {band} ({target}+)',
+  'plan.blocked':
+    'Inatteignable tant que la règle éliminatoire « {rule} » s’applique, et elle ne peut pas être levée dans des limites d’amélioration réalistes.',
+  'plan.unreachable':
+    'Inatteignable dans des limites d’amélioration réalistes. Envisagez d’abord de repenser le processus.',
+  'plan.clearsRule': '{label} : {from} → {to} (lève une règle éliminatoire)',
+  'plan.change': '{label} : {from} → {to} (+{gain} pts)',
+  'plan.projected': 'Score projeté : {score}',
+  'plan.maxed': 'au maximum',
+
+  // --- History ---
+  'history.heading': 'Historique des évaluations',
+  'history.intro':
+    'Enregistrez un instantané après chaque revue pour suivre le score dans le temps. Le journal indique quelles données ont changé entre deux instantanés.',
+  'history.save': 'Enregistrer un instantané',
+  'history.clear': 'Effacer l’historique',
+  'history.empty': 'Aucun instantané enregistré.',
+  'history.score': '{score} ({band})',
+  'history.scoreChange': 'Score {from} → {to}',
+  'history.baseline': 'Référence : {score}',
+  'history.change': '{label} : {from} → {to}',
+  'history.weightsChanged': 'Pondération modifiée (profil : {profile})',
+  'history.noChanges': 'Aucune donnée modifiée',
+  'history.confirmClear': 'Supprimer les {count} instantané(s) de « {name} » ?',
+
+  // --- CSV import ---
+  'import.heading': 'Importer des processus',
+  'import.intro':
+    'Chargez un CSV ou collez un tableau (séparé par des virgules, des points-virgules ou des tabulations) dont la ligne d’en-tête nomme ces colonnes :',
+  'import.optional': 'Colonne facultative :',
+  'import.file': 'Fichier CSV',
+  'import.paste': 'Ou collez un tableau',
+  'import.run': 'Importer et évaluer',
+  'import.download': 'Télécharger les résultats',
+  'import.line': 'Ligne {line} : {message}',
+  'import.none': 'Aucune ligne importée.',
+  'import.summary': '{count} ligne(s) importée(s).',
+  'import.summaryWithErrors':
+    '{count} ligne(s) importée(s) ; {skipped} ligne(s) ignorée(s) à cause d’erreurs.',
+
+  // --- JSON import ---
+  'jsonImport.heading': 'Importer une évaluation',
+  'jsonImport.intro':
+    'Collez le JSON de « Copier le JSON », ou choisissez ou déposez le fichier. Le processus est ajouté au portefeuille avec son nom, ses entrées, ses pondérations, son analyse de rentabilité, les réponses au questionnaire et les plages, puis évalué à nouveau.',
+  'jsonImport.file': 'Fichier JSON',
+  'jsonImport.paste': 'Ou collez ou déposez le JSON',
+  'jsonImport.run': 'Importer et recalculer',
+  'jsonImport.none': 'Rien n’a été importé.',
+  'jsonImport.restored': '« {name} » importé.',
+  'jsonImport.matches': 'Le résultat recalculé correspond à l’export.',
+  'jsonImport.differs':
+    'Le résultat recalculé diffère de l’export : la logique de calcul a changé depuis.',
+  'jsonImport.differsSettings':
+    'Le résultat recalculé diffère de l’export : il a été calculé avec d’autres facteurs personnalisés ou règles éliminatoires que ceux définis ici.',
+  'jsonImport.settingChanged.factors':
+    'Facteurs personnalisés : l’export a été calculé avec d’autres facteurs personnalisés que ceux définis ici',
+  'jsonImport.settingChanged.rules':
+    'Règles éliminatoires : l’export a été calculé avec d’autres règles éliminatoires que celles définies ici',
+  'jsonImport.difference': '{field} : {stored} dans l’export, {recomputed} maintenant',
+  'jsonImport.schemaVersion': 'Format du résultat',
+
+  // --- Backup ---
+  'backup.heading': 'Sauvegarde et restauration',
+  'backup.intro':
+    'Les évaluations sont enregistrées dans ce navigateur uniquement. Téléchargez une sauvegarde de tous les processus, avec leurs données, résultats, notes et historique, ainsi que vos profils, facteurs personnalisés et règles éliminatoires. Restaurez-la ici ou sur un autre ordinateur.',
+  'backup.download': 'Télécharger la sauvegarde',
+  'backup.file': 'Fichier de sauvegarde',
+  'backup.merge': 'Fusionner',
+  'backup.mergeTitle':
+    'Ajouter les nouveaux processus et garder la version la plus récente des autres',
+  'backup.replace': 'Remplacer',
+  'backup.replaceTitle': 'Remplacer tout le contenu de ce navigateur par la sauvegarde',
+  'backup.noFile': 'Choisissez d’abord un fichier de sauvegarde.',
+  'backup.rejected': 'Rien n’a été restauré : le fichier n’est pas une sauvegarde valide.',
+  'backup.confirmReplace':
+    'Remplacer les {count} processus de ce navigateur par les {restored} de la sauvegarde ? Cette action est irréversible.',
+  'backup.merged': 'Sauvegarde fusionnée : {added} processus ajouté(s), {updated} mis à jour.',
+  'backup.skippedFactors':
+    'Les facteurs personnalisés définis ici sont conservés ; ceux de la sauvegarde qui entreraient en conflit ont été écartés : {keys}.',
+  'backup.skippedRules':
+    'Ces règles éliminatoires de la sauvegarde ne correspondent pas aux facteurs personnalisés d’ici et ont été écartées : {ids}.',
+  'backup.replaced': '{count} processus restauré(s) depuis la sauvegarde.',
+
+  // --- Report ---
+  'report.heading': 'Évaluation de la maturité pour l’automatisation',
+  'report.process': 'Processus',
+  'report.date': 'Date',
+  'report.assessor': 'Évaluateur',
+  'report.profile': 'Profil de pondération',
+  'report.inputs': 'Données',
+  'report.weights': 'Pondération',
+  'report.blockers': 'Obstacles à lever',
+  'report.gaugeAlt': 'Jauge indiquant un score de {score}',
+  'report.noBlockers': 'Aucun obstacle important.',
+  'report.promptAssessor': 'Nom de l’évaluateur pour le rapport',
+  'report.assessedOn': 'Évalué le',
+  'report.justifications': 'Justifications',
+  'report.evidence': 'Preuves : {evidence}',
+
+  // --- Update banner ---
+  'update.available': 'Une nouvelle version est disponible.',
+  'update.reload': 'Recharger',
+  'update.dismiss': 'Plus tard',
+
+  // --- Toasts ---
+  'toast.copiedJson': '✓ JSON copié dans le presse-papiers !',
+  'toast.copiedMarkdown': '✓ Markdown copié dans le presse-papiers !',
+  'toast.copyFailed': '✗ Échec de la copie',
+  'toast.htmlDownloaded': '✓ HTML téléchargé !',
+  'toast.csvDownloaded': '✓ CSV téléchargé !',
+  'toast.readFailed': '✗ Impossible de lire le fichier',
+  'toast.imported': '✓ {count} lignes importées',
+  'toast.jsonImported': '✓ « {name} » importé',
+  'toast.jsonImportedChanged': '✓ « {name} » importé ; son résultat a changé depuis l’export',
+  'toast.backupDownloaded': '✓ Sauvegarde de {count} processus téléchargée !',
+  'toast.backupFailed': '✗ Échec de la sauvegarde',
+  'toast.resultsDownloaded': '✓ Résultats téléchargés !',
+  'toast.linkCopied': '✓ Lien copié dans le presse-papiers !',
+  'toast.linkCopyFailed': '✗ Échec de la copie du lien',
+  'toast.reset': '✓ Valeurs par défaut rétablies',
+  'toast.added': '✓ « {name} » ajouté',
+  'toast.duplicated': '✓ « {name} » dupliqué',
+  'toast.renamed': '✓ Processus renommé',
+  'toast.ratingAdded': '✓ Avis de {name} ajouté',
+  'toast.deleted': '✓ « {name} » supprimé',
+  'toast.reservedProfile': '✗ « {name} » est un nom de profil réservé',
+  'toast.profileSaved': '✓ Profil « {name} » enregistré',
+  'toast.profileDeleted': '✓ Profil « {name} » supprimé',
+  'toast.removed': '✓ « {name} » supprimé',
+  'toast.rulesRestored': '✓ Règles éliminatoires par défaut rétablies',
+  'toast.snapshotUnchanged': 'Rien n’a changé depuis le dernier instantané',
+  'toast.snapshotSaved': '✓ Instantané enregistré',
+  'toast.historyCleared': '✓ Historique effacé',
+  'toast.compareLinkCopied': '✓ Lien de comparaison copié dans le presse-papiers !',
+  'toast.scenariosAdded': '✓ {count} scénario(s) ajouté(s) au portefeuille',
+  'toast.answerFirst': '✗ Répondez d’abord à au moins une question',
+  'toast.answersApplied': '✓ Données déduites des réponses',
+  'toast.invalidScenarios':
+    '✗ {count} scénario(s) non valide(s) ignoré(s) dans le lien de comparaison',
+  'toast.unknownFactors': '✗ Facteur(s) personnalisé(s) non défini(s) ici ignoré(s) : {keys}',
+  'toast.invalidShareLink':
+    '✗ Lien de partage refusé : {reason}. Votre évaluation enregistrée est affichée.',
+  'toast.storeBlocked':
+    'Une ancienne version du calculateur est ouverte dans un autre onglet. Fermez-le pour charger votre travail enregistré.',
+  'toast.storeClosed':
+    'Le calculateur a été mis à jour dans un autre onglet. Rechargez cette page avant d’apporter d’autres modifications.',
+
+  // --- Exports ---
+  'export.title': 'Maturité pour l’automatisation : {process}',
+  'export.score': 'Score',
+  'export.band': 'Niveau',
+  'export.profile': 'Profil',
+  'export.overridden': 'Modifié par des règles éliminatoires',
+  'export.weightedScore': 'score pondéré {score}',
+  'export.confidence': 'Confiance',
+  'export.inputs': 'Données',
+  'export.input': 'Donnée',
+  'export.value': 'Valeur',
+  'export.justification': 'Justification',
+  'export.unjustified': 'Aucune justification',
+  'export.evidence': 'preuves : {evidence}',
+  'export.assessor': 'Évaluateur',
+  'export.assessedBy': '{name}, le {date}',
+  'export.blockers': 'Principaux obstacles',
+  'export.noBlockers': 'Aucun obstacle important.',
+  'export.link': 'Ouvrir ce scénario dans le calculateur',
+};
+
+export default FR;
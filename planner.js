@@ -0,0 +1,361 @@
+// planner.js
+
+/**
+ * "Path to Green" improvement planner.
+ * Sensitivity analysis on top of calculateReadiness: how much each factor moves the score,
+ * and the smallest set of input changes that reaches the next band.
+ */
+
+import {
+  WEIGHTS,
+  BAND_ORDER,
+  BAND_THRESHOLDS,
+  clamp,
+  volumeSubscore,
+  calculateReadiness,
+  customFactorDefault,
+  effectiveWeights,
+  allInputLabels,
+} from './scoring.js';
+import { applyRules, firingRules, describeRule, clearingValue, ruleBlocksBand } from './rules.js';
+import { DEFAULT_LOCALE, translate, formatNumber, formatList } from './i18n.js';
+
+// --- TYPE DEFINITIONS (JSDoc) ---
+
+/** @typedef {import('./scoring.js').Inputs} Inputs */
+/** @typedef {import('./scoring.js').Weights} Weights */
+/** @typedef {import('./scoring.js').Output} Output */
+/** @typedef {import('./scoring.js').CustomFactor} CustomFactor */
+/** @typedef {import('./rules.js').KnockOutRule} KnockOutRule */
+
+/**
+ * @typedef {Object} FactorImpact
+ * @property {keyof Weights} factor
+ * @property {keyof Inputs} input
+ * @property {number} headroom - subscore points left before the factor is maxed out
+ * @property {number} impactPer10 - score points gained by improving the subscore by 10 points
+ */
+
+/**
+ * @typedef {Object} PlanChange
+ * @property {keyof Weights} factor
+ * @property {keyof Inputs} input
+ * @property {string} label
+ * @property {number} from - current input value
+ * @property {number} to - target input value
+ * @property {number} scoreGain - score points gained by this change
+ * @property {string} [rule] - id of the knock-out rule this change clears
+ */
+
+/**
+ * @typedef {Object} PlanStep
+ * @property {"Yellow" | "Green"} band - band this step reaches
+ * @property {number} target - minimum score for the band
+ * @property {boolean} reachable - false when the caps don't allow reaching the band
+ * @property {PlanChange[]} changes
+ * @property {number} projectedScore - score after all changes
+ * @property {string} [blockedBy] - knock-out rule that no change within the caps can clear
+ */
+
+/**
+ * @typedef {Object} ImprovementPlan
+ * @property {FactorImpact[]} impacts - largest impact first
+ * @property {PlanStep[]} steps - one step per band above the current one
+ */
+
+// --- CONSTANTS ---
+
+/** Input behind each subscore, and whether raising the input raises the subscore */
+const FACTOR_INPUTS = {
+  stableProcess: { input: 'variance', direction: -1 },
+  lowExceptions: { input: 'exceptionRate', direction: -1 },
+  dataQuality: { input: 'dataQuality', direction: 1 },
+  systemAccess: { input: 'systemAccess', direction: 1 },
+  lowComplianceRisk: { input: 'complianceSensitivity', direction: -1 },
+  volumePotential: { input: 'processVolume', direction: 1 },
+};
+
+/**
+ * Realistic improvement per factor within one remediation cycle, in subscore points.
+ * Compliance obligations rarely shrink much, and 10 volume points is roughly doubling volume.
+ */
+const IMPROVEMENT_CAPS = {
+  stableProcess: 30,
+  lowExceptions: 25,
+  dataQuality: 30,
+  systemAccess: 40,
+  lowComplianceRisk: 20,
+  volumePotential: 10,
+};
+
+/** Improvement cap for custom factors, in subscore points */
+const CUSTOM_IMPROVEMENT_CAP = 30;
+
+// --- SENSITIVITY ---
+
+/**
+ * Unrounded score of an output (sum of the weighted contributions)
+ * @param {Output} output
+ * @returns {number}
+ */
+const rawScore = (output) => Object.values(output.contributions).reduce((sum, c) => sum + c, 0);
+
+/**
+ * Returns inputs with one factor's subscore raised by `points`
+ * @param {Inputs} inputs
+ * @param {keyof Weights} factor
+ * @param {number} points
+ * @param {CustomFactor[]} factors
+ * @returns {Inputs}
+ */
+function improveFactor(inputs, factor, points, factors) {
+  const custom = factors.find((f) => f.key === factor);
+  if (custom) {
+    const value = inputs[factor] ?? customFactorDefault(custom);
+    const step =
+      (points / 100) * (custom.max - custom.min) * (custom.direction === 'higher' ? 1 : -1);
+    return {
+      ...inputs,
+      [factor]: clamp(Math.round((value + step) * 100) / 100, custom.min, custom.max),
+    };
+  }
+
+  const { input, direction } = FACTOR_INPUTS[factor];
+
+  if (factor === 'volumePotential') {
+    const target = clamp(volumeSubscore(inputs.processVolume) + points, 0, 95);
+    // Inverse of volumeSubscore: 31.5 * log10(volume + 1)
+    const volume = Math.ceil(10 ** (target / 31.5) - 1);
+    return { ...inputs, processVolume: Math.max(inputs.processVolume, volume) };
+  }
+
+  return { ...inputs, [input]: clamp(inputs[input] + direction * points, 0, 100) };
+}
+
+/**
+ * Subscore points left before a factor is maxed out
+ * @param {Output} output
+ * @param {keyof Weights} factor
+ * @returns {number}
+ */
+const headroomOf = (output, factor) =>
+  (factor === 'volumePotential' ? 95 : 100) - output.subscores[factor];
+
+/**
+ * Measures how much each factor moves the score
+ * @param {Inputs} inputs
+ * @param {Weights} [weights]
+ * @param {CustomFactor[]} [factors]
+ * @returns {FactorImpact[]}
+ */
+function marginalImpacts(inputs, weights = WEIGHTS, factors = []) {
+  const base = calculateReadiness(inputs, weights, factors);
+  const baseScore = rawScore(base);
+
+  return Object.keys(base.subscores)
+    .map((factor) => {
+      const headroom = headroomOf(base, factor);
+      const improved = calculateReadiness(
+        improveFactor(inputs, factor, Math.min(10, headroom), factors),
+        weights,
+        factors
+      );
+      return {
+        factor,
+        input: FACTOR_INPUTS[factor] ? FACTOR_INPUTS[factor].input : factor,
+        headroom: Math.round(headroom * 10) / 10,
+        impactPer10: Math.round((rawScore(improved) - baseScore) * 10) / 10,
+      };
+    })
+    .sort((a, b) => b.impactPer10 - a.impactPer10);
+}
+
+// --- PLANNING ---
+
+/**
+ * Input behind a subscore
+ * @param {keyof Weights} factor
+ * @returns {string}
+ */
+const inputOf = (factor) => (FACTOR_INPUTS[factor] ? FACTOR_INPUTS[factor].input : factor);
+
+/**
+ * Finds the smallest total change (in subscore points) that reaches a target score.
+ * Knock-out rules that keep the score below the band are cleared first, by moving one of
+ * their conditions' inputs just past its threshold. After that the score is linear in the
+ * subscores, so spending points on the most heavily weighted factors first, up to each
+ * factor's cap, is optimal.
+ * @param {Inputs} inputs
+ * @param {Weights} weights
+ * @param {"Yellow" | "Green"} band
+ * @param {CustomFactor[]} [factors]
+ * @param {KnockOutRule[]} [rules]
+ * @param {string} [locale] - language of the labels and of `blockedBy`
+ * @returns {PlanStep}
+ */
+function planToBand(inputs, weights, band, factors = [], rules = [], locale = DEFAULT_LOCALE) {
+  const target = BAND_THRESHOLDS[band];
+  const score = (values) =>
+    applyRules(calculateReadiness(values, weights, factors), values, rules, factors);
+  const applied = effectiveWeights(weights, factors);
+  const labels = allInputLabels(factors, locale);
+  const base = score(inputs);
+  const capOf = (factor) => IMPROVEMENT_CAPS[factor] ?? CUSTOM_IMPROVEMENT_CAP;
+
+  let planned = { ...inputs };
+  const changes = [];
+  /** Subscore points already spent per factor */
+  const spent = {};
+  let blockedBy;
+
+  /** Applies a change to the planned inputs and records it */
+  const change = (factor, values, rule) => {
+    const before = score(planned);
+    const after = score(values);
+    const input = inputOf(factor);
+    const custom = factors.find((f) => f.key === factor);
+    spent[factor] = (spent[factor] ?? 0) + after.subscores[factor] - before.subscores[factor];
+    changes.push({
+      factor,
+      input,
+      label: labels[input],
+      from: planned[input] ?? customFactorDefault(custom),
+      to: values[input],
+      scoreGain: Math.round((rawScore(after) - rawScore(before)) * 10) / 10,
+      ...(rule && { rule }),
+    });
+    planned = values;
+  };
+
+  firingRules(inputs, rules, factors)
+    .filter((rule) => ruleBlocksBand(rule, band))
+    .forEach((rule) => {
+      if (!firingRules(planned, [rule], factors).length) return;
+
+      const current = score(planned);
+      const [cheapest] = rule.when
+        .map((condition) => {
+          const factor =
+            Object.keys(FACTOR_INPUTS).find((f) => FACTOR_INPUTS[f].input === condition.input) ??
+            condition.input;
+          const values = { ...planned, [condition.input]: clearingValue(condition, factors) };
+          const cost = score(values).subscores[factor] - current.subscores[factor];
+          return { factor, values, cost };
+        })
+        .filter(({ factor, cost }) => cost <= capOf(factor) - (spent[factor] ?? 0))
+        .sort((a, b) => a.cost - b.cost);
+
+      if (cheapest) {
+        change(cheapest.factor, cheapest.values, rule.id);
+      } else if (!blockedBy) {
+        blockedBy = describeRule(rule, factors, locale);
+      }
+    });
+
+  const cleared = score(planned);
+  // Scores are rounded, so e.g. 74.5 already counts as 75
+  let needed = target - 0.5 - rawScore(cleared);
+
+  const order = Object.keys(cleared.subscores)
+    .filter((factor) => applied[factor] > 0)
+    .sort((a, b) => applied[b] - applied[a] || headroomOf(base, b) - headroomOf(base, a));
+
+  order.forEach((factor) => {
+    if (needed <= 0) return;
+
+    const available = Math.floor(
+      Math.min(capOf(factor) - (spent[factor] ?? 0), headroomOf(cleared, factor))
+    );
+    const points = Math.min(available, Math.ceil(needed / applied[factor]));
+    if (points <= 0) return;
+
+    const before = rawScore(score(planned));
+    change(factor, improveFactor(planned, factor, points, factors));
+    needed -= rawScore(score(planned)) - before;
+  });
+
+  const projectedScore = score(planned).readinessScore;
+  return {
+    band,
+    target,
+    reachable: projectedScore >= target,
+    changes,
+    projectedScore,
+    ...(blockedBy && { blockedBy }),
+  };
+}
+
+/**
+ * Builds the improvement plan: factor impacts, plus the changes needed for each band
+ * above the current one (Yellow, then Green)
+ * @param {Inputs} inputs
+ * @param {Weights} [weights]
+ * @param {CustomFactor[]} [factors]
+ * @param {KnockOutRule[]} [rules]
+ * @param {string} [locale]
+ * @returns {ImprovementPlan}
+ */
+function buildImprovementPlan(
+  inputs,
+  weights = WEIGHTS,
+  factors = [],
+  rules = [],
+  locale = DEFAULT_LOCALE
+) {
+  const { band } = applyRules(calculateReadiness(inputs, weights, factors), inputs, rules, factors);
+  const steps = Object.keys(BAND_THRESHOLDS)
+    .filter((b) => BAND_ORDER[b] > BAND_ORDER[band])
+    .map((b) => planToBand(inputs, weights, b, factors, rules, locale));
+
+  return { impacts: marginalImpacts(inputs, weights, factors), steps };
+}
+
+/**
+ * Describes a plan step in one line, e.g.
+ * "Green (75): Data Quality 70 → 85; System Access 60 → 70 (projected 75)"
+ * @param {PlanStep} step - planned in the same locale, so the labels match
+ * @param {string} [locale]
+ * @returns {string}
+ */
+function formatPlanStep(step, locale = DEFAULT_LOCALE) {
+  const band = translate(locale, `band.${step.band}`, {}, step.band);
+  const { target } = step;
+  if (step.blockedBy) {
+    return translate(
+      locale,
+      'planStep.blocked',
+      { band, target, rule: step.blockedBy },
+      '{band} ({target}): not reachable while knock-out rule "{rule}" applies'
+    );
+  }
+  if (!step.reachable) {
+    return translate(
+      locale,
+      'planStep.unreachable',
+      { band, target },
+      '{band} ({target}): not reachable within realistic improvement limits'
+    );
+  }
+  const changes = formatList(
+    step.changes.map(
+      (c) => `${c.label} ${formatNumber(c.from, locale)} → ${formatNumber(c.to, locale)}`
+    ),
+    locale
+  );
+  return translate(
+    locale,
+    'planStep.changes',
+    { band, target, changes, score: step.projectedScore },
+    '{band} ({target}): {changes} (projected {score})'
+  );
+}
+
+export {
+  FACTOR_INPUTS,
+  IMPROVEMENT_CAPS,
+  CUSTOM_IMPROVEMENT_CAP,
+  marginalImpacts,
+  planToBand,
+  buildImprovementPlan,
+  formatPlanStep,
+};
@@ -0,0 +1,230 @@
+// tests/planner.spec.js
+import { describe, it, expect } from 'vitest';
+import { calculateReadiness, BUILT_IN_PROFILES, WEIGHTS } from '../scoring.js';
+import { DEFAULT_RULES, applyRules } from '../rules.js';
+import {
+  IMPROVEMENT_CAPS,
+  marginalImpacts,
+  planToBand,
+  buildImprovementPlan,
+  formatPlanStep,
+} from '../planner.js';
+import { parseCsv, buildResultsCsv } from '../csv.js';
+import { createProcess, scorePortfolio } from '../portfolio.js';
+
+const YELLOW_INPUTS = {
+  processVolume: 1000,
+  variance: 40,
+  exceptionRate: 30,
+  dataQuality: 60,
+  systemAccess: 50,
+  complianceSensitivity: 40,
+};
+
+const RED_INPUTS = {
+  processVolume: 50,
+  variance: 80,
+  exceptionRate: 70,
+  dataQuality: 30,
+  systemAccess: 20,
+  complianceSensitivity: 90,
+};
+
+/** Applies the planned input changes */
+const applyPlan = (inputs, step) => ({
+  ...inputs,
+  ...Object.fromEntries(step.changes.map((c) => [c.input, c.to])),
+});
+
+describe('Path to Green planner', () => {
+  describe('marginalImpacts', () => {
+    it('should rank factors by score gain per 10 subscore points', () => {
+      const impacts = marginalImpacts(YELLOW_INPUTS);
+      expect(impacts.length).toBe(6);
+      impacts.slice(1).forEach((impact, i) => {
+        expect(impact.impactPer10).toBeLessThanOrEqual(impacts[i].impactPer10);
+      });
+      expect(impacts.find((i) => i.factor === 'dataQuality').impactPer10).toBe(2);
+    });
+
+    it('should report no impact for a maxed-out factor', () => {
+      const impacts = marginalImpacts({ ...YELLOW_INPUTS, dataQuality: 100 });
+      const dataQuality = impacts.find((i) => i.factor === 'dataQuality');
+      expect(dataQuality.headroom).toBe(0);
+      expect(dataQuality.impactPer10).toBe(0);
+    });
+  });
+
+  describe('planToBand', () => {
+    it('should reach the target band when the changes are applied', () => {
+      const step = planToBand(YELLOW_INPUTS, WEIGHTS, 'Green');
+      expect(step.reachable).toBe(true);
+      expect(step.changes.length).toBeGreaterThan(0);
+
+      const result = calculateReadiness(applyPlan(YELLOW_INPUTS, step), WEIGHTS);
+      expect(result.band).toBe('Green');
+      expect(result.readinessScore).toBe(step.projectedScore);
+    });
+
+    it('should keep each change within its cap', () => {
+      const step = planToBand(RED_INPUTS, WEIGHTS, 'Yellow');
+      const before = calculateReadiness(RED_INPUTS, WEIGHTS).subscores;
+      const after = calculateReadiness(applyPlan(RED_INPUTS, step), WEIGHTS).subscores;
+
+      Object.keys(IMPROVEMENT_CAPS).forEach((factor) => {
+        expect(after[factor] - before[factor]).toBeLessThanOrEqual(IMPROVEMENT_CAPS[factor] + 1);
+      });
+      expect(calculateReadiness(applyPlan(RED_INPUTS, step), WEIGHTS).band).toBe('Yellow');
+    });
+
+    it('should improve the most heavily weighted factor first', () => {
+      const regulated = BUILT_IN_PROFILES.find((p) => p.name === 'Regulated').weights;
+      const step = planToBand(YELLOW_INPUTS, regulated, 'Green');
+      expect(step.changes[0].factor).toBe('lowComplianceRisk');
+    });
+
+    it('should flag a band that the caps cannot reach', () => {
+      const step = planToBand(RED_INPUTS, WEIGHTS, 'Green');
+      expect(step.reachable).toBe(false);
+      expect(formatPlanStep(step)).toContain('not reachable');
+    });
+  });
+
+  describe('buildImprovementPlan', () => {
+    it('should plan one step per band above the current one', () => {
+      expect(buildImprovementPlan(RED_INPUTS).steps.map((s) => s.band)).toEqual([
+        'Yellow',
+        'Green',
+      ]);
+      expect(buildImprovementPlan(YELLOW_INPUTS).steps.map((s) => s.band)).toEqual(['Green']);
+    });
+
+    it('should have no steps for a Green process', () => {
+      const plan = buildImprovementPlan({
+        ...YELLOW_INPUTS,
+        variance: 10,
+        exceptionRate: 5,
+        dataQuality: 95,
+        systemAccess: 90,
+        complianceSensitivity: 10,
+      });
+      expect(plan.steps).toEqual([]);
+      expect(plan.impacts.length).toBe(6);
+    });
+  });
+
+  describe('custom factors', () => {
+    const sponsorship = {
+      key: 'sponsorship',
+      label: 'Stakeholder sponsorship',
+      min: 1,
+      max: 5,
+      direction: 'higher',
+      weight: 30,
+      reason: 'Weak Sponsorship',
+      hint: 'Find an executive sponsor.',
+    };
+
+    it('should plan improvements to custom factors in their own units', () => {
+      const inputs = { ...YELLOW_INPUTS, sponsorship: 2 };
+      const step = planToBand(inputs, WEIGHTS, 'Green', [sponsorship]);
+      expect(step.changes[0]).toMatchObject({
+        factor: 'sponsorship',
+        input: 'sponsorship',
+        label: 'Stakeholder sponsorship',
+        from: 2,
+      });
+      expect(step.changes[0].to).toBeLessThanOrEqual(2 + 0.3 * 4);
+      expect(
+        calculateReadiness(applyPlan(inputs, step), WEIGHTS, [sponsorship]).readinessScore
+      ).toBe(step.projectedScore);
+    });
+
+    it('should include custom factors in the marginal impacts', () => {
+      const impacts = marginalImpacts({ ...YELLOW_INPUTS, sponsorship: 3 }, WEIGHTS, [sponsorship]);
+      expect(impacts[0]).toMatchObject({ factor: 'sponsorship', impactPer10: 3 });
+    });
+  });
+
+  describe('knock-out rules', () => {
+    const GREEN_INPUTS = {
+      ...YELLOW_INPUTS,
+      variance: 10,
+      exceptionRate: 5,
+      dataQuality: 95,
+      systemAccess: 10,
+      complianceSensitivity: 10,
+    };
+
+    it('should clear a knock-out rule before improving the weighted score', () => {
+      const step = planToBand(GREEN_INPUTS, WEIGHTS, 'Green', [], DEFAULT_RULES);
+      expect(step.changes).toEqual([
+        expect.objectContaining({
+          input: 'systemAccess',
+          from: 10,
+          to: 15,
+          rule: 'no-system-access',
+        }),
+      ]);
+      expect(step.reachable).toBe(true);
+      const planned = applyPlan(GREEN_INPUTS, step);
+      expect(applyRules(calculateReadiness(planned), planned, DEFAULT_RULES).band).toBe('Green');
+    });
+
+    it('should plan from the band the rules allow', () => {
+      expect(
+        buildImprovementPlan(GREEN_INPUTS, WEIGHTS, [], DEFAULT_RULES).steps.map((s) => s.band)
+      ).toEqual(['Yellow', 'Green']);
+    });
+
+    it('should report a rule that cannot be cleared within the caps', () => {
+      const inputs = { ...GREEN_INPUTS, systemAccess: 90, complianceSensitivity: 100 };
+      const strict = DEFAULT_RULES.map((rule) =>
+        rule.id === 'maximum-compliance'
+          ? { ...rule, when: [{ input: 'complianceSensitivity', operator: '>=', value: 50 }] }
+          : rule
+      );
+      const step = planToBand(inputs, WEIGHTS, 'Yellow', [], strict);
+      expect(step.reachable).toBe(false);
+      expect(step.blockedBy).toBe('Compliance Sensitivity >= 50 → Red');
+      expect(formatPlanStep(step)).toContain('while knock-out rule');
+    });
+  });
+
+  describe('formatPlanStep', () => {
+    it('should describe a step in the given language', () => {
+      const step = planToBand(YELLOW_INPUTS, WEIGHTS, 'Green', [], [], 'fr');
+      expect(formatPlanStep(step)).toMatch(/^Green \(75\): .* \(projected \d+\)$/);
+      expect(formatPlanStep(step, 'fr')).toMatch(/^Vert \(75\) : .*Qualité .* \(projeté \d+\)$/);
+      expect(formatPlanStep(planToBand(RED_INPUTS, WEIGHTS, 'Green'), 'de')).toBe(
+        'Grün (75): innerhalb realistischer Verbesserungen nicht erreichbar'
+      );
+    });
+
+    it('should format the values and list the changes in the given language', () => {
+      const step = {
+        band: 'Green',
+        target: 75,
+        reachable: true,
+        changes: [
+          { label: 'Process Volume', from: 1000, to: 12000 },
+          { label: 'Data Quality', from: 40, to: 70.5 },
+        ],
+        projectedScore: 76,
+      };
+      expect(formatPlanStep(step)).toBe(
+        'Green (75): Process Volume 1,000 → 12,000 and Data Quality 40 → 70.5 (projected 76)'
+      );
+      expect(formatPlanStep(step, 'de')).toBe(
+        'Grün (75): Process Volume 1.000 → 12.000 und Data Quality 40 → 70,5 (prognostiziert 76)'
+      );
+    });
+
+    it('should write the path to the next band of a results CSV in the given language', () => {
+      const rows = scorePortfolio([createProcess('Invoices', YELLOW_INPUTS)], [], [], 'de');
+      const [header, row] = parseCsv(buildResultsCsv(rows, [], [], 'de'));
+      const path = row.cells[header.cells.indexOf('pathToNextBand')];
+      expect(path).toMatch(/^Grün \(75\): .*Datenqualität .* \(prognostiziert \d+\)$/);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+// portfolio.js
+
+/**
+ * Portfolio model: creating, scoring and ranking named processes
+ */
+
+import { WEIGHTS, BUILT_IN_PROFILES, BAND_ORDER, calculateReadiness } from './scoring.js';
+import { applyRules } from './rules.js';
+import { calculateRoi } from './roi.js';
+import { DEFAULT_LOCALE } from './i18n.js';
+
+// --- TYPE DEFINITIONS (JSDoc) ---
+
+/** @typedef {import('./scoring.js').Inputs} Inputs */
+/** @typedef {import('./scoring.js').Output} Output */
+/** @typedef {import('./scoring.js').WeightsProfile} WeightsProfile */
+/** @typedef {import('./scoring.js').CustomFactor} CustomFactor */
+/** @typedef {import('./rules.js').KnockOutRule} KnockOutRule */
+/** @typedef {import('./roi.js').Financials} Financials */
+/** @typedef {import('./roi.js').RoiResult} RoiResult */
+/** @typedef {import('./history.js').Snapshot} Snapshot */
+/** @typedef {import('./questionnaire.js').Answers} Answers */
+/** @typedef {import('./uncertainty.js').Ranges} Ranges */
+/** @typedef {import('./evidence.js').Justifications} Justifications */
+/** @typedef {import('./evidence.js').Assessor} Assessor */
+/** @typedef {import('./consensus.js').Consensus} Consensus */
+
+/**
+ * @typedef {Object} Process
+ * @property {string} id
+ * @property {string} name
+ * @property {Inputs} inputs
+ * @property {WeightsProfile} profile
+ * @property {Financials | null} [financials] - optional business case inputs
+ * @property {Snapshot[]} [history] - saved assessments, oldest first
+ * @property {Answers | null} [answers] - guided questionnaire answers the inputs were derived from
+ * @property {Ranges | null} [ranges] - low / high estimates around the inputs
+ * @property {string} [notes] - free-text notes on the assessment
+ * @property {Justifications | null} [justifications] - why the inputs have their values
+ * @property {Assessor | null} [assessor] - who assessed the process, and when
+ * @property {Consensus | null} [consensus] - independent ratings by several assessors
+ */
+
+/**
+ * Everything about a new process besides its name and inputs; all of it is optional
+ * @typedef {Object} ProcessOptions
+ * @property {WeightsProfile} [profile] - the default profile when omitted
+ * @property {Financials | null} [financials]
+ * @property {Answers | null} [answers]
+ * @property {Ranges | null} [ranges]
+ * @property {string} [notes]
+ * @property {Justifications | null} [justifications]
+ * @property {Assessor | null} [assessor]
+ * @property {Consensus | null} [consensus]
+ */
+
+/**
+ * @typedef {Object} PortfolioRow
+ * @property {Process} process
+ * @property {Output} output
+ * @property {RoiResult | null} roi - null when the process has no business case
+ */
+
+// --- PORTFOLIO ---
+
+/**
+ * Returns a copy of the default weights profile
+ * @returns {WeightsProfile}
+ */
+function defaultProfile() {
+  return { name: BUILT_IN_PROFILES[0].name, weights: { ...WEIGHTS } };
+}
+
+/**
+ * Creates a new process entry with a unique id and an empty history. The options are copied,
+ * and fields other than the ProcessOptions are ignored, so another process can serve as them.
+ * @param {string} name
+ * @param {Inputs} inputs
+ * @param {ProcessOptions} [options]
+ * @returns {Process}
+ */
+function createProcess(name, inputs, options = {}) {
+  const {
+    profile = defaultProfile(),
+    financials = null,
+    answers = null,
+    ranges = null,
+    notes = '',
+    justifications = null,
+    assessor = null,
+    consensus = null,
+  } = options;
+  const id = `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+  return {
+    id,
+    name,
+    inputs: { ...inputs },
+    profile: { name: profile.name, weights: { ...profile.weights } },
+    financials: financials ? { ...financials } : null,
+    answers: answers ? { ...answers } : null,
+    ranges: ranges ? { ...ranges } : null,
+    notes,
+    justifications: justifications ? { ...justifications } : null,
+    assessor: assessor ? { ...assessor } : null,
+    consensus: consensus ? { ...consensus, ratings: [...consensus.ratings] } : null,
+    history: [],
+  };
+}
+
+/**
+ * Returns a process name that is not used yet in the portfolio
+ * @param {Process[]} processes
+ * @param {string} base
+ * @returns {string}
+ */
+function uniqueProcessName(processes, base) {
+  const names = new Set(processes.map((p) => p.name));
+  if (!names.has(base)) return base;
+
+  let n = 2;
+  while (names.has(`${base} (${n})`)) n += 1;
+  return `${base} (${n})`;
+}
+
+/**
+ * Scores every process in the portfolio, with its ROI when it has a business case
+ * @param {Process[]} processes
+ * @param {CustomFactor[]} [factors]
+ * @param {KnockOutRule[]} [rules]
+ * @param {string} [locale] - language of the narratives, blockers and rationales
+ * @returns {PortfolioRow[]}
+ */
+function scorePortfolio(processes, factors = [], rules = [], locale = DEFAULT_LOCALE) {
+  return processes.map((process) => {
+    const output = applyRules(
+      calculateReadiness(process.inputs, process.profile.weights, factors, locale),
+      process.inputs,
+      rules,
+      factors,
+      locale
+    );
+    const roi = process.financials
+      ? calculateRoi(process.inputs, process.financials, output.band, locale)
+      : null;
+    return { process, output, roi };
+  });
+}
+
+/**
+ * Sorts scored portfolio rows by a column
+ * @param {PortfolioRow[]} rows
+ * @param {'name' | 'score' | 'band' | 'blocker'} key
+ * @param {'asc' | 'desc'} direction
+ * @returns {PortfolioRow[]}
+ */
+function sortPortfolioRows(rows, key, direction) {
+  const valueOf = ({ process, output }) => {
+    switch (key) {
+      case 'name':
+        return process.name.toLowerCase();
+      case 'band':
+        return BAND_ORDER[output.band];
+      case 'blocker':
+        return output.topBlockers.length > 0 ? output.topBlockers[0].reason : '';
+      default:
+        return output.readinessScore;
+    }
+  };
+
+  const factor = direction === 'asc' ? 1 : -1;
+  return [...rows].sort((a, b) => {
+    const va = valueOf(a);
+    const vb = valueOf(b);
+    if (va < vb) return -factor;
+    if (va > vb) return factor;
+    return a.process.name.localeCompare(b.process.name);
+  });
+}
+
+export { defaultProfile, createProcess, uniqueProcessName, scorePortfolio, sortPortfolioRows };
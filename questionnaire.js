@@ -0,0 +1,260 @@
+// questionnaire.js
+
+/**
+ * Guided questionnaire: multiple-choice questions that derive the 0–100 inputs
+ * through a fixed rubric, so different assessors arrive at the same numbers
+ */
+
+import { allInputLabels } from './scoring.js';
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+
+// --- TYPE DEFINITIONS (JSDoc) ---
+
+/** @typedef {import('./scoring.js').Inputs} Inputs */
+
+/**
+ * @typedef {Object} AnswerOption
+ * @property {string} id
+ * @property {string} label
+ * @property {number} value - input value this answer stands for
+ */
+
+/**
+ * @typedef {Object} Question
+ * @property {string} id
+ * @property {keyof Inputs} input - the input this question feeds
+ * @property {string} text
+ * @property {AnswerOption[]} options
+ */
+
+/**
+ * Selected option id per question id
+ * @typedef {Object<string, string>} Answers
+ */
+
+/**
+ * How one input was derived from the answers, for auditing
+ * @typedef {Object} Derivation
+ * @property {keyof Inputs} input
+ * @property {string} label
+ * @property {number} value - rounded mean of the answer values
+ * @property {{question: string, answer: string, value: number}[]} answers
+ */
+
+// --- CONSTANTS ---
+
+/**
+ * The rubric. Each input is the rounded mean of the values of its answered questions.
+ * Process volume is a count that users know, so it stays a number on the form.
+ * @type {Question[]}
+ */
+const QUESTIONS = [
+  {
+    id: 'paths',
+    input: 'variance',
+    text: 'How many different paths does a case typically follow?',
+    options: [
+      { id: 'one', label: 'One standard path', value: 10 },
+      { id: 'few', label: 'A few documented variants', value: 35 },
+      { id: 'many', label: 'Many variants, some undocumented', value: 65 },
+      { id: 'every', label: 'Every case is different', value: 90 },
+    ],
+  },
+  {
+    id: 'sop',
+    input: 'variance',
+    text: 'Is the process documented in an up-to-date procedure (SOP)?',
+    options: [
+      { id: 'followed', label: 'Yes, and people follow it', value: 10 },
+      { id: 'differs', label: 'Yes, but practice differs from it', value: 40 },
+      { id: 'partial', label: 'Only partially', value: 60 },
+      { id: 'none', label: 'No', value: 85 },
+    ],
+  },
+  {
+    id: 'exceptions',
+    input: 'exceptionRate',
+    text: 'How many cases need manual intervention or rework?',
+    options: [
+      { id: 'under5', label: 'Almost none (under 5%)', value: 2 },
+      { id: 'under15', label: 'Some (5–15%)', value: 10 },
+      { id: 'under30', label: 'Many (15–30%)', value: 22 },
+      { id: 'under50', label: 'A lot (30–50%)', value: 40 },
+      { id: 'most', label: 'Most (over 50%)', value: 65 },
+    ],
+  },
+  {
+    id: 'format',
+    input: 'dataQuality',
+    text: 'Are inputs structured, semi-structured or free text?',
+    options: [
+      { id: 'structured', label: 'Structured (forms, databases, APIs)', value: 90 },
+      {
+        id: 'semi',
+        label: 'Semi-structured (templated documents, emails with fixed fields)',
+        value: 60,
+      },
+      { id: 'free', label: 'Free text or scanned paper', value: 25 },
+    ],
+  },
+  {
+    id: 'complete',
+    input: 'dataQuality',
+    text: 'How often is the input data complete and correct the first time?',
+    options: [
+      { id: 'always', label: 'Almost always', value: 90 },
+      { id: 'usually', label: 'Usually', value: 70 },
+      { id: 'often-not', label: 'Often not', value: 40 },
+      { id: 'rarely', label: 'Rarely', value: 15 },
+    ],
+  },
+  {
+    id: 'apis',
+    input: 'systemAccess',
+    text: 'Do target systems have APIs?',
+    options: [
+      { id: 'all', label: 'Yes, documented APIs for every step', value: 95 },
+      { id: 'some', label: 'APIs for some steps', value: 65 },
+      { id: 'ui', label: 'No APIs, but a stable user interface', value: 40 },
+      { id: 'legacy', label: 'No APIs; legacy or remote desktop only', value: 15 },
+    ],
+  },
+  {
+    id: 'accounts',
+    input: 'systemAccess',
+    text: 'Can an automation get its own service account?',
+    options: [
+      { id: 'yes', label: 'Yes, without interactive MFA', value: 90 },
+      { id: 'mfa', label: 'Yes, but MFA needs a workaround', value: 60 },
+      { id: 'shared', label: 'Only shared or personal accounts', value: 30 },
+      { id: 'no', label: 'No', value: 10 },
+    ],
+  },
+  {
+    id: 'data',
+    input: 'complianceSensitivity',
+    text: 'What kind of data does the process handle?',
+    options: [
+      { id: 'public', label: 'Public or internal data', value: 10 },
+      { id: 'confidential', label: 'Business-confidential data', value: 35 },
+      { id: 'personal', label: 'Personal data (GDPR)', value: 65 },
+      { id: 'special', label: 'Health, payment or other special-category data', value: 90 },
+    ],
+  },
+  {
+    id: 'audit',
+    input: 'complianceSensitivity',
+    text: 'How strict are the audit requirements?',
+    options: [
+      { id: 'none', label: 'None', value: 10 },
+      { id: 'internal', label: 'Internal controls', value: 40 },
+      { id: 'external', label: 'External audits (e.g. SOX)', value: 70 },
+      { id: 'regulator', label: 'Regulator sign-off on changes', value: 90 },
+    ],
+  },
+];
+
+/** Inputs the questionnaire derives, in form order */
+const QUESTIONNAIRE_INPUTS = [...new Set(QUESTIONS.map((q) => q.input))];
+
+// --- LOCALIZATION ---
+
+/**
+ * The rubric with its question and answer texts in a locale. Ids and values don't change.
+ * @param {string} [locale]
+ * @returns {Question[]}
+ */
+const localizeQuestions = (locale = DEFAULT_LOCALE) =>
+  QUESTIONS.map((question) => ({
+    ...question,
+    text: translate(locale, `question.${question.id}`, {}, question.text),
+    options: question.options.map((option) => ({
+      ...option,
+      label: translate(locale, `answer.${question.id}.${option.id}`, {}, option.label),
+    })),
+  }));
+
+// --- ANSWERS ---
+
+/**
+ * Checks that every answer refers to a known question and one of its options
+ * @param {Answers} answers
+ * @param {string} [locale] - language of the messages
+ * @returns {string[]} error messages, e.g. "format: Unknown answer \"pdf\""
+ */
+function validateAnswers(answers, locale = DEFAULT_LOCALE) {
+  if (answers === null || typeof answers !== 'object' || Array.isArray(answers)) {
+    return [translate(locale, 'validation.answers.object', {}, 'Answers must be an object')];
+  }
+
+  const errors = [];
+  Object.entries(answers).forEach(([questionId, optionId]) => {
+    const question = QUESTIONS.find((q) => q.id === questionId);
+    if (!question) {
+      const message = translate(locale, 'validation.answers.question', {}, 'Unknown question');
+      errors.push(`${questionId}: ${message}`);
+    } else if (!question.options.some((o) => o.id === optionId)) {
+      const message = translate(
+        locale,
+        'validation.answers.answer',
+        { answer: optionId },
+        'Unknown answer "{answer}"'
+      );
+      errors.push(`${questionId}: ${message}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Explains how each input follows from the answers: the answers used and their mean.
+ * Inputs without any answered question are left out.
+ * @param {Answers} answers - valid answers (see validateAnswers)
+ * @param {string} [locale] - language of the labels, questions and answers
+ * @returns {Derivation[]}
+ */
+function explainDerivation(answers, locale = DEFAULT_LOCALE) {
+  const questions = localizeQuestions(locale);
+  const labels = allInputLabels([], locale);
+  return QUESTIONNAIRE_INPUTS.map((input) => {
+    const used = questions
+      .filter((q) => q.input === input && answers[q.id] !== undefined)
+      .map((q) => {
+        const option = q.options.find((o) => o.id === answers[q.id]);
+        return { question: q.text, answer: option.label, value: option.value };
+      });
+    const mean = used.reduce((sum, a) => sum + a.value, 0) / used.length;
+    return { input, label: labels[input], value: Math.round(mean), answers: used };
+  }).filter((d) => d.answers.length > 0);
+}
+
+/**
+ * Derives input values from the answers
+ * @param {Answers} answers - valid answers (see validateAnswers)
+ * @returns {Partial<Inputs>} only the inputs with at least one answered question
+ */
+function deriveInputs(answers) {
+  return Object.fromEntries(explainDerivation(answers).map((d) => [d.input, d.value]));
+}
+
+/**
+ * Lists the derived inputs that were changed by hand after answering
+ * @param {Answers} answers
+ * @param {Inputs} inputs
+ * @returns {(keyof Inputs)[]}
+ */
+function findOverrides(answers, inputs) {
+  return Object.entries(deriveInputs(answers))
+    .filter(([input, value]) => inputs[input] !== value)
+    .map(([input]) => input);
+}
+
+export {
+  QUESTIONS,
+  QUESTIONNAIRE_INPUTS,
+  localizeQuestions,
+  validateAnswers,
+  explainDerivation,
+  deriveInputs,
+  findOverrides,
+};
@@ -0,0 +1,79 @@
+// tests/questionnaire.spec.js
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_INPUTS, validateInput } from '../scoring.js';
+import {
+  QUESTIONS,
+  QUESTIONNAIRE_INPUTS,
+  validateAnswers,
+  explainDerivation,
+  deriveInputs,
+  findOverrides,
+} from '../questionnaire.js';
+
+describe('Guided questionnaire', () => {
+  describe('rubric', () => {
+    it('should cover the five judgement inputs with valid values', () => {
+      expect(QUESTIONNAIRE_INPUTS).toEqual([
+        'variance',
+        'exceptionRate',
+        'dataQuality',
+        'systemAccess',
+        'complianceSensitivity',
+      ]);
+      QUESTIONS.forEach((question) => {
+        question.options.forEach((option) => {
+          expect(validateInput(question.input, option.value).valid).toBe(true);
+        });
+      });
+    });
+  });
+
+  describe('deriveInputs', () => {
+    it('should average the answers per input and leave unanswered inputs out', () => {
+      expect(deriveInputs({ format: 'structured', complete: 'often-not', apis: 'ui' })).toEqual({
+        dataQuality: 65,
+        systemAccess: 40,
+      });
+    });
+
+    it('should explain which answers produced each value', () => {
+      const [derivation] = explainDerivation({ format: 'free', complete: 'usually' });
+      expect(derivation).toEqual({
+        input: 'dataQuality',
+        label: 'Data Quality',
+        value: 48,
+        answers: [
+          {
+            question: 'Are inputs structured, semi-structured or free text?',
+            answer: 'Free text or scanned paper',
+            value: 25,
+          },
+          {
+            question: 'How often is the input data complete and correct the first time?',
+            answer: 'Usually',
+            value: 70,
+          },
+        ],
+      });
+    });
+  });
+
+  describe('findOverrides', () => {
+    it('should list derived inputs that were changed by hand', () => {
+      const answers = { exceptions: 'under15', apis: 'all' };
+      const inputs = { ...DEFAULT_INPUTS, exceptionRate: 10, systemAccess: 80 };
+      expect(findOverrides(answers, inputs)).toEqual(['systemAccess']);
+    });
+  });
+
+  describe('validateAnswers', () => {
+    it('should reject unknown questions and answers', () => {
+      expect(validateAnswers({ format: 'structured' })).toEqual([]);
+      expect(validateAnswers({ format: 'pdf', mood: 'good' })).toEqual([
+        'format: Unknown answer "pdf"',
+        'mood: Unknown question',
+      ]);
+      expect(validateAnswers(['format'])).toEqual(['Answers must be an object']);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+// radar.js
+
+/**
+ * Geometry of the Readiness Profile radar chart: one spoke per factor, starting at the top and
+ * going clockwise, with subscores from 0 at the center to 100 on the outer ring.
+ * Drawing stays with the canvas; everything here is plain arithmetic.
+ */
+
+import { BAND_THRESHOLDS } from './scoring.js';
+
+// --- TYPE DEFINITIONS (JSDoc) ---
+
+/** @typedef {import('./scoring.js').Weights} Weights */
+
+/**
+ * Where the chart sits on the canvas
+ * @typedef {Object} RadarGeometry
+ * @property {number} centerX
+ * @property {number} centerY
+ * @property {number} radius - of the outer ring (a subscore of 100)
+ */
+
+// --- CONSTANTS ---
+
+/** Room left around the outer ring for the factor labels, in pixels */
+const LABEL_MARGIN = 36;
+
+/** Labels are drawn just outside the outer ring, at 112 on the subscore scale */
+const LABEL_DISTANCE = 112;
+
+// --- GEOMETRY ---
+
+/**
+ * The largest chart that fits the canvas with room for the labels
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [margin]
+ * @returns {RadarGeometry}
+ */
+const radarGeometry = (width, height, margin = LABEL_MARGIN) => ({
+  centerX: width / 2,
+  centerY: height / 2,
+  radius: Math.min(width, height) / 2 - margin,
+});
+
+/**
+ * Angle of a spoke in radians: the first points straight up, the rest follow clockwise
+ * @param {number} index
+ * @param {number} count - number of spokes
+ * @returns {number}
+ */
+const radarAngle = (index, count) => -Math.PI / 2 + (index / count) * 2 * Math.PI;
+
+/**
+ * Canvas position of a subscore on its spoke
+ * @param {RadarGeometry} geometry
+ * @param {number} index
+ * @param {number} count - number of spokes
+ * @param {number} value - subscore, 0–100 (beyond 100 for the labels)
+ * @returns {[number, number]} x and y
+ */
+function radarPoint(geometry, index, count, value) {
+  const angle = radarAngle(index, count);
+  const distance = geometry.radius * (value / 100);
+  return [
+    geometry.centerX + Math.cos(angle) * distance,
+    geometry.centerY + Math.sin(angle) * distance,
+  ];
+}
+
+/**
+ * Text alignment of a spoke's label, so it reads away from the chart: centered above and below,
+ * left-aligned on the right half and right-aligned on the left half
+ * @param {number} index
+ * @param {number} count - number of spokes
+ * @returns {'center' | 'left' | 'right'}
+ */
+function labelAlign(index, count) {
+  const cos = Math.cos(radarAngle(index, count));
+  if (Math.abs(cos) < 0.1) return 'center';
+  return cos > 0 ? 'left' : 'right';
+}
+
+/**
+ * Subscores of the Green target outline: every factor at the same value. With every subscore at
+ * the Green threshold, the score is exactly Green under any weights.
+ * @param {string[]} factors - factor keys
+ * @param {number} [value]
+ * @returns {Weights}
+ */
+const targetSubscores = (factors, value = BAND_THRESHOLDS.Green) =>
+  Object.fromEntries(factors.map((factor) => [factor, value]));
+
+export {
+  LABEL_MARGIN,
+  LABEL_DISTANCE,
+  radarGeometry,
+  radarAngle,
+  radarPoint,
+  labelAlign,
+  targetSubscores,
+};
@@ -0,0 +1,68 @@
+// tests/radar.spec.js
+import { describe, it, expect } from 'vitest';
+import {
+  LABEL_MARGIN,
+  radarGeometry,
+  radarAngle,
+  radarPoint,
+  labelAlign,
+  targetSubscores,
+} from '../radar.js';
+import { WEIGHTS, BAND_THRESHOLDS } from '../scoring.js';
+
+const FACTORS = Object.keys(WEIGHTS);
+
+describe('Radar chart', () => {
+  describe('radarGeometry', () => {
+    it('should center the chart and leave room for the labels', () => {
+      expect(radarGeometry(320, 280)).toEqual({
+        centerX: 160,
+        centerY: 140,
+        radius: 140 - LABEL_MARGIN,
+      });
+      expect(radarGeometry(200, 200, 0).radius).toBe(100);
+    });
+  });
+
+  describe('radarPoint', () => {
+    const geometry = radarGeometry(200, 200, 0);
+
+    it('should start at the top and go clockwise', () => {
+      expect(radarAngle(0, 4)).toBe(-Math.PI / 2);
+      const [x0, y0] = radarPoint(geometry, 0, 4, 100);
+      expect(x0).toBeCloseTo(100);
+      expect(y0).toBeCloseTo(0);
+      const [x1, y1] = radarPoint(geometry, 1, 4, 100);
+      expect(x1).toBeCloseTo(200);
+      expect(y1).toBeCloseTo(100);
+    });
+
+    it('should place subscores in proportion to the radius', () => {
+      expect(radarPoint(geometry, 3, 6, 0)).toEqual([100, 100]);
+      const [x, y] = radarPoint(geometry, 3, 6, 50);
+      expect(x).toBeCloseTo(100);
+      expect(y).toBeCloseTo(150);
+    });
+  });
+
+  describe('labelAlign', () => {
+    it('should align labels away from the chart', () => {
+      expect(FACTORS.map((_, i) => labelAlign(i, FACTORS.length))).toEqual([
+        'center',
+        'left',
+        'left',
+        'center',
+        'right',
+        'right',
+      ]);
+    });
+  });
+
+  describe('targetSubscores', () => {
+    it('should put every factor at the same value, the Green threshold by default', () => {
+      const subscores = targetSubscores(FACTORS);
+      expect(Object.values(subscores)).toEqual(FACTORS.map(() => BAND_THRESHOLDS.Green));
+      expect(targetSubscores(['dataQuality'], 50)).toEqual({ dataQuality: 50 });
+    });
+  });
+});
@@ -0,0 +1,399 @@
+// readiness-calculator.js
+
+/**
+ * <readiness-calculator>: the calculator as a self-contained custom element, for embedding in
+ * other pages such as an intranet page or an intake form.
+ *
+ *   <script type="module" src="readiness-calculator.js"></script>
+ *   <readiness-calculator data-quality="80" profile="Regulated" lang="de"></readiness-calculator>
+ *
+ * Each instance renders into its own shadow root, so any number of them can share a page.
+ * The initial inputs come from attributes named after the inputs in kebab-case
+ * (`process-volume`, `exception-rate`, ...) or from the `inputs` property; the weights from the
+ * `profile` attribute (a built-in profile name), the `weights` attribute (percentages in WEIGHTS
+ * order, e.g. "20-20-20-15-15-10") or the `weights` property. Whenever the result changes, the
+ * element dispatches a `readiness-change` event whose detail carries the calculateReadiness output
+ * with the inputs and profile it was calculated from. The first one fires when the element is
+ * first added to the page; edits that leave the result as it was dispatch none. The `output`
+ * property holds the latest result.
+ * The element scores the six built-in factors; custom factors and knock-out rules stay in the app.
+ */
+
+import {
+  DEFAULT_INPUTS,
+  INPUT_CONSTRAINTS,
+  BUILT_IN_PROFILES,
+  CUSTOM_PROFILE_NAME,
+  allInputLabels,
+  validateInput,
+  calculateReadiness,
+  isValidWeights,
+  parseWeights,
+} from './scoring.js';
+import { defaultProfile } from './portfolio.js';
+import { resolveLocale, translate } from './i18n.js';
+
+// --- TYPE DEFINITIONS (JSDoc) ---
+
+/** @typedef {import('./scoring.js').Inputs} Inputs */
+/** @typedef {import('./scoring.js').Output} Output */
+/** @typedef {import('./scoring.js').Weights} Weights */
+/** @typedef {import('./scoring.js').WeightsProfile} WeightsProfile */
+
+/**
+ * Detail of the readiness-change event
+ * @typedef {Object} ReadinessChangeDetail
+ * @property {Inputs} inputs
+ * @property {WeightsProfile} profile
+ * @property {Output} output - the calculateReadiness output
+ */
+
+// --- CONSTANTS ---
+
+const TAG_NAME = 'readiness-calculator';
+
+/** Event dispatched with a ReadinessChangeDetail when the result changes */
+const CHANGE_EVENT = 'readiness-change';
+
+const INPUT_KEYS = Object.keys(DEFAULT_INPUTS);
+
+/** Outside the browser there is no HTMLElement; the helpers below still work there */
+const BaseElement = typeof HTMLElement === 'undefined' ? Object : HTMLElement;
+
+const STYLES = `
+  :host {
+    display: block;
+    font-family: var(--readiness-font-family, system-ui, sans-serif);
+    color: var(--readiness-color-text, #333);
+  }
+  :host([hidden]) { display: none; }
+  form { display: grid; grid-template-columns: repeat(auto-fit, minmax(12rem, 1fr)); gap: 0.75rem; }
+  label { display: flex; flex-direction: column; gap: 0.25rem; font-size: 0.875rem; font-weight: 600; }
+  input { font: inherit; padding: 0.4rem 0.5rem; border: 1px solid #ccc; border-radius: 4px; }
+  input[aria-invalid="true"] { border-color: var(--readiness-color-error, #dc3545); }
+  .error { color: var(--readiness-color-error, #dc3545); font-weight: 400; min-height: 1em; }
+  .result { display: flex; align-items: center; gap: 0.75rem; margin-top: 1rem; }
+  .score { font-size: 2rem; font-weight: 700; }
+  meter { flex: 1; height: 1rem; }
+  .band { padding: 0.1rem 0.6rem; border-radius: 999px; color: #fff; font-weight: 600; }
+  .band-Red { background: var(--readiness-color-red, #d32f2f); }
+  .band-Yellow { background: var(--readiness-color-yellow, #fbc02d); color: #333; }
+  .band-Green { background: var(--readiness-color-green, #388e3c); }
+  .blockers { padding-left: 1.25rem; font-size: 0.875rem; }
+`;
+
+// --- ATTRIBUTES ---
+
+/**
+ * Attribute of an input, e.g. "dataQuality" → "data-quality"
+ * @param {string} key
+ * @returns {string}
+ */
+const attributeName = (key) => key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+
+/**
+ * Reads one input from its attribute value
+ * @param {string} key
+ * @param {string | null} text
+ * @returns {number} the default when the attribute is missing or invalid
+ */
+function inputFromAttribute(key, text) {
+  if (text === null) return DEFAULT_INPUTS[key];
+
+  const value = Number(text);
+  if (text.trim() === '' || !validateInput(key, value).valid) {
+    console.warn(`Ignoring invalid ${attributeName(key)} attribute:`, text);
+    return DEFAULT_INPUTS[key];
+  }
+  return value;
+}
+
+/**
+ * Reads the inputs set as attributes; missing or invalid ones keep their default
+ * @param {(name: string) => string | null} getAttribute
+ * @returns {Inputs}
+ */
+const inputsFromAttributes = (getAttribute) =>
+  Object.fromEntries(
+    INPUT_KEYS.map((key) => [key, inputFromAttribute(key, getAttribute(attributeName(key)))])
+  );
+
+/**
+ * Reads the weights profile set as attributes: `weights` wins over `profile`
+ * @param {(name: string) => string | null} getAttribute
+ * @returns {WeightsProfile} the default profile when neither is set or valid
+ */
+function profileFromAttributes(getAttribute) {
+  const weightsText = getAttribute('weights');
+  if (weightsText !== null) {
+    const weights = parseWeights(weightsText);
+    if (weights) return { name: CUSTOM_PROFILE_NAME, weights };
+    console.warn('Ignoring invalid weights attribute:', weightsText);
+  }
+
+  const name = getAttribute('profile');
+  if (name !== null) {
+    const profile = BUILT_IN_PROFILES.find((p) => p.name === name);
+    if (profile) return { name: profile.name, weights: { ...profile.weights } };
+    console.warn('Ignoring unknown profile attribute:', name);
+  }
+  return defaultProfile();
+}
+
+/**
+ * Whether two calculateReadiness outputs are the same result: score, band, subscores and text
+ * @param {Output | null} a
+ * @param {Output | null} b
+ * @returns {boolean}
+ */
+const isSameOutput = (a, b) => a !== null && b !== null && JSON.stringify(a) === JSON.stringify(b);
+
+// --- ELEMENT ---
+
+/**
+ * The <readiness-calculator> element
+ */
+class ReadinessCalculator extends BaseElement {
+  static get observedAttributes() {
+    return [...INPUT_KEYS.map(attributeName), 'profile', 'weights', 'lang'];
+  }
+
+  /** @type {Inputs} */
+  #inputs = { ...DEFAULT_INPUTS };
+
+  /** @type {WeightsProfile} */
+  #profile = defaultProfile();
+
+  /** @type {Output | null} */
+  #output = null;
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+  }
+
+  connectedCallback() {
+    // Properties set before the element was defined shadow the accessors; apply them now
+    ['inputs', 'weights'].forEach((property) => {
+      if (Object.prototype.hasOwnProperty.call(this, property)) {
+        const value = this[property];
+        delete this[property];
+        this[property] = value;
+      }
+    });
+    this.#render();
+    this.#calculate();
+  }
+
+  /**
+   * @param {string} name
+   * @param {string | null} _oldValue
+   * @param {string | null} newValue
+   */
+  attributeChangedCallback(name, _oldValue, newValue) {
+    if (name === 'profile' || name === 'weights') {
+      this.#profile = profileFromAttributes((attribute) => this.getAttribute(attribute));
+    } else if (name !== 'lang') {
+      const key = INPUT_KEYS.find((k) => attributeName(k) === name);
+      this.#inputs[key] = inputFromAttribute(key, newValue);
+    }
+    if (this.#rendered) {
+      if (name === 'lang') this.#render();
+      this.#calculate();
+    }
+  }
+
+  /**
+   * The current inputs. Setting them replaces the given inputs and keeps the others.
+   * @type {Inputs}
+   */
+  get inputs() {
+    return { ...this.#inputs };
+  }
+
+  set inputs(inputs) {
+    // validateInput compares with the limits only; text such as '1000' would slip through it
+    const invalid = Object.entries(inputs || {}).filter(
+      ([key, value]) =>
+        INPUT_KEYS.includes(key) && (typeof value !== 'number' || !validateInput(key, value).valid)
+    );
+    if (invalid.length > 0) {
+      throw new RangeError(`Invalid inputs: ${invalid.map(([key]) => key).join(', ')}`);
+    }
+    INPUT_KEYS.filter((key) => key in (inputs || {})).forEach((key) => {
+      this.#inputs[key] = inputs[key];
+    });
+    if (this.#rendered) {
+      this.#fillForm();
+      this.#calculate();
+    }
+  }
+
+  /**
+   * The weights used (fractions summing to 1). Setting them selects the matching built-in
+   * profile, or the Custom profile.
+   * @type {Weights}
+   */
+  get weights() {
+    return { ...this.#profile.weights };
+  }
+
+  set weights(weights) {
+    if (!isValidWeights(weights)) {
+      throw new RangeError('Weights must be complete and sum to 100%');
+    }
+    const builtIn = BUILT_IN_PROFILES.find((p) =>
+      Object.keys(weights).every((key) => p.weights[key] === weights[key])
+    );
+    this.#profile = { name: builtIn ? builtIn.name : CUSTOM_PROFILE_NAME, weights: { ...weights } };
+    if (this.#rendered) this.#calculate();
+  }
+
+  /**
+   * The last calculateReadiness output; null until the element is connected or while an input is
+   * invalid
+   * @type {Output | null}
+   */
+  get output() {
+    return this.#output;
+  }
+
+  /**
+   * Whether the shadow root has been filled; attributes and properties set before then are
+   * applied when the element is connected
+   * @returns {boolean}
+   */
+  get #rendered() {
+    return this.shadowRoot.hasChildNodes();
+  }
+
+  /**
+   * Language of the element, from its own or the closest `lang` attribute
+   * @returns {string}
+   */
+  get #locale() {
+    const element = this.closest('[lang]');
+    return resolveLocale(element ? element.getAttribute('lang') : undefined);
+  }
+
+  /**
+   * Renders the form and the result area into the shadow root
+   */
+  #render() {
+    const locale = this.#locale;
+    const labels = allInputLabels([], locale);
+    const style = document.createElement('style');
+    style.textContent = STYLES;
+
+    const form = document.createElement('form');
+    form.noValidate = true;
+    INPUT_KEYS.forEach((key) => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      const error = document.createElement('span');
+      label.textContent = labels[key];
+      input.type = 'number';
+      input.name = key;
+      input.min = INPUT_CONSTRAINTS[key].min;
+      input.max = INPUT_CONSTRAINTS[key].max;
+      error.className = 'error';
+      error.setAttribute('role', 'alert');
+      label.append(input, error);
+      form.appendChild(label);
+    });
+    form.addEventListener('input', (event) => this.#handleInput(event.target));
+
+    const result = document.createElement('div');
+    result.className = 'result';
+    result.setAttribute('aria-live', 'polite');
+    result.innerHTML =
+      '<span class="score"></span><meter min="0" max="100" low="50" high="75" optimum="100"></meter><span class="band"></span>';
+    result
+      .querySelector('meter')
+      .setAttribute('aria-label', translate(locale, 'results.readinessScore'));
+
+    const narrative = document.createElement('p');
+    narrative.className = 'narrative';
+    const blockers = document.createElement('ul');
+    blockers.className = 'blockers';
+    blockers.setAttribute('aria-label', translate(locale, 'blockers.heading'));
+
+    this.shadowRoot.replaceChildren(style, form, result, narrative, blockers);
+    this.#fillForm();
+  }
+
+  /**
+   * Writes the inputs into the form, replacing any invalid entries and their errors
+   */
+  #fillForm() {
+    INPUT_KEYS.forEach((key) => {
+      const input = this.shadowRoot.querySelector(`input[name="${key}"]`);
+      if (!input) return;
+      input.value = String(this.#inputs[key]);
+      input.setAttribute('aria-invalid', 'false');
+      input.nextElementSibling.textContent = '';
+    });
+  }
+
+  /**
+   * Validates an edited input and recalculates when it's valid
+   * @param {HTMLInputElement} input
+   */
+  #handleInput(input) {
+    const value = input.value.trim() === '' ? NaN : Number(input.value);
+    const { valid, message } = validateInput(input.name, value, INPUT_CONSTRAINTS, this.#locale);
+    input.setAttribute('aria-invalid', String(!valid));
+    const error = input.nextElementSibling;
+    error.textContent = message;
+    if (!valid) return;
+
+    this.#inputs[input.name] = value;
+    this.#calculate();
+  }
+
+  /**
+   * Scores the inputs, shows the result and dispatches readiness-change when it changed
+   */
+  #calculate() {
+    if (this.shadowRoot.querySelector('[aria-invalid="true"]')) return;
+
+    const locale = this.#locale;
+    const output = calculateReadiness(this.#inputs, this.#profile.weights, [], locale);
+    const changed = !isSameOutput(output, this.#output);
+    this.#output = output;
+
+    const root = this.shadowRoot;
+    root.querySelector('.score').textContent = String(output.readinessScore);
+    root.querySelector('meter').value = output.readinessScore;
+    const band = root.querySelector('.band');
+    band.className = `band band-${output.band}`;
+    band.textContent = translate(locale, `band.${output.band}`, {}, output.band);
+    root.querySelector('.narrative').textContent = output.narrative;
+    root.querySelector('.blockers').replaceChildren(
+      ...output.topBlockers.map((blocker) => {
+        const li = document.createElement('li');
+        li.textContent = `${blocker.reason}: ${blocker.hint}`;
+        return li;
+      })
+    );
+
+    if (!changed) return;
+    /** @type {ReadinessChangeDetail} */
+    const detail = { inputs: this.inputs, profile: { ...this.#profile }, output };
+    this.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail, bubbles: true, composed: true }));
+  }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get(TAG_NAME)) {
+  customElements.define(TAG_NAME, ReadinessCalculator);
+}
+
+export {
+  TAG_NAME,
+  CHANGE_EVENT,
+  attributeName,
+  inputsFromAttributes,
+  profileFromAttributes,
+  isSameOutput,
+  ReadinessCalculator,
+};
@@ -0,0 +1,184 @@
+// tests/readiness-calculator.spec.js
+// @vitest-environment happy-dom
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  TAG_NAME,
+  CHANGE_EVENT,
+  attributeName,
+  inputsFromAttributes,
+  profileFromAttributes,
+  isSameOutput,
+} from '../readiness-calculator.js';
+import {
+  DEFAULT_INPUTS,
+  WEIGHTS,
+  BUILT_IN_PROFILES,
+  CUSTOM_PROFILE_NAME,
+  calculateReadiness,
+} from '../scoring.js';
+
+/** Stands in for element.getAttribute */
+const attributes = (values) => (name) => values[name] ?? null;
+
+/**
+ * Adds an element to the page and records the results it dispatches
+ * @param {Object<string, string>} [attrs]
+ * @returns {{element: HTMLElement, events: Object[]}}
+ */
+function mount(attrs = {}) {
+  const element = document.createElement(TAG_NAME);
+  Object.entries(attrs).forEach(([name, value]) => element.setAttribute(name, value));
+  const events = [];
+  element.addEventListener(CHANGE_EVENT, (event) => events.push(event.detail));
+  document.body.appendChild(element);
+  return { element, events };
+}
+
+/** Types a value into one of the element's fields */
+function type(element, key, value) {
+  const input = element.shadowRoot.querySelector(`input[name="${key}"]`);
+  input.value = value;
+  input.dispatchEvent(new Event('input', { bubbles: true }));
+  return input;
+}
+
+describe('Readiness Calculator Element', () => {
+  it('should use a valid custom element name', () => {
+    expect(TAG_NAME).toMatch(/^[a-z][a-z0-9]*-[a-z0-9-]*$/);
+  });
+
+  describe('attributeName', () => {
+    it('should write input keys in kebab-case', () => {
+      expect(attributeName('processVolume')).toBe('process-volume');
+      expect(attributeName('complianceSensitivity')).toBe('compliance-sensitivity');
+      expect(attributeName('variance')).toBe('variance');
+    });
+  });
+
+  describe('inputsFromAttributes', () => {
+    it('should read the inputs and default the missing ones', () => {
+      expect(inputsFromAttributes(attributes({ 'data-quality': '85', variance: '5' }))).toEqual({
+        ...DEFAULT_INPUTS,
+        dataQuality: 85,
+        variance: 5,
+      });
+    });
+
+    it('should ignore invalid values with a warning', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const inputs = inputsFromAttributes(
+        attributes({ 'data-quality': '150', 'system-access': 'high', variance: ' ' })
+      );
+      expect(inputs).toEqual(DEFAULT_INPUTS);
+      expect(warn).toHaveBeenCalledTimes(3);
+      warn.mockRestore();
+    });
+  });
+
+  describe('profileFromAttributes', () => {
+    it('should default to the default profile', () => {
+      expect(profileFromAttributes(attributes({}))).toEqual({ name: 'Default', weights: WEIGHTS });
+    });
+
+    it('should select a built-in profile by name', () => {
+      const profile = BUILT_IN_PROFILES[1];
+      expect(profileFromAttributes(attributes({ profile: profile.name }))).toEqual(profile);
+    });
+
+    it('should prefer weight percentages over the profile name', () => {
+      const profile = profileFromAttributes(
+        attributes({ profile: BUILT_IN_PROFILES[1].name, weights: '10-10-10-10-10-50' })
+      );
+      expect(profile.name).toBe(CUSTOM_PROFILE_NAME);
+      expect(profile.weights.volumePotential).toBe(0.5);
+    });
+
+    it('should ignore incomplete weights and unknown profiles with a warning', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(profileFromAttributes(attributes({ weights: '50-50', profile: 'Nope' })).name).toBe(
+        'Default'
+      );
+      expect(warn).toHaveBeenCalledTimes(2);
+      warn.mockRestore();
+    });
+  });
+
+  describe('isSameOutput', () => {
+    it('should only treat a different result as a change', () => {
+      const output = calculateReadiness(DEFAULT_INPUTS);
+      expect(isSameOutput(output, calculateReadiness({ ...DEFAULT_INPUTS }))).toBe(true);
+      expect(isSameOutput(output, calculateReadiness({ ...DEFAULT_INPUTS, dataQuality: 95 }))).toBe(
+        false
+      );
+      expect(isSameOutput(output, calculateReadiness(DEFAULT_INPUTS, WEIGHTS, [], 'de'))).toBe(
+        false
+      );
+      expect(isSameOutput(output, null)).toBe(false);
+    });
+  });
+
+  describe('element', () => {
+    afterEach(() => {
+      document.body.replaceChildren();
+    });
+
+    it('should dispatch the result when added to the page', () => {
+      const { element, events } = mount({ 'data-quality': '85' });
+      expect(events).toHaveLength(1);
+      expect(events[0].inputs).toEqual({ ...DEFAULT_INPUTS, dataQuality: 85 });
+      expect(events[0].output).toEqual(calculateReadiness(events[0].inputs));
+      expect(element.output).toBe(events[0].output);
+      expect(element.shadowRoot.querySelector('.score').textContent).toBe(
+        String(events[0].output.readinessScore)
+      );
+    });
+
+    it('should dispatch when an attribute, a property or a field changes the result', () => {
+      const { element, events } = mount();
+      element.setAttribute('data-quality', '95');
+      element.inputs = { variance: 5 };
+      type(element, 'systemAccess', '90');
+      expect(events.map((detail) => detail.inputs)).toEqual([
+        DEFAULT_INPUTS,
+        { ...DEFAULT_INPUTS, dataQuality: 95 },
+        { ...DEFAULT_INPUTS, dataQuality: 95, variance: 5 },
+        { ...DEFAULT_INPUTS, dataQuality: 95, variance: 5, systemAccess: 90 },
+      ]);
+    });
+
+    it('should not dispatch when the result stays the same', () => {
+      const { element, events } = mount();
+      element.inputs = { dataQuality: DEFAULT_INPUTS.dataQuality };
+      element.setAttribute('variance', String(DEFAULT_INPUTS.variance));
+      type(element, 'exceptionRate', String(DEFAULT_INPUTS.exceptionRate));
+      expect(events).toHaveLength(1);
+    });
+
+    it('should reject inputs that are out of range or not numbers', () => {
+      const { element, events } = mount();
+      expect(() => {
+        element.inputs = { dataQuality: 150 };
+      }).toThrow(RangeError);
+      expect(() => {
+        element.inputs = { processVolume: '1000' };
+      }).toThrow('Invalid inputs: processVolume');
+      expect(element.inputs).toEqual(DEFAULT_INPUTS);
+      expect(events).toHaveLength(1);
+    });
+
+    it('should show an invalid field and clear it when the inputs are set', () => {
+      const { element, events } = mount({ lang: 'de' });
+      const input = type(element, 'dataQuality', '150');
+      expect(input.getAttribute('aria-invalid')).toBe('true');
+      expect(input.nextElementSibling.textContent).toBe('Der Wert darf höchstens 100 sein');
+      expect(events).toHaveLength(1);
+
+      element.inputs = { dataQuality: 40 };
+      expect(input.getAttribute('aria-invalid')).toBe('false');
+      expect(input.nextElementSibling.textContent).toBe('');
+      expect(input.value).toBe('40');
+      expect(events).toHaveLength(2);
+      expect(events[1].inputs.dataQuality).toBe(40);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+// roi.js
+
+/**
+ * ROI and payback estimator.
+ * Turns optional financial inputs into savings, payback and NPV, and combines them with the
+ * readiness band into a go / pilot / defer recommendation.
+ */
+
+import { validateInput } from './scoring.js';
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+
+// --- TYPE DEFINITIONS (JSDoc) ---
+
+/** @typedef {import('./scoring.js').Inputs} Inputs */
+
+/**
+ * @typedef {Object} Financials
+ * @property {number} handleTimeMinutes - manual handling time per case, in minutes
+ * @property {number} hourlyCost - loaded cost of one hour of manual work
+ * @property {number} automationRate - share of cases handled without a person (0-100%)
+ * @property {number} buildCost - one-off cost to build and deploy the automation
+ * @property {number} runCost - yearly cost to run it (licences, infrastructure, support)
+ */
+
+/**
+ * @typedef {Object} RoiResult
+ * @property {number} annualHoursSaved
+ * @property {number} annualSavings - gross savings per year
+ * @property {number} netAnnualSavings - savings per year after the run cost
+ * @property {number | null} paybackMonths - null when the automation never pays back
+ * @property {number} npv - net present value over NPV_YEARS at DISCOUNT_RATE
+ * @property {"Go" | "Pilot" | "Defer"} recommendation - stable identifier in every locale
+ * @property {string} rationale
+ */
+
+// --- CONSTANTS ---
+
+const FINANCIAL_CONSTRAINTS = {
+  handleTimeMinutes: { min: 0, max: Infinity },
+  hourlyCost: { min: 0, max: Infinity },
+  automationRate: { min: 0, max: 100 },
+  buildCost: { min: 0, max: Infinity },
+  runCost: { min: 0, max: Infinity },
+};
+
+const FINANCIAL_LABELS = {
+  handleTimeMinutes: 'Handle Time (min/case)',
+  hourlyCost: 'Hourly Cost',
+  automationRate: 'Automation Rate (%)',
+  buildCost: 'Build Cost',
+  runCost: 'Run Cost (per year)',
+};
+
+/** Yearly discount rate for the NPV */
+const DISCOUNT_RATE = 0.1;
+
+/** Years of savings counted in the NPV */
+const NPV_YEARS = 3;
+
+/** A Green process with a payback within this many months is a "Go" */
+const GO_PAYBACK_MONTHS = 12;
+
+/** English rationales by message key; `{years}` and `{months}` are filled in */
+const RATIONALES = {
+  'rationale.noPayback': 'The automation does not pay back within {years} years.',
+  'rationale.blocked':
+    'The business case is positive, but the blockers need fixing before building.',
+  'rationale.go': 'Ready to automate, with payback within {months} months.',
+  'rationale.slowPayback':
+    'Ready to automate, but payback takes longer than {months} months. Prove the savings with a pilot first.',
+  'rationale.pilot':
+    'The business case is positive. Pilot a narrow scope while the blockers are addressed.',
+};
+
+// --- CALCULATION ---
+
+/**
+ * Validates financial inputs
+ * @param {Partial<Financials>} financials
+ * @param {string} [locale] - language of the messages
+ * @returns {string[]} one message per invalid or missing field
+ */
+function validateFinancials(financials, locale = DEFAULT_LOCALE) {
+  return Object.keys(FINANCIAL_CONSTRAINTS)
+    .map((key) => {
+      const value = financials[key];
+      if (value === undefined || value === null) {
+        return `${key}: ${translate(locale, 'validation.missing', {}, 'Missing value')}`;
+      }
+      const validation = validateInput(key, value, FINANCIAL_CONSTRAINTS, locale);
+      return validation.valid ? '' : `${key}: ${validation.message}`;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Recommends go / pilot / defer from the readiness band and the business case
+ * @param {"Red" | "Yellow" | "Green"} band
+ * @param {number | null} paybackMonths
+ * @param {number} npv
+ * @param {string} [locale] - language of the rationale
+ * @returns {{recommendation: "Go" | "Pilot" | "Defer", rationale: string}}
+ */
+function recommend(band, paybackMonths, npv, locale = DEFAULT_LOCALE) {
+  const result = (recommendation, key) => ({
+    recommendation,
+    rationale: translate(
+      locale,
+      key,
+      { years: NPV_YEARS, months: GO_PAYBACK_MONTHS },
+      RATIONALES[key]
+    ),
+  });
+
+  if (paybackMonths === null || npv <= 0) {
+    return result('Defer', 'rationale.noPayback');
+  }
+  if (band === 'Red') {
+    return result('Defer', 'rationale.blocked');
+  }
+  if (band === 'Green' && paybackMonths <= GO_PAYBACK_MONTHS) {
+    return result('Go', 'rationale.go');
+  }
+  return result('Pilot', band === 'Green' ? 'rationale.slowPayback' : 'rationale.pilot');
+}
+
+/**
+ * Calculates savings, payback and NPV for a process.
+ * Process volume is monthly, so a year is 12 × volume cases.
+ * @param {Inputs} inputs
+ * @param {Financials} financials
+ * @param {"Red" | "Yellow" | "Green"} band - readiness band of the process
+ * @param {string} [locale] - language of the rationale
+ * @returns {RoiResult}
+ */
+function calculateRoi(inputs, financials, band, locale = DEFAULT_LOCALE) {
+  const { handleTimeMinutes, hourlyCost, automationRate, buildCost, runCost } = financials;
+
+  const annualHoursSaved =
+    (inputs.processVolume * 12 * (automationRate / 100) * handleTimeMinutes) / 60;
+  const annualSavings = annualHoursSaved * hourlyCost;
+  const netAnnualSavings = annualSavings - runCost;
+  const paybackMonths = netAnnualSavings > 0 ? (buildCost / netAnnualSavings) * 12 : null;
+
+  let npv = -buildCost;
+  for (let year = 1; year <= NPV_YEARS; year += 1) {
+    npv += netAnnualSavings / (1 + DISCOUNT_RATE) ** year;
+  }
+
+  return {
+    annualHoursSaved: Math.round(annualHoursSaved),
+    annualSavings: Math.round(annualSavings),
+    netAnnualSavings: Math.round(netAnnualSavings),
+    paybackMonths: paybackMonths === null ? null : Math.round(paybackMonths * 10) / 10,
+    npv: Math.round(npv),
+    ...recommend(band, paybackMonths, npv, locale),
+  };
+}
+
+export {
+  FINANCIAL_CONSTRAINTS,
+  FINANCIAL_LABELS,
+  DISCOUNT_RATE,
+  NPV_YEARS,
+  GO_PAYBACK_MONTHS,
+  validateFinancials,
+  calculateRoi,
+};
@@ -0,0 +1,73 @@
+// tests/roi.spec.js
+import { describe, it, expect } from 'vitest';
+import { validateFinancials, calculateRoi } from '../roi.js';
+
+const INPUTS = {
+  processVolume: 1000,
+  variance: 20,
+  exceptionRate: 10,
+  dataQuality: 70,
+  systemAccess: 60,
+  complianceSensitivity: 30,
+};
+
+const FINANCIALS = {
+  handleTimeMinutes: 10,
+  hourlyCost: 50,
+  automationRate: 80,
+  buildCost: 40000,
+  runCost: 10000,
+};
+
+describe('ROI estimator', () => {
+  describe('calculateRoi', () => {
+    it('should calculate hours saved, savings, payback and NPV', () => {
+      const roi = calculateRoi(INPUTS, FINANCIALS, 'Green');
+      // 1000/month × 12 × 80% × 10 min = 1600 hours
+      expect(roi.annualHoursSaved).toBe(1600);
+      expect(roi.annualSavings).toBe(80000);
+      expect(roi.netAnnualSavings).toBe(70000);
+      expect(roi.paybackMonths).toBeCloseTo(6.9, 1);
+      // -40000 + 70000 × (1/1.1 + 1/1.1² + 1/1.1³)
+      expect(roi.npv).toBe(134080);
+    });
+
+    it('should report no payback when run cost exceeds savings', () => {
+      const roi = calculateRoi(INPUTS, { ...FINANCIALS, runCost: 100000 }, 'Green');
+      expect(roi.paybackMonths).toBeNull();
+      expect(roi.npv).toBeLessThan(0);
+      expect(roi.recommendation).toBe('Defer');
+    });
+  });
+
+  describe('recommendation', () => {
+    it('should recommend Go for a Green process with a quick payback', () => {
+      expect(calculateRoi(INPUTS, FINANCIALS, 'Green').recommendation).toBe('Go');
+    });
+
+    it('should recommend Pilot for Yellow or a slow payback', () => {
+      expect(calculateRoi(INPUTS, FINANCIALS, 'Yellow').recommendation).toBe('Pilot');
+      const slow = calculateRoi(INPUTS, { ...FINANCIALS, buildCost: 100000 }, 'Green');
+      expect(slow.paybackMonths).toBeGreaterThan(12);
+      expect(slow.recommendation).toBe('Pilot');
+    });
+
+    it('should recommend Defer for a Red process even with a positive business case', () => {
+      const roi = calculateRoi(INPUTS, FINANCIALS, 'Red');
+      expect(roi.npv).toBeGreaterThan(0);
+      expect(roi.recommendation).toBe('Defer');
+    });
+  });
+
+  describe('validateFinancials', () => {
+    it('should report missing and out-of-range values', () => {
+      expect(validateFinancials(FINANCIALS)).toEqual([]);
+      expect(
+        validateFinancials({ ...FINANCIALS, automationRate: 120, runCost: undefined })
+      ).toEqual(['automationRate: Value must be at most 100', 'runCost: Missing value']);
+      expect(
+        validateFinancials({ ...FINANCIALS, automationRate: 120, runCost: undefined }, 'fr')
+      ).toEqual(['automationRate: La valeur doit être au plus 100', 'runCost: Valeur manquante']);
+    });
+  });
+});
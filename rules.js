@@ -0,0 +1,327 @@
+// rules.js
+
+/**
+ * Knock-out rules: conditions on the inputs that cap the score or force a band, however well
+ * the other factors average out. They are evaluated after calculateReadiness.
+ */
+
+import {
+  BAND_ORDER,
+  BAND_THRESHOLDS,
+  bandForScore,
+  bandNarrative,
+  customFactorDefault,
+  allInputLabels,
+} from './scoring.js';
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+
+// --- TYPE DEFINITIONS (JSDoc) ---
+
+/** @typedef {import('./scoring.js').Inputs} Inputs */
+/** @typedef {import('./scoring.js').Output} Output */
+/** @typedef {import('./scoring.js').CustomFactor} CustomFactor */
+
+/**
+ * @typedef {Object} RuleCondition
+ * @property {string} input - input key, built-in or custom factor
+ * @property {"<" | "<=" | ">" | ">="} operator
+ * @property {number} value
+ */
+
+/**
+ * A rule fires when all its conditions hold. It sets either `band` (the score is capped at the
+ * top of that band) or `cap` (the highest score the process can get).
+ * @typedef {Object} KnockOutRule
+ * @property {string} id
+ * @property {RuleCondition[]} when
+ * @property {"Red" | "Yellow"} [band]
+ * @property {number} [cap]
+ * @property {string} reason - why the rule exists, shown when it fires
+ * @property {boolean} enabled
+ */
+
+/**
+ * A rule that lowered the score, as recorded on the output
+ * @typedef {Object} KnockOut
+ * @property {string} id
+ * @property {string} rule - the rule in words, e.g. "System Access < 15 → Red"
+ * @property {string} reason
+ * @property {number} cap - highest score the rule allows
+ */
+
+// --- CONSTANTS ---
+
+const OPERATORS = ['<', '<=', '>', '>='];
+
+/** @type {KnockOutRule[]} */
+const DEFAULT_RULES = [
+  {
+    id: 'no-system-access',
+    when: [{ input: 'systemAccess', operator: '<', value: 15 }],
+    band: 'Red',
+    reason:
+      'The target systems are practically unreachable for an automation. Nothing else matters until that is solved.',
+    enabled: true,
+  },
+  {
+    id: 'maximum-compliance',
+    when: [{ input: 'complianceSensitivity', operator: '>=', value: 95 }],
+    band: 'Red',
+    reason:
+      'Every case needs human review at this sensitivity. Design the review step before scoring the process for automation.',
+    enabled: true,
+  },
+  {
+    id: 'frequent-exceptions',
+    when: [{ input: 'exceptionRate', operator: '>', value: 50 }],
+    cap: 60,
+    reason: 'Most cases would fall out of the automation, so the savings stay small.',
+    enabled: true,
+  },
+];
+
+// --- VALIDATION ---
+
+/**
+ * Validates a rule
+ * @param {KnockOutRule} rule
+ * @param {CustomFactor[]} [factors] - custom factors whose inputs conditions may refer to
+ * @param {KnockOutRule[]} [others] - the other rules, to check for duplicate ids
+ * @param {string} [locale] - language of the messages
+ * @returns {string[]} error messages, e.g. "cap: Value must be a whole number between 0 and 100"
+ */
+function validateRule(rule, factors = [], others = [], locale = DEFAULT_LOCALE) {
+  const errors = [];
+  const labels = allInputLabels(factors);
+  const fail = (field, key, fallback, params = {}) =>
+    errors.push(`${field}: ${translate(locale, key, params, fallback)}`);
+
+  if (typeof rule.id !== 'string' || rule.id.trim() === '') {
+    fail('id', 'validation.missing', 'Missing value');
+  } else if (others.some((other) => other.id === rule.id)) {
+    fail('id', 'validation.used', '"{value}" is already used', { value: rule.id });
+  }
+  if (!Array.isArray(rule.when) || rule.when.length === 0) {
+    fail('when', 'validation.rule.when', 'At least one condition is required');
+  } else {
+    rule.when.forEach((condition, i) => {
+      const field = `when #${i + 1}`;
+      if (!(condition.input in labels)) {
+        const params = { input: condition.input };
+        fail(field, 'validation.rule.input', 'Unknown input "{input}"', params);
+      }
+      if (!OPERATORS.includes(condition.operator)) {
+        const params = { operators: OPERATORS.join(' ') };
+        fail(field, 'validation.rule.operator', 'Operator must be one of {operators}', params);
+      }
+      if (typeof condition.value !== 'number' || !Number.isFinite(condition.value)) {
+        fail(field, 'validation.rule.value', 'Value must be a number');
+      }
+    });
+  }
+  if ((rule.band === undefined) === (rule.cap === undefined)) {
+    fail('effect', 'validation.rule.effect', 'Set either a band or a cap');
+  } else if (rule.band !== undefined && rule.band !== 'Red' && rule.band !== 'Yellow') {
+    fail('band', 'validation.rule.band', 'Must be "Red" or "Yellow"');
+  } else if (
+    rule.cap !== undefined &&
+    !(Number.isInteger(rule.cap) && rule.cap >= 0 && rule.cap <= 100)
+  ) {
+    // Scores are whole numbers; a fractional or text cap would leak into them
+    fail('cap', 'validation.rule.cap', 'Value must be a whole number between 0 and 100');
+  }
+  if (typeof rule.reason !== 'string' || rule.reason.trim() === '') {
+    fail('reason', 'validation.missing', 'Missing value');
+  }
+  if (typeof rule.enabled !== 'boolean') {
+    fail('enabled', 'validation.rule.enabled', 'Must be true or false');
+  }
+  return errors;
+}
+
+/**
+ * Validates a list of rules, each against the ones before it
+ * @param {KnockOutRule[]} rules
+ * @param {CustomFactor[]} [factors]
+ * @param {string} [locale] - language of the messages
+ * @returns {string[]} error messages prefixed with the rule's position, e.g. "#2 cap: ..."
+ */
+function validateRules(rules, factors = [], locale = DEFAULT_LOCALE) {
+  if (!Array.isArray(rules)) {
+    return [translate(locale, 'validation.rule.list', {}, 'Rules must be a list')];
+  }
+  return rules.flatMap((rule, i) =>
+    validateRule(rule, factors, rules.slice(0, i), locale).map((message) => `#${i + 1} ${message}`)
+  );
+}
+
+// --- EVALUATION ---
+
+/**
+ * Highest score a rule allows: the top of its band, or its cap
+ * @param {KnockOutRule} rule
+ * @returns {number}
+ */
+function ruleCap(rule) {
+  if (rule.band === undefined) return rule.cap;
+  return rule.band === 'Red' ? BAND_THRESHOLDS.Yellow - 1 : BAND_THRESHOLDS.Green - 1;
+}
+
+/**
+ * Value of an input, with the middle of the range for a custom factor without one
+ * @param {Inputs} inputs
+ * @param {string} input
+ * @param {CustomFactor[]} factors
+ * @returns {number | undefined}
+ */
+function inputValue(inputs, input, factors) {
+  const custom = factors.find((f) => f.key === input);
+  return inputs[input] ?? (custom ? customFactorDefault(custom) : undefined);
+}
+
+/**
+ * Whether a condition holds
+ * @param {RuleCondition} condition
+ * @param {Inputs} inputs
+ * @param {CustomFactor[]} [factors]
+ * @returns {boolean}
+ */
+function conditionHolds(condition, inputs, factors = []) {
+  const value = inputValue(inputs, condition.input, factors);
+  if (typeof value !== 'number') return false;
+  switch (condition.operator) {
+    case '<':
+      return value < condition.value;
+    case '<=':
+      return value <= condition.value;
+    case '>':
+      return value > condition.value;
+    default:
+      return value >= condition.value;
+  }
+}
+
+/**
+ * Lists the enabled rules whose conditions all hold
+ * @param {Inputs} inputs
+ * @param {KnockOutRule[]} rules
+ * @param {CustomFactor[]} [factors]
+ * @returns {KnockOutRule[]}
+ */
+const firingRules = (inputs, rules, factors = []) =>
+  rules.filter(
+    (rule) => rule.enabled && rule.when.every((c) => conditionHolds(c, inputs, factors))
+  );
+
+/**
+ * Describes a rule in one line, e.g. "System Access < 15 → Red" or
+ * "Exception Rate > 50 → score at most 60"
+ * @param {KnockOutRule} rule
+ * @param {CustomFactor[]} [factors]
+ * @param {string} [locale]
+ * @returns {string}
+ */
+function describeRule(rule, factors = [], locale = DEFAULT_LOCALE) {
+  const labels = allInputLabels(factors, locale);
+  const conditions = rule.when
+    .map((c) => `${labels[c.input] || c.input} ${c.operator} ${c.value}`)
+    .join(translate(locale, 'rule.and', {}, ' and '));
+  const effect =
+    rule.band === undefined
+      ? translate(locale, 'rule.cap', { cap: rule.cap }, 'score at most {cap}')
+      : translate(locale, `band.${rule.band}`, {}, rule.band);
+  return `${conditions} → ${effect}`;
+}
+
+/**
+ * Reason of a rule in a locale. Only the unchanged default rules have translations;
+ * reasons written by users are shown as they are.
+ * @param {KnockOutRule} rule
+ * @param {string} [locale]
+ * @returns {string}
+ */
+function ruleReason(rule, locale = DEFAULT_LOCALE) {
+  const isDefault = DEFAULT_RULES.some((d) => d.id === rule.id && d.reason === rule.reason);
+  return isDefault ? translate(locale, `rule.reason.${rule.id}`, {}, rule.reason) : rule.reason;
+}
+
+/**
+ * Applies the knock-out rules to a result. The lowest cap of the rules that fire wins;
+ * band and narrative follow the capped score. The weighted score is kept as `weightedScore`,
+ * and every rule that lowered the score is listed in `knockOuts`.
+ * @param {Output} output - result of calculateReadiness for these inputs
+ * @param {Inputs} inputs
+ * @param {KnockOutRule[]} rules
+ * @param {CustomFactor[]} [factors]
+ * @param {string} [locale] - language of the rule descriptions and the narrative
+ * @returns {Output}
+ */
+function applyRules(output, inputs, rules, factors = [], locale = DEFAULT_LOCALE) {
+  const weightedScore = output.readinessScore;
+  const knockOuts = firingRules(inputs, rules, factors)
+    .filter((rule) => ruleCap(rule) < weightedScore)
+    .map((rule) => ({
+      id: rule.id,
+      rule: describeRule(rule, factors, locale),
+      reason: ruleReason(rule, locale),
+      cap: ruleCap(rule),
+    }))
+    .sort((a, b) => a.cap - b.cap);
+
+  if (knockOuts.length === 0) {
+    return { ...output, weightedScore, knockOuts };
+  }
+
+  const readinessScore = knockOuts[0].cap;
+  const band = bandForScore(readinessScore);
+  return {
+    ...output,
+    readinessScore,
+    band,
+    narrative: bandNarrative(band, locale),
+    weightedScore,
+    knockOuts,
+  };
+}
+
+/**
+ * The nearest value at which a condition no longer holds: the threshold itself for < and >,
+ * one step past it for <= and >= (1 for the built-in inputs, 1% of the range for custom factors)
+ * @param {RuleCondition} condition
+ * @param {CustomFactor[]} [factors]
+ * @returns {number}
+ */
+function clearingValue(condition, factors = []) {
+  const custom = factors.find((f) => f.key === condition.input);
+  const step = custom ? (custom.max - custom.min) / 100 : 1;
+  const value = {
+    '<': condition.value,
+    '<=': condition.value + step,
+    '>': condition.value,
+    '>=': condition.value - step,
+  }[condition.operator];
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Whether a band is out of reach while a rule fires
+ * @param {KnockOutRule} rule
+ * @param {"Yellow" | "Green"} band
+ * @returns {boolean}
+ */
+const ruleBlocksBand = (rule, band) => BAND_ORDER[bandForScore(ruleCap(rule))] < BAND_ORDER[band];
+
+export {
+  OPERATORS,
+  DEFAULT_RULES,
+  validateRule,
+  validateRules,
+  ruleCap,
+  conditionHolds,
+  firingRules,
+  describeRule,
+  ruleReason,
+  applyRules,
+  clearingValue,
+  ruleBlocksBand,
+};
@@ -0,0 +1,186 @@
+// tests/rules.spec.js
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_INPUTS, calculateReadiness, serializeOutput } from '../scoring.js';
+import {
+  DEFAULT_RULES,
+  validateRules,
+  describeRule,
+  firingRules,
+  applyRules,
+  clearingValue,
+} from '../rules.js';
+
+const GREEN_INPUTS = {
+  processVolume: 5000,
+  variance: 10,
+  exceptionRate: 5,
+  dataQuality: 95,
+  systemAccess: 90,
+  complianceSensitivity: 10,
+};
+
+/** Scores inputs with the default knock-out rules */
+const score = (inputs, rules = DEFAULT_RULES, factors = []) =>
+  applyRules(calculateReadiness(inputs, undefined, factors), inputs, rules, factors);
+
+describe('Knock-out rules', () => {
+  describe('DEFAULT_RULES', () => {
+    it('should be valid', () => {
+      expect(validateRules(DEFAULT_RULES)).toEqual([]);
+    });
+
+    it('should force Red when the systems are out of reach, however good the rest is', () => {
+      const result = score({ ...GREEN_INPUTS, systemAccess: 10 });
+      expect(result.weightedScore).toBeGreaterThanOrEqual(75);
+      expect(result.readinessScore).toBe(49);
+      expect(result.band).toBe('Red');
+      expect(result.narrative).toContain('significant blockers');
+      expect(result.knockOuts).toEqual([
+        expect.objectContaining({
+          id: 'no-system-access',
+          rule: 'System Access < 15 → Red',
+          cap: 49,
+        }),
+      ]);
+    });
+
+    it('should cap the score when most cases are exceptions', () => {
+      const result = score({ ...GREEN_INPUTS, exceptionRate: 60 });
+      expect(result.readinessScore).toBe(60);
+      expect(result.band).toBe('Yellow');
+      expect(result.knockOuts[0].rule).toBe('Exception Rate > 50 → score at most 60');
+    });
+  });
+
+  describe('applyRules', () => {
+    it('should leave the result alone when no rule lowers it', () => {
+      const weighted = calculateReadiness(DEFAULT_INPUTS);
+      const result = score(DEFAULT_INPUTS);
+      expect(result.readinessScore).toBe(weighted.readinessScore);
+      expect(result.weightedScore).toBe(weighted.readinessScore);
+      expect(result.knockOuts).toEqual([]);
+    });
+
+    it('should not list a rule whose cap is above the weighted score', () => {
+      const inputs = { ...DEFAULT_INPUTS, exceptionRate: 90, variance: 90, dataQuality: 20 };
+      expect(score(inputs).knockOuts).toEqual([]);
+    });
+
+    it('should apply the lowest cap and list every rule that lowered the score', () => {
+      const result = score({ ...GREEN_INPUTS, systemAccess: 10, exceptionRate: 60 });
+      expect(result.readinessScore).toBe(49);
+      expect(result.knockOuts.map((k) => k.id)).toEqual([
+        'no-system-access',
+        'frequent-exceptions',
+      ]);
+    });
+
+    it('should skip disabled rules and require every condition', () => {
+      const inputs = { ...GREEN_INPUTS, systemAccess: 10 };
+      const disabled = DEFAULT_RULES.map((rule) => ({ ...rule, enabled: false }));
+      expect(score(inputs, disabled).band).toBe('Green');
+
+      const both = {
+        id: 'both',
+        when: [
+          { input: 'systemAccess', operator: '<', value: 15 },
+          { input: 'dataQuality', operator: '<', value: 50 },
+        ],
+        band: 'Yellow',
+        reason: 'Both',
+        enabled: true,
+      };
+      expect(firingRules(inputs, [both])).toEqual([]);
+      expect(firingRules({ ...inputs, dataQuality: 40 }, [both])).toEqual([both]);
+      expect(describeRule(both)).toBe('System Access < 15 and Data Quality < 50 → Yellow');
+    });
+
+    it('should test custom factors, with the middle of the range when there is no value', () => {
+      const factor = {
+        key: 'humanReview',
+        label: 'Human review',
+        min: 0,
+        max: 1,
+        direction: 'higher',
+        weight: 10,
+        reason: 'No human review',
+        hint: 'Add a review step.',
+      };
+      const rule = {
+        id: 'unreviewed',
+        when: [{ input: 'humanReview', operator: '<', value: 1 }],
+        cap: 40,
+        reason: 'No review step',
+        enabled: true,
+      };
+      expect(validateRules([rule])).toEqual(['#1 when #1: Unknown input "humanReview"']);
+      expect(validateRules([rule], [factor])).toEqual([]);
+      expect(score(GREEN_INPUTS, [rule], [factor]).readinessScore).toBe(40);
+      expect(score({ ...GREEN_INPUTS, humanReview: 1 }, [rule], [factor]).knockOuts).toEqual([]);
+    });
+
+    it('should include the weighted score and knock-outs in the serialized output', () => {
+      const serialized = serializeOutput(score({ ...GREEN_INPUTS, systemAccess: 10 }));
+      expect(serialized.readinessScore).toBe(49);
+      expect(serialized.weightedScore).toBeGreaterThan(49);
+      expect(serialized.knockOuts[0].id).toBe('no-system-access');
+      expect(serializeOutput(calculateReadiness(GREEN_INPUTS))).not.toHaveProperty('knockOuts');
+    });
+  });
+
+  describe('validateRules', () => {
+    it('should report each problem with the rule position', () => {
+      expect(
+        validateRules([
+          DEFAULT_RULES[0],
+          {
+            id: 'no-system-access',
+            when: [{ input: 'speed', operator: '=', value: '1' }],
+            band: 'Green',
+            reason: ' ',
+            enabled: true,
+          },
+          { id: 'x', when: [], band: 'Red', cap: 10, reason: 'r', enabled: 'yes' },
+        ])
+      ).toEqual([
+        '#2 id: "no-system-access" is already used',
+        '#2 when #1: Unknown input "speed"',
+        '#2 when #1: Operator must be one of < <= > >=',
+        '#2 when #1: Value must be a number',
+        '#2 band: Must be "Red" or "Yellow"',
+        '#2 reason: Missing value',
+        '#3 when: At least one condition is required',
+        '#3 effect: Set either a band or a cap',
+        '#3 enabled: Must be true or false',
+      ]);
+    });
+
+    it('should only accept whole-number caps', () => {
+      const rule = { ...DEFAULT_RULES[2], id: 'capped' };
+      expect(validateRules([{ ...rule, cap: 60 }])).toEqual([]);
+      expect(validateRules([{ ...rule, cap: '60' }])).toEqual([
+        '#1 cap: Value must be a whole number between 0 and 100',
+      ]);
+      expect(validateRules([{ ...rule, cap: 60.5 }])).toEqual([
+        '#1 cap: Value must be a whole number between 0 and 100',
+      ]);
+    });
+
+    it('should report problems in the given language', () => {
+      const rule = { ...DEFAULT_RULES[2], id: 'capped', cap: 60.5 };
+      expect(validateRules([rule, { ...rule, cap: 60 }], [], 'fr')).toEqual([
+        '#1 cap: La valeur doit être un nombre entier entre 0 et 100',
+        '#2 id: « capped » est déjà utilisé',
+      ]);
+      expect(validateRules(null, [], 'de')).toEqual(['Die Regeln müssen eine Liste sein']);
+    });
+  });
+
+  describe('clearingValue', () => {
+    it('should return the nearest value at which the condition no longer holds', () => {
+      expect(clearingValue({ input: 'systemAccess', operator: '<', value: 15 })).toBe(15);
+      expect(clearingValue({ input: 'complianceSensitivity', operator: '>=', value: 95 })).toBe(94);
+      expect(clearingValue({ input: 'exceptionRate', operator: '<=', value: 50 })).toBe(51);
+    });
+  });
+});
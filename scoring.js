@@ -0,0 +1,733 @@
+// scoring.js
+
+/**
+ * Automation readiness scoring core.
+ * Pure functions with no DOM or browser dependencies, shared by the web app and the CLI.
+ *
+ * This is the package entry point:
+ *   import { calculateReadiness } from 'automation-readiness-calculator';
+ *
+ * The shape of the returned Output is versioned by SCHEMA_VERSION. Adding fields is
+ * backwards compatible; renaming, removing or changing the meaning of a field bumps it.
+ *
+ * Text in the output (narrative, blocker reasons and hints) is in the locale passed to
+ * calculateReadiness; the constants below are the English originals. Band names stay
+ * "Red", "Yellow" and "Green" in every locale.
+ */
+
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+
+// --- TYPE DEFINITIONS (JSDoc) ---
+
+/**
+ * @typedef {Object} Inputs
+ * @property {number} processVolume
+ * @property {number} variance
+ * @property {number} exceptionRate
+ * @property {number} dataQuality
+ * @property {number} systemAccess
+ * @property {number} complianceSensitivity
+ */
+
+/**
+ * @typedef {Object} Blocker
+ * @property {keyof Weights} factor - subscore key, e.g. "dataQuality"
+ * @property {string} reason
+ * @property {string} hint
+ * @property {number} gap - points between the subscore and its maximum
+ * @property {number} impact - score points lost to the gap (gap × weight)
+ * @property {number} subscore
+ */
+
+/**
+ * @typedef {Object} Output
+ * @property {number} schemaVersion - version of this result shape (SCHEMA_VERSION)
+ * @property {number} readinessScore - weighted score, rounded to an integer 0–100
+ * @property {"Red" | "Yellow" | "Green"} band
+ * @property {Blocker[]} topBlockers - up to 4 factors with a gap over 15, largest impact first
+ * @property {string} narrative
+ * @property {Weights} subscores - per-factor subscores 0–100 (higher is better), custom factors included
+ * @property {Weights} weights - the weights used, summing to 1 (see effectiveWeights)
+ * @property {Weights} contributions - subscore × weight per factor; they sum to the unrounded score
+ * @property {number} [weightedScore] - score before knock-out rules (set by applyRules in rules.js)
+ * @property {import('./rules.js').KnockOut[]} [knockOuts] - knock-out rules that lowered the score
+ */
+
+/**
+ * @typedef {Object} Weights
+ * @property {number} stableProcess
+ * @property {number} lowExceptions
+ * @property {number} dataQuality
+ * @property {number} systemAccess
+ * @property {number} lowComplianceRisk
+ * @property {number} volumePotential
+ */
+
+/**
+ * @typedef {Object} WeightsProfile
+ * @property {string} name
+ * @property {Weights} weights
+ */
+
+/**
+ * A user-defined factor scored alongside the six built-in ones. `key` names both its input
+ * value and its entry in subscores, weights and contributions.
+ * @typedef {Object} CustomFactor
+ * @property {string} key - camelCase identifier, e.g. "sponsorship"
+ * @property {string} label
+ * @property {number} min
+ * @property {number} max
+ * @property {"higher" | "lower"} direction - which end of the range is better
+ * @property {number} weight - share of the score in percent; the built-in weights shrink to make room
+ * @property {string} reason - blocker reason
+ * @property {string} hint - blocker hint
+ */
+
+// --- CONSTANTS ---
+
+const SCHEMA_VERSION = 1;
+
+const DEFAULT_INPUTS = {
+  processVolume: 1000,
+  variance: 20,
+  exceptionRate: 10,
+  dataQuality: 70,
+  systemAccess: 60,
+  complianceSensitivity: 30,
+};
+
+const WEIGHTS = {
+  stableProcess: 0.2,
+  lowExceptions: 0.2,
+  dataQuality: 0.2,
+  systemAccess: 0.15,
+  lowComplianceRisk: 0.15,
+  volumePotential: 0.1,
+};
+
+/** @type {WeightsProfile[]} */
+const BUILT_IN_PROFILES = [
+  { name: 'Default', weights: WEIGHTS },
+  {
+    name: 'Regulated',
+    weights: {
+      stableProcess: 0.15,
+      lowExceptions: 0.15,
+      dataQuality: 0.2,
+      systemAccess: 0.1,
+      lowComplianceRisk: 0.3,
+      volumePotential: 0.1,
+    },
+  },
+  {
+    name: 'High-volume ops',
+    weights: {
+      stableProcess: 0.2,
+      lowExceptions: 0.2,
+      dataQuality: 0.15,
+      systemAccess: 0.15,
+      lowComplianceRisk: 0.1,
+      volumePotential: 0.2,
+    },
+  },
+];
+
+const CUSTOM_PROFILE_NAME = 'Custom';
+
+const BLOCKER_HINTS = {
+  stableProcess: {
+    reason: 'High Process Variance',
+    hint: 'Standardize steps, document SOPs, and reduce branching or edge cases.',
+  },
+  lowExceptions: {
+    reason: 'High Exception Rate',
+    hint: 'Perform root-cause analysis on exceptions, add decision tables, or redesign inputs.',
+  },
+  dataQuality: {
+    reason: 'Low Data Quality',
+    hint: 'Add validation, enrichment layers, define golden records, or implement MDM.',
+  },
+  systemAccess: {
+    reason: 'Low System Access',
+    hint: 'Expose APIs, create service accounts, remove MFA for service principals, or use RPA as a last resort.',
+  },
+  lowComplianceRisk: {
+    reason: 'High Compliance Sensitivity',
+    hint: 'Minimize data usage, pseudonymize PII, add Human-in-the-Loop (HITL) checks, and enhance audit logging.',
+  },
+  volumePotential: {
+    reason: 'Low Volume / Payoff',
+    hint: 'A pilot is still possible. Consider combining adjacent processes to reach scale.',
+  },
+};
+
+const INPUT_CONSTRAINTS = {
+  processVolume: { min: 0, max: Infinity },
+  variance: { min: 0, max: 100 },
+  exceptionRate: { min: 0, max: 100 },
+  dataQuality: { min: 0, max: 100 },
+  systemAccess: { min: 0, max: 100 },
+  complianceSensitivity: { min: 0, max: 100 },
+};
+
+const INPUT_LABELS = {
+  processVolume: 'Process Volume',
+  variance: 'Process Variance',
+  exceptionRate: 'Exception Rate',
+  dataQuality: 'Data Quality',
+  systemAccess: 'System Access',
+  complianceSensitivity: 'Compliance Sensitivity',
+};
+
+const FACTOR_LABELS = {
+  stableProcess: 'Stable Process',
+  lowExceptions: 'Low Exceptions',
+  dataQuality: 'Data Quality',
+  systemAccess: 'System Access',
+  lowComplianceRisk: 'Low Compliance Risk',
+  volumePotential: 'Volume Potential',
+};
+
+const BAND_ORDER = { Red: 0, Yellow: 1, Green: 2 };
+
+/** Minimum rounded score for each band above Red */
+const BAND_THRESHOLDS = { Yellow: 50, Green: 75 };
+
+const BAND_NARRATIVES = {
+  Red: 'This process has significant blockers. Focus on fundamentals before automating.',
+  Yellow:
+    'This process shows potential but has clear blockers. Address top issues to improve readiness.',
+  Green: 'This process is a strong candidate for automation. Proceed with detailed analysis.',
+};
+
+/** Custom factors may take at most this share of the score together, in percent */
+const MAX_CUSTOM_WEIGHT = 50;
+
+// --- UTILITY FUNCTIONS ---
+
+/**
+ * Clamps a number between min and max
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Band for a rounded score
+ * @param {number} score
+ * @returns {"Red" | "Yellow" | "Green"}
+ */
+function bandForScore(score) {
+  if (score >= BAND_THRESHOLDS.Green) return 'Green';
+  if (score >= BAND_THRESHOLDS.Yellow) return 'Yellow';
+  return 'Red';
+}
+
+/**
+ * Narrative for a band
+ * @param {"Red" | "Yellow" | "Green"} band
+ * @param {string} [locale]
+ * @returns {string}
+ */
+const bandNarrative = (band, locale = DEFAULT_LOCALE) =>
+  translate(locale, `narrative.${band}`, {}, BAND_NARRATIVES[band]);
+
+// --- VALIDATION ---
+
+/**
+ * Validates a single input field
+ * @param {string} name
+ * @param {number} value
+ * @param {Object<string, {min: number, max: number}>} [constraintsByName] - defaults to the six inputs
+ * @param {string} [locale] - language of the message
+ * @returns {{valid: boolean, message: string}}
+ */
+function validateInput(
+  name,
+  value,
+  constraintsByName = INPUT_CONSTRAINTS,
+  locale = DEFAULT_LOCALE
+) {
+  const constraints = constraintsByName[name];
+  if (!constraints) {
+    return { valid: true, message: '' };
+  }
+
+  if (Number.isNaN(value)) {
+    return {
+      valid: false,
+      message: translate(locale, 'validation.invalid', {}, 'Please enter a valid number'),
+    };
+  }
+
+  if (value < constraints.min) {
+    return {
+      valid: false,
+      message: translate(
+        locale,
+        'validation.min',
+        { min: constraints.min },
+        'Value must be at least {min}'
+      ),
+    };
+  }
+
+  if (value > constraints.max) {
+    return {
+      valid: false,
+      message: translate(
+        locale,
+        'validation.max',
+        { max: constraints.max },
+        'Value must be at most {max}'
+      ),
+    };
+  }
+
+  return { valid: true, message: '' };
+}
+
+// --- CUSTOM FACTORS ---
+
+/**
+ * Validates a custom factor definition
+ * @param {CustomFactor} factor
+ * @param {CustomFactor[]} [others] - the other factors, to check for duplicate keys and the total weight
+ * @param {string} [locale] - language of the messages
+ * @returns {string[]} error messages, e.g. "weight: Value must be at most 50"
+ */
+function validateCustomFactor(factor, others = [], locale = DEFAULT_LOCALE) {
+  const errors = [];
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+  const max = MAX_CUSTOM_WEIGHT;
+  const fail = (field, key, fallback, params = {}) =>
+    errors.push(`${field}: ${translate(locale, key, params, fallback)}`);
+
+  if (typeof factor.key !== 'string' || !/^[a-z][a-zA-Z0-9]*$/.test(factor.key)) {
+    fail('key', 'validation.factor.key', 'Use letters and digits in camelCase, e.g. "sponsorship"');
+  } else if (
+    factor.key in DEFAULT_INPUTS ||
+    factor.key in WEIGHTS ||
+    others.some((other) => other.key === factor.key)
+  ) {
+    fail('key', 'validation.used', '"{value}" is already used', { value: factor.key });
+  }
+  ['label', 'reason', 'hint'].forEach((field) => {
+    if (typeof factor[field] !== 'string' || factor[field].trim() === '') {
+      fail(field, 'validation.missing', 'Missing value');
+    }
+  });
+  if (!isNumber(factor.min) || !isNumber(factor.max)) {
+    fail('range', 'validation.factor.range', 'Minimum and maximum must be numbers');
+  } else if (factor.min >= factor.max) {
+    fail('range', 'validation.factor.rangeOrder', 'Minimum must be below maximum');
+  }
+  if (factor.direction !== 'higher' && factor.direction !== 'lower') {
+    fail('direction', 'validation.factor.direction', 'Must be "higher" or "lower"');
+  }
+  if (!isNumber(factor.weight) || factor.weight <= 0 || factor.weight > max) {
+    fail('weight', 'validation.factor.weight', 'Value must be above 0 and at most {max}', { max });
+  } else if (others.reduce((sum, other) => sum + other.weight, factor.weight) > max) {
+    const message = 'Custom factors may weigh at most {max}% together';
+    fail('weight', 'validation.factor.totalWeight', message, { max });
+  }
+  return errors;
+}
+
+/**
+ * Validates a list of custom factors, each against the ones before it
+ * @param {CustomFactor[]} factors
+ * @param {string} [locale] - language of the messages
+ * @returns {string[]} error messages prefixed with the factor's position, e.g. "#2 key: ..."
+ */
+function validateCustomFactors(factors, locale = DEFAULT_LOCALE) {
+  if (!Array.isArray(factors)) {
+    return [translate(locale, 'validation.factor.list', {}, 'Custom factors must be a list')];
+  }
+  return factors.flatMap((factor, i) =>
+    validateCustomFactor(factor, factors.slice(0, i), locale).map(
+      (message) => `#${i + 1} ${message}`
+    )
+  );
+}
+
+/**
+ * Derives an unused camelCase key from a label, e.g. "Stakeholder sponsorship" → "stakeholderSponsorship"
+ * @param {string} label
+ * @param {CustomFactor[]} [others]
+ * @returns {string}
+ */
+function customFactorKey(label, others = []) {
+  const words = String(label)
+    .normalize('NFKD')
+    .replace(/[^a-zA-Z0-9 ]/g, '')
+    .trim()
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+  let base = words.map((w, i) => (i === 0 ? w : w[0].toUpperCase() + w.slice(1))).join('');
+  if (!/^[a-z]/.test(base)) base = `factor${base}`;
+
+  const used = (key) =>
+    key in DEFAULT_INPUTS || key in WEIGHTS || others.some((other) => other.key === key);
+  let key = base;
+  let n = 2;
+  while (used(key)) {
+    key = `${base}${n}`;
+    n += 1;
+  }
+  return key;
+}
+
+/**
+ * Value a custom factor gets when a process has none: the middle of its range
+ * @param {CustomFactor} factor
+ * @returns {number}
+ */
+const customFactorDefault = (factor) => (factor.min + factor.max) / 2;
+
+/**
+ * Subscore of a custom factor: its position in the range, 0–100, higher is better
+ * @param {CustomFactor} factor
+ * @param {number} value
+ * @returns {number}
+ */
+function customSubscore(factor, value) {
+  const position = clamp(((value - factor.min) / (factor.max - factor.min)) * 100, 0, 100);
+  return factor.direction === 'higher' ? position : 100 - position;
+}
+
+/**
+ * Adds the custom factors to a set of built-in weights: each custom factor gets its own
+ * weight and the built-in weights are scaled down proportionally, so the total stays at 1
+ * @param {Weights} weights
+ * @param {CustomFactor[]} [factors]
+ * @returns {Object<string, number>}
+ */
+function effectiveWeights(weights, factors = []) {
+  const customShare = factors.reduce((sum, f) => sum + f.weight, 0) / 100;
+  return {
+    ...Object.fromEntries(
+      // Rounded so that e.g. 0.2 × 0.9 exports as 0.18
+      Object.keys(WEIGHTS).map((key) => [
+        key,
+        Math.round(weights[key] * (1 - customShare) * 1e6) / 1e6,
+      ])
+    ),
+    ...Object.fromEntries(factors.map((f) => [f.key, f.weight / 100])),
+  };
+}
+
+/**
+ * Translates a map of built-in labels, e.g. INPUT_LABELS under the "input." keys
+ * @param {Object<string, string>} labels
+ * @param {string} prefix
+ * @param {string} locale
+ * @returns {Object<string, string>}
+ */
+const translateLabels = (labels, prefix, locale) =>
+  Object.fromEntries(
+    Object.entries(labels).map(([key, label]) => [
+      key,
+      translate(locale, `${prefix}.${key}`, {}, label),
+    ])
+  );
+
+/**
+ * Input labels including the custom factors, whose labels are used as they are
+ * @param {CustomFactor[]} [factors]
+ * @param {string} [locale]
+ * @returns {Object<string, string>}
+ */
+const allInputLabels = (factors = [], locale = DEFAULT_LOCALE) => ({
+  ...translateLabels(INPUT_LABELS, 'input', locale),
+  ...Object.fromEntries(factors.map((f) => [f.key, f.label])),
+});
+
+/**
+ * Factor (subscore) labels including the custom factors
+ * @param {CustomFactor[]} [factors]
+ * @param {string} [locale]
+ * @returns {Object<string, string>}
+ */
+const allFactorLabels = (factors = [], locale = DEFAULT_LOCALE) => ({
+  ...translateLabels(FACTOR_LABELS, 'factor', locale),
+  ...Object.fromEntries(factors.map((f) => [f.key, f.label])),
+});
+
+/**
+ * Input constraints including the custom factors' ranges, for validateInput
+ * @param {CustomFactor[]} [factors]
+ * @returns {Object<string, {min: number, max: number}>}
+ */
+const allInputConstraints = (factors = []) => ({
+  ...INPUT_CONSTRAINTS,
+  ...Object.fromEntries(factors.map((f) => [f.key, { min: f.min, max: f.max }])),
+});
+
+// --- CORE CALCULATION LOGIC ---
+
+/**
+ * Calculates volume subscore using log scale
+ * @param {number} processVolume
+ * @returns {number}
+ */
+function volumeSubscore(processVolume) {
+  if (processVolume <= 0) return 0;
+  const v = Math.log10(processVolume + 1);
+  const scaled = v * 31.5;
+  return clamp(scaled, 0, 95);
+}
+
+/**
+ * Calculates the readiness score and identifies blockers
+ * @param {Inputs} inputs - plus a value per custom factor (the middle of its range when missing)
+ * @param {Weights} [weights] - built-in factor weights summing to 1, defaults to WEIGHTS
+ * @param {CustomFactor[]} [factors] - custom factors scored alongside the built-in ones
+ * @param {string} [locale] - language of the narrative and the built-in blockers
+ * @returns {Output}
+ */
+function calculateReadiness(inputs, weights = WEIGHTS, factors = [], locale = DEFAULT_LOCALE) {
+  // Calculate subscores (higher is better)
+  const subscores = {
+    stableProcess: 100 - inputs.variance,
+    lowExceptions: 100 - inputs.exceptionRate,
+    dataQuality: inputs.dataQuality,
+    systemAccess: inputs.systemAccess,
+    lowComplianceRisk: 100 - inputs.complianceSensitivity,
+    volumePotential: volumeSubscore(inputs.processVolume),
+  };
+  factors.forEach((factor) => {
+    subscores[factor.key] = customSubscore(
+      factor,
+      inputs[factor.key] ?? customFactorDefault(factor)
+    );
+  });
+
+  // Calculate weighted contributions and final score
+  const applied = factors.length > 0 ? effectiveWeights(weights, factors) : weights;
+  const contributions = Object.fromEntries(
+    Object.entries(subscores).map(([key, subscore]) => [key, subscore * applied[key]])
+  );
+  const score = Object.values(contributions).reduce((sum, c) => sum + c, 0);
+
+  const readinessScore = Math.round(score);
+
+  // Determine band
+  const band = bandForScore(readinessScore);
+  const narrative = bandNarrative(band, locale);
+
+  // Identify top blockers, ranked by the score points their gap costs under these weights
+  const MIN_GAP_THRESHOLD = 15;
+  const allBlockers = Object.entries(subscores).map(([key, subscore]) => {
+    const maxScore = key === 'volumePotential' ? 95 : 100;
+    const gap = maxScore - subscore;
+    const builtIn = BLOCKER_HINTS[key];
+    const { reason, hint } = builtIn
+      ? {
+          reason: translate(locale, `blocker.${key}.reason`, {}, builtIn.reason),
+          hint: translate(locale, `blocker.${key}.hint`, {}, builtIn.hint),
+        }
+      : factors.find((f) => f.key === key);
+    return {
+      factor: key,
+      reason,
+      hint,
+      gap,
+      impact: gap * applied[key],
+      subscore,
+    };
+  });
+
+  const topBlockers = allBlockers
+    .filter((b) => b.gap > MIN_GAP_THRESHOLD)
+    .sort((a, b) => b.impact - a.impact || b.gap - a.gap)
+    .slice(0, 4);
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    readinessScore,
+    band,
+    topBlockers,
+    narrative,
+    subscores,
+    weights: { ...applied },
+    contributions,
+  };
+}
+
+/**
+ * Rounds every value of a per-factor map to two decimals
+ * @param {Weights} values
+ * @returns {Weights}
+ */
+const roundFactors = (values) =>
+  Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [key, Math.round(value * 100) / 100])
+  );
+
+/**
+ * Reduces an output to the fields included in exports
+ * @param {Output} output
+ * @returns {Object}
+ */
+function serializeOutput(output) {
+  return {
+    schemaVersion: output.schemaVersion,
+    readinessScore: output.readinessScore,
+    band: output.band,
+    narrative: output.narrative,
+    topBlockers: output.topBlockers.map((b) => ({
+      factor: b.factor,
+      reason: b.reason,
+      hint: b.hint,
+      gap: b.gap,
+      impact: Math.round(b.impact * 100) / 100,
+    })),
+    subscores: roundFactors(output.subscores),
+    weights: output.weights,
+    contributions: roundFactors(output.contributions),
+    ...(output.knockOuts && {
+      weightedScore: output.weightedScore,
+      knockOuts: output.knockOuts,
+    }),
+  };
+}
+
+// --- SCORING PROFILES ---
+
+/**
+ * Converts weights (fractions of 1) to whole percentages
+ * @param {Weights} weights
+ * @returns {Weights}
+ */
+function weightsToPercents(weights) {
+  return Object.fromEntries(
+    Object.keys(WEIGHTS).map((key) => [key, Math.round((weights[key] || 0) * 100)])
+  );
+}
+
+/**
+ * Converts whole percentages to weights (fractions of 1)
+ * @param {Weights} percents
+ * @returns {Weights}
+ */
+function percentsToWeights(percents) {
+  return Object.fromEntries(Object.keys(WEIGHTS).map((key) => [key, percents[key] / 100]));
+}
+
+/**
+ * Sets one weight and rescales the others proportionally so the total stays at 100%
+ * @param {Weights} percents - current weights as whole percentages
+ * @param {string} changedKey
+ * @param {number} value
+ * @returns {Weights}
+ */
+function rebalanceWeights(percents, changedKey, value) {
+  const fixed = clamp(Math.round(value) || 0, 0, 100);
+  const remaining = 100 - fixed;
+  const others = Object.keys(percents).filter((key) => key !== changedKey);
+  const othersTotal = others.reduce((sum, key) => sum + percents[key], 0);
+
+  const shares = others.map((key) => ({
+    key,
+    share: othersTotal > 0 ? (percents[key] / othersTotal) * remaining : remaining / others.length,
+  }));
+
+  const result = { ...percents, [changedKey]: fixed };
+  shares.forEach(({ key, share }) => {
+    result[key] = Math.floor(share);
+  });
+
+  // Hand out rounding leftovers to the largest remainders
+  let leftover = remaining - shares.reduce((sum, { share }) => sum + Math.floor(share), 0);
+  [...shares]
+    .sort((a, b) => (b.share % 1) - (a.share % 1))
+    .forEach(({ key }) => {
+      if (leftover > 0) {
+        result[key] += 1;
+        leftover -= 1;
+      }
+    });
+
+  return result;
+}
+
+/**
+ * Checks that weights are complete, non-negative and sum to 100%
+ * @param {Partial<Weights>} weights
+ * @returns {boolean}
+ */
+function isValidWeights(weights) {
+  if (!weights) return false;
+  const percents = Object.keys(WEIGHTS).map((key) => weights[key]);
+  if (percents.some((p) => typeof p !== 'number' || Number.isNaN(p) || p < 0)) return false;
+  return Math.abs(percents.reduce((sum, p) => sum + p, 0) - 1) < 0.005;
+}
+
+/**
+ * Parses dash-separated weight percentages (e.g. "20-20-20-15-15-10", in WEIGHTS order)
+ * @param {string} text
+ * @returns {Weights | null} null when the list is incomplete or doesn't sum to 100
+ */
+function parseWeights(text) {
+  const percents = String(text)
+    .split('-')
+    .map((p) => Number(p));
+  const keys = Object.keys(WEIGHTS);
+  if (percents.length !== keys.length) return null;
+
+  const weights = Object.fromEntries(keys.map((key, i) => [key, percents[i] / 100]));
+  return isValidWeights(weights) ? weights : null;
+}
+
+/**
+ * Formats weights for CSV export, e.g. "stableProcess=20;lowExceptions=20;..."
+ * @param {Weights} weights
+ * @returns {string}
+ */
+function formatWeights(weights) {
+  return Object.entries(weightsToPercents(weights))
+    .map(([key, percent]) => `${key}=${percent}`)
+    .join(';');
+}
+
+export {
+  SCHEMA_VERSION,
+  DEFAULT_INPUTS,
+  WEIGHTS,
+  BUILT_IN_PROFILES,
+  CUSTOM_PROFILE_NAME,
+  BLOCKER_HINTS,
+  INPUT_CONSTRAINTS,
+  INPUT_LABELS,
+  FACTOR_LABELS,
+  BAND_ORDER,
+  BAND_THRESHOLDS,
+  BAND_NARRATIVES,
+  MAX_CUSTOM_WEIGHT,
+  clamp,
+  bandForScore,
+  bandNarrative,
+  validateInput,
+  validateCustomFactor,
+  validateCustomFactors,
+  customFactorKey,
+  customFactorDefault,
+  customSubscore,
+  effectiveWeights,
+  allInputLabels,
+  allFactorLabels,
+  allInputConstraints,
+  volumeSubscore,
+  calculateReadiness,
+  serializeOutput,
+  weightsToPercents,
+  percentsToWeights,
+  rebalanceWeights,
+  isValidWeights,
+  parseWeights,
+  formatWeights,
+};
@@ -0,0 +1,118 @@
+// service-worker-plugin.js
+
+/**
+ * Vite plugin that builds the service worker: it writes the list of files the build emitted
+ * and a version derived from their content into sw.js, and adds the result to the build as
+ * /sw.js. Each build that changes a file gets a new version, so the worker caches it under a
+ * new name and the page offers to reload.
+ */
+
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+// --- CONSTANTS ---
+
+/** File name of the service worker, in the project and in the build */
+const SERVICE_WORKER_FILE = 'sw.js';
+
+/** Markers in sw.js in front of the values the build replaces */
+const VERSION_MARKER = /\/\* build:version \*\/ '[^']*'/;
+const PRECACHE_MARKER = /\/\* build:precache \*\/ \[[^\]]*\]/;
+
+/** Characters of the content hash used as the build version */
+const VERSION_LENGTH = 12;
+
+// --- BUILD INFO ---
+
+/**
+ * URLs to precache: the site root and every emitted file except source maps and the worker itself
+ * @param {string[]} fileNames - file names relative to the output directory
+ * @param {string} [base] - public base path of the site
+ * @returns {string[]}
+ */
+function precacheUrls(fileNames, base = '/') {
+  const files = fileNames
+    .filter((name) => !name.endsWith('.map') && name !== SERVICE_WORKER_FILE)
+    .sort()
+    .map((name) => `${base}${name}`);
+  return [base, ...files];
+}
+
+/**
+ * Version of a build: a hash of its files' names and content
+ * @param {{fileName: string, content: string | Uint8Array}[]} files
+ * @returns {string}
+ */
+function buildVersion(files) {
+  const hash = createHash('sha256');
+  [...files]
+    .sort((a, b) => a.fileName.localeCompare(b.fileName))
+    .forEach(({ fileName, content }) => {
+      hash.update(fileName);
+      hash.update(content);
+    });
+  return hash.digest('hex').slice(0, VERSION_LENGTH);
+}
+
+/**
+ * Writes the build version and precache list into the service worker source
+ * @param {string} source - the content of sw.js
+ * @param {{version: string, urls: string[]}} info
+ * @returns {string}
+ * @throws {Error} when sw.js lacks one of the markers, so the build fails instead of shipping a
+ *   worker that never updates
+ */
+function injectBuildInfo(source, { version, urls }) {
+  if (!VERSION_MARKER.test(source) || !PRECACHE_MARKER.test(source)) {
+    throw new Error(
+      `${SERVICE_WORKER_FILE} must contain the build:version and build:precache markers`
+    );
+  }
+  return source
+    .replace(VERSION_MARKER, () => JSON.stringify(version))
+    .replace(PRECACHE_MARKER, () => JSON.stringify(urls));
+}
+
+// --- PLUGIN ---
+
+/**
+ * The Vite plugin; runs after the other plugins so the bundle includes index.html
+ * @returns {import('vite').Plugin}
+ */
+function serviceWorkerPlugin() {
+  let root = process.cwd();
+  let base = '/';
+
+  return {
+    name: 'automation-readiness-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      root = config.root;
+      base = config.base;
+    },
+    generateBundle(_options, bundle) {
+      const files = Object.values(bundle)
+        .filter((file) => !file.fileName.endsWith('.map'))
+        .map((file) => ({
+          fileName: file.fileName,
+          content: file.type === 'chunk' ? file.code : file.source,
+        }));
+      const source = readFileSync(resolve(root, SERVICE_WORKER_FILE), 'utf8');
+      this.emitFile({
+        type: 'asset',
+        fileName: SERVICE_WORKER_FILE,
+        source: injectBuildInfo(source, {
+          version: buildVersion(files),
+          urls: precacheUrls(
+            files.map((file) => file.fileName),
+            base
+          ),
+        }),
+      });
+    },
+  };
+}
+
+export { SERVICE_WORKER_FILE, precacheUrls, buildVersion, injectBuildInfo, serviceWorkerPlugin };
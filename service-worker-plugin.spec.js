@@ -0,0 +1,83 @@
+// tests/service-worker-plugin.spec.js
+import { readFileSync } from 'node:fs';
+import { describe, it, expect } from 'vitest';
+import {
+  SERVICE_WORKER_FILE,
+  precacheUrls,
+  buildVersion,
+  injectBuildInfo,
+  serviceWorkerPlugin,
+} from '../service-worker-plugin.js';
+
+const SOURCE = readFileSync(new URL(`../${SERVICE_WORKER_FILE}`, import.meta.url), 'utf8');
+
+const FILES = [
+  { fileName: 'index.html', content: '<html></html>' },
+  { fileName: 'assets/main-abc123.js', content: 'console.log(1);' },
+];
+
+describe('Service Worker Plugin', () => {
+  describe('precacheUrls', () => {
+    it('should list the site root and the emitted files, without source maps or the worker', () => {
+      expect(
+        precacheUrls(['index.html', 'assets/main-abc123.js', 'assets/main-abc123.js.map', 'sw.js'])
+      ).toEqual(['/', '/assets/main-abc123.js', '/index.html']);
+    });
+
+    it('should prefix the base path', () => {
+      expect(precacheUrls(['index.html'], '/readiness/')).toEqual([
+        '/readiness/',
+        '/readiness/index.html',
+      ]);
+    });
+  });
+
+  describe('buildVersion', () => {
+    it('should not depend on the order of the files', () => {
+      expect(buildVersion(FILES)).toBe(buildVersion([...FILES].reverse()));
+      expect(buildVersion(FILES)).toMatch(/^[0-9a-f]{12}$/);
+    });
+
+    it('should change when a file changes', () => {
+      const changed = [FILES[0], { ...FILES[1], content: 'console.log(2);' }];
+      expect(buildVersion(changed)).not.toBe(buildVersion(FILES));
+    });
+  });
+
+  describe('injectBuildInfo', () => {
+    it('should write the version and precache list into sw.js', () => {
+      const code = injectBuildInfo(SOURCE, { version: 'abc123', urls: ['/', '/index.html'] });
+      expect(code).toContain('const BUILD_VERSION = "abc123";');
+      expect(code).toContain('const PRECACHE_URLS = ["/","/index.html"];');
+      expect(code).not.toContain('build:version');
+    });
+
+    it('should fail when a marker is missing', () => {
+      expect(() => injectBuildInfo('const BUILD_VERSION = 1;', { version: 'x', urls: [] })).toThrow(
+        /markers/
+      );
+    });
+  });
+
+  describe('serviceWorkerPlugin', () => {
+    it('should emit sw.js with the files of the bundle', () => {
+      const plugin = serviceWorkerPlugin();
+      const emitted = [];
+      plugin.configResolved({ root: new URL('..', import.meta.url).pathname, base: '/' });
+      plugin.generateBundle.call(
+        { emitFile: (file) => emitted.push(file) },
+        {},
+        {
+          'index.html': { type: 'asset', fileName: 'index.html', source: '<html></html>' },
+          'assets/main.js': { type: 'chunk', fileName: 'assets/main.js', code: 'run();' },
+          'assets/main.js.map': { type: 'asset', fileName: 'assets/main.js.map', source: '{}' },
+        }
+      );
+      expect(emitted).toHaveLength(1);
+      expect(emitted[0].fileName).toBe(SERVICE_WORKER_FILE);
+      expect(emitted[0].source).toContain(
+        'const PRECACHE_URLS = ["/","/assets/main.js","/index.html"];'
+      );
+    });
+  });
+});
@@ -0,0 +1,421 @@
+// share.js
+
+/**
+ * Share links: the full state of an assessment in one URL parameter.
+ * The state is JSON, compressed with deflate and written as URL-safe base64 behind a format
+ * version ("1.<payload>"). The payload starts with a checksum of the JSON, so a link that was
+ * cut off, mistyped or edited by hand is rejected instead of opening a different assessment.
+ * The checksum catches accidents, it isn't a signature: anyone can build a valid link.
+ */
+
+import { INPUT_LABELS, isValidWeights, validateInput, allInputConstraints } from './scoring.js';
+import { validateFinancials } from './roi.js';
+import { validateAnswers } from './questionnaire.js';
+import { validateRanges } from './uncertainty.js';
+import { validateJustifications, validateAssessor } from './evidence.js';
+import { validateConsensus } from './consensus.js';
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+
+// --- TYPE DEFINITIONS (JSDoc) ---
+
+/** @typedef {import('./scoring.js').Inputs} Inputs */
+/** @typedef {import('./scoring.js').WeightsProfile} WeightsProfile */
+/** @typedef {import('./scoring.js').CustomFactor} CustomFactor */
+/** @typedef {import('./roi.js').Financials} Financials */
+/** @typedef {import('./questionnaire.js').Answers} Answers */
+/** @typedef {import('./uncertainty.js').Ranges} Ranges */
+/** @typedef {import('./evidence.js').Justifications} Justifications */
+/** @typedef {import('./evidence.js').Assessor} Assessor */
+/** @typedef {import('./consensus.js').Consensus} Consensus */
+/** @typedef {import('./compare.js').Scenario} Scenario */
+
+/**
+ * One process as carried by a share link
+ * @typedef {Object} SharedProcess
+ * @property {string} name
+ * @property {Inputs} inputs - custom factor values included
+ * @property {WeightsProfile} profile
+ * @property {Financials | null} financials
+ * @property {Answers | null} answers
+ * @property {Ranges | null} ranges
+ * @property {string} [notes] - free-text notes on the assessment; links leave out empty notes
+ * @property {Justifications | null} [justifications] - carried by JSON exports and backups, not
+ *   by links
+ * @property {Assessor | null} [assessor] - likewise
+ * @property {Consensus | null} [consensus] - likewise
+ */
+
+/**
+ * Everything a share link carries; either part may be missing
+ * @typedef {Object} ShareState
+ * @property {SharedProcess} [process] - the assessment
+ * @property {Scenario[]} [compare] - the scenarios of an open comparison, baseline first
+ */
+
+/**
+ * @typedef {Object} DecodedShareState
+ * @property {ShareState | null} state - null when the link is rejected
+ * @property {string} error - why the link was rejected, '' otherwise
+ * @property {string[]} unknownFactors - custom factor keys in the link that aren't defined
+ *   here; their values were dropped
+ */
+
+// --- CONSTANTS ---
+
+/** Query parameter holding the encoded state */
+const SHARE_PARAM = 'state';
+
+/** Version of the encoding; links with another version are rejected */
+const SHARE_FORMAT_VERSION = 1;
+
+/** Bytes of the checksum at the start of the payload */
+const CHECKSUM_BYTES = 4;
+
+/** Modulus of the Adler-32 checksum */
+const ADLER_MODULUS = 65521;
+
+// --- BYTES ---
+
+/**
+ * Adler-32 checksum of some bytes, as used by zlib
+ * @param {Uint8Array} bytes
+ * @returns {number} unsigned 32-bit integer
+ */
+function adler32(bytes) {
+  let a = 1;
+  let b = 0;
+  bytes.forEach((byte) => {
+    a = (a + byte) % ADLER_MODULUS;
+    b = (b + a) % ADLER_MODULUS;
+  });
+  return b * 65536 + a;
+}
+
+/**
+ * Writes bytes as URL-safe base64 without padding
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+  const binary = Array.from(bytes, (byte) => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Reads URL-safe base64, with or without padding
+ * @param {string} text
+ * @returns {Uint8Array | null} null when the text isn't base64
+ */
+function fromBase64Url(text) {
+  if (!/^[A-Za-z0-9_-]*$/.test(text) || text.length % 4 === 1) return null;
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Runs bytes through a compression or decompression stream
+ * @param {Uint8Array} bytes
+ * @param {CompressionStream | DecompressionStream} stream
+ * @returns {Promise<Uint8Array>}
+ */
+const transform = (bytes, stream) =>
+  new Response(new Blob([bytes]).stream().pipeThrough(stream))
+    .arrayBuffer()
+    .then((buffer) => new Uint8Array(buffer));
+
+// --- VALIDATION ---
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Puts a prefix in front of error messages
+ * @param {string} prefix
+ * @param {string[]} messages
+ * @returns {string[]}
+ */
+const prefixed = (prefix, messages) => messages.map((message) => `${prefix}: ${message}`);
+
+/**
+ * Checks inputs against the built-in and custom factor limits; every built-in input is required
+ * @param {Inputs} inputs
+ * @param {CustomFactor[]} factors
+ * @param {string} locale
+ * @returns {string[]}
+ */
+function validateSharedInputs(inputs, factors, locale) {
+  if (!isObject(inputs)) {
+    return [translate(locale, 'validation.share.inputs', {}, 'Inputs must be an object')];
+  }
+  const constraints = allInputConstraints(factors);
+  return Object.keys(constraints)
+    .map((key) => {
+      const value = inputs[key];
+      if (value === undefined && !(key in INPUT_LABELS)) return '';
+      if (typeof value !== 'number') {
+        return `${key}: ${translate(locale, 'validation.missing', {}, 'Missing value')}`;
+      }
+      const validation = validateInput(key, value, constraints, locale);
+      return validation.valid ? '' : `${key}: ${validation.message}`;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Checks a name and weights profile, as shared by processes and scenarios
+ * @param {{name: string, profile: WeightsProfile}} item
+ * @param {string} locale
+ * @returns {string[]}
+ */
+function validateNameAndProfile(item, locale) {
+  const errors = [];
+  if (typeof item.name !== 'string' || item.name.trim() === '') {
+    errors.push(`name: ${translate(locale, 'validation.missing', {}, 'Missing value')}`);
+  }
+  if (!item.profile || typeof item.profile.name !== 'string') {
+    errors.push(`profile: ${translate(locale, 'validation.missingName', {}, 'Missing name')}`);
+  } else if (!isValidWeights(item.profile.weights)) {
+    const message = 'Weights must be complete and sum to 100%';
+    errors.push(`profile: ${translate(locale, 'validation.weights', {}, message)}`);
+  }
+  return errors;
+}
+
+/**
+ * Validates one process against the custom factors defined here
+ * @param {SharedProcess} process
+ * @param {CustomFactor[]} [factors]
+ * @param {string} [locale] - language of the messages
+ * @returns {string[]} error messages, e.g. "inputs: dataQuality: Value must be at most 100"
+ */
+function validateSharedProcess(process, factors = [], locale = DEFAULT_LOCALE) {
+  if (!isObject(process)) {
+    return [translate(locale, 'validation.share.process', {}, 'Process must be an object')];
+  }
+
+  const { inputs, financials, answers, ranges, notes, justifications, assessor, consensus } =
+    process;
+  const errors = [
+    ...validateNameAndProfile(process, locale),
+    ...prefixed('inputs', validateSharedInputs(inputs, factors, locale)),
+  ];
+  if (financials != null) {
+    errors.push(
+      ...prefixed(
+        'financials',
+        isObject(financials)
+          ? validateFinancials(financials, locale)
+          : [translate(locale, 'validation.type.object', {}, 'Must be an object')]
+      )
+    );
+  }
+  if (answers != null) {
+    errors.push(...prefixed('answers', validateAnswers(answers, locale)));
+  }
+  if (ranges != null && errors.length === 0) {
+    errors.push(...prefixed('ranges', validateRanges(ranges, inputs, factors, locale)));
+  }
+  if (notes != null && typeof notes !== 'string') {
+    errors.push(`notes: ${translate(locale, 'validation.type.string', {}, 'Must be a string')}`);
+  }
+  if (justifications != null) {
+    errors.push(...prefixed('justifications', validateJustifications(justifications, locale)));
+  }
+  if (assessor != null) {
+    errors.push(...prefixed('assessor', validateAssessor(assessor, locale)));
+  }
+  if (consensus != null) {
+    errors.push(...prefixed('consensus', validateConsensus(consensus, factors, locale)));
+  }
+  return errors;
+}
+
+/**
+ * Validates decoded state against the custom factors defined here
+ * @param {ShareState} state
+ * @param {CustomFactor[]} [factors]
+ * @param {string} [locale] - language of the messages
+ * @returns {string[]} error messages, e.g. "process.inputs: dataQuality: Value must be at most 100"
+ */
+function validateShareState(state, factors = [], locale = DEFAULT_LOCALE) {
+  if (!isObject(state)) {
+    return [translate(locale, 'validation.share.state', {}, 'State must be an object')];
+  }
+  if (!state.process && !state.compare) {
+    const message = 'State has neither a process nor scenarios';
+    return [translate(locale, 'validation.share.empty', {}, message)];
+  }
+
+  const errors = [];
+  if (state.process) {
+    errors.push(
+      ...validateSharedProcess(state.process, factors, locale).map(
+        (message) => `process.${message}`
+      )
+    );
+  }
+
+  if (state.compare) {
+    if (!Array.isArray(state.compare) || state.compare.length === 0) {
+      const message = translate(
+        locale,
+        'validation.share.compare',
+        {},
+        'Must be a list of scenarios'
+      );
+      errors.push(`compare: ${message}`);
+    } else {
+      state.compare.forEach((scenario, i) => {
+        if (!isObject(scenario)) {
+          const message = translate(locale, 'validation.type.object', {}, 'Must be an object');
+          errors.push(`compare[${i}]: ${message}`);
+          return;
+        }
+        errors.push(...prefixed(`compare[${i}]`, validateNameAndProfile(scenario, locale)));
+        errors.push(
+          ...prefixed(
+            `compare[${i}].inputs`,
+            validateSharedInputs(scenario.inputs, factors, locale)
+          )
+        );
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Drops the values of custom factors that aren't defined here
+ * @param {ShareState} state
+ * @param {CustomFactor[]} factors
+ * @returns {{state: ShareState, unknownFactors: string[]}}
+ */
+function dropUnknownFactors(state, factors) {
+  if (!isObject(state)) return { state, unknownFactors: [] };
+
+  const known = (key) => key in INPUT_LABELS || factors.some((f) => f.key === key);
+  const unknownFactors = new Set();
+  const keepKnown = (values) =>
+    Object.fromEntries(
+      Object.entries(values).filter(([key]) => {
+        if (!known(key)) unknownFactors.add(key);
+        return known(key);
+      })
+    );
+
+  const result = { ...state };
+  if (isObject(state.process)) {
+    const { inputs, ranges } = state.process;
+    result.process = {
+      ...state.process,
+      inputs: isObject(inputs) ? keepKnown(inputs) : inputs,
+      ranges: isObject(ranges) ? keepKnown(ranges) : ranges,
+    };
+    if (isObject(result.process.ranges) && Object.keys(result.process.ranges).length === 0) {
+      result.process.ranges = null;
+    }
+  }
+  if (Array.isArray(state.compare)) {
+    result.compare = state.compare.map((scenario) =>
+      isObject(scenario) && isObject(scenario.inputs)
+        ? { ...scenario, inputs: keepKnown(scenario.inputs) }
+        : scenario
+    );
+  }
+  return { state: result, unknownFactors: [...unknownFactors] };
+}
+
+// --- ENCODING ---
+
+/**
+ * Encodes state for a share link: "<version>.<base64url(checksum + deflate(JSON))>"
+ * @param {ShareState} state
+ * @returns {Promise<string>}
+ */
+function encodeShareState(state) {
+  const json = new TextEncoder().encode(JSON.stringify(state));
+  return transform(json, new CompressionStream('deflate-raw')).then((compressed) => {
+    const checksum = adler32(json);
+    const payload = new Uint8Array(CHECKSUM_BYTES + compressed.length);
+    new DataView(payload.buffer).setUint32(0, checksum);
+    payload.set(compressed, CHECKSUM_BYTES);
+    return `${SHARE_FORMAT_VERSION}.${toBase64Url(payload)}`;
+  });
+}
+
+/**
+ * Decodes and validates the state of a share link. Never throws: a damaged, edited or invalid
+ * link comes back with `state: null` and the reason in `error`.
+ * @param {string} encoded - the value of the SHARE_PARAM parameter
+ * @param {CustomFactor[]} [factors] - the custom factors defined here
+ * @param {string} [locale] - language of the error
+ * @returns {Promise<DecodedShareState>}
+ */
+function decodeShareState(encoded, factors = [], locale = DEFAULT_LOCALE) {
+  const reject = (key, fallback, params = {}) => ({
+    state: null,
+    error: translate(locale, key, params, fallback),
+    unknownFactors: [],
+  });
+  const [version, data = ''] = String(encoded).split('.', 2);
+
+  if (!/^\d+$/.test(version)) {
+    return Promise.resolve(
+      reject('validation.share.noVersion', 'The share link is damaged: it has no format version')
+    );
+  }
+  if (Number(version) !== SHARE_FORMAT_VERSION) {
+    return Promise.resolve(
+      reject(
+        'validation.share.version',
+        "The share link uses format {version}, which this version of the app can't read",
+        { version }
+      )
+    );
+  }
+  const payload = fromBase64Url(data);
+  if (!payload || payload.length <= CHECKSUM_BYTES) {
+    return Promise.resolve(
+      reject(
+        'validation.share.incomplete',
+        'The share link is damaged: it is incomplete or mistyped'
+      )
+    );
+  }
+
+  const checksum = new DataView(payload.buffer).getUint32(0);
+  return transform(payload.subarray(CHECKSUM_BYTES), new DecompressionStream('deflate-raw'))
+    .then((json) => {
+      if (adler32(json) !== checksum) {
+        return reject(
+          'validation.share.checksum',
+          'The share link was changed after it was created: its checksum does not match'
+        );
+      }
+      const decoded = dropUnknownFactors(JSON.parse(new TextDecoder().decode(json)), factors);
+      const errors = validateShareState(decoded.state, factors, locale);
+      if (errors.length > 0) {
+        return reject(
+          'validation.share.invalid',
+          'The share link contains invalid values: {errors}',
+          { errors: errors.join('; ') }
+        );
+      }
+      return { ...decoded, error: '' };
+    })
+    .catch(() =>
+      reject('validation.share.unreadable', 'The share link is damaged: its data could not be read')
+    );
+}
+
+export {
+  SHARE_PARAM,
+  SHARE_FORMAT_VERSION,
+  adler32,
+  toBase64Url,
+  fromBase64Url,
+  validateSharedProcess,
+  validateShareState,
+  dropUnknownFactors,
+  encodeShareState,
+  decodeShareState,
+};
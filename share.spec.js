@@ -0,0 +1,223 @@
+// tests/share.spec.js
+import { describe, it, expect } from 'vitest';
+import {
+  SHARE_FORMAT_VERSION,
+  adler32,
+  toBase64Url,
+  fromBase64Url,
+  validateShareState,
+  encodeShareState,
+  decodeShareState,
+} from '../share.js';
+import { DEFAULT_INPUTS, WEIGHTS } from '../scoring.js';
+
+const PROFILE = { name: 'Default', weights: WEIGHTS };
+
+const FACTOR = {
+  key: 'stakeholderSponsorship',
+  label: 'Stakeholder Sponsorship',
+  min: 1,
+  max: 5,
+  direction: 'higher',
+  weight: 10,
+};
+
+/** @type {import('../share.js').ShareState} */
+const STATE = {
+  process: {
+    name: 'Invoice matching – EMEA',
+    inputs: { ...DEFAULT_INPUTS, dataQuality: 85 },
+    profile: PROFILE,
+    financials: null,
+    answers: null,
+    ranges: { dataQuality: { low: 70, high: 90 } },
+    notes: 'Scanned invoices only; the EDI feed is out of scope',
+  },
+  compare: [
+    { name: 'As-is', inputs: DEFAULT_INPUTS, profile: PROFILE },
+    { name: 'To-be', inputs: { ...DEFAULT_INPUTS, exceptionRate: 5 }, profile: PROFILE },
+  ],
+};
+
+/** Encodes state, then decodes it with the given custom factors */
+const roundTrip = (state, factors) =>
+  encodeShareState(state).then((encoded) => decodeShareState(encoded, factors));
+
+/** Changes the first byte of a share link's payload, i.e. its checksum */
+const tamper = (encoded) => {
+  const [version, data] = encoded.split('.');
+  const bytes = fromBase64Url(data);
+  bytes.set([(bytes[0] + 1) % 256], 0);
+  return `${version}.${toBase64Url(bytes)}`;
+};
+
+describe('Share Links', () => {
+  describe('adler32', () => {
+    it('should match the zlib checksum', () => {
+      expect(adler32(new TextEncoder().encode('Wikipedia'))).toBe(0x11e60398);
+      expect(adler32(new Uint8Array())).toBe(1);
+    });
+  });
+
+  describe('base64url', () => {
+    it('should round-trip bytes without padding or URL-unsafe characters', () => {
+      const bytes = Uint8Array.from([251, 255, 191, 0, 62, 63]);
+      const text = toBase64Url(bytes);
+      expect(text).toMatch(/^[A-Za-z0-9_-]+$/);
+      expect(fromBase64Url(text)).toEqual(bytes);
+    });
+
+    it('should reject text that is not base64', () => {
+      expect(fromBase64Url('ab+c')).toBeNull();
+      expect(fromBase64Url('abcde')).toBeNull();
+    });
+  });
+
+  describe('encodeShareState / decodeShareState', () => {
+    it('should round-trip the full state behind a format version', () =>
+      encodeShareState(STATE)
+        .then((encoded) => {
+          expect(encoded).toMatch(/^\d+\.[A-Za-z0-9_-]+$/);
+          expect(encoded.startsWith(`${SHARE_FORMAT_VERSION}.`)).toBe(true);
+          return decodeShareState(encoded);
+        })
+        .then((decoded) => {
+          expect(decoded.error).toBe('');
+          expect(decoded.state).toEqual(STATE);
+          expect(decoded.unknownFactors).toEqual([]);
+        }));
+
+    it('should compress the state', () =>
+      encodeShareState(STATE).then((encoded) => {
+        expect(encoded.length).toBeLessThan(encodeURIComponent(JSON.stringify(STATE)).length);
+      }));
+
+    it('should accept a comparison without a process', () =>
+      roundTrip({ compare: STATE.compare }).then((decoded) => {
+        expect(decoded.state).toEqual({ compare: STATE.compare });
+      }));
+
+    describe('custom factors', () => {
+      const state = {
+        process: { ...STATE.process, inputs: { ...STATE.process.inputs, [FACTOR.key]: 4 } },
+      };
+
+      it('should keep the values of custom factors defined here', () =>
+        roundTrip(state, [FACTOR]).then((decoded) => {
+          expect(decoded.state.process.inputs[FACTOR.key]).toBe(4);
+        }));
+
+      it('should drop the values of custom factors that are not defined here', () =>
+        roundTrip(state, []).then((decoded) => {
+          expect(decoded.error).toBe('');
+          expect(decoded.unknownFactors).toEqual([FACTOR.key]);
+          expect(decoded.state.process.inputs).toEqual(STATE.process.inputs);
+        }));
+    });
+
+    it('should reject links without a format version', () =>
+      decodeShareState('abc').then((decoded) => {
+        expect(decoded.state).toBeNull();
+        expect(decoded.error).toContain('no format version');
+      }));
+
+    it('should reject links of another format version', () =>
+      encodeShareState(STATE)
+        .then((encoded) => decodeShareState(encoded.replace(/^\d+/, '99')))
+        .then((decoded) => {
+          expect(decoded.state).toBeNull();
+          expect(decoded.error).toContain('format 99');
+        }));
+
+    it('should reject truncated or mistyped links', () =>
+      encodeShareState(STATE)
+        .then((encoded) =>
+          Promise.all([
+            decodeShareState(`${SHARE_FORMAT_VERSION}.`),
+            decodeShareState(`${encoded}*`),
+            decodeShareState(encoded.slice(0, 20)),
+          ])
+        )
+        .then(([empty, mistyped, truncated]) => {
+          expect(empty.error).toContain('incomplete');
+          expect(mistyped.error).toContain('incomplete');
+          expect(truncated.state).toBeNull();
+          expect(truncated.error).not.toBe('');
+        }));
+
+    it('should reject links whose checksum does not match', () =>
+      encodeShareState(STATE)
+        .then((encoded) => decodeShareState(tamper(encoded)))
+        .then((decoded) => {
+          expect(decoded.state).toBeNull();
+          expect(decoded.error).toContain('checksum does not match');
+        }));
+
+    it('should reject links with invalid values', () =>
+      roundTrip({
+        process: { ...STATE.process, inputs: { ...DEFAULT_INPUTS, dataQuality: 150 } },
+      }).then((decoded) => {
+        expect(decoded.state).toBeNull();
+        expect(decoded.error).toContain('process.inputs: dataQuality');
+      }));
+
+    it('should give the reason in the given language', () =>
+      encodeShareState({ process: { ...STATE.process, name: ' ' } })
+        .then((encoded) =>
+          Promise.all([decodeShareState('abc', [], 'de'), decodeShareState(encoded, [], 'fr')])
+        )
+        .then(([missingVersion, invalid]) => {
+          expect(missingVersion.error).toBe(
+            'Der Freigabelink ist beschädigt: Er hat keine Formatversion'
+          );
+          expect(invalid.error).toBe(
+            'Le lien de partage contient des valeurs invalides : process.name: Valeur manquante'
+          );
+        }));
+  });
+
+  describe('validateShareState', () => {
+    it('should accept valid state', () => {
+      expect(validateShareState(STATE)).toEqual([]);
+    });
+
+    it('should require a process or scenarios', () => {
+      expect(validateShareState({})).toHaveLength(1);
+      expect(validateShareState(null)).toHaveLength(1);
+    });
+
+    it('should report missing inputs, names and incomplete weights', () => {
+      const inputs = { ...DEFAULT_INPUTS, dataQuality: undefined };
+      const errors = validateShareState({
+        process: { ...STATE.process, name: ' ', inputs },
+        compare: [{ name: 'A', inputs: DEFAULT_INPUTS, profile: { name: 'X', weights: {} } }],
+      });
+      expect(errors).toContain('process.name: Missing value');
+      expect(errors).toContain('process.inputs: dataQuality: Missing value');
+      expect(errors.some((e) => e.startsWith('compare[0]: profile'))).toBe(true);
+    });
+
+    it('should accept a process without notes and reject notes that are not text', () => {
+      const { notes, ...process } = STATE.process;
+      expect(notes).not.toBe('');
+      expect(validateShareState({ process })).toEqual([]);
+      expect(validateShareState({ process: { ...process, notes: ['a'] } })).toEqual([
+        'process.notes: Must be a string',
+      ]);
+    });
+
+    it('should report in the given language, down to the answers and the consensus', () => {
+      const process = {
+        ...STATE.process,
+        financials: [],
+        answers: { format: 'pdf' },
+        consensus: { method: 'mode', threshold: 30, ratings: [] },
+      };
+      expect(validateShareState({ process }, [], 'de')).toEqual([
+        'process.financials: Muss ein Objekt sein',
+        'process.answers: format: Unbekannte Antwort „pdf“',
+        'process.consensus: method: Muss einer der Werte median, mean sein',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,600 @@
+// store.js
+
+/**
+ * Local assessment store: every process with its inputs, output, notes and timestamps, plus the
+ * custom profiles, factors and knock-out rules, kept in IndexedDB. Opening the store runs the
+ * schema upgrades; the first one moves the data the calculator used to keep in localStorage.
+ * The whole store can be written to one backup file and restored, or merged, elsewhere.
+ */
+
+import { isValidWeights, validateCustomFactor, validateCustomFactors } from './scoring.js';
+import { validateRule, validateRules } from './rules.js';
+import { validateSharedProcess } from './share.js';
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+
+// --- TYPE DEFINITIONS (JSDoc) ---
+
+/** @typedef {import('./scoring.js').Output} Output */
+/** @typedef {import('./scoring.js').WeightsProfile} WeightsProfile */
+/** @typedef {import('./scoring.js').CustomFactor} CustomFactor */
+/** @typedef {import('./rules.js').KnockOutRule} KnockOutRule */
+/** @typedef {import('./portfolio.js').Process} Process */
+
+/**
+ * A process as stored: the process itself, its latest output and when it was created and last
+ * changed (ISO 8601). Saving a record whose process is unchanged keeps its updatedAt.
+ * @typedef {Process & {output: Output, createdAt: string, updatedAt: string}} AssessmentRecord
+ */
+
+/**
+ * @typedef {Object} StoreSettings
+ * @property {WeightsProfile[]} profiles - saved custom weight profiles
+ * @property {CustomFactor[]} factors - custom factor definitions
+ * @property {KnockOutRule[]} rules - knock-out rules
+ */
+
+/**
+ * Everything in the store, in portfolio order
+ * @typedef {Object} StoreContents
+ * @property {string | null} activeId - the process open in the form
+ * @property {AssessmentRecord[]} assessments
+ * @property {StoreSettings} settings
+ */
+
+/**
+ * A backup file
+ * @typedef {StoreContents & {format: string, schemaVersion: number, exportedAt: string}} Backup
+ */
+
+/**
+ * @typedef {Object} ParsedBackup
+ * @property {Backup | null} backup - null when the file is rejected
+ * @property {string[]} errors - why the file was rejected
+ */
+
+/**
+ * @typedef {Object} MergeResult
+ * @property {StoreContents} contents
+ * @property {number} added - processes that were not in the store yet
+ * @property {number} updated - processes the backup holds a newer version of
+ * @property {string[]} skippedFactors - keys of the backup's custom factors that were left out,
+ *   e.g. because together with the ones here they would weigh more than allowed
+ * @property {string[]} skippedRules - ids of the backup's knock-out rules that were left out,
+ *   e.g. because they check a custom factor that was left out
+ */
+
+/**
+ * @typedef {Object} OpenStoreOptions
+ * @property {() => void} [onBlocked] - the store is open in an older release in another tab; the
+ *   open goes on once that tab closes
+ * @property {() => void} [onClose] - the connection was closed from outside this page, e.g. to let
+ *   a newer release in another tab upgrade the store; it can no longer be used
+ */
+
+// --- CONSTANTS ---
+
+/** Name of the IndexedDB database */
+const DB_NAME = 'automation-readiness';
+
+/** Object stores: assessments keyed by process id, settings keyed by name */
+const ASSESSMENTS = 'assessments';
+const SETTINGS = 'settings';
+
+/** Marks a JSON file as a backup of this calculator */
+const BACKUP_FORMAT = 'automation-readiness-backup';
+
+// --- RECORDS ---
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * JSON with the keys of every object sorted, so equal records compare equal whatever order
+ * their fields were written in
+ * @param {any} value
+ * @returns {string}
+ */
+const canonicalJson = (value) =>
+  JSON.stringify(value, (_key, item) =>
+    isObject(item)
+      ? Object.fromEntries(Object.entries(item).sort(([a], [b]) => (a < b ? -1 : 1)))
+      : item
+  );
+
+/** Fields a record adds to its process */
+const RECORD_FIELDS = ['output', 'createdAt', 'updatedAt'];
+
+/**
+ * The part of a record that is saved work rather than derived or bookkeeping
+ * @param {AssessmentRecord} record
+ * @returns {Process}
+ */
+const processFromRecord = (record) =>
+  Object.fromEntries(Object.entries(record).filter(([key]) => !RECORD_FIELDS.includes(key)));
+
+/**
+ * Builds the record of a process
+ * @param {Process} process
+ * @param {Output} output
+ * @returns {AssessmentRecord} without timestamps until it is saved
+ */
+const toRecord = (process, output) => ({ ...processFromRecord(process), output });
+
+/**
+ * Dates a record: it keeps its creation time and gets a new update time only when the process
+ * differs from the stored version
+ * @param {AssessmentRecord} record
+ * @param {AssessmentRecord | undefined} previous - the stored version, if any
+ * @param {string} now - ISO 8601
+ * @returns {AssessmentRecord}
+ */
+function stampRecord(record, previous, now) {
+  if (!previous) {
+    return { ...record, createdAt: record.createdAt ?? now, updatedAt: record.updatedAt ?? now };
+  }
+  const changed =
+    canonicalJson(processFromRecord(record)) !== canonicalJson(processFromRecord(previous));
+  return {
+    ...record,
+    createdAt: previous.createdAt,
+    updatedAt: changed ? now : previous.updatedAt,
+  };
+}
+
+/**
+ * Sorts records into portfolio order; records missing from the order go last
+ * @param {AssessmentRecord[]} records
+ * @param {string[]} order - process ids
+ * @returns {AssessmentRecord[]}
+ */
+function sortRecords(records, order) {
+  const position = (record) => {
+    const index = order.indexOf(record.id);
+    return index === -1 ? order.length : index;
+  };
+  return [...records].sort((a, b) => position(a) - position(b));
+}
+
+// --- INDEXEDDB ---
+
+/**
+ * Wraps an IndexedDB request
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+const requestResult = (request) =>
+  new Promise((resolve, reject) => {
+    request.addEventListener('success', () => resolve(request.result));
+    request.addEventListener('error', () => reject(request.error));
+  });
+
+/**
+ * Resolves once a transaction has been committed
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+const transactionDone = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.addEventListener('complete', () => resolve());
+    transaction.addEventListener('error', () => reject(transaction.error));
+    transaction.addEventListener('abort', () =>
+      reject(transaction.error || new Error('Transaction aborted'))
+    );
+  });
+
+/**
+ * Writes the contents of the store, timestamps missing from records set to now
+ * @param {IDBTransaction} transaction - a readwrite transaction on both object stores
+ * @param {StoreContents} contents
+ * @param {string} now - ISO 8601
+ */
+function putContents(transaction, contents, now) {
+  const assessments = transaction.objectStore(ASSESSMENTS);
+  const settings = transaction.objectStore(SETTINGS);
+  contents.assessments.forEach((record) => assessments.put(stampRecord(record, undefined, now)));
+  settings.put({ key: 'activeId', value: contents.activeId });
+  settings.put({ key: 'order', value: contents.assessments.map((record) => record.id) });
+  ['profiles', 'factors', 'rules'].forEach((key) =>
+    settings.put({ key, value: contents.settings[key] })
+  );
+}
+
+// --- SCHEMA ---
+
+/**
+ * Schema upgrades, in order: upgrade n takes the store from version n to n + 1. Version 0 is the
+ * localStorage data of earlier releases, so the first upgrade also writes that in.
+ * @type {((db: IDBDatabase, transaction: IDBTransaction, legacy: StoreContents | null) => void)[]}
+ */
+const UPGRADES = [
+  (db, transaction, legacy) => {
+    db.createObjectStore(ASSESSMENTS, { keyPath: 'id' });
+    db.createObjectStore(SETTINGS, { keyPath: 'key' });
+    if (legacy) putContents(transaction, legacy, new Date().toISOString());
+  },
+];
+
+/** Version of the store schema, and of the backup files it writes */
+const STORE_VERSION = UPGRADES.length;
+
+/**
+ * Opens the store, upgrading its schema first when it is older than this release
+ * @param {IDBFactory} factory - window.indexedDB
+ * @param {() => StoreContents | null} readLegacy - reads the localStorage data of earlier
+ *   releases; only called when the store is created
+ * @param {OpenStoreOptions} [options]
+ * @returns {Promise<{db: IDBDatabase, migrated: boolean}>} migrated is true when the legacy
+ *   data was written in, so it can be removed
+ */
+function openStore(factory, readLegacy, { onBlocked = () => {}, onClose = () => {} } = {}) {
+  return new Promise((resolve, reject) => {
+    let migrated = false;
+    const request = factory.open(DB_NAME, STORE_VERSION);
+    request.addEventListener('upgradeneeded', (event) => {
+      const legacy = event.oldVersion === 0 ? readLegacy() : null;
+      for (let version = event.oldVersion; version < STORE_VERSION; version += 1) {
+        UPGRADES[version](request.result, request.transaction, legacy);
+      }
+      migrated = Boolean(legacy);
+    });
+    request.addEventListener('success', () => {
+      const db = request.result;
+      // Another tab opened a newer release: step aside so its upgrade can run
+      db.addEventListener('versionchange', () => {
+        db.close();
+        onClose();
+      });
+      // Closed by the browser, e.g. when the user clears site data
+      db.addEventListener('close', onClose);
+      resolve({ db, migrated });
+    });
+    request.addEventListener('error', () => reject(request.error));
+    // Not an error: the request stays pending and succeeds once the older tab lets go
+    request.addEventListener('blocked', onBlocked);
+  });
+}
+
+/**
+ * Reads the whole store
+ * @param {IDBDatabase} db
+ * @returns {Promise<StoreContents>}
+ */
+function readStore(db) {
+  const transaction = db.transaction([ASSESSMENTS, SETTINGS], 'readonly');
+  return Promise.all([
+    requestResult(transaction.objectStore(ASSESSMENTS).getAll()),
+    requestResult(transaction.objectStore(SETTINGS).getAll()),
+  ]).then(([records, entries]) => {
+    const settings = Object.fromEntries(entries.map(({ key, value }) => [key, value]));
+    return {
+      activeId: settings.activeId ?? null,
+      assessments: sortRecords(records, settings.order ?? []),
+      settings: {
+        profiles: settings.profiles ?? [],
+        factors: settings.factors ?? [],
+        rules: settings.rules ?? [],
+      },
+    };
+  });
+}
+
+/**
+ * Saves the portfolio: changed records get a new update time, records of deleted processes
+ * are removed
+ * @param {IDBDatabase} db
+ * @param {AssessmentRecord[]} records - every process, in portfolio order
+ * @param {string | null} activeId
+ * @param {string} [now] - ISO 8601
+ * @returns {Promise<void>}
+ */
+function saveAssessments(db, records, activeId, now = new Date().toISOString()) {
+  const transaction = db.transaction([ASSESSMENTS, SETTINGS], 'readwrite');
+  const assessments = transaction.objectStore(ASSESSMENTS);
+  // Written from the success event, while the transaction is still active
+  const request = assessments.getAll();
+  request.addEventListener('success', () => {
+    const previous = new Map(request.result.map((record) => [record.id, record]));
+    records.forEach((record) => {
+      assessments.put(stampRecord(record, previous.get(record.id), now));
+      previous.delete(record.id);
+    });
+    previous.forEach((_record, id) => assessments.delete(id));
+  });
+  const settings = transaction.objectStore(SETTINGS);
+  settings.put({ key: 'activeId', value: activeId });
+  settings.put({ key: 'order', value: records.map((record) => record.id) });
+  return transactionDone(transaction);
+}
+
+/**
+ * Saves one of the settings
+ * @param {IDBDatabase} db
+ * @param {'profiles' | 'factors' | 'rules'} key
+ * @param {any} value
+ * @returns {Promise<void>}
+ */
+function saveSetting(db, key, value) {
+  const transaction = db.transaction(SETTINGS, 'readwrite');
+  transaction.objectStore(SETTINGS).put({ key, value });
+  return transactionDone(transaction);
+}
+
+/**
+ * Replaces everything in the store
+ * @param {IDBDatabase} db
+ * @param {StoreContents} contents
+ * @param {string} [now] - ISO 8601, for records without timestamps
+ * @returns {Promise<void>}
+ */
+function writeStore(db, contents, now = new Date().toISOString()) {
+  const transaction = db.transaction([ASSESSMENTS, SETTINGS], 'readwrite');
+  transaction.objectStore(ASSESSMENTS).clear();
+  transaction.objectStore(SETTINGS).clear();
+  putContents(transaction, contents, now);
+  return transactionDone(transaction);
+}
+
+// --- BACKUP ---
+
+/**
+ * Builds a backup file of the store
+ * @param {StoreContents} contents
+ * @param {string} [exportedAt] - ISO 8601; also dates records that have no timestamps yet
+ * @returns {Backup}
+ */
+function buildBackup(contents, exportedAt = new Date().toISOString()) {
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: STORE_VERSION,
+    exportedAt,
+    activeId: contents.activeId,
+    assessments: contents.assessments.map((record) => stampRecord(record, undefined, exportedAt)),
+    settings: contents.settings,
+  };
+}
+
+/**
+ * Validates the settings of a backup
+ * @param {any} settings
+ * @param {string} locale
+ * @returns {string[]} e.g. "settings.factors: Factor 1: Label is required"
+ */
+function validateSettings(settings, locale) {
+  const message = (key, fallback) => translate(locale, key, {}, fallback);
+  const mustBeArray = message('validation.type.array', 'Must be an array');
+  if (!isObject(settings)) {
+    return [`settings: ${message('validation.type.object', 'Must be an object')}`];
+  }
+
+  const { profiles, factors, rules } = settings;
+  const errors = [];
+  if (!Array.isArray(profiles)) {
+    errors.push(`settings.profiles: ${mustBeArray}`);
+  } else {
+    profiles.forEach((profile, i) => {
+      if (!isObject(profile) || typeof profile.name !== 'string' || !profile.name) {
+        errors.push(
+          `settings.profiles[${i}]: ${message('validation.missingName', 'Missing name')}`
+        );
+      } else if (!isValidWeights(profile.weights)) {
+        const weights = message('validation.weights', 'Weights must be complete and sum to 100%');
+        errors.push(`settings.profiles[${i}]: ${weights}`);
+      }
+    });
+  }
+  if (!Array.isArray(factors)) {
+    errors.push(`settings.factors: ${mustBeArray}`);
+  } else {
+    errors.push(
+      ...validateCustomFactors(factors, locale).map((error) => `settings.factors: ${error}`)
+    );
+  }
+  if (!Array.isArray(rules)) {
+    errors.push(`settings.rules: ${mustBeArray}`);
+  } else if (Array.isArray(factors)) {
+    errors.push(
+      ...validateRules(rules, factors, locale).map((error) => `settings.rules: ${error}`)
+    );
+  }
+  return errors;
+}
+
+/**
+ * Validates one record of a backup against the backup's custom factors
+ * @param {any} record
+ * @param {number} index
+ * @param {CustomFactor[]} factors
+ * @param {string} locale
+ * @returns {string[]} e.g. "assessments[2]: inputs: dataQuality: Value must be at most 100"
+ */
+function validateRecord(record, index, factors, locale) {
+  const prefix = `assessments[${index}]`;
+  const message = (key, fallback) => translate(locale, key, {}, fallback);
+  if (!isObject(record)) {
+    return [`${prefix}: ${message('validation.type.object', 'Must be an object')}`];
+  }
+
+  const errors = validateSharedProcess(record, factors, locale);
+  if (typeof record.id !== 'string' || !record.id) {
+    errors.push(`id: ${message('validation.missing', 'Missing value')}`);
+  }
+  ['createdAt', 'updatedAt'].forEach((key) => {
+    if (typeof record[key] !== 'string' || Number.isNaN(Date.parse(record[key]))) {
+      errors.push(`${key}: ${message('validation.backup.date', 'Must be an ISO 8601 date')}`);
+    }
+  });
+  if (record.history != null && !Array.isArray(record.history)) {
+    errors.push(`history: ${message('validation.type.array', 'Must be an array')}`);
+  }
+  if (record.notes != null && typeof record.notes !== 'string') {
+    errors.push(`notes: ${message('validation.type.string', 'Must be a string')}`);
+  }
+  return errors.map((error) => `${prefix}: ${error}`);
+}
+
+/**
+ * Reads a backup file. The whole file is rejected when any part of it is invalid, so a restore
+ * never leaves the store half written.
+ * @param {string} text
+ * @param {string} [locale] - language of the errors
+ * @returns {ParsedBackup}
+ */
+function parseBackup(text, locale = DEFAULT_LOCALE) {
+  const reject = (errors) => ({ backup: null, errors });
+  const message = (key, fallback, params = {}) => translate(locale, key, params, fallback);
+
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (err) {
+    return reject([
+      message('validation.json', 'The text is not valid JSON: {error}', { error: err.message }),
+    ]);
+  }
+  if (!isObject(backup) || backup.format !== BACKUP_FORMAT) {
+    return reject([
+      message(
+        'validation.backup.format',
+        'The file is not a backup of the Automation Readiness Calculator'
+      ),
+    ]);
+  }
+  if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion < 1) {
+    const error = message('validation.backup.version', 'Must be a positive whole number');
+    return reject([`schemaVersion: ${error}`]);
+  }
+  if (backup.schemaVersion > STORE_VERSION) {
+    const error = message(
+      'validation.newerVersion',
+      'Version {version} was written by a newer version of the calculator',
+      { version: backup.schemaVersion }
+    );
+    return reject([`schemaVersion: ${error}`]);
+  }
+  if (!Array.isArray(backup.assessments)) {
+    return reject([`assessments: ${message('validation.type.array', 'Must be an array')}`]);
+  }
+
+  const errors = validateSettings(backup.settings, locale);
+  if (errors.length > 0) return reject(errors);
+
+  const ids = new Set();
+  backup.assessments.forEach((record, i) => {
+    errors.push(...validateRecord(record, i, backup.settings.factors, locale));
+    if (ids.has(record?.id)) {
+      errors.push(`assessments[${i}]: id: ${message('validation.backup.id', 'Used twice')}`);
+    }
+    ids.add(record?.id);
+  });
+  if (errors.length > 0) return reject(errors);
+
+  return {
+    backup: {
+      ...backup,
+      activeId: ids.has(backup.activeId) ? backup.activeId : null,
+    },
+    errors: [],
+  };
+}
+
+/**
+ * Adds the items of a list that aren't in the base list yet
+ * @param {Object[]} base
+ * @param {Object[]} items
+ * @param {string} key - the field identifying an item
+ * @returns {Object[]}
+ */
+const union = (base, items, key) => [
+  ...base,
+  ...items.filter((item) => !base.some((existing) => existing[key] === item[key])),
+];
+
+/**
+ * Like union, but adds only the items that are valid next to the ones taken so far
+ * @param {Object[]} base
+ * @param {Object[]} items
+ * @param {string} key - the field identifying an item
+ * @param {(item: Object, taken: Object[]) => string[]} validate
+ * @returns {{items: Object[], skipped: string[]}} skipped holds the keys of the items left out
+ */
+function unionValid(base, items, key, validate) {
+  const taken = [...base];
+  const skipped = [];
+  items
+    .filter((item) => !base.some((existing) => existing[key] === item[key]))
+    .forEach((item) => {
+      if (validate(item, taken).length > 0) {
+        skipped.push(item[key]);
+      } else {
+        taken.push(item);
+      }
+    });
+  return { items: taken, skipped };
+}
+
+/**
+ * Merges a backup into the store: processes that are new are added, processes the backup holds
+ * a newer version of are replaced; the rest of the store, including its profiles, factors and
+ * rules of the same name, stays as it is. Factors and rules of the backup that aren't valid next
+ * to the ones here are left out, so the merged settings are always valid.
+ * @param {StoreContents} current
+ * @param {StoreContents} incoming
+ * @returns {MergeResult}
+ */
+function mergeContents(current, incoming) {
+  let added = 0;
+  let updated = 0;
+  const assessments = [...current.assessments];
+  incoming.assessments.forEach((record) => {
+    const index = assessments.findIndex((existing) => existing.id === record.id);
+    if (index === -1) {
+      assessments.push(record);
+      added += 1;
+    } else if (record.updatedAt > (assessments[index].updatedAt ?? '')) {
+      assessments[index] = record;
+      updated += 1;
+    }
+  });
+
+  const factors = unionValid(
+    current.settings.factors,
+    incoming.settings.factors,
+    'key',
+    validateCustomFactor
+  );
+  const rules = unionValid(current.settings.rules, incoming.settings.rules, 'id', (rule, taken) =>
+    validateRule(rule, factors.items, taken)
+  );
+
+  return {
+    contents: {
+      activeId: current.activeId,
+      assessments,
+      settings: {
+        profiles: union(current.settings.profiles, incoming.settings.profiles, 'name'),
+        factors: factors.items,
+        rules: rules.items,
+      },
+    },
+    added,
+    updated,
+    skippedFactors: factors.skipped,
+    skippedRules: rules.skipped,
+  };
+}
+
+export {
+  DB_NAME,
+  STORE_VERSION,
+  BACKUP_FORMAT,
+  processFromRecord,
+  toRecord,
+  stampRecord,
+  openStore,
+  readStore,
+  saveAssessments,
+  saveSetting,
+  writeStore,
+  buildBackup,
+  parseBackup,
+  mergeContents,
+};
@@ -0,0 +1,375 @@
+// tests/store.spec.js
+import { describe, it, expect, vi } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import {
+  DB_NAME,
+  BACKUP_FORMAT,
+  STORE_VERSION,
+  processFromRecord,
+  toRecord,
+  stampRecord,
+  openStore,
+  readStore,
+  saveAssessments,
+  saveSetting,
+  writeStore,
+  buildBackup,
+  parseBackup,
+  mergeContents,
+} from '../store.js';
+import { DEFAULT_INPUTS, WEIGHTS, calculateReadiness, validateCustomFactors } from '../scoring.js';
+import { DEFAULT_RULES, validateRules } from '../rules.js';
+
+const PROFILE = { name: 'Default', weights: WEIGHTS };
+
+/**
+ * A stored process
+ * @param {string} id
+ * @param {Object} [fields]
+ * @returns {import('../store.js').AssessmentRecord}
+ */
+const record = (id, fields = {}) => ({
+  id,
+  name: `Process ${id}`,
+  inputs: DEFAULT_INPUTS,
+  profile: PROFILE,
+  financials: null,
+  answers: null,
+  ranges: null,
+  notes: '',
+  history: [],
+  output: calculateReadiness(DEFAULT_INPUTS),
+  createdAt: '2026-01-01T00:00:00.000Z',
+  updatedAt: '2026-01-01T00:00:00.000Z',
+  ...fields,
+});
+
+/** @type {import('../store.js').StoreContents} */
+const CONTENTS = {
+  activeId: 'a',
+  assessments: [record('a'), record('b', { notes: 'Checked with finance' })],
+  settings: { profiles: [], factors: [], rules: DEFAULT_RULES },
+};
+
+/**
+ * Opens a connection the way another tab would, without openStore's handlers
+ * @param {IDBFactory} factory
+ * @param {number} version
+ * @returns {Promise<IDBDatabase>}
+ */
+const openElsewhere = (factory, version) =>
+  new Promise((resolve, reject) => {
+    const request = factory.open(DB_NAME, version);
+    request.addEventListener('success', () => resolve(request.result));
+    request.addEventListener('error', () => reject(request.error));
+  });
+
+describe('Assessment Store', () => {
+  describe('records', () => {
+    it('should take the output and timestamps off a record', () => {
+      const process = processFromRecord(record('a'));
+      expect(process).not.toHaveProperty('output');
+      expect(process).not.toHaveProperty('updatedAt');
+      expect(toRecord(process, record('a').output)).toEqual({
+        ...process,
+        output: record('a').output,
+      });
+    });
+
+    it('should date a new record now unless it carries its own timestamps', () => {
+      const { createdAt, updatedAt, ...fresh } = record('a');
+      expect(stampRecord(fresh, undefined, '2026-05-01T00:00:00.000Z')).toMatchObject({
+        createdAt: '2026-05-01T00:00:00.000Z',
+        updatedAt: '2026-05-01T00:00:00.000Z',
+      });
+      expect(stampRecord(record('a'), undefined, '2026-05-01T00:00:00.000Z')).toMatchObject({
+        createdAt,
+        updatedAt,
+      });
+    });
+
+    it('should only move updatedAt when the process changed', () => {
+      const now = '2026-05-01T00:00:00.000Z';
+      const stored = record('a');
+      const recalculated = {
+        ...stored,
+        output: calculateReadiness(DEFAULT_INPUTS, WEIGHTS, [], 'de'),
+      };
+      expect(stampRecord(recalculated, stored, now).updatedAt).toBe(stored.updatedAt);
+
+      // Field order doesn't count as a change
+      const reordered = {
+        ...stored,
+        inputs: Object.fromEntries(Object.entries(DEFAULT_INPUTS).reverse()),
+      };
+      expect(stampRecord(reordered, stored, now).updatedAt).toBe(stored.updatedAt);
+
+      const edited = stampRecord({ ...stored, notes: 'Owner confirmed volume' }, stored, now);
+      expect(edited.updatedAt).toBe(now);
+      expect(edited.createdAt).toBe(stored.createdAt);
+    });
+  });
+
+  describe('IndexedDB', () => {
+    const NOW = '2026-05-01T00:00:00.000Z';
+    const EMPTY = {
+      activeId: null,
+      assessments: [],
+      settings: { profiles: [], factors: [], rules: [] },
+    };
+
+    it('should create the schema and take over the legacy data when first opened', () => {
+      const readLegacy = vi.fn(() => CONTENTS);
+      return openStore(new IDBFactory(), readLegacy)
+        .then(({ db, migrated }) => {
+          expect(migrated).toBe(true);
+          expect(readLegacy).toHaveBeenCalledTimes(1);
+          expect(db.version).toBe(STORE_VERSION);
+          expect([...db.objectStoreNames]).toEqual(['assessments', 'settings']);
+          return readStore(db).finally(() => db.close());
+        })
+        .then((contents) => {
+          expect(contents).toEqual(CONTENTS);
+        });
+    });
+
+    it('should start empty when there is no legacy data', () =>
+      openStore(new IDBFactory(), () => null).then(({ db, migrated }) => {
+        expect(migrated).toBe(false);
+        return readStore(db)
+          .then((contents) => expect(contents).toEqual(EMPTY))
+          .finally(() => db.close());
+      }));
+
+    it('should reopen without upgrading or migrating again', () => {
+      const factory = new IDBFactory();
+      const readLegacy = vi.fn(() => CONTENTS);
+      return openStore(factory, () => CONTENTS)
+        .then(({ db }) => db.close())
+        .then(() => openStore(factory, readLegacy))
+        .then(({ db, migrated }) => {
+          expect(migrated).toBe(false);
+          expect(readLegacy).not.toHaveBeenCalled();
+          return readStore(db).finally(() => db.close());
+        })
+        .then((contents) => {
+          expect(contents.assessments.map((r) => r.id)).toEqual(['a', 'b']);
+        });
+    });
+
+    it('should read back what it writes, in portfolio order, dating undated records', () => {
+      const undated = { ...record('c'), createdAt: undefined, updatedAt: undefined };
+      const contents = {
+        activeId: 'c',
+        assessments: [undated, record('a')],
+        settings: { profiles: [{ name: 'Finance', weights: WEIGHTS }], factors: [], rules: [] },
+      };
+      return openStore(new IDBFactory(), () => CONTENTS).then(({ db }) =>
+        writeStore(db, contents, NOW)
+          .then(() => readStore(db))
+          .then((stored) => {
+            expect(stored).toEqual({
+              ...contents,
+              assessments: [{ ...undated, createdAt: NOW, updatedAt: NOW }, record('a')],
+            });
+          })
+          .finally(() => db.close())
+      );
+    });
+
+    it('should save the portfolio, dating changed records and removing deleted ones', () => {
+      const edited = record('b', { notes: 'Volume confirmed' });
+      return openStore(new IDBFactory(), () => CONTENTS).then(({ db }) =>
+        saveAssessments(db, [edited, record('c')], 'c', NOW)
+          .then(() => saveSetting(db, 'rules', []))
+          .then(() => readStore(db))
+          .then((stored) => {
+            expect(stored.activeId).toBe('c');
+            expect(stored.assessments.map((r) => [r.id, r.notes, r.updatedAt])).toEqual([
+              ['b', 'Volume confirmed', NOW],
+              ['c', '', record('c').updatedAt],
+            ]);
+            expect(stored.settings.rules).toEqual([]);
+          })
+          .finally(() => db.close())
+      );
+    });
+
+    it('should close and report it when a newer release opens the store elsewhere', () => {
+      const factory = new IDBFactory();
+      const onClose = vi.fn();
+      return openStore(factory, () => null, { onClose }).then(({ db }) =>
+        openElsewhere(factory, STORE_VERSION + 1).then((newer) => {
+          newer.close();
+          expect(onClose).toHaveBeenCalledTimes(1);
+          // A closed connection refuses new transactions
+          expect(() => readStore(db)).toThrow();
+        })
+      );
+    });
+
+    it('should wait for an older release elsewhere to let go instead of failing', () => {
+      const factory = new IDBFactory();
+      // Opening one version up makes the connection below an older release
+      const newer = { open: (name, version) => factory.open(name, version + 1) };
+      return openElsewhere(factory, STORE_VERSION).then((older) => {
+        const onBlocked = vi.fn(() => older.close());
+        return openStore(newer, () => null, { onBlocked }).then(({ db }) => {
+          expect(onBlocked).toHaveBeenCalledTimes(1);
+          expect(db.version).toBe(STORE_VERSION + 1);
+          db.close();
+        });
+      });
+    });
+  });
+
+  describe('backups', () => {
+    it('should read back the backup it writes', () => {
+      const backup = buildBackup(CONTENTS, '2026-05-01T00:00:00.000Z');
+      expect(backup.format).toBe(BACKUP_FORMAT);
+      expect(backup.schemaVersion).toBe(STORE_VERSION);
+
+      const parsed = parseBackup(JSON.stringify(backup));
+      expect(parsed.errors).toEqual([]);
+      expect(parsed.backup.assessments).toEqual(CONTENTS.assessments);
+      expect(parsed.backup.settings).toEqual(CONTENTS.settings);
+      expect(parsed.backup.activeId).toBe('a');
+    });
+
+    it('should date records that have not been saved yet with the export time', () => {
+      const unsaved = processFromRecord(record('a'));
+      const backup = buildBackup(
+        { ...CONTENTS, assessments: [unsaved] },
+        '2026-05-01T00:00:00.000Z'
+      );
+      expect(backup.assessments[0].updatedAt).toBe('2026-05-01T00:00:00.000Z');
+    });
+
+    it('should reject files that are not backups', () => {
+      expect(parseBackup('{').errors[0]).toMatch(/not valid JSON/);
+      expect(parseBackup('{"process": "Invoices"}').errors[0]).toMatch(/not a backup/);
+    });
+
+    it('should reject backups written by a newer version', () => {
+      const backup = { ...buildBackup(CONTENTS), schemaVersion: STORE_VERSION + 1 };
+      expect(parseBackup(JSON.stringify(backup)).errors[0]).toMatch(/newer version/);
+    });
+
+    it('should reject the whole backup when one record is invalid', () => {
+      const backup = buildBackup({
+        ...CONTENTS,
+        assessments: [
+          record('a'),
+          record('b', { inputs: { ...DEFAULT_INPUTS, dataQuality: 150 } }),
+          record('a', { updatedAt: 'yesterday' }),
+        ],
+      });
+      const { backup: parsed, errors } = parseBackup(JSON.stringify(backup));
+      expect(parsed).toBeNull();
+      expect(errors).toContain('assessments[1]: inputs: dataQuality: Value must be at most 100');
+      expect(errors).toContain('assessments[2]: updatedAt: Must be an ISO 8601 date');
+      expect(errors).toContain('assessments[2]: id: Used twice');
+    });
+
+    it('should reject invalid settings', () => {
+      const backup = {
+        ...buildBackup(CONTENTS),
+        settings: { profiles: [{ name: 'Half', weights: { stableProcess: 0.5 } }], factors: [] },
+      };
+      expect(parseBackup(JSON.stringify(backup)).errors).toEqual([
+        'settings.profiles[0]: Weights must be complete and sum to 100%',
+        'settings.rules: Must be an array',
+      ]);
+    });
+
+    it('should report errors in the given language', () => {
+      expect(parseBackup('{"process": "Invoices"}', 'fr').errors).toEqual([
+        "Le fichier n'est pas une sauvegarde du calculateur de maturité",
+      ]);
+      const backup = buildBackup({
+        ...CONTENTS,
+        assessments: [record('a'), record('a', { updatedAt: 'yesterday' })],
+      });
+      expect(parseBackup(JSON.stringify(backup), 'de').errors).toEqual([
+        'assessments[1]: updatedAt: Muss ein Datum nach ISO 8601 sein',
+        'assessments[1]: id: Doppelt verwendet',
+      ]);
+    });
+  });
+
+  describe('mergeContents', () => {
+    it('should add new processes and take the newer version of the others', () => {
+      const incoming = {
+        activeId: 'c',
+        assessments: [
+          record('a', { notes: 'Older', updatedAt: '2025-12-01T00:00:00.000Z' }),
+          record('b', { notes: 'Newer', updatedAt: '2026-02-01T00:00:00.000Z' }),
+          record('c'),
+        ],
+        settings: {
+          profiles: [{ name: 'Finance', weights: WEIGHTS }],
+          factors: [],
+          rules: [{ ...DEFAULT_RULES[0], enabled: false }],
+        },
+      };
+      const { contents, added, updated } = mergeContents(CONTENTS, incoming);
+      expect(added).toBe(1);
+      expect(updated).toBe(1);
+      expect(contents.activeId).toBe('a');
+      expect(contents.assessments.map((r) => [r.id, r.notes])).toEqual([
+        ['a', ''],
+        ['b', 'Newer'],
+        ['c', ''],
+      ]);
+      expect(contents.settings.profiles).toEqual(incoming.settings.profiles);
+      // Rules of the same id stay as they are here
+      expect(contents.settings.rules).toEqual(DEFAULT_RULES);
+    });
+
+    it("should keep the custom factors here when the backup's would weigh too much with them", () => {
+      const factor = (key, weight) => ({
+        key,
+        label: key,
+        reason: 'Low',
+        hint: 'Raise it',
+        min: 1,
+        max: 5,
+        direction: 'higher',
+        weight,
+      });
+      const rule = (id, input) => ({
+        id,
+        when: [{ input, operator: '<=', value: 1 }],
+        band: 'Red',
+        reason: 'Too low',
+        enabled: true,
+      });
+      const current = {
+        ...CONTENTS,
+        settings: { ...CONTENTS.settings, factors: [factor('sponsorship', 30)] },
+      };
+      const incoming = {
+        ...CONTENTS,
+        assessments: [],
+        settings: {
+          profiles: [],
+          factors: [factor('sponsorship', 40), factor('budget', 30), factor('tooling', 20)],
+          rules: [rule('no-budget', 'budget'), rule('no-tooling', 'tooling')],
+        },
+      };
+      const { contents, skippedFactors, skippedRules } = mergeContents(current, incoming);
+      expect(contents.settings.factors.map((f) => [f.key, f.weight])).toEqual([
+        ['sponsorship', 30],
+        ['tooling', 20],
+      ]);
+      expect(skippedFactors).toEqual(['budget']);
+      expect(contents.settings.rules.map((r) => r.id)).toEqual([
+        ...DEFAULT_RULES.map((r) => r.id),
+        'no-tooling',
+      ]);
+      expect(skippedRules).toEqual(['no-budget']);
+      expect(validateCustomFactors(contents.settings.factors)).toEqual([]);
+      expect(validateRules(contents.settings.rules, contents.settings.factors)).toEqual([]);
+    });
+  });
+});
@@ -1,42 +1,96 @@
 // sw.js - Service Worker for offline support
-const CACHE_NAME = 'automation-readiness-v1';
-const urlsToCache = [
-  '/',
-  '/index.html',
-  '/styles.css',
-  '/app.js',
-  '/manifest.json',
-];
+
+// The build replaces both values (see service-worker-plugin.js): the version with a hash of the
+// build output, the list with every file the build emitted. Unbuilt, the worker only precaches
+// the page and caches the rest as it is fetched.
+const BUILD_VERSION = /* build:version */ 'dev';
+const PRECACHE_URLS = /* build:precache */ ['/'];
+
+const CACHE_PREFIX = 'automation-readiness-';
+const CACHE_NAME = `${CACHE_PREFIX}${BUILD_VERSION}`;
+
+/** Message from the page asking a waiting worker to take over (the "Reload" button) */
+const SKIP_WAITING = 'SKIP_WAITING';
 
 self.addEventListener('install', (event) => {
+  // Stays waiting until the page asks to update, so a page never runs against a newer cache
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener('activate', (event) => {
   event.waitUntil(
-    caches.open(CACHE_NAME).then((cache) => cache.addAll(urlsToCache))
+    caches
+      .keys()
+      .then((cacheNames) =>
+        Promise.all(
+          cacheNames
+            .filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
   );
 });
 
-self.addEventListener('fetch', (event) => {
-  event.respondWith(
-    caches.match(event.request).then((response) => {
-      if (response) {
-        return response;
-      }
-      return fetch(event.request);
-    })
-  );
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === SKIP_WAITING) {
+    self.skipWaiting();
+  }
 });
 
-self.addEventListener('activate', (event) => {
-  const cacheWhitelist = [CACHE_NAME];
-  event.waitUntil(
-    caches.keys().then((cacheNames) =>
-      Promise.all(
-        cacheNames.map((cacheName) => {
-          if (!cacheWhitelist.includes(cacheName)) {
-            return caches.delete(cacheName);
-          }
-          return null;
-        })
+/**
+ * Cache key of a request: pages are stored without their query string, which only carries
+ * shared state, so every share link opens offline
+ * @param {Request} request
+ * @returns {Request | string}
+ */
+const cacheKey = (request) => {
+  if (request.mode !== 'navigate') return request;
+  const url = new URL(request.url);
+  return url.origin + url.pathname;
+};
+
+/**
+ * Stale-while-revalidate: answers from the cache right away and refreshes the cache from the
+ * network in the background; goes to the network when nothing is cached. Pages that are neither
+ * cached nor reachable fall back to the cached start page.
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+function staleWhileRevalidate(event) {
+  const { request } = event;
+  const key = cacheKey(request);
+
+  return caches.open(CACHE_NAME).then((cache) => {
+    const network = fetch(request).then((response) => {
+      if (response.ok && response.type === 'basic') {
+        cache.put(key, response.clone());
+      }
+      return response;
+    });
+    // Keep the worker alive until the cache is refreshed
+    event.waitUntil(
+      network.then(
+        () => undefined,
+        () => undefined
       )
-    )
-  );
-});
\ No newline at end of file
+    );
+
+    return cache.match(key).then((cached) => {
+      if (cached) return cached;
+      return network.catch((err) => {
+        if (request.mode !== 'navigate') throw err;
+        return cache.match(PRECACHE_URLS[0]).then((page) => {
+          if (page) return page;
+          throw err;
+        });
+      });
+    });
+  });
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith(staleWhileRevalidate(event));
+});
@@ -0,0 +1,289 @@
+// uncertainty.js
+
+/**
+ * Uncertainty ranges and Monte Carlo simulation.
+ * Inputs are estimates: each one can take a low / high range around its value (the most likely
+ * value). The simulation draws inputs from triangular distributions, scores every draw and
+ * reports the score distribution, a confidence interval and the probability of each band.
+ * Draws come from a seeded generator, so the same seed always gives the same result.
+ */
+
+import {
+  WEIGHTS,
+  bandForScore,
+  validateInput,
+  customFactorDefault,
+  allInputLabels,
+  allInputConstraints,
+  calculateReadiness,
+} from './scoring.js';
+import { applyRules } from './rules.js';
+import { DEFAULT_LOCALE, translate, formatNumber } from './i18n.js';
+
+// --- TYPE DEFINITIONS (JSDoc) ---
+
+/** @typedef {import('./scoring.js').Inputs} Inputs */
+/** @typedef {import('./scoring.js').Weights} Weights */
+/** @typedef {import('./scoring.js').CustomFactor} CustomFactor */
+/** @typedef {import('./rules.js').KnockOutRule} KnockOutRule */
+
+/**
+ * Lowest and highest plausible value of an input; the input's own value is the most likely one
+ * @typedef {Object} InputRange
+ * @property {number} low
+ * @property {number} high
+ */
+
+/**
+ * Ranges per input key; inputs without a range are taken as exact
+ * @typedef {Object<string, InputRange>} Ranges
+ */
+
+/**
+ * @typedef {Object} SimulationOptions
+ * @property {Weights} [weights]
+ * @property {CustomFactor[]} [factors]
+ * @property {KnockOutRule[]} [rules] - applied to every draw
+ * @property {number} [draws] - number of draws, DEFAULT_DRAWS by default
+ * @property {number} [seed] - seed for the random number generator, DEFAULT_SEED by default
+ * @property {number} [level] - confidence level of the interval, CONFIDENCE_LEVEL by default
+ */
+
+/**
+ * @typedef {Object} Simulation
+ * @property {number} seed
+ * @property {number} draws
+ * @property {number} mean - mean score, one decimal
+ * @property {number} median
+ * @property {{level: number, low: number, high: number}} interval - central confidence interval
+ * @property {{Red: number, Yellow: number, Green: number}} bandProbabilities - share of draws per band
+ * @property {number[]} distribution - number of draws per score, index 0–100
+ */
+
+// --- CONSTANTS ---
+
+const DEFAULT_DRAWS = 2000;
+const DEFAULT_SEED = 1;
+
+/** The interval covers the central 90% of the simulated scores */
+const CONFIDENCE_LEVEL = 0.9;
+
+// --- RANDOM NUMBERS ---
+
+/**
+ * Creates a mulberry32 pseudo-random number generator: small, fast and good enough for
+ * simulations, and the same sequence for the same seed on every platform.
+ * The algorithm is 32-bit integer arithmetic, hence the bitwise operators.
+ * @param {number} seed - 32-bit integer
+ * @returns {() => number} returns numbers in [0, 1)
+ */
+/* eslint-disable no-bitwise */
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+/* eslint-enable no-bitwise */
+
+/**
+ * Draws from a triangular distribution by inverting its cumulative distribution function
+ * @param {number} low
+ * @param {number} mode - most likely value
+ * @param {number} high
+ * @param {() => number} random - uniform numbers in [0, 1)
+ * @returns {number}
+ */
+function sampleTriangular(low, mode, high, random) {
+  if (high === low) return low;
+  const u = random();
+  const split = (mode - low) / (high - low);
+  if (u < split) {
+    return low + Math.sqrt(u * (high - low) * (mode - low));
+  }
+  return high - Math.sqrt((1 - u) * (high - low) * (high - mode));
+}
+
+// --- RANGES ---
+
+/**
+ * Value of an input, with the middle of the range for a custom factor without one
+ * @param {Inputs} inputs
+ * @param {string} key
+ * @param {CustomFactor[]} factors
+ * @returns {number}
+ */
+function valueOf(inputs, key, factors) {
+  const custom = factors.find((f) => f.key === key);
+  return inputs[key] ?? (custom ? customFactorDefault(custom) : undefined);
+}
+
+/**
+ * Validates ranges against the inputs: each range must lie within the input's limits and
+ * include the input's value
+ * @param {Ranges} ranges
+ * @param {Inputs} inputs
+ * @param {CustomFactor[]} [factors]
+ * @param {string} [locale] - language of the messages
+ * @returns {string[]} error messages, e.g. "dataQuality: Range 60–80 doesn't include the value 50"
+ */
+function validateRanges(ranges, inputs, factors = [], locale = DEFAULT_LOCALE) {
+  if (ranges === null || typeof ranges !== 'object' || Array.isArray(ranges)) {
+    return [translate(locale, 'validation.ranges.object', {}, 'Ranges must be an object')];
+  }
+
+  const labels = allInputLabels(factors);
+  const constraints = allInputConstraints(factors);
+  const errors = [];
+  const fail = (key, messageKey, fallback, params = {}) =>
+    errors.push(`${key}: ${translate(locale, messageKey, params, fallback)}`);
+  Object.entries(ranges).forEach(([key, range]) => {
+    if (!(key in labels)) {
+      fail(key, 'validation.unknownInput', 'Unknown input');
+      return;
+    }
+    const { low, high } = range || {};
+    if (![low, high].every((v) => typeof v === 'number' && Number.isFinite(v))) {
+      fail(key, 'validation.ranges.numbers', 'Low and high must be numbers');
+      return;
+    }
+    const invalid = [low, high]
+      .map((v) => validateInput(key, v, constraints, locale))
+      .find((validation) => !validation.valid);
+    const value = valueOf(inputs, key, factors);
+    if (invalid) {
+      errors.push(`${key}: ${invalid.message}`);
+    } else if (low > high) {
+      fail(key, 'validation.ranges.order', 'Low must not be above high');
+    } else if (value < low || value > high) {
+      const [from, to, current] = [low, high, value].map((v) => formatNumber(v, locale));
+      const params = { low: from, high: to, value: current };
+      fail(
+        key,
+        'validation.ranges.value',
+        "Range {low}–{high} doesn't include the value {value}",
+        params
+      );
+    }
+  });
+  return errors;
+}
+
+// --- SIMULATION ---
+
+/**
+ * Score at a percentile of sorted scores (nearest rank)
+ * @param {number[]} sorted
+ * @param {number} p - 0 to 1
+ * @returns {number}
+ */
+const percentile = (sorted, p) =>
+  sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1))];
+
+/**
+ * Simulates the readiness score under the input ranges. Every draw samples the inputs with a
+ * range from a triangular distribution (low, value, high) and runs them through
+ * calculateReadiness and the knock-out rules.
+ * @param {Inputs} inputs - the most likely values
+ * @param {Ranges} ranges - valid ranges (see validateRanges)
+ * @param {SimulationOptions} [options]
+ * @returns {Simulation}
+ */
+function simulateReadiness(inputs, ranges, options = {}) {
+  const {
+    weights = WEIGHTS,
+    factors = [],
+    rules = [],
+    draws = DEFAULT_DRAWS,
+    seed = DEFAULT_SEED,
+    level = CONFIDENCE_LEVEL,
+  } = options;
+  const random = mulberry32(seed);
+  // Sample in input order, so the same ranges give the same draws whatever their key order
+  const keys = Object.keys(allInputLabels(factors)).filter((key) => ranges[key]);
+
+  const scores = Array.from({ length: draws }, () => {
+    const sample = { ...inputs };
+    keys.forEach((key) => {
+      const { low, high } = ranges[key];
+      sample[key] = sampleTriangular(low, valueOf(inputs, key, factors), high, random);
+    });
+    return applyRules(calculateReadiness(sample, weights, factors), sample, rules, factors)
+      .readinessScore;
+  });
+
+  const sorted = [...scores].sort((a, b) => a - b);
+  const distribution = Array(101).fill(0);
+  const bandCounts = { Red: 0, Yellow: 0, Green: 0 };
+  scores.forEach((score) => {
+    distribution[score] += 1;
+    bandCounts[bandForScore(score)] += 1;
+  });
+
+  return {
+    seed,
+    draws,
+    mean: Math.round((scores.reduce((sum, s) => sum + s, 0) / draws) * 10) / 10,
+    median: percentile(sorted, 0.5),
+    interval: {
+      level,
+      low: percentile(sorted, (1 - level) / 2),
+      high: percentile(sorted, (1 + level) / 2),
+    },
+    bandProbabilities: Object.fromEntries(
+      Object.entries(bandCounts).map(([band, count]) => [
+        band,
+        Math.round((count / draws) * 1000) / 1000,
+      ])
+    ),
+    distribution,
+  };
+}
+
+/**
+ * Describes a simulation in one line, e.g.
+ * "90% interval 58–71; 68% chance Green, 27% Yellow, 5% Red"
+ * @param {Simulation} simulation
+ * @param {string} [locale]
+ * @returns {string}
+ */
+function describeSimulation(simulation, locale = DEFAULT_LOCALE) {
+  const { interval, bandProbabilities } = simulation;
+  const bands = Object.entries(bandProbabilities)
+    .filter(([, p]) => Math.round(p * 100) > 0)
+    .sort((a, b) => b[1] - a[1])
+    .map(([band, p], i) =>
+      translate(
+        locale,
+        i === 0 ? 'simulation.chance' : 'simulation.share',
+        { percent: Math.round(p * 100), band: translate(locale, `band.${band}`, {}, band) },
+        i === 0 ? '{percent}% chance {band}' : '{percent}% {band}'
+      )
+    );
+  return translate(
+    locale,
+    'simulation.summary',
+    {
+      level: Math.round(interval.level * 100),
+      low: interval.low,
+      high: interval.high,
+      bands: bands.join(', '),
+    },
+    '{level}% interval {low}–{high}; {bands}'
+  );
+}
+
+export {
+  DEFAULT_DRAWS,
+  DEFAULT_SEED,
+  CONFIDENCE_LEVEL,
+  mulberry32,
+  sampleTriangular,
+  validateRanges,
+  simulateReadiness,
+  describeSimulation,
+};
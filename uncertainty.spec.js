@@ -0,0 +1,153 @@
+// tests/uncertainty.spec.js
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_INPUTS } from '../scoring.js';
+import { DEFAULT_RULES } from '../rules.js';
+import {
+  mulberry32,
+  sampleTriangular,
+  validateRanges,
+  simulateReadiness,
+  describeSimulation,
+} from '../uncertainty.js';
+
+const RANGES = {
+  dataQuality: { low: 50, high: 90 },
+  systemAccess: { low: 40, high: 80 },
+  processVolume: { low: 500, high: 2000 },
+};
+
+describe('Uncertainty', () => {
+  describe('mulberry32', () => {
+    it('should give the same sequence for the same seed', () => {
+      const a = mulberry32(42);
+      const b = mulberry32(42);
+      const values = Array.from({ length: 5 }, () => a());
+      expect(values).toEqual(Array.from({ length: 5 }, () => b()));
+      expect(values.every((v) => v >= 0 && v < 1)).toBe(true);
+      expect(mulberry32(43)()).not.toBe(values[0]);
+    });
+  });
+
+  describe('sampleTriangular', () => {
+    it('should stay within the range and map the ends of [0, 1) to low and high', () => {
+      const random = mulberry32(7);
+      const samples = Array.from({ length: 500 }, () => sampleTriangular(10, 20, 50, random));
+      expect(Math.min(...samples)).toBeGreaterThanOrEqual(10);
+      expect(Math.max(...samples)).toBeLessThanOrEqual(50);
+      expect(sampleTriangular(10, 20, 50, () => 0)).toBe(10);
+      expect(sampleTriangular(10, 20, 50, () => 0.25)).toBeCloseTo(20);
+      expect(sampleTriangular(30, 30, 30, () => 0.5)).toBe(30);
+    });
+  });
+
+  describe('validateRanges', () => {
+    it('should accept ranges around the values', () => {
+      expect(validateRanges(RANGES, DEFAULT_INPUTS)).toEqual([]);
+    });
+
+    it('should report ranges that are invalid or miss the value', () => {
+      expect(
+        validateRanges(
+          {
+            dataQuality: { low: 80, high: 90 },
+            variance: { low: 30, high: 10 },
+            exceptionRate: { low: -5, high: 20 },
+            systemAccess: { low: 40 },
+            speed: { low: 1, high: 2 },
+          },
+          DEFAULT_INPUTS
+        )
+      ).toEqual([
+        "dataQuality: Range 80–90 doesn't include the value 70",
+        'variance: Low must not be above high',
+        'exceptionRate: Value must be at least 0',
+        'systemAccess: Low and high must be numbers',
+        'speed: Unknown input',
+      ]);
+    });
+
+    it('should report in the given language, with numbers formatted for it', () => {
+      expect(
+        validateRanges(
+          { processVolume: { low: 2000, high: 3000 }, variance: { low: 30, high: 10 } },
+          DEFAULT_INPUTS,
+          [],
+          'de'
+        )
+      ).toEqual([
+        'processVolume: Der Bereich 2.000–3.000 enthält den Wert 1.000 nicht',
+        'variance: Die Untergrenze darf nicht über der Obergrenze liegen',
+      ]);
+    });
+
+    it('should accept ranges on custom factors', () => {
+      const factors = [
+        {
+          key: 'vendorSupport',
+          label: 'Vendor Support',
+          min: 0,
+          max: 10,
+          weight: 0.1,
+          direction: 'higher',
+        },
+      ];
+      const inputs = { ...DEFAULT_INPUTS, vendorSupport: 6 };
+      expect(validateRanges({ vendorSupport: { low: 4, high: 8 } }, inputs, factors)).toEqual([]);
+      expect(validateRanges({ vendorSupport: { low: 4, high: 8 } }, inputs)).toEqual([
+        'vendorSupport: Unknown input',
+      ]);
+    });
+  });
+
+  describe('simulateReadiness', () => {
+    it('should be deterministic for a seed', () => {
+      const a = simulateReadiness(DEFAULT_INPUTS, RANGES, { seed: 3, draws: 500 });
+      const b = simulateReadiness(DEFAULT_INPUTS, RANGES, { seed: 3, draws: 500 });
+      expect(a).toEqual(b);
+      expect(simulateReadiness(DEFAULT_INPUTS, RANGES, { seed: 4, draws: 500 })).not.toEqual(a);
+    });
+
+    it('should not depend on the key order of the ranges', () => {
+      const reversed = Object.fromEntries(Object.entries(RANGES).reverse());
+      expect(simulateReadiness(DEFAULT_INPUTS, reversed, { draws: 300 })).toEqual(
+        simulateReadiness(DEFAULT_INPUTS, RANGES, { draws: 300 })
+      );
+    });
+
+    it('should report a consistent distribution, interval and band probabilities', () => {
+      const sim = simulateReadiness(DEFAULT_INPUTS, RANGES, { draws: 1000 });
+      expect(sim.draws).toBe(1000);
+      expect(sim.distribution).toHaveLength(101);
+      expect(sim.distribution.reduce((sum, n) => sum + n, 0)).toBe(1000);
+      expect(sim.interval.level).toBe(0.9);
+      expect(sim.interval.low).toBeLessThanOrEqual(sim.median);
+      expect(sim.median).toBeLessThanOrEqual(sim.interval.high);
+      const { Red, Yellow, Green } = sim.bandProbabilities;
+      expect(Red + Yellow + Green).toBeCloseTo(1, 2);
+    });
+
+    it('should give the plain score when no input has a range', () => {
+      const sim = simulateReadiness(DEFAULT_INPUTS, {}, { draws: 50 });
+      expect(sim.interval).toEqual({ level: 0.9, low: 77, high: 77 });
+      expect(sim.bandProbabilities).toEqual({ Red: 0, Yellow: 0, Green: 1 });
+    });
+
+    it('should apply knock-out rules to every draw', () => {
+      const ranges = { systemAccess: { low: 5, high: 60 } };
+      const sim = simulateReadiness(DEFAULT_INPUTS, ranges, { rules: DEFAULT_RULES, draws: 500 });
+      expect(sim.bandProbabilities.Red).toBeGreaterThan(0);
+      expect(sim.distribution[49]).toBeGreaterThan(0);
+    });
+  });
+
+  describe('describeSimulation', () => {
+    it('should summarise the interval and the likely bands', () => {
+      expect(
+        describeSimulation({
+          interval: { level: 0.9, low: 58, high: 71 },
+          bandProbabilities: { Red: 0.05, Yellow: 0.27, Green: 0.68 },
+        })
+      ).toBe('90% interval 58–71; 68% chance Green, 27% Yellow, 5% Red');
+    });
+  });
+});
@@ -1,15 +1,25 @@
 // vite.config.js
 import { defineConfig } from 'vite';
+import { serviceWorkerPlugin } from './service-worker-plugin.js';
 
 export default defineConfig({
+  plugins: [serviceWorkerPlugin()],
   build: {
     outDir: 'dist',
     assetsDir: 'assets',
     sourcemap: true,
     minify: 'terser',
     rollupOptions: {
+      // The <readiness-calculator> element is a second entry with a fixed file name, so other
+      // pages can load it from /readiness-calculator.js
+      input: {
+        main: 'index.html',
+        'readiness-calculator': 'readiness-calculator.js',
+      },
       output: {
         manualChunks: undefined,
+        entryFileNames: (chunk) =>
+          chunk.name === 'readiness-calculator' ? '[name].js' : 'assets/[name]-[hash].js',
       },
     },
   },